@@ -5,6 +5,17 @@
 
 const { Actor, log } = require('apify');
 const GoogleMapsScraper = require('./src/scraper/GoogleMapsScraper');
+const BrowserPool = require('./src/scraper/BrowserPool');
+const RunState = require('./src/utils/RunState');
+const PlaceIndex = require('./src/utils/PlaceIndex');
+const { normalizeSearchArea } = require('./src/utils/geo');
+const { parsePlaceInput } = require('./src/utils/placeInput');
+
+// 每個瀏覽器同時開啟的頁面數
+const PAGES_PER_BROWSER = 2;
+
+// 每個查詢保留給電子郵件瀏覽器備援的頁面數
+const EMAIL_PAGES_PER_QUERY = 2;
 
 // 輸入驗證函式
 const validateInput = (input) => {
@@ -25,15 +36,82 @@ const validateInput = (input) => {
             .map(q => q.trim());
     }
     
+    // 清理 placeId
+    if (input.placeIds) {
+        input.placeIds = input.placeIds
+            .filter(id => id && typeof id === 'string' && id.trim())
+            .map(id => id.trim());
+    }
+    
     // 驗證最大滾動次數
     if (input.maxScrolls && input.maxScrolls > 100) {
         log.warning('maxScrolls capped at 100 (was ' + input.maxScrolls + ')');
         input.maxScrolls = 100;
     }
     
+    // 驗證評論數量
+    if (input.maxReviews && input.maxReviews > 500) {
+        log.warning('maxReviews capped at 500 (was ' + input.maxReviews + ')');
+        input.maxReviews = 500;
+    }
+    
+    // 驗證郵件爬取深度
+    if (input.emailCrawlDepth && input.emailCrawlDepth > 3) {
+        log.warning('emailCrawlDepth capped at 3 (was ' + input.emailCrawlDepth + ')');
+        input.emailCrawlDepth = 3;
+    }
+    
+    if (input.maxEmailPagesPerSite && input.maxEmailPagesPerSite > 20) {
+        log.warning('maxEmailPagesPerSite capped at 20 (was ' + input.maxEmailPagesPerSite + ')');
+        input.maxEmailPagesPerSite = 20;
+    }
+    
+    // 驗證相片數量
+    if (input.maxPhotos && input.maxPhotos > 100) {
+        log.warning('maxPhotos capped at 100 (was ' + input.maxPhotos + ')');
+        input.maxPhotos = 100;
+    }
+    
+    // 驗證並行數量
+    if (input.maxConcurrency && input.maxConcurrency > 10) {
+        log.warning('maxConcurrency capped at 10 (was ' + input.maxConcurrency + ')');
+        input.maxConcurrency = 10;
+    }
+    
     return input;
 };
 
+// 載入並正規化搜尋區域，GeoJSON 可以直接提供或存放在鍵值存儲
+const loadSearchArea = async (searchArea) => {
+    if (!searchArea) return null;
+
+    if (searchArea.geojsonKey) {
+        const store = await Actor.openKeyValueStore(searchArea.geojsonStore);
+        const geojson = await store.getValue(searchArea.geojsonKey);
+        if (!geojson) {
+            throw new Error(`GeoJSON record "${searchArea.geojsonKey}" not found in key-value store`);
+        }
+        return normalizeSearchArea({ geojson });
+    }
+
+    return normalizeSearchArea(searchArea);
+};
+
+// 以固定並行數執行工作，每個工作的錯誤由工作本身處理
+const runWithConcurrency = async (tasks, concurrency) => {
+    let nextIndex = 0;
+    
+    const worker = async () => {
+        while (nextIndex < tasks.length) {
+            const task = tasks[nextIndex++];
+            await task();
+        }
+    };
+    
+    const workerCount = Math.max(1, Math.min(concurrency, tasks.length));
+    await Promise.all(Array.from({ length: workerCount }, worker));
+};
+
 Actor.main(async () => {
     // 取得輸入參數
     let input = await Actor.getInput();
@@ -46,37 +124,238 @@ Actor.main(async () => {
     const {
         searchQueries = [],
         startUrls = [],
+        placeIds = [],
         maxResults = 100,
         language = 'en',
         scrapeDetails = true,
         scrapeEmails = true,
         maxScrolls = 50,
         useMultiSearch = false,
-        searchRegions = []
+        searchRegions = [],
+        maxConcurrency = 1,
+        deduplicateAcrossQueries = false,
+        maxTileDepth = 2,
+        maxTiles = 50,
+        maxReviews = 0,
+        reviewsSort = 'mostRelevant',
+        reviewsOutput = 'nested',
+        reviewsDatasetName = 'reviews',
+        maxPhotos = 0,
+        photoWidth = 1024,
+        photoHeight = 768,
+        downloadPhotos = false,
+        photosStoreName = null,
+        excludeClosedPlaces = false,
+        emailCrawlDepth = 1,
+        maxEmailPagesPerSite = 5
     } = input;
 
     // 驗證是否有搜尋內容
-    if ((!searchQueries || searchQueries.length === 0) && (!startUrls || startUrls.length === 0)) {
-        throw new Error('Please provide either searchQueries or startUrls');
+    if ((!searchQueries || searchQueries.length === 0) && (!startUrls || startUrls.length === 0) &&
+        (!placeIds || placeIds.length === 0)) {
+        throw new Error('Please provide either searchQueries, startUrls or placeIds');
+    }
+
+    // 網格搜尋區域
+    const searchArea = await loadSearchArea(input.searchArea);
+    if (searchArea) {
+        log.info(`Area search enabled (${searchArea.type})`);
     }
 
     // 初始化資料集
     const dataset = await Actor.openDataset();
+
+    // 下載相片時使用的鍵值存儲（未指定名稱時為預設存儲）
+    const photoStore = maxPhotos > 0 && downloadPhotos
+        ? await Actor.openKeyValueStore(photosStoreName || undefined)
+        : null;
+
+    // 評論輸出到獨立的具名資料集時，每則評論一列並以 placeId 關聯商家
+    const reviewsDataset = maxReviews > 0 && reviewsOutput === 'dataset'
+        ? await Actor.openDataset(reviewsDatasetName)
+        : null;
     
-    // 統計資訊
-    const stats = {
+    // 續跑狀態：記錄已完成的工作、進行中工作的位置與統計資訊
+    const runState = new RunState();
+    await runState.load();
+
+    // 統計資訊（續跑時沿用先前保存的統計）
+    const stats = runState.getStats() || {
         totalSearches: 0,
         totalResults: 0,
         failedSearches: 0,
+        missingCoordinates: 0,
+        maxConcurrency,
         startTime: Date.now()
     };
+    runState.setStats(stats);
+
+    // 排除歇業商家的統計
+    if (excludeClosedPlaces && stats.closedExcluded === undefined) {
+        stats.closedExcluded = 0;
+    }
+
+    // 網格搜尋統計
+    if (searchArea && stats.tilesSearched === undefined) {
+        stats.tilesSearched = 0;
+        stats.tilesFailed = 0;
+        stats.outOfAreaDiscarded = 0;
+    }
+
+    // 跨查詢去重：整個執行期間以 placeId 記錄已寫入的商家，每個商家只寫入一次
+    const placeIndex = deduplicateAcrossQueries ? new PlaceIndex() : null;
+    if (placeIndex) {
+        await placeIndex.load();
+    }
+
+    // 保存進度（含跨查詢索引）
+    const persistState = async () => {
+        await runState.persist();
+        if (placeIndex) await placeIndex.persist();
+    };
+
+    // 已完成詳細資訊但尚未寫入資料集的商家（遷移時先行寫入）
+    const pendingResults = new Map();
+    let shuttingDown = false;
+
+    // 批次寫入商家資料，評論依設定輸出到獨立資料集
+    const writeRecords = async (records) => {
+        for (const record of records) {
+            if (photoStore && record.photos) {
+                stats.photosDownloaded = (stats.photosDownloaded || 0) + record.photos.filter(photo => photo.key).length;
+            }
+
+            if (!record.reviewList) continue;
+            stats.reviewsExtracted = (stats.reviewsExtracted || 0) + record.reviewList.length;
+            if (reviewsDataset) {
+                if (record.reviewList.length > 0) {
+                    await reviewsDataset.pushData(record.reviewList.map(review => ({
+                        placeId: record.placeId,
+                        businessName: record.name,
+                        ...review
+                    })));
+                }
+                delete record.reviewList;
+            }
+        }
+
+        stats.totalResults += records.length;
+
+        const BATCH_SIZE = 50;
+        for (let i = 0; i < records.length; i += BATCH_SIZE) {
+            await dataset.pushData(records.slice(i, i + BATCH_SIZE));
+        }
+        return records.length;
+    };
+
+    // 儲存工作的結果，略過先前已推送過的商家
+    const pushResults = async (taskKey, records) => {
+        const pushed = new Set(runState.getTaskProgress(taskKey).pushedPlaceIds);
+        const fresh = records.filter(record => !pushed.has(record.placeId));
+
+        // 先標記再寫入，避免遷移時與工作本身重複推送
+        runState.markPushed(taskKey, fresh.map(record => record.placeId));
+
+        // 跨查詢去重時只寫入第一次出現的商家
+        const output = placeIndex
+            ? fresh.map(record => placeIndex.add(record, taskKey)).filter(Boolean)
+            : fresh;
+        return writeRecords(output);
+    };
+
+    // 寫入所有進行中工作的部分結果並保存進度
+    const flushPartialResults = async (reason) => {
+        log.info(`Received "${reason}" event, flushing partial results...`);
+        shuttingDown = true;
+
+        for (const [taskKey, { businesses, toRecord }] of pendingResults) {
+            const count = await pushResults(taskKey, Array.from(businesses.values()).map(toRecord));
+            businesses.clear();
+            log.info(`Flushed ${count} partial results for ${taskKey}`);
+        }
+
+        await persistState();
+    };
+
+    Actor.on('persistState', () => persistState());
+    Actor.on('migrating', () => flushPartialResults('migrating'));
+    Actor.on('aborting', () => flushPartialResults('aborting'));
+
+    // 建立續跑相關的爬蟲設定，並追蹤已完成詳細資訊的商家
+    const trackTask = (taskKey, toRecord) => {
+        const progress = runState.getTaskProgress(taskKey);
+        const businesses = new Map();
+        pendingResults.set(taskKey, { businesses, toRecord });
+
+        return {
+            resumeFrom: {
+                loadedCount: progress.loadedCount,
+                tileIndex: progress.tileIndex || 0,
+                tileQueue: progress.tileQueue || null,
+                seenPlaceIds: progress.seenPlaceIds || [],
+                tileStats: progress.tileStats || {}
+            },
+            skipPlaceIds: progress.pushedPlaceIds,
+            onProgress: (update, business) => {
+                runState.updateTaskProgress(taskKey, update);
+                if (business) businesses.set(business.placeId, business);
+            },
+            // 跨查詢去重時，已出現過的商家不重複爬取詳細資訊與電子郵件
+            shouldScrapeDetails: placeIndex ? (business) => {
+                if (!placeIndex.claim(business.placeId, taskKey)) {
+                    stats.detailsSkipped = (stats.detailsSkipped || 0) + 1;
+                    return false;
+                }
+                return true;
+            } : null
+        };
+    };
+
+    // 結束工作並保存進度：失敗或中斷的工作保持未完成，下次執行時重試
+    const finishTask = async (taskKey, succeeded) => {
+        // 釋放此工作保留但未寫入的商家（失敗或中斷時），讓其他查詢可以爬取；已寫入的在 add 時清除
+        if (placeIndex) {
+            placeIndex.release(taskKey);
+        }
+
+        pendingResults.delete(taskKey);
+        const completed = runState.finishTask(taskKey, succeeded && !shuttingDown);
+        // 先前失敗、續跑重試成功的工作不再計為失敗
+        if (completed && runState.clearFailure(taskKey)) {
+            stats.failedSearches--;
+        }
+        await persistState();
+    };
+
+    // 共用瀏覽器池：每個瀏覽器同時服務多個頁面，查詢之間重複使用
+    // 電子郵件的瀏覽器備援使用另外保留的頁面，避免查詢佔滿頁面時一直等待
+    const browserPool = new BrowserPool({
+        maxBrowsers: Math.ceil(maxConcurrency / PAGES_PER_BROWSER),
+        maxPagesPerBrowser: PAGES_PER_BROWSER,
+        reservedPages: scrapeEmails ? maxConcurrency * EMAIL_PAGES_PER_QUERY : 0,
+        language
+    });
+
+    // 處理單一搜尋查詢
+    const processQuery = async (query) => {
+        const taskKey = `query:${query}`;
+        if (shuttingDown) return;
+        if (runState.isTaskCompleted(taskKey)) {
+            log.info(`Skipping completed query: ${query}`);
+            return;
+        }
+
+        let succeeded = false;
+
+        const toRecord = business => ({
+            query,
+            timestamp: new Date().toISOString(),
+            ...business
+        });
 
-    // 處理搜尋查詢
-    if (searchQueries && searchQueries.length > 0) {
-        for (const query of searchQueries) {
         try {
             log.info(`Processing search query: ${query}`);
-            stats.totalSearches++;
+            if (!runState.hasTask(taskKey)) stats.totalSearches++;
             
             // 建立爬蟲實例（不支援代理）
             const scraper = new GoogleMapsScraper({
@@ -86,33 +365,56 @@ Actor.main(async () => {
                 headless: true,
                 maxScrolls,
                 scrapeDetails,
-                scrapeEmails
+                scrapeEmails,
+                emailCrawlDepth,
+                maxEmailPagesPerSite,
+                maxReviews,
+                reviewsSort,
+                maxPhotos,
+                photoWidth,
+                photoHeight,
+                photoStore,
+                excludeClosedPlaces,
+                browserPool,
+                maxTileDepth,
+                maxTiles,
+                ...trackTask(taskKey, toRecord)
             });
 
             // 初始化並執行爬蟲
             await scraper.init();
             
-            let results;
-            if (useMultiSearch && maxResults > 50) {
+            // 每個商家完成詳細資訊與電子郵件後立即寫入資料集
+            let stream;
+            if (searchArea) {
+                // 網格搜尋指定區域
+                stream = scraper.searchAreaStream(query, searchArea);
+            } else if (useMultiSearch && maxResults > 50) {
                 // 對大結果集使用多區域搜尋
-                results = await scraper.searchMultipleQueries(query, searchRegions);
+                stream = scraper.searchMultipleQueriesStream(query, searchRegions);
             } else {
                 // 單一搜尋
-                results = await scraper.search();
+                stream = scraper.searchStream();
+            }
+            
+            let resultCount = 0;
+            for await (const business of stream) {
+                await pushResults(taskKey, [toRecord(business)]);
+                resultCount++;
             }
             
-            log.info(`Found ${results.length} results for "${query}"`);
-            stats.totalResults += results.length;
+            log.info(`Found ${resultCount} results for "${query}"`);
 
-            // 批次儲存結果到資料集
-            const BATCH_SIZE = 50;
-            for (let i = 0; i < results.length; i += BATCH_SIZE) {
-                const batch = results.slice(i, i + BATCH_SIZE).map(business => ({
-                    query,
-                    timestamp: new Date().toISOString(),
-                    ...business
-                }));
-                await dataset.pushData(batch);
+            // 彙總網格搜尋統計（包含續跑前已完成的網格；中斷時由續跑的執行彙總，避免重複計算）
+            if (searchArea && !shuttingDown) {
+                const scraperStats = scraper.getStats();
+                stats.tilesSearched += scraperStats.tilesSearched;
+                stats.tilesFailed += scraperStats.tilesFailed;
+                stats.outOfAreaDiscarded += scraperStats.outOfAreaDiscarded;
+                stats.missingCoordinates += scraperStats.missingCoordinates;
+            }
+            if (excludeClosedPlaces) {
+                stats.closedExcluded += scraper.getStats().closedExcluded;
             }
 
             // 清理資源
@@ -120,35 +422,56 @@ Actor.main(async () => {
 
             // 對 Google 友好的延遲
             await new Promise(resolve => setTimeout(resolve, 1000));
+            succeeded = true;
 
         } catch (error) {
             log.error(`Failed to process query "${query}":`, error.message);
             log.error('Error stack:', error.stack);
-            stats.failedSearches++;
             
-            // 儲存錯誤到資料集
-            await dataset.pushData({
-                query,
-                error: error.message,
-                timestamp: new Date().toISOString()
-            });
+            // 每個工作只計算並儲存一次錯誤，續跑重試再次失敗時不重複寫入
+            if (runState.recordFailure(taskKey)) {
+                stats.failedSearches++;
+                await dataset.pushData({
+                    query,
+                    error: error.message,
+                    timestamp: new Date().toISOString()
+                });
+            }
         }
+
+        await finishTask(taskKey, succeeded);
+    };
+
+    // 處理單一起始網址
+    const processStartUrl = async (urlObj) => {
+        const url = urlObj.url || urlObj;
+        const taskKey = `url:${url}`;
+        if (shuttingDown) return;
+        if (runState.isTaskCompleted(taskKey)) {
+            log.info(`Skipping completed URL: ${url}`);
+            return;
         }
-    }
 
-    // 處理起始網址（如果有提供）
-    if (startUrls && startUrls.length > 0) {
-        for (const urlObj of startUrls) {
+        let succeeded = false;
+
         try {
-            const url = urlObj.url || urlObj;
             log.info(`Processing URL: ${url}`);
-            stats.totalSearches++;
+            if (!runState.hasTask(taskKey)) stats.totalSearches++;
+
+            // 地點網址、短網址、?cid= 網址與 placeId 只爬取單一地點
+            const place = parsePlaceInput(url);
 
             // 從網址提取搜尋查詢
-            const urlParams = new URL(url);
-            const searchPath = urlParams.pathname.split('/search/')[1];
+            const searchPath = place ? null : new URL(url).pathname.split('/search/')[1];
             const searchQuery = searchPath ? decodeURIComponent(searchPath.split('/')[0]) : 'Direct URL';
 
+            const toRecord = business => ({
+                sourceUrl: url,
+                query: searchQuery,
+                timestamp: new Date().toISOString(),
+                ...business
+            });
+
             // 建立爬蟲實例（不支援代理）
             const scraper = new GoogleMapsScraper({
                 directUrl: url,
@@ -158,26 +481,43 @@ Actor.main(async () => {
                 headless: true,
                 maxScrolls,
                 scrapeDetails,
-                scrapeEmails
+                scrapeEmails,
+                emailCrawlDepth,
+                maxEmailPagesPerSite,
+                maxReviews,
+                reviewsSort,
+                maxPhotos,
+                photoWidth,
+                photoHeight,
+                photoStore,
+                excludeClosedPlaces,
+                browserPool,
+                ...trackTask(taskKey, toRecord)
             });
 
             // 初始化並執行爬蟲
             await scraper.init();
-            const results = await scraper.searchByUrl(url);
             
-            log.info(`Found ${results.length} results from URL`);
-            stats.totalResults += results.length;
+            if (place) {
+                const business = await scraper.scrapePlace(place);
+                if (business) {
+                    await pushResults(taskKey, [toRecord(business)]);
+                    log.info(`Scraped place: ${business.name}`);
+                } else {
+                    log.info(`Excluded closed place: ${url}`);
+                }
+            } else {
+                let resultCount = 0;
+                for await (const business of scraper.searchByUrlStream(url)) {
+                    await pushResults(taskKey, [toRecord(business)]);
+                    resultCount++;
+                }
+                
+                log.info(`Found ${resultCount} results from URL`);
+            }
 
-            // 批次儲存結果到資料集
-            const BATCH_SIZE = 50;
-            for (let i = 0; i < results.length; i += BATCH_SIZE) {
-                const batch = results.slice(i, i + BATCH_SIZE).map(business => ({
-                    sourceUrl: url,
-                    query: searchQuery,
-                    timestamp: new Date().toISOString(),
-                    ...business
-                }));
-                await dataset.pushData(batch);
+            if (excludeClosedPlaces) {
+                stats.closedExcluded += scraper.getStats().closedExcluded;
             }
 
             // 清理資源
@@ -185,20 +525,56 @@ Actor.main(async () => {
 
             // 對 Google 友好的延遲
             await new Promise(resolve => setTimeout(resolve, 1000));
+            succeeded = true;
 
         } catch (error) {
-            log.error(`Failed to process URL "${urlObj.url || urlObj}":`, error.message);
+            log.error(`Failed to process URL "${url}":`, error.message);
             log.error('Error stack:', error.stack);
-            stats.failedSearches++;
             
-            // 儲存錯誤到資料集
-            await dataset.pushData({
-                sourceUrl: urlObj.url,
-                error: error.message,
-                timestamp: new Date().toISOString()
-            });
+            // 每個工作只計算並儲存一次錯誤，續跑重試再次失敗時不重複寫入
+            if (runState.recordFailure(taskKey)) {
+                stats.failedSearches++;
+                await dataset.pushData({
+                    sourceUrl: url,
+                    error: error.message,
+                    timestamp: new Date().toISOString()
+                });
+            }
         }
+
+        await finishTask(taskKey, succeeded);
+    };
+
+    // 建立工作清單：先處理搜尋查詢，再處理起始網址與 placeId
+    const tasks = [
+        ...(searchQueries || []).map(query => () => processQuery(query)),
+        ...(startUrls || []).map(urlObj => () => processStartUrl(urlObj)),
+        ...(placeIds || []).map(placeId => () => processStartUrl(placeId))
+    ];
+
+    log.info(`Processing ${tasks.length} tasks with concurrency ${maxConcurrency}`);
+
+    try {
+        await runWithConcurrency(tasks, maxConcurrency);
+    } finally {
+        await browserPool.close();
+    }
+
+    // 遷移或中止時不計算最終統計，由重新啟動後的執行接手
+    if (shuttingDown) {
+        log.info('Run interrupted, progress saved for resumption');
+        return;
+    }
+
+    // 寫入保留已釋放、未再被其他查詢找到的商家
+    if (placeIndex) {
+        const unclaimed = await writeRecords(placeIndex.takeUnclaimed());
+        if (unclaimed > 0) {
+            log.info(`Wrote ${unclaimed} businesses whose detail scraping failed`);
         }
+        await placeIndex.persist();
+        stats.uniqueResults = placeIndex.size;
+        stats.duplicatesMerged = placeIndex.duplicateCount;
     }
 
     // 計算最終統計
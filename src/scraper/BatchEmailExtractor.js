@@ -4,6 +4,16 @@
  */
 
 const { log } = require('apify');
+const { normalizePageUrl, selectContactLinks } = require('../utils/contactPages');
+const { extractEmailCandidates } = require('../utils/emailDecoding');
+const { looksLikeFileName, rankEmails } = require('../utils/emailQuality');
+const { SOCIAL_HOSTS, extractSocialProfiles } = require('../utils/socialProfiles');
+const { decodeHtml, parseHtmlSnapshot, detectClientRendering } = require('../utils/htmlPage');
+const { extractPageContacts } = require('../utils/websiteContacts');
+const { resolvePhoneCountry } = require('../utils/phone');
+
+// HTTP 下載網站時使用的 User-Agent（部分網站會拒絕沒有瀏覽器標識的請求）
+const HTTP_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36';
 
 /**
  * 批次電子郵件提取器類別
@@ -19,7 +29,14 @@ class BatchEmailExtractor {
         this.config = {
             batchSize: config.batchSize || 5,      // 批次大小
             timeout: config.timeout || 5000,       // 超時時間（毫秒）
-            maxRetries: config.maxRetries || 1     // 最大重試次數
+            maxRetries: config.maxRetries || 1,    // 最大重試次數
+            maxDepth: config.maxDepth ?? 1,        // 由首頁往下追蹤聯絡頁面的層數（0 = 只看首頁）
+            maxPages: config.maxPages || 5,        // 每個網站最多造訪的頁面數
+            httpFirst: config.httpFirst ?? true,   // 先以 HTTP 下載 HTML，需要時才改用瀏覽器
+            maxHtmlBytes: config.maxHtmlBytes || 2 * 1024 * 1024,  // HTTP 下載的 HTML 大小上限
+            language: config.language || 'en',    // Accept-Language 標頭
+            browserPool: config.browserPool || null,  // 共用瀏覽器池（選用，瀏覽器分頁由池中取得）
+            pageWaitTimeout: config.pageWaitTimeout || 30000  // 等待池中頁面的最長時間（毫秒）
         };
     }
     
@@ -38,23 +55,10 @@ class BatchEmailExtractor {
             log.info(`Processing email batch ${Math.floor(i / this.config.batchSize) + 1} of ${Math.ceil(businesses.length / this.config.batchSize)}`);
             
             // 並行處理批次
-            const batchPromises = batch.map(async (business) => {
-                if (!business.website || business.website.includes('google.com')) {
-                    return { ...business, email: null, emails: [] };
-                }
-                
-                try {
-                    const emails = await this.extractFromWebsite(business.website);
-                    return {
-                        ...business,
-                        emails: emails,
-                        email: emails[0] || null
-                    };
-                } catch (error) {
-                    log.debug(`Failed to extract email for ${business.name}: ${error.message}`);
-                    return { ...business, email: null, emails: [] };
-                }
-            });
+            const batchPromises = batch.map(async (business) => ({
+                ...business,
+                ...(await this.extractForBusiness(business))
+            }));
             
             const batchResults = await Promise.all(batchPromises);
             results.push(...batchResults);
@@ -69,55 +73,382 @@ class BatchEmailExtractor {
     }
     
     /**
-     * Extract emails from a single website
+     * 提取單一商家的電子郵件（失敗時回傳空結果，不會拋出錯誤）
+     * @param {Object} business - 商家資料
+     * @returns {Promise<Object>} - { email: 分數最高的有效電子郵件, emails: 依分數排序的有效電子郵件,
+     *                                emailDetails: [{ email, type, domainMatch, valid, score }], emailSources,
+     *                                socialProfiles: 網站連結的社群帳號, websitePhones, websiteAddresses, contactForm,
+     *                                websiteLocalBusinesses: 網站的 schema.org LocalBusiness, websiteTiming: 網站的讀取方式與耗時 }
      */
-    async extractFromWebsite(url) {
-        const newPage = await this.page.browser().newPage();
+    async extractForBusiness(business) {
+        const empty = {
+            email: null,
+            emails: [],
+            emailDetails: [],
+            emailSources: [],
+            socialProfiles: extractSocialProfiles([]),
+            websitePhones: [],
+            websiteAddresses: [],
+            contactForm: null,
+            websiteLocalBusinesses: [],
+            websiteTiming: null
+        };
+        if (!business.website || business.website.includes('google.com')) {
+            return empty;
+        }
         
         try {
-            // Configure page for speed
-            await newPage.setRequestInterception(true);
-            newPage.on('request', (req) => {
-                const resourceType = req.resourceType();
-                if (['image', 'media', 'font', 'stylesheet'].includes(resourceType)) {
-                    req.abort();
-                } else {
-                    req.continue();
-                }
-            });
-            
-            // Set shorter timeout
-            await newPage.goto(url, {
-                waitUntil: 'domcontentloaded',
-                timeout: this.config.timeout
+            const { emailSources, socialProfiles, contacts, timing } = await this.extractFromWebsite(business.website, {
+                countryCode: resolvePhoneCountry(business)
             });
+            const emailDetails = rankEmails(emailSources.map(source => source.email), business.website);
+            const emails = emailDetails.filter(detail => detail.valid).map(detail => detail.email);
+            return {
+                emails: emails,
+                email: emails[0] || null,
+                emailDetails,
+                emailSources,
+                socialProfiles,
+                websitePhones: contacts.phones,
+                websiteAddresses: contacts.addresses,
+                contactForm: contacts.contactForm,
+                websiteLocalBusinesses: contacts.businesses,
+                websiteTiming: timing
+            };
+        } catch (error) {
+            log.debug(`Failed to extract email for ${business.name}: ${error.message}`);
+            return empty;
+        }
+    }
+    
+    /**
+     * 從網站提取電子郵件、社群帳號與聯絡資料：先看首頁，再依 maxDepth 與 maxPages 追蹤同網域的聯絡頁面
+     * 每個頁面先以 HTTP 下載，下載失敗或頁面由瀏覽器端產生時才改用瀏覽器開啟（之後的頁面也直接使用瀏覽器）
+     * @param {String} url - 網站首頁
+     * @param {Object} options - { countryCode: 本地格式電話與地址所屬的國家 }
+     * @returns {Promise<Object>} - { emailSources: [{ email, url: 找到該電子郵件的頁面, method: 還原方式 }],
+     *                                socialProfiles: 各頁面連結中找到的社群帳號（首頁優先），
+     *                                contacts: { phones, addresses, contactForm, businesses }（電話與地址附上來源頁面），
+     *                                timing: { mode: http/browser/mixed, pages, httpPages, browserPages, fallbackReason, durationMs } }
+     */
+    async extractFromWebsite(url, options = {}) {
+        const startedAt = Date.now();
+        const found = new Map();  // 電子郵件 → 第一次找到的頁面與還原方式
+        const socialLinks = [];   // 各頁面的社群連結（依造訪順序）
+        const contacts = { phones: [], addresses: [], contactForm: null, businesses: [] };
+        const timing = { mode: null, pages: 0, httpPages: 0, browserPages: 0, fallbackReason: null, durationMs: 0 };
+        
+        let browserPage = null;  // 只在需要時才開啟瀏覽器分頁
+        let useBrowser = !this.config.httpFirst;
+        
+        try {
+            const queue = [{ url, depth: 0 }];
+            const visited = new Set([normalizePageUrl(url)]);
+            let siteUrl = url;  // 首頁轉址後的網址，用於判斷同網域
             
-            // Quick check for emails
-            const emails = await newPage.evaluate(() => {
-                const emailRegex = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g;
-                const foundEmails = new Set();
+            while (queue.length > 0 && timing.pages < this.config.maxPages) {
+                const { url: pageUrl, depth } = queue.shift();
+                timing.pages++;
                 
-                // Check text content
-                const text = document.body.innerText || '';
-                const matches = text.match(emailRegex) || [];
-                matches.forEach(email => foundEmails.add(email.toLowerCase()));
+                let snapshot = null;
+                try {
+                    if (!useBrowser) {
+                        snapshot = await this.fetchPage(pageUrl).catch(error => {
+                            // 頁面不存在時不需要再用瀏覽器開啟
+                            if (error.status === 404 || error.status === 410) throw error;
+                            timing.fallbackReason = timing.fallbackReason || `http: ${error.message}`;
+                            return null;
+                        });
+                        
+                        if (snapshot && snapshot.clientRendered) {
+                            timing.fallbackReason = timing.fallbackReason || snapshot.clientRendered;
+                            useBrowser = true;
+                            snapshot = null;
+                        } else if (snapshot) {
+                            timing.httpPages++;
+                        }
+                    }
+                    
+                    if (!snapshot) {
+                        browserPage = browserPage || await this.openBrowserPage();
+                        snapshot = await this.readPage(browserPage, pageUrl);
+                        timing.browserPages++;
+                    }
+                } catch (error) {
+                    // 首頁無法開啟時整個網站視為失敗，聯絡頁面失敗則略過
+                    if (depth === 0) throw error;
+                    log.debug(`Failed to open contact page ${pageUrl}: ${error.message}`);
+                    continue;
+                }
+                
+                if (depth === 0) siteUrl = snapshot.url;
+                socialLinks.push(...snapshot.socialLinks);
+                
+                // 先還原隱藏的電子郵件，再過濾無效的地址
+                const candidates = extractEmailCandidates(snapshot);
+                const valid = new Set(this.filterValidEmails(candidates.map(candidate => candidate.email)));
+                candidates.forEach(({ email, method }) => {
+                    if (valid.has(email) && !found.has(email)) {
+                        found.set(email, { url: snapshot.url, method });
+                    }
+                });
                 
-                // Check mailto links
-                document.querySelectorAll('a[href^="mailto:"]').forEach(link => {
-                    const email = link.href.replace('mailto:', '').split('?')[0].toLowerCase();
-                    if (email) foundEmails.add(email);
+                // 電話、地址、聯絡表單與 schema.org 資料（同一筆資料保留第一次找到的頁面）
+                const pageContacts = extractPageContacts(snapshot, options.countryCode || null);
+                pageContacts.phones.forEach(phone => {
+                    const existing = contacts.phones.find(item => item.phoneE164 === phone.phoneE164);
+                    if (existing) {
+                        existing.whatsapp = existing.whatsapp || phone.whatsapp;
+                    } else {
+                        contacts.phones.push({ ...phone, url: snapshot.url });
+                    }
+                });
+                pageContacts.addresses.forEach(address => {
+                    if (!contacts.addresses.some(item => item.address === address.address)) {
+                        contacts.addresses.push({ ...address, url: snapshot.url });
+                    }
+                });
+                contacts.contactForm = contacts.contactForm || pageContacts.contactForm;
+                pageContacts.businesses.forEach(business => {
+                    const key = [business.name, business.address, business.telephone].join('|');
+                    if (!contacts.businesses.some(item => [item.name, item.address, item.telephone].join('|') === key)) {
+                        contacts.businesses.push(business);
+                    }
+                    // JSON-LD 中的電子郵件與社群帳號
+                    if (business.email && this.filterValidEmails([business.email]).length > 0 && !found.has(business.email)) {
+                        found.set(business.email, { url: snapshot.url, method: 'jsonLd' });
+                    }
+                    socialLinks.push(...business.sameAs);
                 });
                 
-                return Array.from(foundEmails);
+                if (depth < this.config.maxDepth) {
+                    for (const link of selectContactLinks(snapshot.links, siteUrl, visited)) {
+                        visited.add(normalizePageUrl(link));
+                        queue.push({ url: link, depth: depth + 1 });
+                    }
+                }
+            }
+        } finally {
+            if (browserPage) await this.closeBrowserPage(browserPage);
+        }
+        
+        timing.mode = timing.browserPages === 0 ? 'http' : (timing.httpPages === 0 ? 'browser' : 'mixed');
+        timing.durationMs = Date.now() - startedAt;
+        log.debug(`Website ${url}: ${timing.mode}, ${timing.pages} pages in ${timing.durationMs} ms` +
+                  (timing.fallbackReason ? ` (browser fallback: ${timing.fallbackReason})` : ''));
+        
+        return {
+            emailSources: Array.from(found, ([email, source]) => ({ email, ...source })),
+            socialProfiles: extractSocialProfiles(socialLinks),
+            contacts,
+            timing
+        };
+    }
+    
+    /**
+     * 以 HTTP 下載頁面並解析（不開啟瀏覽器），自動跟隨轉址
+     * @param {String} url - 網址
+     * @returns {Promise<Object>} - 與 readPage 相同的內容，另含 clientRendered: 需要瀏覽器的原因（不需要時為 null）
+     */
+    async fetchPage(url) {
+        const response = await fetch(url, {
+            redirect: 'follow',
+            signal: AbortSignal.timeout(this.config.timeout),
+            headers: {
+                'User-Agent': HTTP_USER_AGENT,
+                'Accept': 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.8',
+                'Accept-Language': `${this.config.language},en;q=0.8`
+            }
+        });
+        
+        const contentType = response.headers.get('content-type') || '';
+        if (!response.ok || (contentType && !/html|xml/i.test(contentType))) {
+            await response.body?.cancel().catch(() => {});
+            const error = new Error(response.ok ? `Unexpected content type ${contentType}` : `Status ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+        
+        const rawHtml = decodeHtml(await this.readBody(response), contentType);
+        const snapshot = parseHtmlSnapshot(rawHtml, response.url);
+        
+        return {
+            url: response.url,
+            rawHtml,
+            ...snapshot,
+            clientRendered: detectClientRendering(rawHtml, snapshot)
+        };
+    }
+    
+    /**
+     * 讀取回應內容，超過 maxHtmlBytes 時停止下載
+     * @param {Response} response - fetch 回應
+     * @returns {Promise<Buffer>}
+     */
+    async readBody(response) {
+        if (!response.body) return Buffer.alloc(0);
+        
+        const reader = response.body.getReader();
+        const chunks = [];
+        let size = 0;
+        
+        while (size < this.config.maxHtmlBytes) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            chunks.push(value);
+            size += value.length;
+        }
+        
+        if (size >= this.config.maxHtmlBytes) {
+            await reader.cancel().catch(() => {});
+        }
+        
+        return Buffer.concat(chunks).subarray(0, this.config.maxHtmlBytes);
+    }
+    
+    /**
+     * 開啟用於讀取網站的瀏覽器分頁（略過圖片、字型與樣式以加快載入）
+     * @returns {Promise<Page>} - Puppeteer 頁面實例
+     */
+    async openBrowserPage() {
+        // 使用瀏覽器池時取得保留頁面，數量受池的保留頁面上限限制，不與查詢搶用頁面
+        const newPage = this.config.browserPool
+            ? await this.config.browserPool.acquirePage({ timeout: this.config.pageWaitTimeout, reserved: true })
+            : await this.page.browser().newPage();
+        
+        // Configure page for speed
+        await newPage.setRequestInterception(true);
+        newPage.on('request', (req) => {
+            const resourceType = req.resourceType();
+            if (['image', 'media', 'font', 'stylesheet'].includes(resourceType)) {
+                req.abort();
+            } else {
+                req.continue();
+            }
+        });
+        
+        return newPage;
+    }
+    
+    /**
+     * 關閉或歸還瀏覽器分頁
+     * @param {Page} page - 由 openBrowserPage 開啟的頁面
+     */
+    async closeBrowserPage(page) {
+        if (this.config.browserPool) {
+            await this.config.browserPool.releasePage(page);
+        } else {
+            await page.close();
+        }
+    }
+    
+    /**
+     * 開啟頁面並讀取電子郵件解碼與聯絡資料所需的內容與連結
+     * @param {Page} page - Puppeteer 頁面實例
+     * @param {String} url - 網址
+     * @returns {Promise<Object>} - { url: 最終網址, rawHtml, text, mailtos, cfEmails, scripts, links: [{ href, text }],
+     *                                socialLinks: 社群網站的連結與嵌入網址, tels, forms, iframes, jsonLd, addressTags }
+     */
+    async readPage(page, url) {
+        // Set shorter timeout
+        const response = await page.goto(url, {
+            waitUntil: 'domcontentloaded',
+            timeout: this.config.timeout
+        });
+        
+        // 伺服器回傳的原始 HTML，用於解碼 HTML 實體並辨識由 JavaScript 產生的電子郵件
+        const rawHtml = response ? await response.text().catch(() => null) : null;
+        
+        const snapshot = await page.evaluate((socialHosts) => {
+            // 頁面文字
+            const text = (document.body && document.body.innerText) || '';
+            
+            // mailto 連結（包含 JavaScript 產生的連結）
+            const mailtos = Array.from(document.querySelectorAll('a[href^="mailto:"]'))
+                .map(link => link.getAttribute('href'));
+            
+            // Cloudflare 電子郵件保護
+            const cfEmails = [
+                ...Array.from(document.querySelectorAll('[data-cfemail]'))
+                    .map(el => el.getAttribute('data-cfemail')),
+                ...Array.from(document.querySelectorAll('a[href*="/cdn-cgi/l/email-protection#"]'))
+                    .map(link => link.getAttribute('href').split('#')[1])
+            ];
+            
+            // 內嵌腳本與 onclick 中組合的 mailto
+            const scripts = [
+                ...Array.from(document.querySelectorAll('script:not([src]):not([type="application/ld+json"])'))
+                    .map(script => script.textContent || '')
+                    .filter(content => /mailto|@|fromCharCode/.test(content)),
+                ...Array.from(document.querySelectorAll('[onclick*="mailto"]'))
+                    .map(el => el.getAttribute('onclick'))
+            ].map(content => content.slice(0, 20000));
+            
+            // 同網域聯絡頁面的候選連結
+            const links = Array.from(document.querySelectorAll('a[href]'))
+                .slice(0, 500)
+                .map(link => ({
+                    href: link.href,
+                    text: (link.textContent || link.getAttribute('title') || '').trim().slice(0, 100)
+                }));
+            
+            // 社群網站的連結與嵌入的粉絲專頁外掛（頁尾連結常超出上面的數量限制，另外收集）
+            const socialLinks = Array.from(document.querySelectorAll('a[href], iframe[src]'))
+                .map(el => el.href || el.src)
+                .filter(href => {
+                    try {
+                        const host = new URL(href).hostname.toLowerCase();
+                        return socialHosts.some(domain => host === domain || host.endsWith(`.${domain}`));
+                    } catch (error) {
+                        return false;
+                    }
+                })
+                .slice(0, 200);
+            
+            // 電話連結
+            const tels = Array.from(document.querySelectorAll('a[href^="tel:"]'))
+                .map(link => link.getAttribute('href'));
+            
+            // 表單與嵌入的網址（用於判斷是否有聯絡表單）
+            const forms = Array.from(document.querySelectorAll('form')).slice(0, 20).map(form => {
+                const fields = Array.from(form.querySelectorAll('input, textarea, select'))
+                    .filter(field => !['hidden', 'submit', 'button', 'checkbox', 'radio'].includes((field.getAttribute('type') || '').toLowerCase()));
+                return {
+                    action: form.getAttribute('action') || '',
+                    marker: `${form.className || ''} ${form.id || ''}`.trim(),
+                    hasTextarea: fields.some(field => field.tagName === 'TEXTAREA'),
+                    hasEmail: fields.some(field => field.type === 'email' || /e-?mail/i.test(field.name || '')),
+                    fieldCount: fields.length
+                };
             });
+            const iframes = Array.from(document.querySelectorAll('iframe[src]'))
+                .slice(0, 50)
+                .map(frame => frame.src);
             
-            await newPage.close();
-            return this.filterValidEmails(emails);
+            // schema.org JSON-LD 與地址標籤
+            const jsonLd = Array.from(document.querySelectorAll('script[type="application/ld+json"]'))
+                .slice(0, 20)
+                .map(script => (script.textContent || '').slice(0, 100000));
+            const addressTags = Array.from(document.querySelectorAll('address'))
+                .slice(0, 20)
+                .map(el => (el.innerText || '').slice(0, 500));
             
-        } catch (error) {
-            await newPage.close();
-            throw error;
-        }
+            return {
+                text: text.slice(0, 500000),
+                mailtos,
+                cfEmails,
+                scripts,
+                links,
+                socialLinks,
+                tels,
+                forms,
+                iframes,
+                jsonLd,
+                addressTags
+            };
+        }, SOCIAL_HOSTS);
+        
+        return { url: page.url(), rawHtml, ...snapshot };
     }
     
     /**
@@ -129,6 +460,7 @@ class BatchEmailExtractor {
         return emails.filter(email => {
             const lower = email.toLowerCase();
             return !blacklist.some(blocked => lower.includes(blocked)) &&
+                   !looksLikeFileName(lower) &&
                    /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/.test(email);
         });
     }
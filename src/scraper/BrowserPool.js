@@ -0,0 +1,275 @@
+/**
+ * 瀏覽器池
+ * 在多個查詢之間共用並重複使用瀏覽器與頁面
+ */
+
+const puppeteer = require('puppeteer');
+const { log } = require('apify');
+
+/**
+ * 瀏覽器池類別
+ */
+class BrowserPool {
+    /**
+     * 建構函式
+     * @param {Object} config - 配置選項
+     */
+    constructor(config = {}) {
+        this.config = {
+            maxBrowsers: config.maxBrowsers || 1,                // 最大瀏覽器數量
+            maxPagesPerBrowser: config.maxPagesPerBrowser || 2,  // 每個瀏覽器同時使用的頁面數
+            maxPageUses: config.maxPageUses || 20,               // 頁面重用次數上限（超過後關閉）
+            reservedPages: config.reservedPages || 0,            // 保留給 acquirePage({ reserved: true }) 的頁面數（不佔用查詢頁面）
+            language: config.language || 'en'                    // 界面語言
+        };
+
+        this.browsers = [];          // { browser, ready, activePages, idlePages }（activePages 只計算查詢頁面）
+        this.pageInfo = new Map();   // page -> { entry, uses, reserved }
+        this.reservedActive = 0;     // 使用中的保留頁面數
+        this.waiters = [];           // 等待可用頁面的請求
+        this.closed = false;
+    }
+
+    /**
+     * 取得瀏覽器啟動參數
+     * @param {String} language - 界面語言
+     * @returns {Object} - puppeteer.launch 參數
+     */
+    static getLaunchOptions(language = 'en') {
+        return {
+            headless: 'new',
+            args: [
+                '--no-sandbox',
+                '--disable-setuid-sandbox',
+                '--disable-dev-shm-usage',
+                '--disable-gpu',
+                '--disable-blink-features=AutomationControlled',
+                '--window-size=1920,1080',
+                `--lang=${language}`,
+                '--single-process',
+                '--no-zygote'
+            ],
+            defaultViewport: null,
+            ignoreDefaultArgs: ['--disable-extensions'],
+            executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || undefined
+        };
+    }
+
+    /**
+     * 從池中取得頁面（沒有空位時等待）
+     * 保留頁面（例如電子郵件的瀏覽器備援）另外計算數量，查詢頁面全部使用中時仍可取得
+     * @param {Object} options - { timeout: 最長等待時間（毫秒），未設定時一直等待；reserved: 是否取得保留頁面 }
+     * @returns {Promise<Page>} - Puppeteer 頁面實例
+     */
+    async acquirePage(options = {}) {
+        const deadline = options.timeout ? Date.now() + options.timeout : null;
+        const reserved = Boolean(options.reserved);
+
+        while (!this.closed) {
+            const entry = reserved ? this.findReservedEntry() : this.findEntry();
+
+            if (entry) {
+                this.countPage(entry, reserved, 1);
+
+                // 優先重用閒置頁面
+                if (entry.idlePages.length > 0) {
+                    const page = entry.idlePages.pop();
+                    this.pageInfo.get(page).reserved = reserved;
+                    return page;
+                }
+
+                try {
+                    const browser = await entry.ready;
+                    const page = await browser.newPage();
+                    this.pageInfo.set(page, { entry, uses: 0, reserved });
+                    return page;
+                } catch (error) {
+                    this.countPage(entry, reserved, -1);
+                    this.notifyWaiters();
+                    throw error;
+                }
+            }
+
+            // 全部滿載，等待有頁面釋放
+            await this.waitForPage(deadline);
+        }
+
+        throw new Error('Browser pool is closed');
+    }
+
+    /**
+     * 找出可開啟查詢頁面的瀏覽器（必要時啟動新的瀏覽器）
+     * @returns {Object|null} - 瀏覽器池項目，全部滿載時為 null
+     */
+    findEntry() {
+        const available = this.browsers.filter(e => e.activePages < this.config.maxPagesPerBrowser);
+        const entry = available.find(e => e.idlePages.length > 0) || available[0];
+        if (entry) return entry;
+
+        return this.browsers.length < this.config.maxBrowsers ? this.launchBrowser() : null;
+    }
+
+    /**
+     * 找出可開啟保留頁面的瀏覽器（保留頁面數量未達上限時，選擇有閒置頁面或最早啟動的瀏覽器）
+     * @returns {Object|null} - 瀏覽器池項目，保留頁面用盡時為 null
+     */
+    findReservedEntry() {
+        if (this.reservedActive >= this.config.reservedPages) return null;
+
+        const entry = this.browsers.find(e => e.idlePages.length > 0) || this.browsers[0];
+        return entry || this.launchBrowser();
+    }
+
+    /**
+     * 更新使用中的頁面數
+     * @param {Object} entry - 瀏覽器池項目
+     * @param {Boolean} reserved - 是否為保留頁面
+     * @param {Number} delta - 增減數量
+     */
+    countPage(entry, reserved, delta) {
+        if (reserved) {
+            this.reservedActive += delta;
+        } else {
+            entry.activePages += delta;
+        }
+    }
+
+    /**
+     * 將頁面歸還到池中
+     * @param {Page} page - 先前由 acquirePage 取得的頁面
+     */
+    async releasePage(page) {
+        const info = this.pageInfo.get(page);
+        if (!info) {
+            await page.close().catch(() => null);
+            return;
+        }
+
+        const { entry, reserved } = info;
+        info.uses++;
+
+        let reusable = !this.closed && !page.isClosed() && info.uses < this.config.maxPageUses &&
+            this.browsers.includes(entry);
+
+        if (reusable) {
+            try {
+                // 重設頁面狀態，讓下一個查詢拿到乾淨的頁面
+                page.removeAllListeners('request');
+                await page.setRequestInterception(false);
+                await page.goto('about:blank', { timeout: 10000 });
+            } catch (error) {
+                log.debug(`Failed to reset pooled page: ${error.message}`);
+                reusable = false;
+            }
+        }
+
+        this.countPage(entry, reserved, -1);
+        if (reusable) {
+            entry.idlePages.push(page);
+        } else {
+            this.pageInfo.delete(page);
+            await page.close().catch(() => null);
+        }
+
+        this.notifyWaiters();
+    }
+
+    /**
+     * 啟動新的瀏覽器並加入池中
+     * @returns {Object} - 瀏覽器池項目
+     */
+    launchBrowser() {
+        const entry = {
+            browser: null,
+            ready: null,
+            activePages: 0,
+            idlePages: []
+        };
+
+        entry.ready = puppeteer.launch(BrowserPool.getLaunchOptions(this.config.language))
+            .then(browser => {
+                entry.browser = browser;
+                // 瀏覽器當機時從池中移除，避免影響其他查詢
+                browser.on('disconnected', () => this.removeBrowser(entry));
+                log.info(`Browser ${this.browsers.indexOf(entry) + 1}/${this.config.maxBrowsers} launched`);
+                return browser;
+            })
+            .catch(error => {
+                this.removeBrowser(entry);
+                throw error;
+            });
+
+        this.browsers.push(entry);
+        return entry;
+    }
+
+    /**
+     * 從池中移除瀏覽器
+     */
+    removeBrowser(entry) {
+        const index = this.browsers.indexOf(entry);
+        if (index === -1) return;
+
+        this.browsers.splice(index, 1);
+        entry.idlePages.forEach(page => this.pageInfo.delete(page));
+        entry.idlePages = [];
+
+        if (!this.closed) {
+            log.warning('Browser disconnected, removed from pool');
+        }
+        this.notifyWaiters();
+    }
+
+    /**
+     * 等待有頁面釋放
+     * @param {Number|null} deadline - 逾時的時間點，null 表示一直等待
+     */
+    waitForPage(deadline) {
+        return new Promise((resolve, reject) => {
+            if (!deadline) {
+                this.waiters.push(resolve);
+                return;
+            }
+
+            const waiter = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+            const timer = setTimeout(() => {
+                this.waiters = this.waiters.filter(item => item !== waiter);
+                reject(new Error('Timed out waiting for a browser page'));
+            }, Math.max(0, deadline - Date.now()));
+            this.waiters.push(waiter);
+        });
+    }
+
+    /**
+     * 喚醒所有等待中的請求（查詢頁面與保留頁面的空位不同，由各請求重新檢查）
+     */
+    notifyWaiters() {
+        this.waiters.splice(0).forEach(resolve => resolve());
+    }
+
+    /**
+     * 關閉池中所有瀏覽器
+     */
+    async close() {
+        this.closed = true;
+        this.waiters.splice(0).forEach(resolve => resolve());
+
+        const entries = this.browsers.splice(0);
+        await Promise.all(entries.map(async (entry) => {
+            try {
+                const browser = await entry.ready;
+                await browser.close();
+            } catch (error) {
+                log.warning('Error closing pooled browser:', error.message);
+            }
+        }));
+
+        this.pageInfo.clear();
+        log.info('Browser pool closed');
+    }
+}
+
+module.exports = BrowserPool;
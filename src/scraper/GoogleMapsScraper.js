@@ -7,13 +7,47 @@
 const puppeteer = require('puppeteer');
 const { log } = require('apify');
 const BatchEmailExtractor = require('./BatchEmailExtractor');
+const BrowserPool = require('./BrowserPool');
+const ReviewsExtractor = require('./ReviewsExtractor');
+const PhotosExtractor = require('./PhotosExtractor');
+const {
+    boundingBoxCenter,
+    subdivideTile,
+    zoomForTile,
+    isPointInArea,
+    isValidCoordinate,
+    tileIntersectsArea,
+    planTiles
+} = require('../utils/geo');
+const { parsePlaceInput, parsePlaceUrl } = require('../utils/placeInput');
 const { 
     cleanUnicodeText, 
     extractBusinessType, 
     extractPriceLevel, 
     cleanBusinessHours, 
-    validateAddress 
+    validateAddress,
+    normalizeWeekdayKeys,
+    toOsmOpeningHours,
+    toOpeningHoursSpecification,
+    detectBusinessStatus
 } = require('../utils/dataCleaners');
+const { BUSINESS_STATUS_PHRASES } = require('../utils/localeData');
+const { parsePopularTimes, parseTimeSpent } = require('../utils/popularTimes');
+const { parseAttributes } = require('../utils/attributes');
+const { parseActionLinks } = require('../utils/actionLinks');
+const { photoStoreId } = require('../utils/photos');
+const { inferTimeZone, computeOpenState } = require('../utils/openingHours');
+const { parseAddress } = require('../utils/address');
+const { resolvePhoneCountry, normalizePhone } = require('../utils/phone');
+
+// 單一搜尋的結果上限約 120 筆，達到此數量視為結果飽和
+const TILE_SATURATION_THRESHOLD = 100;
+
+// 初始網格的最大邊長（公里）
+const INITIAL_TILE_SIZE_KM = 5;
+
+// 網格載入失敗時的重試次數
+const MAX_TILE_RETRIES = 2;
 
 /**
  * Google Maps 爬蟲主類別
@@ -35,17 +69,41 @@ class GoogleMapsScraper {
             scrapeEmails: config.scrapeEmails !== false,    // 是否爬取電子郵件（預設為true）
             directUrl: config.directUrl || null,            // 直接網址
             maxRetries: config.maxRetries || 3,             // 最大重試次數
-            retryDelay: config.retryDelay || 1000          // 重試延遲（毫秒）
+            retryDelay: config.retryDelay || 1000,         // 重試延遲（毫秒）
+            browserPool: config.browserPool || null,        // 共用瀏覽器池（選用）
+            onProgress: config.onProgress || null,          // 進度回呼 (progress, business)
+            resumeFrom: config.resumeFrom || null,          // 續跑位置 { loadedCount }（網格搜尋另有 tileIndex、tileQueue 等）
+            skipPlaceIds: new Set(config.skipPlaceIds || []), // 已處理過、需略過的商家
+            shouldScrapeDetails: config.shouldScrapeDetails || null, // 判斷是否爬取詳細資訊 (business) => Boolean
+            maxTileDepth: config.maxTileDepth ?? 2,         // 網格最大細分層數
+            maxTiles: config.maxTiles || 50,                // 每個查詢最多搜尋的網格數
+            excludeClosedPlaces: config.excludeClosedPlaces || false, // 是否在爬取詳細資訊前排除已歇業或暫停營業的商家
+            emailCrawlDepth: config.emailCrawlDepth ?? 1,    // 電子郵件：由首頁往下追蹤聯絡頁面的層數
+            maxEmailPagesPerSite: config.maxEmailPagesPerSite || 5, // 電子郵件：每個網站最多造訪的頁面數
+            maxReviews: config.maxReviews || 0,             // 每個商家提取的評論數（0 為不提取）
+            reviewsSort: config.reviewsSort || 'mostRelevant', // 評論排序方式
+            maxPhotos: config.maxPhotos || 0,               // 每個商家收集的相片數（0 為不收集）
+            photoWidth: config.photoWidth || 1024,          // 相片寬度（像素）
+            photoHeight: config.photoHeight || 768,         // 相片高度（像素）
+            photoStore: config.photoStore || null           // 下載相片的鍵值存儲（選用，未設定時不下載）
         };
         
-        this.browser = null;  // 瀏覽器實例
+        this.browser = null;  // 瀏覽器實例（未使用瀏覽器池時）
         this.results = [];     // 爬取結果陣列
         // 統計資訊
         this.stats = {
             loadedCount: 0,        // 已載入的結果數
             extractedCount: 0,     // 已提取的結果數
             scrollAttempts: 0,     // 滾動嘗試次數
-            emailsExtracted: 0     // 已提取的電子郵件數
+            emailsExtracted: 0,    // 已提取的電子郵件數
+            closedExcluded: 0,     // 因歇業或暫停營業而排除的商家數
+            reviewsExtracted: 0,   // 已提取的評論數
+            photosDownloaded: 0,   // 已下載的相片數
+            tilesSearched: 0,      // 已搜尋的網格數
+            tilesSubdivided: 0,    // 因結果飽和而細分的網格數
+            tilesFailed: 0,        // 重試後仍無法載入的網格數
+            outOfAreaDiscarded: 0, // 因不在搜尋區域內而捨棄的結果數
+            missingCoordinates: 0  // 沒有座標、無法判斷是否在區域內的結果數（保留）
         };
     }
 
@@ -76,43 +134,111 @@ class GoogleMapsScraper {
         throw lastError;
     }
 
+    /**
+     * 回報進度（供續跑使用）
+     * @param {Object} progress - { scrollAttempts, loadedCount, detailIndex } 或網格搜尋的 { tileIndex, tileQueue, seenPlaceIds, tileStats }
+     * @param {Object} business - 剛完成詳細資訊的商家（選用）
+     */
+    reportProgress(progress, business = null) {
+        if (!this.config.onProgress) return;
+
+        try {
+            this.config.onProgress(progress, business);
+        } catch (error) {
+            log.debug(`Progress callback failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * 移除已處理過的商家
+     */
+    filterProcessed(businesses) {
+        if (this.config.skipPlaceIds.size === 0) return businesses;
+
+        const remaining = businesses.filter(b => !this.config.skipPlaceIds.has(b.placeId));
+        if (remaining.length < businesses.length) {
+            log.info(`Skipping ${businesses.length - remaining.length} already processed businesses`);
+        }
+        return remaining;
+    }
+
+    /**
+     * 排除已歇業或暫停營業的商家（啟用 excludeClosedPlaces 時）
+     */
+    filterClosed(businesses) {
+        if (!this.config.excludeClosedPlaces) return businesses;
+
+        const remaining = businesses.filter(b => !['CLOSED_PERMANENTLY', 'CLOSED_TEMPORARILY'].includes(b.businessStatus));
+        if (remaining.length < businesses.length) {
+            this.stats.closedExcluded += businesses.length - remaining.length;
+            log.info(`Excluding ${businesses.length - remaining.length} closed businesses`);
+        }
+        return remaining;
+    }
+
     /**
      * 初始化瀏覽器
      * 設置所有必要的瀏覽器參數和選項
      */
     async init() {
         log.info('Initializing Google Maps Scraper');
-        log.debug('Configuration:', this.config);
-
-        const launchOptions = {
-            headless: 'new',
-            args: [
-                '--no-sandbox',
-                '--disable-setuid-sandbox',
-                '--disable-dev-shm-usage',
-                '--disable-gpu',
-                '--disable-blink-features=AutomationControlled',
-                '--window-size=1920,1080',
-                `--lang=${this.config.language}`,
-                '--single-process',
-                '--no-zygote'
-            ],
-            defaultViewport: null,
-            ignoreDefaultArgs: ['--disable-extensions'],
-            executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || undefined
-        };
+        log.debug('Configuration:', { ...this.config, browserPool: !!this.config.browserPool });
+
+        // 使用共用瀏覽器池時不需要自行啟動瀏覽器
+        if (this.config.browserPool) {
+            log.debug('Using shared browser pool');
+            return;
+        }
 
         // No proxy support - direct connection only
-        this.browser = await puppeteer.launch(launchOptions);
+        this.browser = await puppeteer.launch(BrowserPool.getLaunchOptions(this.config.language));
         log.info('Browser launched successfully');
     }
 
+    /**
+     * 開啟新頁面（有瀏覽器池時從池中取得）
+     * @returns {Promise<Page>} - Puppeteer 頁面實例
+     */
+    async openPage() {
+        if (this.config.browserPool) {
+            return this.config.browserPool.acquirePage();
+        }
+        return this.browser.newPage();
+    }
+
+    /**
+     * 釋放頁面（有瀏覽器池時歸還，否則關閉）
+     * @param {Page} page - Puppeteer 頁面實例
+     */
+    async releasePage(page) {
+        if (this.config.browserPool) {
+            await this.config.browserPool.releasePage(page);
+        } else {
+            await page.close();
+        }
+    }
+
     /**
      * 使用查詢字串搜尋 Google Maps
      * @param {String} query - 搜尋查詢
      * @returns {Promise<Array>} - 商家結果陣列
      */
     async search(query) {
+        const businesses = [];
+        for await (const business of this.searchStream(query)) {
+            businesses.push(business);
+        }
+        
+        this.results = businesses;
+        return businesses;
+    }
+
+    /**
+     * 使用查詢字串搜尋 Google Maps，每個商家完成詳細資訊與電子郵件後立即輸出
+     * @param {String} query - 搜尋查詢
+     * @yields {Object} - 商家資料
+     */
+    async *searchStream(query) {
         if (query) {
             this.config.searchQuery = query;
         }
@@ -121,102 +247,255 @@ class GoogleMapsScraper {
             throw new Error('Search query or direct URL required');
         }
 
-        const page = await this.browser.newPage();
+        const page = await this.openPage();
         
         try {
-            await page.setViewport({ width: 1920, height: 1080 });
-
-            // Set language
-            await page.evaluateOnNewDocument((language) => {
-                Object.defineProperty(navigator, 'language', {
-                    get: function() { return language; }
-                });
-                Object.defineProperty(navigator, 'languages', {
-                    get: function() { return [language]; }
-                });
-            }, this.config.language);
-
-            // Block unnecessary resources
-            await page.setRequestInterception(true);
-            page.on('request', (req) => {
-                const resourceType = req.resourceType();
-                const url = req.url();
-                
-                // Block tracking and analytics
-                if (url.includes('google-analytics') || 
-                    url.includes('googletagmanager') ||
-                    url.includes('doubleclick') ||
-                    url.includes('facebook') ||
-                    url.includes('twitter')) {
-                    req.abort();
-                    return;
-                }
-                
-                // Block images, fonts, media
-                if (['image', 'font', 'media'].includes(resourceType)) {
-                    req.abort();
-                } else {
-                    req.continue();
-                }
-            });
+            await this.preparePage(page);
 
             // Navigate to search page with retry
             const searchUrl = `https://www.google.com/maps/search/${encodeURIComponent(this.config.searchQuery)}?hl=${this.config.language}`;
             log.info(`Searching: ${this.config.searchQuery}`);
             log.info(`URL: ${searchUrl}`);
 
-            // Special handling for non-ASCII URLs (Japanese, Korean, etc.)
-            const isNonAsciiQuery = /[^\x00-\x7F]/.test(this.config.searchQuery);
-            const navigationTimeout = isNonAsciiQuery ? 120000 : 90000;
-            
-            await this.retryWithBackoff(async () => {
-                await page.goto(searchUrl, { 
-                    waitUntil: 'domcontentloaded',  // Less strict for non-ASCII queries
-                    timeout: navigationTimeout
-                });
-                // Additional wait for dynamic content
-                await page.waitForSelector('div[role="feed"], [aria-label*="no results"], [aria-label*="沒有結果"], [aria-label*="結果なし"]', {
-                    timeout: 30000
-                }).catch(() => null);
-            }, 2, 'Navigation to search page');
-            
-            // Wait for initial load
-            await new Promise(resolve => setTimeout(resolve, 3000));
-
-            // Check if results are available
-            const hasResults = await page.evaluate(() => {
-                const feed = document.querySelector('div[role="feed"]');
-                const noResults = document.querySelector('[aria-label*="no results"]') || 
-                                 document.querySelector('[aria-label*="沒有結果"]');
-                return feed && !noResults;
-            });
-
-            if (!hasResults) {
+            if (!await this.loadSearchResults(page, searchUrl, this.config.searchQuery)) {
                 log.info('No results found for this search');
-                return [];
+                return;
             }
 
             // Perform aggressive scrolling
             await this.performScrolling(page);
 
             // Extract businesses
-            const businesses = await this.extractBusinesses(page);
+            const businesses = this.filterClosed(this.filterProcessed(await this.extractBusinesses(page)));
             this.stats.extractedCount = businesses.length;
 
             // Scrape details if requested
             if (this.config.scrapeDetails && businesses.length > 0) {
                 log.info('Scraping detailed information...');
-                await this.scrapeBusinessDetails(page, businesses);
+                yield* this.streamBusinessDetails(page, businesses);
+            } else {
+                yield* businesses;
             }
 
-            this.results = businesses;
-            return businesses;
-
         } catch (error) {
             log.error('Search failed:', error);
             throw error;
         } finally {
-            await page.close();
+            await this.releasePage(page);
+        }
+    }
+
+    /**
+     * 設定搜尋頁面：視窗大小、語言與資源攔截
+     * @param {Page} page - Puppeteer 頁面實例
+     */
+    async preparePage(page) {
+        await page.setViewport({ width: 1920, height: 1080 });
+
+        // Set language
+        await page.evaluateOnNewDocument((language) => {
+            Object.defineProperty(navigator, 'language', {
+                get: function() { return language; }
+            });
+            Object.defineProperty(navigator, 'languages', {
+                get: function() { return [language]; }
+            });
+        }, this.config.language);
+
+        // Block unnecessary resources
+        await page.setRequestInterception(true);
+        page.on('request', (req) => {
+            const resourceType = req.resourceType();
+            const url = req.url();
+            
+            // Block tracking and analytics
+            if (url.includes('google-analytics') || 
+                url.includes('googletagmanager') ||
+                url.includes('doubleclick') ||
+                url.includes('facebook') ||
+                url.includes('twitter')) {
+                req.abort();
+                return;
+            }
+            
+            // Block images, fonts, media
+            if (['image', 'font', 'media'].includes(resourceType)) {
+                req.abort();
+            } else {
+                req.continue();
+            }
+        });
+    }
+
+    /**
+     * 開啟搜尋結果頁面並等待結果列表
+     * @param {Page} page - Puppeteer 頁面實例
+     * @param {String} url - 搜尋網址
+     * @param {String} query - 搜尋查詢（用於決定逾時時間）
+     * @returns {Promise<Boolean>} - 是否有搜尋結果
+     */
+    async loadSearchResults(page, url, query) {
+        // Special handling for non-ASCII URLs (Japanese, Korean, etc.)
+        const isNonAsciiQuery = /[^\x00-\x7F]/.test(query);
+        const navigationTimeout = isNonAsciiQuery ? 120000 : 90000;
+        
+        await this.retryWithBackoff(async () => {
+            await page.goto(url, { 
+                waitUntil: 'domcontentloaded',  // Less strict for non-ASCII queries
+                timeout: navigationTimeout
+            });
+            // Additional wait for dynamic content
+            await page.waitForSelector('div[role="feed"], [aria-label*="no results"], [aria-label*="沒有結果"], [aria-label*="結果なし"]', {
+                timeout: 30000
+            }).catch(() => null);
+        }, 2, 'Navigation to search page');
+        
+        // Wait for initial load
+        await new Promise(resolve => setTimeout(resolve, 3000));
+
+        // Check if results are available
+        const hasResults = await page.evaluate(() => {
+            const feed = document.querySelector('div[role="feed"]');
+            const noResults = document.querySelector('[aria-label*="no results"]') || 
+                             document.querySelector('[aria-label*="沒有結果"]');
+            return feed && !noResults;
+        });
+
+        return !!hasResults;
+    }
+
+    /**
+     * 以網格切分搜尋區域，突破單一搜尋約 120 筆的上限
+     * 每個網格使用 /maps/search/<查詢>/@緯度,經度,縮放z 網址搜尋，
+     * 結果飽和的網格再切成四等份重新搜尋
+     * @param {String} query - 搜尋查詢
+     * @param {Object} area - normalizeSearchArea 的結果
+     * @yields {Object} - 區域內不重複的商家資料
+     */
+    async *searchAreaStream(query, area) {
+        if (query) {
+            this.config.searchQuery = query;
+        }
+
+        // 續跑時從上次完成的網格之後繼續；網格內的結果數不同，只依 skipPlaceIds 略過已處理的商家
+        const resume = this.config.resumeFrom?.tileQueue ? this.config.resumeFrom : null;
+        this.config.resumeFrom = null;
+
+        const queue = resume ? resume.tileQueue : planTiles(area, INITIAL_TILE_SIZE_KM).map(tile => ({ ...tile, depth: 0 }));
+        const seenPlaceIds = new Set(resume ? resume.seenPlaceIds : []);
+        let tileIndex = resume ? resume.tileIndex : 0;
+        if (resume) {
+            Object.assign(this.stats, resume.tileStats);
+            log.info(`Resuming "${this.config.searchQuery}" after tile ${tileIndex}, ${queue.length} tiles left`);
+        } else {
+            log.info(`Searching "${this.config.searchQuery}" over ${queue.length} initial tiles`);
+        }
+
+        // 記錄已完成的網格與剩餘的佇列，續跑時略過已搜尋的網格，統計也不會重複計算
+        const finishTile = () => {
+            tileIndex++;
+            const { tilesSearched, tilesSubdivided, tilesFailed, outOfAreaDiscarded, missingCoordinates } = this.stats;
+            this.reportProgress({
+                tileIndex,
+                tileQueue: queue.slice(),
+                seenPlaceIds: Array.from(seenPlaceIds),
+                tileStats: { tilesSearched, tilesSubdivided, tilesFailed, outOfAreaDiscarded, missingCoordinates }
+            });
+        };
+
+        // 網格載入失敗時放回佇列尾端重試，超過重試次數才計為失敗；佇列隨進度保存，續跑時也會重試
+        const failTile = (tile, reason) => {
+            const attempts = (tile.attempts || 0) + 1;
+            if (attempts <= MAX_TILE_RETRIES) {
+                queue.push({ ...tile, attempts });
+                log.warning(`Tile ${this.stats.tilesSearched} ${reason}, retrying later (attempt ${attempts}/${MAX_TILE_RETRIES})`);
+            } else {
+                this.stats.tilesFailed++;
+                log.error(`Tile ${this.stats.tilesSearched} ${reason}, giving up after ${MAX_TILE_RETRIES} retries`);
+            }
+            finishTile();
+        };
+
+        const page = await this.openPage();
+
+        try {
+            await this.preparePage(page);
+
+            while (queue.length > 0 && this.stats.tilesSearched < this.config.maxTiles) {
+                const tile = queue.shift();
+                const { lat, lng } = boundingBoxCenter(tile);
+                const zoom = zoomForTile(tile);
+                const tileUrl = `https://www.google.com/maps/search/${encodeURIComponent(this.config.searchQuery)}/@${lat.toFixed(6)},${lng.toFixed(6)},${zoom}z?hl=${this.config.language}`;
+
+                this.stats.tilesSearched++;
+                log.info(`Tile ${this.stats.tilesSearched} (depth ${tile.depth}, zoom ${zoom}): ${tileUrl}`);
+
+                let listings;
+                try {
+                    if (!await this.loadSearchResults(page, tileUrl, this.config.searchQuery)) {
+                        // 明確顯示沒有結果的網格視為完成，結果列表沒有載入才重試
+                        const noResults = await page.$('[aria-label*="no results"], [aria-label*="沒有結果"], [aria-label*="結果なし"]');
+                        if (noResults) {
+                            finishTile();
+                        } else {
+                            failTile(tile, 'did not load the results list');
+                        }
+                        continue;
+                    }
+                    await this.performScrolling(page);
+                    // 不限制數量，才能判斷網格是否飽和
+                    listings = await this.extractBusinesses(page, Infinity);
+                } catch (error) {
+                    failTile(tile, `failed: ${error.message}`);
+                    continue;
+                }
+
+                // 結果飽和時細分網格
+                if (listings.length >= TILE_SATURATION_THRESHOLD && tile.depth < this.config.maxTileDepth) {
+                    const children = subdivideTile(tile)
+                        .filter(child => tileIntersectsArea(child, area))
+                        .map(child => ({ ...child, depth: tile.depth + 1 }));
+                    queue.push(...children);
+                    this.stats.tilesSubdivided++;
+                    log.info(`Tile saturated with ${listings.length} results, subdivided into ${children.length} tiles`);
+                }
+
+                // 依座標過濾區域外的結果並去重（沒有座標的結果無法判斷，保留並另外計數）
+                const newBusinesses = [];
+                for (const business of listings) {
+                    if (seenPlaceIds.has(business.placeId)) continue;
+                    seenPlaceIds.add(business.placeId);
+
+                    if (!isValidCoordinate(business.latitude, business.longitude)) {
+                        this.stats.missingCoordinates++;
+                    } else if (!isPointInArea(business.latitude, business.longitude, area)) {
+                        this.stats.outOfAreaDiscarded++;
+                        continue;
+                    }
+                    newBusinesses.push(business);
+                }
+
+                const businesses = this.filterClosed(this.filterProcessed(newBusinesses));
+                this.stats.extractedCount += businesses.length;
+                log.info(`Tile added ${businesses.length} new businesses (${seenPlaceIds.size} seen in total)`);
+
+                if (this.config.scrapeDetails && businesses.length > 0) {
+                    yield* this.streamBusinessDetails(page, businesses);
+                } else {
+                    yield* businesses;
+                }
+                finishTile();
+            }
+
+            if (queue.length > 0) {
+                log.warning(`Reached maxTiles (${this.config.maxTiles}), ${queue.length} tiles not searched`);
+            }
+
+        } catch (error) {
+            log.error('Area search failed:', error);
+            throw error;
+        } finally {
+            await this.releasePage(page);
         }
     }
 
@@ -226,20 +505,25 @@ class GoogleMapsScraper {
      * @returns {Promise<Array>} - 商家結果陣列
      */
     async searchByUrl(url) {
-        const page = await this.browser.newPage();
+        const businesses = [];
+        for await (const business of this.searchByUrlStream(url)) {
+            businesses.push(business);
+        }
         
-        try {
-            await page.setViewport({ width: 1920, height: 1080 });
+        this.results = businesses;
+        return businesses;
+    }
 
-            // Block unnecessary resources
-            await page.setRequestInterception(true);
-            page.on('request', (req) => {
-                if (['image', 'font', 'media'].includes(req.resourceType())) {
-                    req.abort();
-                } else {
-                    req.continue();
-                }
-            });
+    /**
+     * 使用直接網址搜尋，逐一輸出商家
+     * @param {String} url - Google Maps 網址
+     * @yields {Object} - 商家資料
+     */
+    async *searchByUrlStream(url) {
+        const page = await this.openPage();
+        
+        try {
+            await this.preparePage(page);
 
             log.info(`Loading URL: ${url}`);
             await this.retryWithBackoff(async () => {
@@ -253,19 +537,158 @@ class GoogleMapsScraper {
 
             // Perform scrolling and extraction
             await this.performScrolling(page);
-            const businesses = await this.extractBusinesses(page);
+            const businesses = this.filterClosed(this.filterProcessed(await this.extractBusinesses(page)));
+            this.stats.extractedCount = businesses.length;
             
-            this.results = businesses;
-            return businesses;
+            // 與查詢搜尋相同：依設定爬取詳細資訊與電子郵件
+            if (this.config.scrapeDetails && businesses.length > 0) {
+                log.info('Scraping detailed information...');
+                yield* this.streamBusinessDetails(page, businesses);
+            } else {
+                yield* businesses;
+            }
 
         } catch (error) {
             log.error('URL search failed:', error);
             throw error;
         } finally {
-            await page.close();
+            await this.releasePage(page);
+        }
+    }
+
+    /**
+     * 爬取單一地點（地點網址、短網址、?cid= 網址或 placeId）
+     * 解析成地點頁面後回傳一筆商家資料（scrapeDetails 啟用時包含詳細資訊）
+     * @param {String|Object} input - 地點輸入或 parsePlaceInput 的結果
+     * @returns {Promise<Object|null>} - 商家資料（啟用 excludeClosedPlaces 且已歇業或暫停營業時為 null）
+     */
+    async scrapePlace(input) {
+        const target = typeof input === 'string' ? parsePlaceInput(input) : input;
+        if (!target) {
+            throw new Error(`Not a single place input: ${input}`);
+        }
+
+        const page = await this.openPage();
+        
+        try {
+            await this.preparePage(page);
+            
+            log.info(`Loading place: ${target.url}`);
+            await this.retryWithBackoff(async () => {
+                await page.goto(target.url, { 
+                    waitUntil: 'networkidle2',
+                    timeout: 60000 
+                });
+                await page.waitForSelector('h1', { timeout: 15000 }).catch(() => null);
+            }, 2, 'Navigation to place');
+            
+            await new Promise(resolve => setTimeout(resolve, 2000));
+
+            // placeId 查詢有時會顯示只有一筆的結果列表，改開第一筆結果
+            if (!page.url().includes('/maps/place/')) {
+                const firstPlaceUrl = await page.evaluate(() => {
+                    const link = document.querySelector('div[role="feed"] a[href*="/maps/place/"]');
+                    return link ? link.href : null;
+                });
+                if (firstPlaceUrl) {
+                    await this.retryWithBackoff(async () => {
+                        await page.goto(firstPlaceUrl, { 
+                            waitUntil: 'networkidle2',
+                            timeout: 30000 
+                        });
+                        await new Promise(resolve => setTimeout(resolve, 2000));
+                    }, 2, 'Navigation to first place result');
+                }
+            }
+
+            const business = await this.extractPlaceSummary(page);
+            if (!business.name) {
+                throw new Error(`Place not found: ${target.url}`);
+            }
+            // 已知的 placeId 比從網址解析出的十六進位 ID 更穩定
+            if (target.placeId && !target.placeId.startsWith('hex_')) {
+                business.placeId = target.placeId;
+            }
+
+            // 與搜尋結果相同，在爬取詳細資訊前排除已歇業或暫停營業的商家
+            if (this.filterClosed([business]).length === 0) {
+                return null;
+            }
+
+            // 未要求詳細資訊時只回傳地點頁面的基本資訊
+            if (!this.config.scrapeDetails) {
+                this.stats.extractedCount++;
+                return business;
+            }
+
+            await this.scrapeDetailsForBusiness(page, business, { navigate: false });
+
+            if (this.config.scrapeEmails) {
+                const emailExtractor = new BatchEmailExtractor(page, {
+                    timeout: 5000,
+                    maxDepth: this.config.emailCrawlDepth,
+                    maxPages: this.config.maxEmailPagesPerSite,
+                    language: this.config.language,
+                    browserPool: this.config.browserPool
+                });
+                await this.enrichWithEmails(emailExtractor, business);
+            }
+
+            this.stats.extractedCount++;
+            return business;
+
+        } finally {
+            await this.releasePage(page);
         }
     }
 
+    /**
+     * 從地點頁面提取基本資訊，欄位與搜尋結果列表相同
+     * @param {Page} page - 位於地點頁面的 Puppeteer 頁面實例
+     * @returns {Promise<Object>} - 商家資料
+     */
+    async extractPlaceSummary(page) {
+        const summary = await page.evaluate(() => {
+            const name = document.querySelector('h1')?.textContent?.trim() || '';
+
+            // 提取評分
+            const ratingElement = document.querySelector('div.F7nice span[aria-hidden="true"]') ||
+                                  document.querySelector('span[role="img"][aria-label*="star"]') ||
+                                  document.querySelector('span[role="img"][aria-label*="星"]');
+            const ratingText = ratingElement?.getAttribute('aria-label') ||
+                               ratingElement?.textContent || '';
+            const rating = parseFloat(ratingText.replace(',', '.').match(/[\d.]+/)?.[0] || '0');
+
+            // 提取評論數量
+            const reviewText = document.querySelector('div.F7nice')?.textContent || '';
+            const reviewMatch = reviewText.match(/\((\d+[,.\d]*)\)/);
+            const reviews = reviewMatch ?
+                parseInt(reviewMatch[1].replace(/[,.]/g, '')) : 0;
+
+            return { name, rating: rating || null, reviews: reviews || 0 };
+        });
+
+        const { placeId, latitude, longitude } = parsePlaceUrl(page.url());
+
+        const business = {
+            name: summary.name,
+            placeId,
+            latitude,
+            longitude,
+            rating: summary.rating,
+            reviews: summary.reviews,
+            address: null,
+            businessType: null,
+            phone: null,
+            url: page.url(),
+            businessStatus: null,
+            enrichment: { details: false, emails: false, reviews: false, photos: false }
+        };
+
+        await this.scrapeBusinessStatus(page, business);
+        return business;
+    }
+
     /**
      * 積極滾動策略
      * 使用多種方法確保載入所有結果
@@ -277,6 +700,8 @@ class GoogleMapsScraper {
         let currentCount = 0;
         let noChangeCount = 0;
         const maxScrolls = this.config.maxScrolls;
+        // 續跑時至少載入到中斷前的結果數
+        const minLoadedCount = this.config.resumeFrom?.loadedCount || 0;
 
         for (let i = 0; i < maxScrolls; i++) {
             this.stats.scrollAttempts++;
@@ -348,7 +773,8 @@ class GoogleMapsScraper {
                 }
                 
                 // 8 次嘗試後沒有新結果則停止（更高容忍度）
-                if (noChangeCount >= 8) {
+                // 尚未回到中斷前的位置時多給一些嘗試
+                if (noChangeCount >= (currentCount < minLoadedCount ? 16 : 8)) {
                     log.info('No new results after multiple attempts, stopping scroll');
                     break;
                 }
@@ -362,6 +788,7 @@ class GoogleMapsScraper {
             }
 
             previousCount = currentCount;
+            this.reportProgress({ scrollAttempts: i + 1, loadedCount: currentCount });
 
             // 繼續滾動以取得盡可能多的結果
             // 只有真正達到限制時才停止
@@ -378,14 +805,25 @@ class GoogleMapsScraper {
     /**
      * 提取商家資訊
      * 從頁面 DOM 中解析所有商家資料
+     * @param {Page} page - Puppeteer 頁面實例
+     * @param {Number} limit - 回傳數量上限（預設為 maxResults）
      */
-    async extractBusinesses(page) {
+    async extractBusinesses(page, limit = this.config.maxResults) {
         log.info('Extracting business information...');
 
-        const businesses = await page.evaluate(() => {
+        const businesses = await page.evaluate((statusPhrases) => {
             const results = [];
             const seen = new Set();
 
+            // 依卡片文字判斷營業狀態（歇業、暫停營業、即將開幕）
+            const detectStatus = (text) => {
+                const lower = (text || '').toLowerCase();
+                for (const [status, phrases] of Object.entries(statusPhrases)) {
+                    if (phrases.some(phrase => lower.includes(phrase))) return status;
+                }
+                return 'OPERATIONAL';
+            };
+
             // 取得所有商家連結
             const links = document.querySelectorAll('a[href*="/maps/place/"]');
 
@@ -627,7 +1065,11 @@ class GoogleMapsScraper {
                         /(\(\d{2}\)[\s-]?\d{3,4}[\s-]?\d{3,4})/, // 台灣本地格式 (02) 1234 5678
                         /(\d{2}[\s-]\d{4}[\s-]\d{4})/, // 台灣本地格式 02-1234-5678
                         /(\+\d{1,3}[\s-]?\(?\d{1,4}\)?[\s-]?\d{3,4}[\s-]?\d{3,4})/, // 國際格式
-                        /(\d{4}[\s-]\d{3}[\s-]\d{3})/ // 0912-345-678 手機格式
+                        /(\d{4}[\s-]\d{3}[\s-]\d{3})/, // 0912-345-678 手機格式
+                        /(0\d{1,3}-\d{2,4}-\d{4})/, // 日本、韓國 03-1234-5678、010-1234-5678
+                        /(\(\d{3}\)\s?\d{3}-\d{4}|\b\d{3}-\d{3}-\d{4})/, // 美國 (312) 555-1234、312-555-1234
+                        /(0\d(?:[\s.]\d{2}){4})/, // 法國 01 42 68 53 00
+                        /(0\d{2,4}\s\d{4,8})/ // 德國、西班牙、英國 030 1234567、0161 496 0000
                     ];
                     
                     const fullText = container.textContent || '';
@@ -654,7 +1096,9 @@ class GoogleMapsScraper {
                         address: address || null,  // 如果沒有地址，設為 null
                         businessType: businessType || null,
                         phone: phone || null,
-                        url: href
+                        url: href,
+                        businessStatus: detectStatus(container.textContent),
+                        enrichment: { details: false, emails: false, reviews: false, photos: false }  // 實際執行的補充步驟
                     });
 
                 } catch (error) {
@@ -663,722 +1107,1052 @@ class GoogleMapsScraper {
             });
 
             return results;
-        });
+        }, BUSINESS_STATUS_PHRASES);
 
         // Limit results after extraction if needed
-        const limitedBusinesses = businesses.slice(0, this.config.maxResults);
+        const limitedBusinesses = businesses.slice(0, limit);
+        limitedBusinesses.forEach(business => {
+            business.addressComponents = parseAddress(business.address);
+            this.applyPhoneNormalization(business);
+        });
         log.info(`Extracted ${businesses.length} unique businesses, returning ${limitedBusinesses.length}`);
         return limitedBusinesses;
     }
 
     /**
      * Scrape detailed information from business pages
+     * 直接更新傳入的商家資料
      */
     async scrapeBusinessDetails(page, businesses) {
-        // 處理所有傳入的 businesses，不再額外限制
-        const businessesToProcess = businesses;
+        for await (const business of this.streamBusinessDetails(page, businesses)) {
+            log.debug(`Details completed for: ${business.name}`);
+        }
+        
+        if (this.config.scrapeEmails) {
+            log.info(`Extracted ${this.stats.emailsExtracted} emails total`);
+        }
+    }
+
+    /**
+     * 逐一爬取詳細資訊與電子郵件，每個商家完成後立即輸出
+     * 電子郵件在背景並行提取，輸出順序與輸入順序相同
+     * @param {Page} page - Puppeteer 頁面實例
+     * @param {Array} businesses - 商家資料陣列（會直接更新）
+     * @yields {Object} - 已完成詳細資訊與電子郵件的商家
+     */
+    async *streamBusinessDetails(page, businesses) {
+        log.info(`Scraping details for ${businesses.length} businesses...`);
         
-        // First, collect basic details from Google Maps pages
-        log.info(`Scraping details for ${businessesToProcess.length} businesses...`);
+        const emailExtractor = this.config.scrapeEmails ? new BatchEmailExtractor(page, {
+            batchSize: 5,
+            timeout: 5000,
+            maxDepth: this.config.emailCrawlDepth,
+            maxPages: this.config.maxEmailPagesPerSite,
+            language: this.config.language,
+            browserPool: this.config.browserPool
+        }) : null;
+        // 同時在背景提取電子郵件的商家數量
+        const maxInFlight = emailExtractor ? emailExtractor.config.batchSize : 1;
+        const inFlight = [];
         
         let successCount = 0;
         let failCount = 0;
         
-        for (let i = 0; i < businessesToProcess.length; i++) {
-            const business = businessesToProcess[i];
+        // 電子郵件完成、商家輸出時才回報進度，避免遷移時寫入缺少電子郵件的資料
+        const settle = async ({ index, promise }) => {
+            const done = await promise;
+            this.reportProgress({ detailIndex: index + 1 }, done);
+            return done;
+        };
+        
+        try {
+            for (let i = 0; i < businesses.length; i++) {
+                const business = businesses[i];
+                let extractEmails = !!emailExtractor;
             
-            try {
-                log.info(`Scraping details for: ${business.name}`);
-                
-                // Navigate to business page with retry
-                await this.retryWithBackoff(async () => {
-                    await page.goto(business.url, { 
-                        waitUntil: 'networkidle2',
-                        timeout: 30000 
-                    });
-                    await new Promise(resolve => setTimeout(resolve, 2000));
-                }, 3, `Navigation to ${business.name}`);
-
-
-                // 先檢查頁面上是否已有營業時間表格（24小時商家通常直接顯示）
-                const weeklyHours = await page.evaluate(async () => {
-                    // 首先檢查是否已經有營業時間表格存在
-                    let existingHours = {};
-                    const existingTables = document.querySelectorAll('table');
-                    
-                    for (const table of existingTables) {
-                        const text = table.textContent || '';
-                        // 檢查是否包含營業時間資訊
-                        if (text.includes('星期') && (text.includes('小時') || text.includes(':'))  || 
-                            text.includes('Monday') || text.includes('Tuesday')) {
-                            const rows = table.querySelectorAll('tr');
-                            rows.forEach(row => {
-                                const cells = row.querySelectorAll('td');
-                                if (cells.length >= 2) {
-                                    const dayText = cells[0].textContent?.trim() || '';
-                                    const hoursText = cells[1].textContent?.trim() || '';
-                                    
-                                    // 確認是星期資訊
-                                    if (dayText && hoursText && 
-                                        (dayText.includes('星期') || dayText.includes('週') || 
-                                         dayText.match(/Monday|Tuesday|Wednesday|Thursday|Friday|Saturday|Sunday/i))) {
-                                        existingHours[dayText] = hoursText;
-                                    }
-                                }
-                            });
-                        }
-                    }
+                // 其他查詢已處理過的商家不重複爬取詳細資訊與電子郵件
+                if (this.config.shouldScrapeDetails && !this.config.shouldScrapeDetails(business)) {
+                    log.debug(`Skipping details for already seen business: ${business.name}`);
+                    extractEmails = false;
+                } else {
+                    try {
+                        await this.scrapeDetailsForBusiness(page, business);
+                        successCount++;
                     
-                    // 如果已經找到完整的營業時間（7天），直接返回
-                    if (Object.keys(existingHours).length >= 7) {
-                        console.log('Found existing hours table with', Object.keys(existingHours).length, 'days');
-                        return existingHours;
+                        // Be nice to Google (reduced delay)
+                        await new Promise(resolve => setTimeout(resolve, 500));
+                    } catch (error) {
+                        failCount++;
+                        log.error(`Failed to scrape details for ${business.name}:`, error.message);
                     }
-                    
-                    // 如果沒有找到完整資料，嘗試點擊展開
-                    // 尋找並點擊營業時間按鈕以展開
-                    const hoursButtons = [
-                        ...document.querySelectorAll('button[data-item-id*="hour"]'),
-                        ...document.querySelectorAll('button[aria-label*="Hours"]'),
-                        ...document.querySelectorAll('button[aria-label*="hours"]'),
-                        ...document.querySelectorAll('button[aria-label*="營業時間"]'),
-                        ...document.querySelectorAll('div[aria-label*="Hours"]'),
-                        ...Array.from(document.querySelectorAll('button')).filter(btn => {
-                            const text = (btn.textContent || '') + (btn.getAttribute('aria-label') || '');
-                            return text.match(/\d{1,2}[:]\d{2}|AM|PM|Open|Closed|⋅|24\s*小時|24\s*hours/);
-                        })
-                    ];
-                    
-                    for (const button of hoursButtons) {
-                        if (button && typeof button.click === 'function') {
-                            try {
-                                // 檢查是否為24小時營業
-                                const buttonText = button.textContent || button.getAttribute('aria-label') || '';
-                                const is24Hours = buttonText.includes('24 小時') || buttonText.includes('24小時') || 
-                                                 buttonText.includes('24 hours') || buttonText.includes('24h');
-                                
-                                button.click();
-                                // 等待展開
-                                await new Promise(resolve => setTimeout(resolve, 1500));
-                                
-                                // 尋找展開的營業時間表格或列表
-                                const hoursContainer = document.querySelector('table[class*="hour"]') ||
-                                                      document.querySelector('div[role="dialog"] table') ||
-                                                      document.querySelector('div[class*="hour"] ul') ||
-                                                      document.querySelector('table tbody');
-                                
-                                if (hoursContainer) {
-                                    const weeklyHours = {};
-                                    
-                                    // 先嘗試表格格式
-                                    const rows = hoursContainer.querySelectorAll('tr');
-                                    if (rows.length > 0) {
-                                        rows.forEach(row => {
-                                            const cells = row.querySelectorAll('td');
-                                            if (cells.length >= 2) {
-                                                const dayText = cells[0].textContent?.trim() || '';
-                                                const hoursText = cells[1].textContent?.trim() || '';
-                                                
-                                                if (dayText && hoursText && 
-                                                    !dayText.includes('複製營業時間') &&
-                                                    !hoursText.includes('複製營業時間')) {
-                                                    // 清理文字
-                                                    const cleanDay = dayText.replace(/\([^)]+\)/, '').trim();
-                                                    const cleanHours = hoursText.replace('複製營業時間', '').trim();
-                                                    if (cleanDay && cleanHours) {
-                                                        weeklyHours[cleanDay] = cleanHours;
-                                                    }
-                                                }
-                                            }
-                                        });
-                                    }
-                                    
-                                    // 嘗試列表格式
-                                    if (Object.keys(weeklyHours).length === 0) {
-                                        const listItems = hoursContainer.querySelectorAll('li');
-                                        listItems.forEach(item => {
-                                            const text = item.textContent?.trim() || '';
-                                            if (text.includes('複製營業時間')) return;
-                                            
-                                            // 解析像 "Monday: 9:00 AM – 5:00 PM" 的格式
-                                            const match = text.match(/^([^:：]+)[:：]\s*(.+)$/);
-                                            if (match) {
-                                                const day = match[1].trim();
-                                                const hours = match[2].trim().replace('複製營業時間', '').trim();
-                                                if (day && hours) {
-                                                    weeklyHours[day] = hours;
-                                                }
-                                            } else if (text.includes('24 小時') || text.includes('24小時')) {
-                                                // 特殊處理24小時格式
-                                                const dayMatch = text.match(/^(星期[一二三四五六日]|週[一二三四五六日]|Monday|Tuesday|Wednesday|Thursday|Friday|Saturday|Sunday)/);
-                                                if (dayMatch) {
-                                                    weeklyHours[dayMatch[1]] = '24 小時營業';
-                                                }
-                                            }
-                                        });
-                                    }
-                                    
-                                    // 如果是24小時營業但只有部分天數，填充所有天數
-                                    if (is24Hours && Object.keys(weeklyHours).length > 0 && Object.keys(weeklyHours).length < 7) {
-                                        const allDaysChinese = ['星期一', '星期二', '星期三', '星期四', '星期五', '星期六', '星期日'];
-                                        const allDaysEnglish = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
-                                        
-                                        // 檢查是否所有值都是24小時
-                                        const allValues24H = Object.values(weeklyHours).every(h => 
-                                            h.includes('24 小時') || h.includes('24小時') || h.includes('24 hours') || h === '24h'
-                                        );
-                                        
-                                        if (allValues24H) {
-                                            // 根據現有的語言填充
-                                            const hasChinese = Object.keys(weeklyHours).some(k => k.includes('星期'));
-                                            const daysToUse = hasChinese ? allDaysChinese : allDaysEnglish;
-                                            
-                                            daysToUse.forEach(day => {
-                                                if (!weeklyHours[day]) {
-                                                    weeklyHours[day] = '24 小時營業';
-                                                }
-                                            });
-                                        }
-                                    }
-                                    
-                                    // 如果存在對話框則關閉
-                                    const closeBtn = document.querySelector('button[aria-label*="Close"]') ||
-                                                   document.querySelector('div[role="dialog"] button[aria-label*="Back"]');
-                                    if (closeBtn) closeBtn.click();
-                                    
-                                    return Object.keys(weeklyHours).length > 0 ? weeklyHours : null;
-                                }
-                                break;
-                            } catch (e) {
-                                console.log('Failed to expand hours:', e.message);
-                            }
-                        }
+                
+                    // 進度更新
+                    if ((i + 1) % 5 === 0 || i === businesses.length - 1) {
+                        log.info(`Processed ${i + 1}/${businesses.length} businesses (${successCount} success, ${failCount} failed)`);
                     }
-                    // 如果沒有通過點擊找到資料，返回已有的資料
-                    return Object.keys(existingHours).length > 0 ? existingHours : null;
-                }).catch(err => {
-                    log.debug('Could not expand hours:', err.message);
-                    return null;
+                }
+            
+                inFlight.push({
+                    index: i,
+                    promise: extractEmails ? this.enrichWithEmails(emailExtractor, business) : Promise.resolve(business)
                 });
+            
+                // 背景提取數量達上限時，先輸出最早完成詳細資訊的商家
+                while (inFlight.length >= maxInFlight) {
+                    yield await settle(inFlight.shift());
+                }
+            }
+        
+            while (inFlight.length > 0) {
+                yield await settle(inFlight.shift());
+            }
+        } finally {
+            // 提前結束（例如已達結果上限）時，等待背景中的電子郵件提取結束
+            await Promise.allSettled(inFlight.map(item => item.promise));
+        }
+    }
 
-                // 提取額外詳情
-                const details = await page.evaluate((weeklyHours) => {
-                    const data = {};
-
-                    // **重要：提取完整地址並正確格式化**
-                    const addressButton = document.querySelector('button[data-item-id="address"]') ||
-                                         document.querySelector('button[aria-label*="Address"]') ||
-                                         document.querySelector('button[aria-label*="address"]') ||
-                                         document.querySelector('button[aria-label*="地址"]');
-                    if (addressButton) {
-                        // 取得 aria-label 或 textContent
-                        const ariaLabel = addressButton.getAttribute('aria-label');
-                        const textContent = addressButton.textContent;
-                        
-                        // 優先使用 aria-label（通常更完整），否則使用 textContent
-                        let addressText = '';
-                        if (ariaLabel) {
-                            // 移除 "Address: " 或 "地址：" 前綴
-                            addressText = ariaLabel.replace(/^(Address|地址|주소|Địa chỉ|住所):\s*/i, '').trim();
-                        } else if (textContent) {
-                            addressText = textContent.trim();
-                        }
-                        
-                        // 格式化地址 - 統一處理各國地址格式
-                        if (addressText) {
-                            // 清理多餘的空格和換行
-                            addressText = addressText.replace(/\s+/g, ' ').trim();
-                            
-                            // 處理台灣地址格式
-                            if (addressText.includes('Taiwan') || addressText.includes('台灣')) {
-                                // 台灣地址格式：郵遞區號通常在最後
-                                // 例如：No. 1, Sec. 1, Zhongshan S Rd, Zhongzheng District, Taipei City, Taiwan 100
-                                // 保持原始格式，因為中文環境習慣郵遞區號在最後
-                                data.address = addressText;
-                            } else if (addressText.includes('Japan') || addressText.includes('日本')) {
-                                // 日本地址：確保郵遞區號格式正確 (〒XXX-XXXX)
-                                let formatted = addressText;
-                                // 標準化郵遞區號格式
-                                formatted = formatted.replace(/〒?(\d{3})-?(\d{4})/, '〒$1-$2');
-                                // 如果有日本但沒有郵遞區號格式，嘗試找7位數字
-                                if (!formatted.includes('〒')) {
-                                    formatted = formatted.replace(/(\d{3})(\d{4})/, '〒$1-$2');
-                                }
-                                data.address = formatted;
-                            } else if (addressText.includes('Korea') || addressText.includes('대한민국') || addressText.includes('South Korea')) {
-                                // 韓國地址：郵遞區號通常是5位數字
-                                const postalMatch = addressText.match(/\b(\d{5})\b/);
-                                if (postalMatch) {
-                                    const postal = postalMatch[1];
-                                    // 如果郵遞區號不在開頭，移到開頭（韓國習慣）
-                                    if (!addressText.startsWith(postal)) {
-                                        const cleaned = addressText.replace(postal, '').replace(/,\s*,/, ',').replace(/^\s*,/, '').trim();
-                                        data.address = `${postal} ${cleaned}`;
-                                    } else {
-                                        data.address = addressText;
-                                    }
-                                } else {
-                                    data.address = addressText;
-                                }
-                            } else if (addressText.includes('United States') || addressText.includes('USA')) {
-                                // 美國地址：郵遞區號通常在最後 (ZIP or ZIP+4)
-                                // 確保格式正確，例如：123 Main St, City, ST 12345 or 12345-6789
-                                data.address = addressText.replace(/(\d{5})(-\d{4})?/, '$1$2');
-                            } else {
-                                // 其他國家地址保持原樣，只清理多餘空格
-                                data.address = addressText;
-                            }
-                            
-                            // 最終清理：確保沒有多餘的逗號和空格
-                            data.address = data.address
-                                .replace(/,\s*,/g, ',')  // 移除重複逗號
-                                .replace(/^\s*,/, '')     // 移除開頭逗號
-                                .replace(/,\s*$/, '')     // 移除結尾逗號
-                                .trim();
-                        }
-                    }
+    /**
+     * 從商家網站提取電子郵件、社群帳號與聯絡資料並更新商家資料
+     * @param {BatchEmailExtractor} extractor - 電子郵件提取器
+     * @param {Object} business - 商家資料（會直接更新）
+     * @returns {Promise<Object>} - 更新後的商家資料
+     */
+    async enrichWithEmails(extractor, business) {
+        if (!business.website || business.website.includes('google.com')) {
+            return business;
+        }
+        
+        // email、emails、emailDetails、emailSources、socialProfiles、websitePhones、websiteAddresses、
+        // contactForm、websiteLocalBusinesses、websiteTiming
+        const websiteData = await extractor.extractForBusiness(business);
+        Object.assign(business, websiteData);
+        business.enrichment.emails = true;
+        this.stats.emailsExtracted += websiteData.emails.length;
+        return business;
+    }
 
-                    // Phone number
-                    const phoneButton = Array.from(document.querySelectorAll('button[aria-label*="Phone"]'))
-                        .concat(Array.from(document.querySelectorAll('button[aria-label*="phone"]')))
-                        .concat(Array.from(document.querySelectorAll('button[aria-label*="電話"]')));
-                    if (phoneButton.length > 0) {
-                        data.phone = phoneButton[0].getAttribute('aria-label')?.replace(/[^\d+()-\s]/g, '').trim();
-                    }
+    /**
+     * 爬取單一商家頁面的詳細資訊
+     * @param {Page} page - Puppeteer 頁面實例
+     * @param {Object} business - 商家資料（會直接更新）
+     * @param {Object} options - { navigate: 頁面尚未位於商家頁面時是否先導航（預設 true） }
+     */
+    async scrapeDetailsForBusiness(page, business, options = {}) {
+        log.info(`Scraping details for: ${business.name}`);
+        
+        // Navigate to business page with retry
+        if (options.navigate !== false) {
+            await this.retryWithBackoff(async () => {
+                await page.goto(business.url, { 
+                    waitUntil: 'networkidle2',
+                    timeout: 30000 
+                });
+                await new Promise(resolve => setTimeout(resolve, 2000));
+            }, 3, `Navigation to ${business.name}`);
+        }
 
-                    // Website
-                    const websiteButton = Array.from(document.querySelectorAll('a[aria-label*="Website"]'))
-                        .concat(Array.from(document.querySelectorAll('a[aria-label*="website"]')))
-                        .concat(Array.from(document.querySelectorAll('a[aria-label*="網站"]')));
-                    if (websiteButton.length > 0) {
-                        data.website = websiteButton[0].href;
-                    }
 
-                    // Hours - 格式化為 array 格式
-                    let hoursArray = [];
-                    
-                    // 如果已經有展開的週間營業時間，轉換為 array
-                    if (weeklyHours && Object.keys(weeklyHours).length > 0) {
-                        // 按照星期順序排列
-                        const dayOrder = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
-                        const dayOrderChinese = ['星期一', '星期二', '星期三', '星期四', '星期五', '星期六', '星期日'];
-                        const dayOrderKorean = ['월요일', '화요일', '수요일', '목요일', '금요일', '토요일', '일요일'];
-                        
-                        // 先嘗試英文星期
-                        for (const day of dayOrder) {
-                            if (weeklyHours[day]) {
-                                // 修復時間格式問題：分隔多個時間段
-                                // 匹配格式如 12:00–15:0017:30–22:00，在兩個時間段之間加空格
-                                const cleanedHours = weeklyHours[day]
-                                    .replace(/(\d{1,2}:\d{2}[–-]\d{1,2}:\d{2})(\d{1,2}:\d{2}[–-]\d{1,2}:\d{2})/g, '$1 $2')
-                                    .replace(/(\d{2}:\d{2})(\d{2}:\d{2})/g, '$1 $2');
-                                hoursArray.push(`${day}: ${cleanedHours}`);
+        // 先檢查頁面上是否已有營業時間表格（24小時商家通常直接顯示）
+        const weeklyHours = await page.evaluate(async () => {
+            // 首先檢查是否已經有營業時間表格存在
+            let existingHours = {};
+            const existingTables = document.querySelectorAll('table');
+            
+            for (const table of existingTables) {
+                const text = table.textContent || '';
+                // 檢查是否包含營業時間資訊
+                if (text.includes('星期') && (text.includes('小時') || text.includes(':'))  || 
+                    text.includes('Monday') || text.includes('Tuesday')) {
+                    const rows = table.querySelectorAll('tr');
+                    rows.forEach(row => {
+                        const cells = row.querySelectorAll('td');
+                        if (cells.length >= 2) {
+                            const dayText = cells[0].textContent?.trim() || '';
+                            const hoursText = cells[1].textContent?.trim() || '';
+                            
+                            // 確認是星期資訊
+                            if (dayText && hoursText && 
+                                (dayText.includes('星期') || dayText.includes('週') || 
+                                 dayText.match(/Monday|Tuesday|Wednesday|Thursday|Friday|Saturday|Sunday/i))) {
+                                existingHours[dayText] = hoursText;
                             }
                         }
+                    });
+                }
+            }
+            
+            // 如果已經找到完整的營業時間（7天），直接返回
+            if (Object.keys(existingHours).length >= 7) {
+                console.log('Found existing hours table with', Object.keys(existingHours).length, 'days');
+                return existingHours;
+            }
+            
+            // 如果沒有找到完整資料，嘗試點擊展開
+            // 尋找並點擊營業時間按鈕以展開
+            const hoursButtons = [
+                ...document.querySelectorAll('button[data-item-id*="hour"]'),
+                ...document.querySelectorAll('button[aria-label*="Hours"]'),
+                ...document.querySelectorAll('button[aria-label*="hours"]'),
+                ...document.querySelectorAll('button[aria-label*="營業時間"]'),
+                ...document.querySelectorAll('div[aria-label*="Hours"]'),
+                ...Array.from(document.querySelectorAll('button')).filter(btn => {
+                    const text = (btn.textContent || '') + (btn.getAttribute('aria-label') || '');
+                    return text.match(/\d{1,2}[:]\d{2}|AM|PM|Open|Closed|⋅|24\s*小時|24\s*hours/);
+                })
+            ];
+            
+            for (const button of hoursButtons) {
+                if (button && typeof button.click === 'function') {
+                    try {
+                        // 檢查是否為24小時營業
+                        const buttonText = button.textContent || button.getAttribute('aria-label') || '';
+                        const is24Hours = buttonText.includes('24 小時') || buttonText.includes('24小時') || 
+                                         buttonText.includes('24 hours') || buttonText.includes('24h');
                         
-                        // 如果沒有英文，嘗試中文
-                        if (hoursArray.length === 0) {
-                            for (const day of dayOrderChinese) {
-                                if (weeklyHours[day]) {
-                                    const cleanedHours = weeklyHours[day]
-                                        .replace(/(\d{1,2}:\d{2}[–-]\d{1,2}:\d{2})(\d{1,2}:\d{2}[–-]\d{1,2}:\d{2})/g, '$1 $2')
-                                        .replace(/(\d{2}:\d{2})(\d{2}:\d{2})/g, '$1 $2');
-                                    hoursArray.push(`${day}: ${cleanedHours}`);
-                                }
-                            }
-                        }
+                        button.click();
+                        // 等待展開
+                        await new Promise(resolve => setTimeout(resolve, 1500));
                         
-                        // 如果還是沒有，直接使用原始順序
-                        if (hoursArray.length === 0) {
-                            for (const [day, hours] of Object.entries(weeklyHours)) {
-                                // 過濾掉包含「營業時間可能不同」的特殊日期
-                                if (!day.includes('營業時間可能不同')) {
-                                    const cleanedDay = day.replace(/\([^)]+\)/, '').trim(); // 移除括號內容
-                                    const cleanedHours = hours
-                                        .replace(/(\d{1,2}:\d{2}[–-]\d{1,2}:\d{2})(\d{1,2}:\d{2}[–-]\d{1,2}:\d{2})/g, '$1 $2')
-                                        .replace(/(\d{2}:\d{2})(\d{2}:\d{2})/g, '$1 $2')
-                                        .replace('營業時間可能不同', '').trim();
-                                    if (cleanedHours) {
-                                        hoursArray.push(`${cleanedDay}: ${cleanedHours}`);
+                        // 尋找展開的營業時間表格或列表
+                        const hoursContainer = document.querySelector('table[class*="hour"]') ||
+                                              document.querySelector('div[role="dialog"] table') ||
+                                              document.querySelector('div[class*="hour"] ul') ||
+                                              document.querySelector('table tbody');
+                        
+                        if (hoursContainer) {
+                            const weeklyHours = {};
+                            
+                            // 先嘗試表格格式
+                            const rows = hoursContainer.querySelectorAll('tr');
+                            if (rows.length > 0) {
+                                rows.forEach(row => {
+                                    const cells = row.querySelectorAll('td');
+                                    if (cells.length >= 2) {
+                                        const dayText = cells[0].textContent?.trim() || '';
+                                        const hoursText = cells[1].textContent?.trim() || '';
+                                        
+                                        if (dayText && hoursText && 
+                                            !dayText.includes('複製營業時間') &&
+                                            !hoursText.includes('複製營業時間')) {
+                                            // 清理文字
+                                            const cleanDay = dayText.replace(/\([^)]+\)/, '').trim();
+                                            const cleanHours = hoursText.replace('複製營業時間', '').trim();
+                                            if (cleanDay && cleanHours) {
+                                                weeklyHours[cleanDay] = cleanHours;
+                                            }
+                                        }
                                     }
-                                }
+                                });
                             }
-                        }
-                        
-                        data.hours = hoursArray;
-                        data.hoursDetail = weeklyHours; // 保存結構化資料供額外參考
-                    } else {
-                        // 否則嘗試從頁面提取當前顯示的營業時間
-                        const hoursButtons = [
-                            ...document.querySelectorAll('button[data-item-id*="hour"]'),
-                            ...document.querySelectorAll('button[data-item-id*="oh"]'),
-                            ...document.querySelectorAll('button[aria-label*="Hours"]'),
-                            ...document.querySelectorAll('button[aria-label*="hours"]'),
-                            ...document.querySelectorAll('button[aria-label*="營業時間"]'),
-                            ...document.querySelectorAll('button[aria-label*="時間"]'),
-                            ...document.querySelectorAll('div[aria-label*="Hours"]'),
-                            ...document.querySelectorAll('span[aria-label*="Hours"]')
-                        ];
-                        
-                        for (const element of hoursButtons) {
-                            const text = (element.textContent || '') + (element.getAttribute('aria-label') || '');
-                            if (text.match(/\d{1,2}[:]\d{2}|AM|PM|am|pm|時|点|시|giờ|Open|Closed|營業|打烊/)) {
-                                const hoursText = element.getAttribute('aria-label') || element.textContent || '';
-                                
-                                if (hoursText && hoursText.length > 5) {
-                                    const cleanedHours = hoursText
-                                        .replace(/[\ue000-\uf8ff]/g, '')
-                                        .replace(/[\ud83c-\ud83f][\udc00-\udfff]/g, '')
-                                        .replace(/\s+/g, ' ')
-                                        .trim();
+                            
+                            // 嘗試列表格式
+                            if (Object.keys(weeklyHours).length === 0) {
+                                const listItems = hoursContainer.querySelectorAll('li');
+                                listItems.forEach(item => {
+                                    const text = item.textContent?.trim() || '';
+                                    if (text.includes('複製營業時間')) return;
                                     
-                                    // 單一時間字串也包裝成 array
-                                    data.hours = [cleanedHours];
-                                    break;
-                                }
+                                    // 解析像 "Monday: 9:00 AM – 5:00 PM" 的格式
+                                    const match = text.match(/^([^:：]+)[:：]\s*(.+)$/);
+                                    if (match) {
+                                        const day = match[1].trim();
+                                        const hours = match[2].trim().replace('複製營業時間', '').trim();
+                                        if (day && hours) {
+                                            weeklyHours[day] = hours;
+                                        }
+                                    } else if (text.includes('24 小時') || text.includes('24小時')) {
+                                        // 特殊處理24小時格式
+                                        const dayMatch = text.match(/^(星期[一二三四五六日]|週[一二三四五六日]|Monday|Tuesday|Wednesday|Thursday|Friday|Saturday|Sunday)/);
+                                        if (dayMatch) {
+                                            weeklyHours[dayMatch[1]] = '24 小時營業';
+                                        }
+                                    }
+                                });
                             }
-                        }
-                    }
-                    
-                    // Method 2: 如果還沒找到營業時間，搜尋包含時間模式的文字
-                    if ((!data.hours || data.hours.length === 0)) {
-                        const allElements = document.querySelectorAll('button, div, span');
-                        for (const element of allElements) {
-                            const text = element.textContent || '';
-                            
-                            // 排除設施營業時間
-                            const isFacilityHours = text.includes('自助餐廳') || text.includes('泳池') || 
-                                                   text.includes('健身') || text.includes('餐廳') ||
-                                                   text.includes('Pool') || text.includes('Gym') || 
-                                                   text.includes('Restaurant') || text.includes('Buffet') ||
-                                                   text.includes('Spa') || text.includes('Bar') ||
-                                                   text.includes('Lounge') || text.includes('酒吧') ||
-                                                   text.includes('大廳') || text.includes('Lobby');
                             
-                            // 檢查是否包含時間格式 (如 "7 AM to 10:30 PM")
-                            if (!isFacilityHours && text.match(/\d{1,2}\s*(:|：)\s*\d{2}\s*(AM|PM|am|pm)/)) {
-                                // 確保不是太長的文字塊
-                                if (text.length < 500) {
-                                    // 檢查是否為主要營業時間（通常包含星期或 24 小時等關鍵字）
-                                    const isMainHours = text.includes('24') || text.includes('週') || 
-                                                       text.includes('Monday') || text.includes('星期') ||
-                                                       text.includes('Daily') || text.includes('每日') ||
-                                                       text.includes('Open') || text.includes('營業');
+                            // 如果是24小時營業但只有部分天數，填充所有天數
+                            if (is24Hours && Object.keys(weeklyHours).length > 0 && Object.keys(weeklyHours).length < 7) {
+                                const allDaysChinese = ['星期一', '星期二', '星期三', '星期四', '星期五', '星期六', '星期日'];
+                                const allDaysEnglish = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+                                
+                                // 檢查是否所有值都是24小時
+                                const allValues24H = Object.values(weeklyHours).every(h => 
+                                    h.includes('24 小時') || h.includes('24小時') || h.includes('24 hours') || h === '24h'
+                                );
+                                
+                                if (allValues24H) {
+                                    // 根據現有的語言填充
+                                    const hasChinese = Object.keys(weeklyHours).some(k => k.includes('星期'));
+                                    const daysToUse = hasChinese ? allDaysChinese : allDaysEnglish;
                                     
-                                    if (isMainHours || !data.hours || data.hours.length === 0) {
-                                        const cleanedText = text
-                                            .replace(/[\ue000-\uf8ff]/g, '')
-                                            .replace(/\s+/g, ' ')
-                                            .trim();
-                                        data.hours = [cleanedText]; // 包裝成 array
-                                        
-                                        // 如果找到主要營業時間，立即停止搜尋
-                                        if (isMainHours) {
-                                            break;
+                                    daysToUse.forEach(day => {
+                                        if (!weeklyHours[day]) {
+                                            weeklyHours[day] = '24 小時營業';
                                         }
-                                    }
+                                    });
                                 }
                             }
+                            
+                            // 如果存在對話框則關閉
+                            const closeBtn = document.querySelector('button[aria-label*="Close"]') ||
+                                           document.querySelector('div[role="dialog"] button[aria-label*="Back"]');
+                            if (closeBtn) closeBtn.click();
+                            
+                            return Object.keys(weeklyHours).length > 0 ? weeklyHours : null;
                         }
+                        break;
+                    } catch (e) {
+                        console.log('Failed to expand hours:', e.message);
                     }
+                }
+            }
+            // 如果沒有通過點擊找到資料，返回已有的資料
+            return Object.keys(existingHours).length > 0 ? existingHours : null;
+        }).catch(err => {
+            log.debug('Could not expand hours:', err.message);
+            return null;
+        });
+
+        // 提取額外詳情
+        const details = await page.evaluate((weeklyHours) => {
+            const data = {};
+
+            // **重要：提取完整地址並正確格式化**
+            const addressButton = document.querySelector('button[data-item-id="address"]') ||
+                                 document.querySelector('button[aria-label*="Address"]') ||
+                                 document.querySelector('button[aria-label*="address"]') ||
+                                 document.querySelector('button[aria-label*="地址"]');
+            if (addressButton) {
+                // 取得 aria-label 或 textContent
+                const ariaLabel = addressButton.getAttribute('aria-label');
+                const textContent = addressButton.textContent;
+                
+                // 優先使用 aria-label（通常更完整），否則使用 textContent
+                let addressText = '';
+                if (ariaLabel) {
+                    // 移除 "Address: " 或 "地址：" 前綴
+                    addressText = ariaLabel.replace(/^(Address|地址|주소|Địa chỉ|住所):\s*/i, '').trim();
+                } else if (textContent) {
+                    addressText = textContent.trim();
+                }
+                
+                // 格式化地址 - 統一處理各國地址格式
+                if (addressText) {
+                    // 清理多餘的空格和換行
+                    addressText = addressText.replace(/\s+/g, ' ').trim();
                     
-                    // Method 3: 尋找 "Open" 或 "Closed" 狀態
-                    if ((!data.hours || data.hours.length === 0)) {
-                        const statusElements = document.querySelectorAll('span, div');
-                        for (const element of statusElements) {
-                            const text = element.textContent || '';
-                            if (text.match(/^(Open|Closed|營業中|已打烊|열림|닫힘)/)) {
-                                // 嘗試獲取完整的營業時間資訊
-                                const parent = element.parentElement;
-                                if (parent) {
-                                    const parentText = parent.textContent || '';
-                                    if (parentText.includes('⋅') || parentText.includes('·')) {
-                                        const cleanedText = parentText
-                                            .replace(/[\ue000-\uf8ff]/g, '')
-                                            .replace(/\s+/g, ' ')
-                                            .trim();
-                                        data.hours = [cleanedText]; // 包裝成 array
-                                        break;
-                                    }
-                                }
+                    // 處理台灣地址格式
+                    if (addressText.includes('Taiwan') || addressText.includes('台灣')) {
+                        // 台灣地址格式：郵遞區號通常在最後
+                        // 例如：No. 1, Sec. 1, Zhongshan S Rd, Zhongzheng District, Taipei City, Taiwan 100
+                        // 保持原始格式，因為中文環境習慣郵遞區號在最後
+                        data.address = addressText;
+                    } else if (addressText.includes('Japan') || addressText.includes('日本')) {
+                        // 日本地址：確保郵遞區號格式正確 (〒XXX-XXXX)
+                        let formatted = addressText;
+                        // 標準化郵遞區號格式
+                        formatted = formatted.replace(/〒?(\d{3})-?(\d{4})/, '〒$1-$2');
+                        // 如果有日本但沒有郵遞區號格式，嘗試找7位數字
+                        if (!formatted.includes('〒')) {
+                            formatted = formatted.replace(/(\d{3})(\d{4})/, '〒$1-$2');
+                        }
+                        data.address = formatted;
+                    } else if (addressText.includes('Korea') || addressText.includes('대한민국') || addressText.includes('South Korea')) {
+                        // 韓國地址：郵遞區號通常是5位數字
+                        const postalMatch = addressText.match(/\b(\d{5})\b/);
+                        if (postalMatch) {
+                            const postal = postalMatch[1];
+                            // 如果郵遞區號不在開頭，移到開頭（韓國習慣）
+                            if (!addressText.startsWith(postal)) {
+                                const cleaned = addressText.replace(postal, '').replace(/,\s*,/, ',').replace(/^\s*,/, '').trim();
+                                data.address = `${postal} ${cleaned}`;
+                            } else {
+                                data.address = addressText;
                             }
+                        } else {
+                            data.address = addressText;
                         }
+                    } else if (addressText.includes('United States') || addressText.includes('USA')) {
+                        // 美國地址：郵遞區號通常在最後 (ZIP or ZIP+4)
+                        // 確保格式正確，例如：123 Main St, City, ST 12345 or 12345-6789
+                        data.address = addressText.replace(/(\d{5})(-\d{4})?/, '$1$2');
+                    } else {
+                        // 其他國家地址保持原樣，只清理多餘空格
+                        data.address = addressText;
                     }
                     
-                    // Price Level - 正確區分價格級別和實際價格
-                    let priceFound = false;
-                    
-                    // Price Level 應該只是 $, $$, $$$, $$$$ 這種級別標示
-                    // 而不是實際價格如 $100, ¥500 等
-                    
-                    // Method 1: 尋找價格級別元素（通常在資訊欄位中）
-                    const priceLevelElements = [
-                        ...document.querySelectorAll('span[aria-label*="Price level"]'),
-                        ...document.querySelectorAll('span[aria-label*="price level"]'),
-                        ...document.querySelectorAll('button[aria-label*="Price level"]'),
-                        ...document.querySelectorAll('span[aria-label*="價格級別"]'),
-                        ...document.querySelectorAll('span[aria-label*="가격 수준"]'),
-                        ...document.querySelectorAll('[data-attrid*="price_level"]')
-                    ];
-                    
-                    for (const element of priceLevelElements) {
-                        const text = element.textContent?.trim() || '';
-                        const ariaLabel = element.getAttribute('aria-label') || '';
-                        
-                        // 只接受純粹的價格級別符號（1-4個相同符號）
-                        const levelMatch = (text + ' ' + ariaLabel).match(/(?:^|\s)([$·]{1,4})(?:\s|$)/);
-                        if (levelMatch) {
-                            const level = levelMatch[1];
-                            // 確保是重複的符號（如 $$ 或 $$$），不是價格（如 $100）
-                            if (/^(.)\1*$/.test(level) && level.length <= 4) {
-                                data.priceLevel = level.replace(/·/g, '$');
-                                priceFound = true;
-                                break;
+                    // 最終清理：確保沒有多餘的逗號和空格
+                    data.address = data.address
+                        .replace(/,\s*,/g, ',')  // 移除重複逗號
+                        .replace(/^\s*,/, '')     // 移除開頭逗號
+                        .replace(/,\s*$/, '')     // 移除結尾逗號
+                        .trim();
+                }
+            }
+
+            // Phone number
+            const phoneButton = Array.from(document.querySelectorAll('button[data-item-id^="phone:"]'))
+                .concat(Array.from(document.querySelectorAll('button[aria-label*="Phone"]')))
+                .concat(Array.from(document.querySelectorAll('button[aria-label*="phone"]')))
+                .concat(Array.from(document.querySelectorAll('button[aria-label*="電話"]')));
+            if (phoneButton.length > 0) {
+                data.phone = phoneButton[0].getAttribute('aria-label')?.replace(/[^\d+()-\s]/g, '').trim();
+            }
+
+            // Website
+            const websiteButton = Array.from(document.querySelectorAll('a[aria-label*="Website"]'))
+                .concat(Array.from(document.querySelectorAll('a[aria-label*="website"]')))
+                .concat(Array.from(document.querySelectorAll('a[aria-label*="網站"]')));
+            if (websiteButton.length > 0) {
+                data.website = websiteButton[0].href;
+            }
+
+            // Plus Code（「2HJ7+8Q 信義區 台北市」）
+            const plusCodeButton = document.querySelector('button[data-item-id="oloc"]');
+            if (plusCodeButton) {
+                const plusCodeText = plusCodeButton.getAttribute('aria-label') || plusCodeButton.textContent || '';
+                const plusCodeMatch = plusCodeText.match(/[23456789CFGHJMPQRVWX]{4,8}\+[23456789CFGHJMPQRVWX]{0,3}/i);
+                if (plusCodeMatch) {
+                    data.plusCode = plusCodeMatch[0].toUpperCase();
+                }
+            }
+
+            // Hours - 格式化為 array 格式
+            let hoursArray = [];
+            
+            // 如果已經有展開的週間營業時間，轉換為 array
+            if (weeklyHours && Object.keys(weeklyHours).length > 0) {
+                // 按照星期順序排列
+                const dayOrder = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+                const dayOrderChinese = ['星期一', '星期二', '星期三', '星期四', '星期五', '星期六', '星期日'];
+                const dayOrderKorean = ['월요일', '화요일', '수요일', '목요일', '금요일', '토요일', '일요일'];
+                
+                // 先嘗試英文星期
+                for (const day of dayOrder) {
+                    if (weeklyHours[day]) {
+                        // 修復時間格式問題：分隔多個時間段
+                        // 匹配格式如 12:00–15:0017:30–22:00，在兩個時間段之間加空格
+                        const cleanedHours = weeklyHours[day]
+                            .replace(/(\d{1,2}:\d{2}[–-]\d{1,2}:\d{2})(\d{1,2}:\d{2}[–-]\d{1,2}:\d{2})/g, '$1 $2')
+                            .replace(/(\d{2}:\d{2})(\d{2}:\d{2})/g, '$1 $2');
+                        hoursArray.push(`${day}: ${cleanedHours}`);
+                    }
+                }
+                
+                // 如果沒有英文，嘗試中文
+                if (hoursArray.length === 0) {
+                    for (const day of dayOrderChinese) {
+                        if (weeklyHours[day]) {
+                            const cleanedHours = weeklyHours[day]
+                                .replace(/(\d{1,2}:\d{2}[–-]\d{1,2}:\d{2})(\d{1,2}:\d{2}[–-]\d{1,2}:\d{2})/g, '$1 $2')
+                                .replace(/(\d{2}:\d{2})(\d{2}:\d{2})/g, '$1 $2');
+                            hoursArray.push(`${day}: ${cleanedHours}`);
+                        }
+                    }
+                }
+                
+                // 如果還是沒有，直接使用原始順序
+                if (hoursArray.length === 0) {
+                    for (const [day, hours] of Object.entries(weeklyHours)) {
+                        // 過濾掉包含「營業時間可能不同」的特殊日期
+                        if (!day.includes('營業時間可能不同')) {
+                            const cleanedDay = day.replace(/\([^)]+\)/, '').trim(); // 移除括號內容
+                            const cleanedHours = hours
+                                .replace(/(\d{1,2}:\d{2}[–-]\d{1,2}:\d{2})(\d{1,2}:\d{2}[–-]\d{1,2}:\d{2})/g, '$1 $2')
+                                .replace(/(\d{2}:\d{2})(\d{2}:\d{2})/g, '$1 $2')
+                                .replace('營業時間可能不同', '').trim();
+                            if (cleanedHours) {
+                                hoursArray.push(`${cleanedDay}: ${cleanedHours}`);
                             }
                         }
                     }
-                    
-                    // Method 2: 從一般 span 元素中尋找（但要更嚴格的驗證）
-                    if (!priceFound) {
-                        const allSpans = document.querySelectorAll('span');
+                }
+                
+                data.hours = hoursArray;
+                data.hoursDetail = weeklyHours; // 保存結構化資料供額外參考
+            } else {
+                // 否則嘗試從頁面提取當前顯示的營業時間
+                const hoursButtons = [
+                    ...document.querySelectorAll('button[data-item-id*="hour"]'),
+                    ...document.querySelectorAll('button[data-item-id*="oh"]'),
+                    ...document.querySelectorAll('button[aria-label*="Hours"]'),
+                    ...document.querySelectorAll('button[aria-label*="hours"]'),
+                    ...document.querySelectorAll('button[aria-label*="營業時間"]'),
+                    ...document.querySelectorAll('button[aria-label*="時間"]'),
+                    ...document.querySelectorAll('div[aria-label*="Hours"]'),
+                    ...document.querySelectorAll('span[aria-label*="Hours"]')
+                ];
+                
+                for (const element of hoursButtons) {
+                    const text = (element.textContent || '') + (element.getAttribute('aria-label') || '');
+                    if (text.match(/\d{1,2}[:]\d{2}|AM|PM|am|pm|時|点|시|giờ|Open|Closed|營業|打烊/)) {
+                        const hoursText = element.getAttribute('aria-label') || element.textContent || '';
                         
-                        for (const span of allSpans) {
-                            const text = span.textContent?.trim() || '';
+                        if (hoursText && hoursText.length > 5) {
+                            const cleanedHours = hoursText
+                                .replace(/[\ue000-\uf8ff]/g, '')
+                                .replace(/[\ud83c-\ud83f][\udc00-\udfff]/g, '')
+                                .replace(/\s+/g, ' ')
+                                .trim();
                             
-                            // 只接受純粹的重複符號 ($$, $$$, etc.)
-                            if (/^[$·]{1,4}$/.test(text)) {
-                                // 確保是重複的同一個符號
-                                const uniqueChars = [...new Set(text)];
-                                if (uniqueChars.length === 1 && text.length <= 4) {
-                                    // 檢查附近是否有價格相關的上下文
-                                    const parent = span.parentElement;
-                                    const context = parent?.textContent?.toLowerCase() || '';
-                                    
-                                    // 避免誤抓實際價格（如果包含數字就不是價格級別）
-                                    if (!context.match(/\d/) && 
-                                        (context.includes('price') || context.includes('價') || 
-                                         context.includes('level') || context.includes('級') ||
-                                         // 或者這個元素有特殊樣式（表示是重要資訊）
-                                         span.getAttribute('aria-label') || 
-                                         span.closest('button[aria-label]'))) {
-                                        data.priceLevel = text.replace(/·/g, '$');
-                                        priceFound = true;
-                                        break;
-                                    }
-                                }
-                            }
+                            // 單一時間字串也包裝成 array
+                            data.hours = [cleanedHours];
+                            break;
                         }
                     }
+                }
+            }
+            
+            // Method 2: 如果還沒找到營業時間，搜尋包含時間模式的文字
+            if ((!data.hours || data.hours.length === 0)) {
+                const allElements = document.querySelectorAll('button, div, span');
+                for (const element of allElements) {
+                    const text = element.textContent || '';
                     
-                    // Method 3: 從按鈕的 aria-label 屬性尋找價格描述
-                    if (!priceFound) {
-                        const buttons = document.querySelectorAll('button[aria-label]');
-                        for (const button of buttons) {
-                            const ariaLabel = button.getAttribute('aria-label') || '';
-                            const buttonText = button.textContent?.trim() || '';
+                    // 排除設施營業時間
+                    const isFacilityHours = text.includes('自助餐廳') || text.includes('泳池') || 
+                                           text.includes('健身') || text.includes('餐廳') ||
+                                           text.includes('Pool') || text.includes('Gym') || 
+                                           text.includes('Restaurant') || text.includes('Buffet') ||
+                                           text.includes('Spa') || text.includes('Bar') ||
+                                           text.includes('Lounge') || text.includes('酒吧') ||
+                                           text.includes('大廳') || text.includes('Lobby');
+                    
+                    // 檢查是否包含時間格式 (如 "7 AM to 10:30 PM")
+                    if (!isFacilityHours && text.match(/\d{1,2}\s*(:|：)\s*\d{2}\s*(AM|PM|am|pm)/)) {
+                        // 確保不是太長的文字塊
+                        if (text.length < 500) {
+                            // 檢查是否為主要營業時間（通常包含星期或 24 小時等關鍵字）
+                            const isMainHours = text.includes('24') || text.includes('週') || 
+                                               text.includes('Monday') || text.includes('星期') ||
+                                               text.includes('Daily') || text.includes('每日') ||
+                                               text.includes('Open') || text.includes('營業');
                             
-                            // 檢查 aria-label 中的價格資訊
-                            if (ariaLabel.toLowerCase().includes('price')) {
-                                const priceMatch = ariaLabel.match(/[$·]{1,4}/);
-                                if (priceMatch) {
-                                    data.priceLevel = priceMatch[0].replace(/·/g, '$');
-                                    priceFound = true;
-                                    break;
-                                }
-                                // 檢查文字描述
-                                if (ariaLabel.match(/expensive|moderate|inexpensive/i)) {
-                                    data.priceLevel = ariaLabel.match(/very expensive/i) ? '$$$$' :
-                                                     ariaLabel.match(/expensive/i) ? '$$$' :
-                                                     ariaLabel.match(/moderate/i) ? '$$' : '$';
-                                    priceFound = true;
+                            if (isMainHours || !data.hours || data.hours.length === 0) {
+                                const cleanedText = text
+                                    .replace(/[\ue000-\uf8ff]/g, '')
+                                    .replace(/\s+/g, ' ')
+                                    .trim();
+                                data.hours = [cleanedText]; // 包裝成 array
+                                
+                                // 如果找到主要營業時間，立即停止搜尋
+                                if (isMainHours) {
                                     break;
                                 }
                             }
-                            
-                            // 檢查按鈕文字是否為價格符號
-                            if (buttonText.match(/^[$·]{1,4}$/)) {
-                                data.priceLevel = buttonText.replace(/·/g, '$');
-                                priceFound = true;
-                                break;
-                            }
                         }
                     }
-                    
-                    // Method 3: 從評論摘要或描述中提取
-                    if (!priceFound) {
-                        // Google Maps 有時在評論摘要中顯示價格
-                        const reviewSummary = document.querySelector('[data-attrid*="review"]');
-                        if (reviewSummary) {
-                            const reviewText = reviewSummary.textContent || '';
-                            const priceMatch = reviewText.match(/[$]{1,4}/);
-                            if (priceMatch) {
-                                data.priceLevel = priceMatch[0];
-                                priceFound = true;
+                }
+            }
+            
+            // Method 3: 尋找 "Open" 或 "Closed" 狀態
+            if ((!data.hours || data.hours.length === 0)) {
+                const statusElements = document.querySelectorAll('span, div');
+                for (const element of statusElements) {
+                    const text = element.textContent || '';
+                    if (text.match(/^(Open|Closed|營業中|已打烊|열림|닫힘)/)) {
+                        // 嘗試獲取完整的營業時間資訊
+                        const parent = element.parentElement;
+                        if (parent) {
+                            const parentText = parent.textContent || '';
+                            if (parentText.includes('⋅') || parentText.includes('·')) {
+                                const cleanedText = parentText
+                                    .replace(/[\ue000-\uf8ff]/g, '')
+                                    .replace(/\s+/g, ' ')
+                                    .trim();
+                                data.hours = [cleanedText]; // 包裝成 array
+                                break;
                             }
                         }
                     }
+                }
+            }
+            
+            // Price Level - 正確區分價格級別和實際價格
+            let priceFound = false;
+            
+            // Price Level 應該只是 $, $$, $$$, $$$$ 這種級別標示
+            // 而不是實際價格如 $100, ¥500 等
+            
+            // Method 1: 尋找價格級別元素（通常在資訊欄位中）
+            const priceLevelElements = [
+                ...document.querySelectorAll('span[aria-label*="Price level"]'),
+                ...document.querySelectorAll('span[aria-label*="price level"]'),
+                ...document.querySelectorAll('button[aria-label*="Price level"]'),
+                ...document.querySelectorAll('span[aria-label*="價格級別"]'),
+                ...document.querySelectorAll('span[aria-label*="가격 수준"]'),
+                ...document.querySelectorAll('[data-attrid*="price_level"]')
+            ];
+            
+            for (const element of priceLevelElements) {
+                const text = element.textContent?.trim() || '';
+                const ariaLabel = element.getAttribute('aria-label') || '';
+                
+                // 只接受純粹的價格級別符號（1-4個相同符號）
+                const levelMatch = (text + ' ' + ariaLabel).match(/(?:^|\s)([$·]{1,4})(?:\s|$)/);
+                if (levelMatch) {
+                    const level = levelMatch[1];
+                    // 確保是重複的符號（如 $$ 或 $$$），不是價格（如 $100）
+                    if (/^(.)\1*$/.test(level) && level.length <= 4) {
+                        data.priceLevel = level.replace(/·/g, '$');
+                        priceFound = true;
+                        break;
+                    }
+                }
+            }
+            
+            // Method 2: 從一般 span 元素中尋找（但要更嚴格的驗證）
+            if (!priceFound) {
+                const allSpans = document.querySelectorAll('span');
+                
+                for (const span of allSpans) {
+                    const text = span.textContent?.trim() || '';
                     
-                    // Method 4: 使用 XPath 尋找特定位置的價格
-                    if (!priceFound) {
-                        try {
-                            // XPath: 尋找包含貨幣符號的文字節點
-                            const xpathResult = document.evaluate(
-                                '//text()[normalize-space(.)=translate(normalize-space(.), "0123456789.,", "") and contains(., "$")]',
-                                document,
-                                null,
-                                XPathResult.FIRST_ORDERED_NODE_TYPE,
-                                null
-                            );
+                    // 只接受純粹的重複符號 ($$, $$$, etc.)
+                    if (/^[$·]{1,4}$/.test(text)) {
+                        // 確保是重複的同一個符號
+                        const uniqueChars = [...new Set(text)];
+                        if (uniqueChars.length === 1 && text.length <= 4) {
+                            // 檢查附近是否有價格相關的上下文
+                            const parent = span.parentElement;
+                            const context = parent?.textContent?.toLowerCase() || '';
                             
-                            if (xpathResult.singleNodeValue) {
-                                const text = xpathResult.singleNodeValue.textContent?.trim();
-                                if (text && text.match(/^[$]{1,4}$/)) {
-                                    data.priceLevel = text;
-                                    priceFound = true;
-                                }
+                            // 避免誤抓實際價格（如果包含數字就不是價格級別）
+                            if (!context.match(/\d/) && 
+                                (context.includes('price') || context.includes('價') || 
+                                 context.includes('level') || context.includes('級') ||
+                                 // 或者這個元素有特殊樣式（表示是重要資訊）
+                                 span.getAttribute('aria-label') || 
+                                 span.closest('button[aria-label]'))) {
+                                data.priceLevel = text.replace(/·/g, '$');
+                                priceFound = true;
+                                break;
                             }
-                        } catch (e) {
-                            // XPath failed, continue
                         }
                     }
+                }
+            }
+            
+            // Method 3: 從按鈕的 aria-label 屬性尋找價格描述
+            if (!priceFound) {
+                const buttons = document.querySelectorAll('button[aria-label]');
+                for (const button of buttons) {
+                    const ariaLabel = button.getAttribute('aria-label') || '';
+                    const buttonText = button.textContent?.trim() || '';
                     
-                    // Method 5: 檢查多語言價格描述
-                    if (!priceFound) {
-                        const priceKeywords = {
-                            en: ['expensive', 'moderate', 'inexpensive', 'cheap'],
-                            zh: ['昂貴', '中等', '便宜', '實惠'],
-                            ja: ['高価', '普通', '安い', 'リーズナブル'],
-                            ko: ['비싼', '보통', '저렴', '싸다']
-                        };
-                        
-                        const pageText = (document.body.textContent || '').toLowerCase();
-                        
-                        // 檢查各語言的價格描述
-                        if (pageText.includes('very expensive') || pageText.includes('非常昂貴')) {
-                            data.priceLevel = '$$$$';
-                        } else if (pageText.includes('expensive') || pageText.includes('昂貴') || 
-                                  pageText.includes('高価') || pageText.includes('비싼')) {
-                            data.priceLevel = '$$$';
-                        } else if (pageText.includes('moderate') || pageText.includes('中等') ||
-                                  pageText.includes('普通') || pageText.includes('보통')) {
-                            data.priceLevel = '$$';
-                        } else if (pageText.includes('inexpensive') || pageText.includes('cheap') ||
-                                  pageText.includes('便宜') || pageText.includes('安い') || 
-                                  pageText.includes('저렴')) {
-                            data.priceLevel = '$';
+                    // 檢查 aria-label 中的價格資訊
+                    if (ariaLabel.toLowerCase().includes('price')) {
+                        const priceMatch = ariaLabel.match(/[$·]{1,4}/);
+                        if (priceMatch) {
+                            data.priceLevel = priceMatch[0].replace(/·/g, '$');
+                            priceFound = true;
+                            break;
                         }
-                    }
-                    
-                    // Business Type - 簡單直接的提取方法
-                    // 不試圖猜測，只提取明確的資訊
-                    
-                    // 1. 查找類別按鈕（最可靠的來源）
-                    const categoryButton = document.querySelector('button[jsaction*="category"]');
-                    if (categoryButton) {
-                        const text = categoryButton.textContent?.trim();
-                        // 只做最基本的驗證
-                        if (text && text.length < 50 && !text.includes('選取日期')) {
-                            data.businessType = text.replace(/^[·\s•]+/, '').trim();
+                        // 檢查文字描述
+                        if (ariaLabel.match(/expensive|moderate|inexpensive/i)) {
+                            data.priceLevel = ariaLabel.match(/very expensive/i) ? '$$$$' :
+                                             ariaLabel.match(/expensive/i) ? '$$$' :
+                                             ariaLabel.match(/moderate/i) ? '$$' : '$';
+                            priceFound = true;
+                            break;
                         }
                     }
                     
-                    // 2. 如果沒有類別按鈕，查找包含星級的文字（這是明確的分類資訊）
-                    if (!data.businessType) {
-                        const starPattern = /\d\s*[星☆]\s*級/;
-                        const spans = document.querySelectorAll('span');
-                        for (const span of spans) {
-                            const text = span.textContent?.trim();
-                            if (text && starPattern.test(text) && text.length < 20) {
-                                data.businessType = text.replace(/^[·\s•]+/, '').trim();
-                                break;
-                            }
-                        }
+                    // 檢查按鈕文字是否為價格符號
+                    if (buttonText.match(/^[$·]{1,4}$/)) {
+                        data.priceLevel = buttonText.replace(/·/g, '$');
+                        priceFound = true;
+                        break;
                     }
-                    
-                    // 就這樣，不再試圖猜測其他類型
-
-                    return data;
-                }, weeklyHours); // 傳入weeklyHours參數
-
-                // Merge details - 只更新有值的欄位，並清理資料
-                if (details.address) {
-                    business.address = validateAddress(details.address);
-                }
-                if (details.phone) {
-                    business.phone = details.phone;
                 }
-                if (details.website) {
-                    business.website = details.website;
+            }
+            
+            // Method 3: 從評論摘要或描述中提取
+            if (!priceFound) {
+                // Google Maps 有時在評論摘要中顯示價格
+                const reviewSummary = document.querySelector('[data-attrid*="review"]');
+                if (reviewSummary) {
+                    const reviewText = reviewSummary.textContent || '';
+                    const priceMatch = reviewText.match(/[$]{1,4}/);
+                    if (priceMatch) {
+                        data.priceLevel = priceMatch[0];
+                        priceFound = true;
+                    }
                 }
-                if (details.hours) {
-                    // hours 應該是 array 格式
-                    if (Array.isArray(details.hours)) {
-                        business.hours = details.hours;
-                    } else if (typeof details.hours === 'string') {
-                        // 如果還是字串，包裝成 array
-                        business.hours = [cleanBusinessHours(details.hours)];
+            }
+            
+            // Method 4: 使用 XPath 尋找特定位置的價格
+            if (!priceFound) {
+                try {
+                    // XPath: 尋找包含貨幣符號的文字節點
+                    const xpathResult = document.evaluate(
+                        '//text()[normalize-space(.)=translate(normalize-space(.), "0123456789.,", "") and contains(., "$")]',
+                        document,
+                        null,
+                        XPathResult.FIRST_ORDERED_NODE_TYPE,
+                        null
+                    );
+                    
+                    if (xpathResult.singleNodeValue) {
+                        const text = xpathResult.singleNodeValue.textContent?.trim();
+                        if (text && text.match(/^[$]{1,4}$/)) {
+                            data.priceLevel = text;
+                            priceFound = true;
+                        }
                     }
+                } catch (e) {
+                    // XPath failed, continue
                 }
-                if (details.hoursDetail) {
-                    // hoursDetail 保存結構化的物件格式
-                    business.hoursDetail = details.hoursDetail;
+            }
+            
+            // Method 5: 檢查多語言價格描述
+            if (!priceFound) {
+                const priceKeywords = {
+                    en: ['expensive', 'moderate', 'inexpensive', 'cheap'],
+                    zh: ['昂貴', '中等', '便宜', '實惠'],
+                    ja: ['高価', '普通', '安い', 'リーズナブル'],
+                    ko: ['비싼', '보통', '저렴', '싸다']
+                };
+                
+                const pageText = (document.body.textContent || '').toLowerCase();
+                
+                // 檢查各語言的價格描述
+                if (pageText.includes('very expensive') || pageText.includes('非常昂貴')) {
+                    data.priceLevel = '$$$$';
+                } else if (pageText.includes('expensive') || pageText.includes('昂貴') || 
+                          pageText.includes('高価') || pageText.includes('비싼')) {
+                    data.priceLevel = '$$$';
+                } else if (pageText.includes('moderate') || pageText.includes('中等') ||
+                          pageText.includes('普通') || pageText.includes('보통')) {
+                    data.priceLevel = '$$';
+                } else if (pageText.includes('inexpensive') || pageText.includes('cheap') ||
+                          pageText.includes('便宜') || pageText.includes('安い') || 
+                          pageText.includes('저렴')) {
+                    data.priceLevel = '$';
                 }
-                if (details.priceLevel) {
-                    business.priceLevel = extractPriceLevel(details.priceLevel);
+            }
+            
+            // Business Type - 簡單直接的提取方法
+            // 不試圖猜測，只提取明確的資訊
+            
+            // 1. 查找類別按鈕（最可靠的來源）
+            const categoryButton = document.querySelector('button[jsaction*="category"]');
+            if (categoryButton) {
+                const text = categoryButton.textContent?.trim();
+                // 只做最基本的驗證
+                if (text && text.length < 50 && !text.includes('選取日期')) {
+                    data.businessType = text.replace(/^[·\s•]+/, '').trim();
                 }
-                if (details.businessType) {
-                    business.businessType = extractBusinessType(details.businessType);
+            }
+            
+            // 2. 如果沒有類別按鈕，查找包含星級的文字（這是明確的分類資訊）
+            if (!data.businessType) {
+                const starPattern = /\d\s*[星☆]\s*級/;
+                const spans = document.querySelectorAll('span');
+                for (const span of spans) {
+                    const text = span.textContent?.trim();
+                    if (text && starPattern.test(text) && text.length < 20) {
+                        data.businessType = text.replace(/^[·\s•]+/, '').trim();
+                        break;
+                    }
                 }
+            }
+            
+            // 就這樣，不再試圖猜測其他類型
 
-                successCount++;
-                
-                // 進度更新
-                if ((i + 1) % 5 === 0 || i === businessesToProcess.length - 1) {
-                    log.info(`Processed ${i + 1}/${businessesToProcess.length} businesses (${successCount} success, ${failCount} failed)`);
-                }
+            return data;
+        }, weeklyHours); // 傳入weeklyHours參數
 
-                // Be nice to Google (reduced delay)
-                await new Promise(resolve => setTimeout(resolve, 500));
+        // Merge details - 只更新有值的欄位，並清理資料
+        if (details.address) {
+            business.address = validateAddress(details.address);
+        }
+        if (business.address) {
+            // 結構化地址（街道、行政區、城市、郵遞區號、國家與 Plus Code）
+            business.addressComponents = parseAddress(business.address, { plusCode: details.plusCode });
+        }
+        if (details.website) {
+            business.website = details.website;
+        }
+        if (details.phone) {
+            business.phone = details.phone;
+        }
+        // 依地址或座標判斷國家，轉換成 E.164 格式
+        this.applyPhoneNormalization(business);
+        if (details.hours) {
+            // hours 應該是 array 格式
+            if (Array.isArray(details.hours)) {
+                business.hours = details.hours;
+            } else if (typeof details.hours === 'string') {
+                // 如果還是字串，包裝成 array
+                business.hours = [cleanBusinessHours(details.hours)];
+            }
+        }
+        if (details.hoursDetail) {
+            // hoursDetail 保存結構化的物件格式（星期名稱與介面語言相同）
+            business.hoursDetail = details.hoursDetail;
+            // hoursByWeekday 的星期統一使用英文名稱
+            business.hoursByWeekday = normalizeWeekdayKeys(details.hoursDetail);
+        }
+        if (business.hoursByWeekday || business.hours) {
+            // 機器可讀的營業時間（OpenStreetMap opening_hours 與 schema.org）
+            const weeklyHours = business.hoursByWeekday || business.hours;
+            business.openingHours = toOsmOpeningHours(weeklyHours);
+            business.openingHoursSpecification = toOpeningHoursSpecification(weeklyHours);
+        }
+        if (details.priceLevel) {
+            business.priceLevel = extractPriceLevel(details.priceLevel);
+        }
+        if (details.businessType) {
+            business.businessType = extractBusinessType(details.businessType);
+        }
+        business.enrichment.details = true;
 
-            } catch (error) {
-                failCount++;
-                log.error(`Failed to scrape details for ${business.name}:`, error.message);
-                
-                // 進度更新
-                if ((i + 1) % 5 === 0 || i === businessesToProcess.length - 1) {
-                    log.info(`Processed ${i + 1}/${businessesToProcess.length} businesses (${successCount} success, ${failCount} failed)`);
+        // 營業狀態（歇業、暫停營業、即將開幕）
+        await this.scrapeBusinessStatus(page, business);
+
+        // 依營業時間與當地時區計算目前是否營業
+        this.applyOpenState(business);
+
+        // 熱門時段與停留時間
+        await this.scrapePopularTimes(page, business);
+
+        // 菜單、訂位、線上訂購與訂房連結
+        await this.scrapeActionLinks(page, business);
+
+        // 概覽分頁的評分分布與評論主題標籤
+        await this.scrapeReviewSummary(page, business);
+
+        // 以下步驟會切換分頁，因此放在概覽分頁的提取之後
+        // 「簡介」分頁的服務選項、無障礙、設施、付款等屬性
+        await this.scrapeAttributes(page, business);
+
+        // 個別評論（選用）
+        if (this.config.maxReviews > 0) {
+            await this.scrapeReviews(page, business);
+        }
+
+        // 相片（選用，會開啟相簿，因此放在最後）
+        if (this.config.maxPhotos > 0) {
+            await this.scrapePhotos(page, business);
+        }
+    }
+
+    /**
+     * 收集相片資訊，設定鍵值存儲時一併下載相片
+     * @param {Page} page - 位於商家頁面的 Puppeteer 頁面實例
+     * @param {Object} business - 商家資料（會直接更新）
+     */
+    async scrapePhotos(page, business) {
+        try {
+            const extractor = new PhotosExtractor(page, {
+                maxPhotos: this.config.maxPhotos,
+                width: this.config.photoWidth,
+                height: this.config.photoHeight
+            });
+            const { coverPhoto, photosCount, photoCategories, photos } = await extractor.extract();
+            business.coverPhoto = coverPhoto;
+            business.photosCount = photosCount;
+            business.photoCategories = photoCategories;
+            business.photos = photos;
+            business.enrichment.photos = true;
+
+            if (this.config.photoStore && photos.length > 0) {
+                const storeId = photoStoreId(business);
+                if (storeId) {
+                    this.stats.photosDownloaded += await extractor.downloadPhotos(photos, this.config.photoStore, storeId);
+                } else {
+                    log.warning(`Skipping photo storage for ${business.name}: no stable place id`);
                 }
             }
+        } catch (error) {
+            log.warning(`Failed to scrape photos for ${business.name}: ${error.message}`);
         }
-        
-        // Batch email extraction if requested
-        if (this.config.scrapeEmails) {
-            log.info('Extracting emails from websites in parallel...');
-            const batchExtractor = new BatchEmailExtractor(page, {
-                batchSize: 5,
-                timeout: 5000
+    }
+
+    /**
+     * 從地點頁面標題區判斷營業狀態
+     * 只讀取標題區，避免評論內容中的「暫停營業」等字詞造成誤判
+     * @param {Page} page - 位於商家頁面的 Puppeteer 頁面實例
+     * @param {Object} business - 商家資料（會直接更新）
+     */
+    async scrapeBusinessStatus(page, business) {
+        try {
+            const headerText = await page.evaluate(() => {
+                const title = document.querySelector('h1');
+                if (!title) return '';
+
+                // 由標題往上找到不包含分頁列的最大區塊
+                let header = title;
+                while (header.parentElement && !header.parentElement.querySelector('[role="tablist"]')) {
+                    header = header.parentElement;
+                }
+                return header.textContent || '';
             });
-            
-            // Filter businesses with websites
-            const businessesWithWebsites = businessesToProcess.filter(b => b.website && !b.website.includes('google.com'));
-            
-            if (businessesWithWebsites.length > 0) {
-                const updatedBusinesses = await batchExtractor.extractEmailsBatch(businessesWithWebsites);
-                
-                // Update original businesses with email data
-                updatedBusinesses.forEach(updated => {
-                    const original = businesses.find(b => b.placeId === updated.placeId);
-                    if (original) {
-                        original.email = updated.email;
-                        original.emails = updated.emails;
-                        if (updated.emails && updated.emails.length > 0) {
-                            this.stats.emailsExtracted += updated.emails.length;
-                        }
-                    }
-                });
-                
-                log.info(`Extracted ${this.stats.emailsExtracted} emails total`);
+
+            business.businessStatus = detectBusinessStatus(headerText) || 'OPERATIONAL';
+        } catch (error) {
+            log.warning(`Failed to detect business status for ${business.name}: ${error.message}`);
+        }
+    }
+
+    /**
+     * 依地點所在國家正規化電話號碼（phoneE164、phoneNational、phoneType、phoneValid）
+     * @param {Object} business - 商家資料（會直接更新）
+     */
+    applyPhoneNormalization(business) {
+        Object.assign(business, normalizePhone(business.phone, resolvePhoneCountry(business)));
+    }
+
+    /**
+     * 由 hoursByWeekday 計算 isOpenNow、nextOpenAt、nextCloseAt
+     * 時區由座標推算；歇業、暫停營業或即將開幕的商家一律視為未營業
+     * @param {Object} business - 商家資料（會直接更新）
+     */
+    applyOpenState(business) {
+        business.timeZone = inferTimeZone(business.latitude, business.longitude);
+
+        if (['CLOSED_PERMANENTLY', 'CLOSED_TEMPORARILY', 'OPENING_SOON'].includes(business.businessStatus)) {
+            Object.assign(business, { isOpenNow: false, nextOpenAt: null, nextCloseAt: null });
+            return;
+        }
+
+        Object.assign(business, computeOpenState(business.hoursByWeekday, business.timeZone));
+    }
+
+    /**
+     * 爬取熱門時段圖表、目前繁忙程度與一般停留時間
+     * @param {Page} page - 位於商家頁面的 Puppeteer 頁面實例
+     * @param {Object} business - 商家資料（會直接更新）
+     */
+    async scrapePopularTimes(page, business) {
+        try {
+            const raw = await page.evaluate(() => {
+                // 每天一個圖表容器，由星期日開始排列，每個長條的 aria-label 包含小時與百分比
+                const days = Array.from(document.querySelectorAll('div.g2BVhd'))
+                    .map(day => Array.from(day.querySelectorAll('div[aria-label]'))
+                        .map(bar => bar.getAttribute('aria-label')));
+
+                const timeSpentPattern = /typically spend|停留|滞在|머무|suelen pasar|passent généralement|verbringen/i;
+                const timeSpentElement = Array.from(document.querySelectorAll('div, span'))
+                    .find(el => el.children.length === 0 && timeSpentPattern.test(el.textContent || ''));
+
+                return {
+                    days,
+                    timeSpent: timeSpentElement ? timeSpentElement.textContent.trim() : null
+                };
+            });
+
+            const parsed = parsePopularTimes(raw.days);
+            business.popularTimes = parsed ? parsed.popularTimes : null;
+            business.popularTimesLive = parsed ? parsed.live : null;
+            business.typicalTimeSpent = parseTimeSpent(raw.timeSpent);
+        } catch (error) {
+            log.warning(`Failed to scrape popular times for ${business.name}: ${error.message}`);
+        }
+    }
+
+    /**
+     * 爬取菜單、訂位、線上訂購與訂房等第三方服務連結
+     * @param {Page} page - 位於商家頁面的 Puppeteer 頁面實例
+     * @param {Object} business - 商家資料（會直接更新）
+     */
+    async scrapeActionLinks(page, business) {
+        try {
+            const links = await page.evaluate(() => {
+                return Array.from(document.querySelectorAll('div[role="main"] a[href]'))
+                    // 商家網站已存於 website 欄位
+                    .filter(link => link.getAttribute('data-item-id') !== 'authority')
+                    .map(link => ({
+                        label: link.getAttribute('aria-label') || link.textContent?.trim() || '',
+                        itemId: link.getAttribute('data-item-id') || '',
+                        url: link.href
+                    }));
+            });
+
+            business.actionLinks = parseActionLinks(links);
+        } catch (error) {
+            log.warning(`Failed to scrape action links for ${business.name}: ${error.message}`);
+        }
+    }
+
+    /**
+     * 爬取「簡介」分頁的屬性，依區段分組並轉換成與語言無關的鍵
+     * @param {Page} page - 位於商家頁面的 Puppeteer 頁面實例
+     * @param {Object} business - 商家資料（會直接更新）
+     */
+    async scrapeAttributes(page, business) {
+        try {
+            const opened = await page.evaluate(() => {
+                const aboutPattern = /^(about|簡介|简介|概要|정보|información|à propos|info)(?![a-z])/i;
+                const tab = Array.from(document.querySelectorAll('button[role="tab"]'))
+                    .find(t => aboutPattern.test((t.textContent || '').trim()) ||
+                               aboutPattern.test(t.getAttribute('aria-label') || ''));
+                if (!tab) return false;
+                tab.click();
+                return true;
+            });
+            if (!opened) {
+                business.attributes = null;
+                return;
             }
+
+            await page.waitForSelector('div.iP2t7d, div[role="region"] h2', { timeout: 5000 }).catch(() => null);
+            await new Promise(resolve => setTimeout(resolve, 1000));
+
+            const sections = await page.evaluate(() => {
+                const containers = document.querySelectorAll('div.iP2t7d');
+                return Array.from(containers).map(container => ({
+                    title: container.querySelector('h2')?.textContent?.trim() || '',
+                    items: Array.from(container.querySelectorAll('li')).map(item => ({
+                        text: item.textContent?.trim() || '',
+                        description: item.querySelector('[aria-label]')?.getAttribute('aria-label') ||
+                                     item.getAttribute('aria-label') || ''
+                    }))
+                }));
+            });
+
+            business.attributes = parseAttributes(sections);
+        } catch (error) {
+            log.warning(`Failed to scrape attributes for ${business.name}: ${error.message}`);
+        }
+    }
+
+    /**
+     * 爬取概覽分頁的評分分布與評論主題標籤
+     * 需在切換到「簡介」或「評論」分頁之前呼叫
+     * @param {Page} page - 位於商家頁面的 Puppeteer 頁面實例
+     * @param {Object} business - 商家資料（會直接更新）
+     */
+    async scrapeReviewSummary(page, business) {
+        try {
+            const { ratingDistribution, reviewTags } = await new ReviewsExtractor(page).extractSummary();
+            business.ratingDistribution = ratingDistribution;
+            business.reviewTags = reviewTags;
+        } catch (error) {
+            log.warning(`Failed to scrape review summary for ${business.name}: ${error.message}`);
+        }
+    }
+
+    /**
+     * 爬取目前地點頁面的個別評論
+     * 失敗時只記錄警告，不影響已取得的詳細資訊
+     * @param {Page} page - 位於商家頁面的 Puppeteer 頁面實例
+     * @param {Object} business - 商家資料（會直接更新）
+     */
+    async scrapeReviews(page, business) {
+        try {
+            const extractor = new ReviewsExtractor(page, {
+                maxReviews: this.config.maxReviews,
+                sort: this.config.reviewsSort
+            });
+            business.reviewList = await extractor.extract();
+            business.enrichment.reviews = true;
+            this.stats.reviewsExtracted += business.reviewList.length;
+            log.debug(`Extracted ${business.reviewList.length} reviews for ${business.name}`);
+        } catch (error) {
+            log.warning(`Failed to scrape reviews for ${business.name}: ${error.message}`);
         }
     }
 
@@ -1387,7 +2161,23 @@ class GoogleMapsScraper {
      */
     async searchMultipleQueries(baseQuery, regions = []) {
         const allResults = [];
-        const seenPlaceIds = new Set();
+        for await (const business of this.searchMultipleQueriesStream(baseQuery, regions)) {
+            allResults.push(business);
+        }
+        
+        this.results = allResults;
+        return this.results;
+    }
+
+    /**
+     * 多區域搜尋，逐一輸出不重複的商家
+     * 已輸出的商家在後續區域搜尋中直接略過，不重複爬取詳細資訊
+     * @param {String} baseQuery - 基本搜尋查詢
+     * @param {Array<String>} regions - 附加的區域名稱
+     * @yields {Object} - 商家資料
+     */
+    async *searchMultipleQueriesStream(baseQuery, regions = []) {
+        let uniqueCount = 0;
         
         // Default regions if not provided
         if (regions.length === 0) {
@@ -1399,20 +2189,23 @@ class GoogleMapsScraper {
             log.info(`Searching: ${query}`);
             
             try {
-                const results = await this.search(query);
-                
-                // Deduplicate results
-                for (const business of results) {
-                    if (!seenPlaceIds.has(business.placeId)) {
-                        seenPlaceIds.add(business.placeId);
-                        allResults.push(business);
+                let found = 0;
+                for await (const business of this.searchStream(query)) {
+                    // Deduplicate results
+                    this.config.skipPlaceIds.add(business.placeId);
+                    found++;
+                    uniqueCount++;
+                    yield business;
+                    
+                    // Stop if we have enough results
+                    if (uniqueCount >= this.config.maxResults) {
+                        break;
                     }
                 }
                 
-                log.info(`Found ${results.length} results for "${query}", total unique: ${allResults.length}`);
+                log.info(`Found ${found} new results for "${query}", total unique: ${uniqueCount}`);
                 
-                // Stop if we have enough results
-                if (allResults.length >= this.config.maxResults) {
+                if (uniqueCount >= this.config.maxResults) {
                     break;
                 }
                 
@@ -1423,9 +2216,6 @@ class GoogleMapsScraper {
                 log.error(`Failed to search "${query}": ${error.message}`);
             }
         }
-        
-        this.results = allResults.slice(0, this.config.maxResults);
-        return this.results;
     }
     
     /**
@@ -1440,6 +2230,7 @@ class GoogleMapsScraper {
 
     /**
      * Close browser
+     * 使用瀏覽器池時由池負責關閉
      */
     async close() {
         if (this.browser) {
@@ -0,0 +1,201 @@
+/**
+ * 相片提取器
+ * 收集封面相片、相片總數、分類分頁與相片網址，並可選擇將相片下載到鍵值存儲
+ * 相片網址取自縮圖的 background-image，因此頁面仍可封鎖圖片請求
+ */
+
+const { log } = require('apify');
+const { lookupKey } = require('../utils/attributes');
+const { PHOTO_CATEGORIES } = require('../utils/localeData');
+const {
+    extractBackgroundImageUrl,
+    resizePhotoUrl,
+    photoKey,
+    parsePhotoCount
+} = require('../utils/photos');
+
+/**
+ * 相片提取器類別
+ */
+class PhotosExtractor {
+    /**
+     * 建構函式
+     * @param {Page} page - 位於地點頁面的 Puppeteer 頁面實例
+     * @param {Object} config - 配置選項
+     */
+    constructor(page, config = {}) {
+        this.page = page;  // Puppeteer 頁面實例
+        this.config = {
+            maxPhotos: config.maxPhotos || 10,        // 每個地點最多收集的相片數
+            width: config.width || 1024,              // 相片寬度（像素）
+            height: config.height || 768,             // 相片高度（像素）
+            maxScrolls: config.maxScrolls || 20,      // 相簿最大滾動次數
+            downloadTimeout: config.downloadTimeout || 30000  // 下載逾時（毫秒）
+        };
+    }
+
+    /**
+     * 提取目前地點的相片資訊
+     * @returns {Promise<Object>} - { coverPhoto, photosCount, photoCategories, photos }
+     */
+    async extract() {
+        const header = await this.page.evaluate(() => {
+            const hero = document.querySelector('button[jsaction*="heroHeaderImage"]');
+            const coverImage = hero ? hero.querySelector('img') : null;
+
+            // 相片總數通常出現在封面或相片按鈕的文字中
+            const countTexts = Array.from(document.querySelectorAll('button[aria-label], div.YkuOqf'))
+                .map(el => `${el.getAttribute('aria-label') || ''} ${el.textContent || ''}`);
+
+            return {
+                cover: coverImage ? coverImage.getAttribute('src') : null,
+                countTexts
+            };
+        });
+
+        const result = {
+            coverPhoto: resizePhotoUrl(header.cover, this.config.width, this.config.height),
+            photosCount: header.countTexts.map(parsePhotoCount).find(count => count !== null) ?? null,
+            photoCategories: [],
+            photos: []
+        };
+
+        if (!await this.openGallery()) {
+            return result;
+        }
+
+        const gallery = await this.loadGallery();
+        result.photoCategories = gallery.categories.map(label => ({
+            key: lookupKey(label, PHOTO_CATEGORIES),
+            label
+        }));
+        result.photosCount = result.photosCount ?? gallery.count;
+        result.photos = gallery.urls
+            .slice(0, this.config.maxPhotos)
+            .map(url => ({ url: resizePhotoUrl(url, this.config.width, this.config.height) }));
+
+        if (!result.coverPhoto && result.photos.length > 0) {
+            result.coverPhoto = result.photos[0].url;
+        }
+
+        return result;
+    }
+
+    /**
+     * 點擊封面相片開啟相簿
+     * @returns {Promise<Boolean>} - 是否成功開啟
+     */
+    async openGallery() {
+        const clicked = await this.page.evaluate(() => {
+            const hero = document.querySelector('button[jsaction*="heroHeaderImage"]');
+            if (!hero) return false;
+            hero.click();
+            return true;
+        });
+        if (!clicked) return false;
+
+        await this.page.waitForSelector('a[data-photo-index]', { timeout: 10000 }).catch(() => null);
+        await new Promise(resolve => setTimeout(resolve, 1000));
+
+        return this.page.evaluate(() => !!document.querySelector('a[data-photo-index]'));
+    }
+
+    /**
+     * 滾動相簿直到載入足夠的相片
+     * @returns {Promise<Object>} - { categories, count, urls }
+     */
+    async loadGallery() {
+        let lastCount = 0;
+        let noChangeCount = 0;
+        let snapshot = { categories: [], countText: '', styles: [] };
+
+        for (let i = 0; i < this.config.maxScrolls; i++) {
+            snapshot = await this.page.evaluate(() => {
+                const tiles = Array.from(document.querySelectorAll('a[data-photo-index]'));
+                const last = tiles[tiles.length - 1];
+
+                // 找出可滾動的相簿區塊
+                let container = last ? last.parentElement : null;
+                while (container && container.scrollHeight <= container.clientHeight) {
+                    container = container.parentElement;
+                }
+                if (container) {
+                    container.scrollTop = container.scrollHeight;
+                }
+
+                const categories = Array.from(document.querySelectorAll('button[role="tab"]'))
+                    .map(tab => (tab.getAttribute('aria-label') || tab.textContent || '').trim())
+                    .filter(Boolean);
+
+                return {
+                    categories,
+                    countText: document.querySelector('h1, h2')?.textContent || '',
+                    styles: tiles.map(tile => {
+                        const image = tile.querySelector('[style*="background-image"]');
+                        return image ? image.getAttribute('style') : null;
+                    })
+                };
+            });
+
+            const count = snapshot.styles.length;
+            if (count >= this.config.maxPhotos) break;
+
+            if (count === lastCount) {
+                noChangeCount++;
+                if (noChangeCount >= 3) break;
+            } else {
+                noChangeCount = 0;
+            }
+            lastCount = count;
+
+            await new Promise(resolve => setTimeout(resolve, 1000));
+        }
+
+        const urls = Array.from(new Set(snapshot.styles
+            .map(extractBackgroundImageUrl)
+            .filter(url => url && url.includes('googleusercontent.com'))));
+
+        return {
+            categories: snapshot.categories,
+            count: parsePhotoCount(snapshot.countText),
+            urls
+        };
+    }
+
+    /**
+     * 下載相片到鍵值存儲，鍵由商家 ID 與序號產生，重複執行時覆寫同一筆記錄
+     * @param {Array} photos - [{ url }]（會直接加上 key）
+     * @param {KeyValueStore} store - Apify 鍵值存儲
+     * @param {String} placeId - 商家 ID（photoStoreId 的結果）
+     * @returns {Promise<Number>} - 成功下載的數量
+     */
+    async downloadPhotos(photos, store, placeId) {
+        let downloaded = 0;
+
+        for (let i = 0; i < photos.length; i++) {
+            const photo = photos[i];
+            try {
+                const response = await fetch(photo.url, {
+                    signal: AbortSignal.timeout(this.config.downloadTimeout)
+                });
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+
+                const contentType = response.headers.get('content-type') || 'image/jpeg';
+                const extension = contentType.includes('png') ? 'png' : contentType.includes('webp') ? 'webp' : 'jpg';
+                const key = photoKey(placeId, i, extension);
+
+                await store.setValue(key, Buffer.from(await response.arrayBuffer()), { contentType });
+                photo.key = key;
+                downloaded++;
+            } catch (error) {
+                log.debug(`Failed to download photo ${photo.url}: ${error.message}`);
+            }
+        }
+
+        return downloaded;
+    }
+}
+
+module.exports = PhotosExtractor;
@@ -0,0 +1,281 @@
+/**
+ * 評論提取器
+ * 開啟地點頁面的評論分頁，依指定方式排序並滾動載入個別評論，
+ * 並提取評分分布與評論主題標籤
+ */
+
+const { log } = require('apify');
+const {
+    parseRelativeDate,
+    detectTextLanguage,
+    parseRatingDistribution,
+    parseReviewTag
+} = require('../utils/dataCleaners');
+
+// 排序選單中的項目順序（與介面語言無關）
+const SORT_MENU_INDEX = {
+    mostRelevant: 0,
+    newest: 1,
+    highestRating: 2,
+    lowestRating: 3
+};
+
+/**
+ * 評論提取器類別
+ */
+class ReviewsExtractor {
+    /**
+     * 建構函式
+     * @param {Page} page - 位於地點頁面的 Puppeteer 頁面實例
+     * @param {Object} config - 配置選項
+     */
+    constructor(page, config = {}) {
+        this.page = page;  // Puppeteer 頁面實例
+        this.config = {
+            maxReviews: config.maxReviews || 10,        // 每個地點最多提取的評論數
+            sort: config.sort || 'mostRelevant',        // 排序方式
+            maxScrolls: config.maxScrolls || 50,        // 最大滾動次數
+            scrollDelay: config.scrollDelay || 1500     // 每次滾動後的等待時間（毫秒）
+        };
+    }
+
+    /**
+     * 提取目前地點的評論
+     * @returns {Promise<Array>} - 評論陣列
+     */
+    async extract() {
+        if (!await this.openReviewsTab()) {
+            log.debug('Reviews tab not found');
+            return [];
+        }
+
+        if (this.config.sort !== 'mostRelevant') {
+            await this.sortReviews(this.config.sort);
+        }
+
+        await this.loadReviews();
+        await this.expandReviews();
+
+        const rawReviews = await this.extractReviews();
+        const now = new Date();
+
+        return rawReviews.map(review => ({
+            reviewId: review.reviewId,
+            author: review.author,
+            authorUrl: review.authorUrl,
+            rating: review.rating,
+            date: review.date,
+            publishedAt: parseRelativeDate(review.date, now),
+            text: review.text,
+            language: detectTextLanguage(review.text),
+            photoCount: review.photoCount,
+            ownerResponse: review.ownerResponse ? {
+                text: review.ownerResponse.text,
+                date: review.ownerResponse.date,
+                publishedAt: parseRelativeDate(review.ownerResponse.date, now)
+            } : null
+        }));
+    }
+
+    /**
+     * 提取評分分布與評論主題標籤
+     * 先讀取目前的概覽分頁，缺少的部分再到評論分頁讀取
+     * @returns {Promise<Object>} - { ratingDistribution, reviewTags }
+     */
+    async extractSummary() {
+        let summary = await this.readSummary();
+
+        if (!summary.ratingDistribution || summary.reviewTags.length === 0) {
+            if (await this.openReviewsTab()) {
+                const reviewsTabSummary = await this.readSummary();
+                summary = {
+                    ratingDistribution: summary.ratingDistribution || reviewsTabSummary.ratingDistribution,
+                    reviewTags: summary.reviewTags.length > 0 ? summary.reviewTags : reviewsTabSummary.reviewTags
+                };
+            }
+        }
+
+        return summary;
+    }
+
+    /**
+     * 從目前頁面讀取評分分布表格與主題標籤
+     * @returns {Promise<Object>} - { ratingDistribution, reviewTags }
+     */
+    async readSummary() {
+        const raw = await this.page.evaluate(() => {
+            // 評分分布：每列的 aria-label 為「5 stars, 1,234 reviews」之類的文字
+            const ratingLabels = Array.from(document.querySelectorAll('tr[aria-label]'))
+                .map(row => row.getAttribute('aria-label'));
+
+            // 主題標籤：標籤名稱與數量分別位於兩個 span
+            const tags = Array.from(document.querySelectorAll('div[role="radiogroup"] button[role="radio"]'))
+                .map(chip => {
+                    const labelElement = chip.querySelector('.uEubGf');
+                    const countElement = chip.querySelector('.bC3Nkc');
+                    return {
+                        label: labelElement ? labelElement.textContent : (chip.textContent || ''),
+                        count: countElement ? countElement.textContent : null
+                    };
+                });
+
+            return { ratingLabels, tags };
+        });
+
+        return {
+            ratingDistribution: parseRatingDistribution(raw.ratingLabels),
+            reviewTags: raw.tags
+                .map(tag => parseReviewTag(tag.label, tag.count))
+                .filter(Boolean)
+        };
+    }
+
+    /**
+     * 切換到評論分頁
+     * @returns {Promise<Boolean>} - 是否成功開啟
+     */
+    async openReviewsTab() {
+        const clicked = await this.page.evaluate(() => {
+            const tabs = Array.from(document.querySelectorAll('button[role="tab"]'));
+            const reviewPattern = /review|評論|评论|クチコミ|리뷰|reseñ|avis|rezension|bewertung/i;
+            const tab = tabs.find(t => reviewPattern.test(t.getAttribute('aria-label') || t.textContent || ''));
+            if (!tab) return false;
+            tab.click();
+            return true;
+        });
+        if (!clicked) return false;
+
+        await this.page.waitForSelector('div[data-review-id]', { timeout: 10000 }).catch(() => null);
+        await new Promise(resolve => setTimeout(resolve, 1000));
+
+        return this.page.evaluate(() => !!document.querySelector('div[data-review-id]'));
+    }
+
+    /**
+     * 依指定方式排序評論
+     * @param {String} sort - mostRelevant、newest、highestRating 或 lowestRating
+     */
+    async sortReviews(sort) {
+        const menuIndex = SORT_MENU_INDEX[sort];
+        if (menuIndex === undefined) {
+            log.warning(`Unknown reviews sort "${sort}", keeping default order`);
+            return;
+        }
+
+        const opened = await this.page.evaluate(() => {
+            const sortPattern = /sort|排序|並べ替え|정렬|ordenar|trier|sortieren/i;
+            const button = document.querySelector('button[data-value="Sort"]') ||
+                Array.from(document.querySelectorAll('button[aria-label]'))
+                    .find(b => sortPattern.test(b.getAttribute('aria-label')));
+            if (!button) return false;
+            button.click();
+            return true;
+        });
+        if (!opened) {
+            log.debug('Reviews sort button not found');
+            return;
+        }
+
+        await this.page.waitForSelector('div[role="menuitemradio"]', { timeout: 5000 }).catch(() => null);
+        await this.page.evaluate((index) => {
+            const items = document.querySelectorAll('div[role="menuitemradio"]');
+            if (items[index]) items[index].click();
+        }, menuIndex);
+
+        await new Promise(resolve => setTimeout(resolve, 2000));
+    }
+
+    /**
+     * 滾動評論區塊直到載入足夠的評論
+     */
+    async loadReviews() {
+        let noChangeCount = 0;
+        let lastCount = 0;
+
+        for (let i = 0; i < this.config.maxScrolls; i++) {
+            const count = await this.page.evaluate(() => {
+                const reviews = document.querySelectorAll('div.jftiEf[data-review-id]');
+                const last = reviews[reviews.length - 1];
+
+                // 找出可滾動的評論區塊
+                let container = last ? last.parentElement : null;
+                while (container && container.scrollHeight <= container.clientHeight) {
+                    container = container.parentElement;
+                }
+                if (container) {
+                    container.scrollTop = container.scrollHeight;
+                }
+
+                return reviews.length;
+            });
+
+            if (count >= this.config.maxReviews) break;
+
+            if (count === lastCount) {
+                noChangeCount++;
+                if (noChangeCount >= 3) break;
+            } else {
+                noChangeCount = 0;
+            }
+            lastCount = count;
+
+            await new Promise(resolve => setTimeout(resolve, this.config.scrollDelay));
+        }
+    }
+
+    /**
+     * 展開被截斷的評論與店家回覆（「更多」按鈕）
+     */
+    async expandReviews() {
+        await this.page.evaluate(() => {
+            document.querySelectorAll('button.w8nwRe, button[jsaction*="review.expandReview"]')
+                .forEach(button => button.click());
+        });
+        await new Promise(resolve => setTimeout(resolve, 500));
+    }
+
+    /**
+     * 從頁面提取評論欄位
+     * @returns {Promise<Array>} - 原始評論資料
+     */
+    async extractReviews() {
+        return this.page.evaluate((maxReviews) => {
+            const containers = Array.from(document.querySelectorAll('div.jftiEf[data-review-id]'))
+                .slice(0, maxReviews);
+
+            return containers.map(container => {
+                const reply = container.querySelector('.CDe7pd');
+
+                // 評論本文（排除店家回覆中的文字）
+                const textElement = Array.from(container.querySelectorAll('.wiI7pd'))
+                    .find(el => !reply || !reply.contains(el));
+
+                // 評分：一般地點為星級圖示，飯店為「4/5」文字
+                const ratingElement = container.querySelector('span[role="img"][aria-label]');
+                const ratingText = ratingElement?.getAttribute('aria-label') ||
+                                   container.querySelector('.fzvQIb')?.textContent || '';
+                const rating = parseFloat(ratingText.replace(',', '.').match(/[\d.]+/)?.[0] || '0');
+
+                const authorLink = container.querySelector('button[data-href*="/contrib/"]') ||
+                                   container.querySelector('a[href*="/contrib/"]');
+
+                return {
+                    reviewId: container.getAttribute('data-review-id'),
+                    author: container.querySelector('.d4r55')?.textContent?.trim() || null,
+                    authorUrl: authorLink ? (authorLink.getAttribute('data-href') || authorLink.href) : null,
+                    rating: rating || null,
+                    date: (container.querySelector('.rsqaWe') || container.querySelector('.xRkPPb'))
+                        ?.textContent?.trim() || null,
+                    text: textElement?.textContent?.trim() || null,
+                    photoCount: container.querySelectorAll('button.Tya61d').length,
+                    ownerResponse: reply ? {
+                        text: reply.querySelector('.wiI7pd')?.textContent?.trim() || null,
+                        date: reply.querySelector('.DZSIDd')?.textContent?.trim() || null
+                    } : null
+                };
+            });
+        }, this.config.maxReviews);
+    }
+}
+
+module.exports = ReviewsExtractor;
@@ -0,0 +1,194 @@
+/**
+ * 跨查詢商家索引
+ * 以 placeId 記錄整個執行期間已寫入的商家，每個商家只寫入一次，
+ * 並記錄正在由某個查詢爬取詳細資訊的商家，其他查詢找到時暫存來源待合併
+ */
+
+const { Actor, log } = require('apify');
+
+// 合併時不逐欄比較的欄位（來源另外記錄在 queries 與 sourceUrls）
+const MERGE_SKIPPED_KEYS = ['placeId', 'query', 'sourceUrl', 'queries', 'sourceUrls', 'enrichment'];
+
+/**
+ * 判斷欄位是否沒有值（null、空字串、空陣列、空物件）
+ */
+function isEmptyValue(value) {
+    if (value === null || value === undefined || value === '') return true;
+    if (Array.isArray(value)) return value.length === 0;
+    if (typeof value === 'object') return Object.keys(value).length === 0;
+    return false;
+}
+
+/**
+ * 判斷商家資料是否已爬取詳細資訊
+ */
+function isDetailed(record) {
+    return Boolean(record.enrichment && record.enrichment.details);
+}
+
+/**
+ * 合併同一商家的兩個版本：以已爬取詳細資訊的版本為主，逐欄補上另一個版本中有值的欄位
+ * @param {Object} record - 新的版本
+ * @param {Object} other - 先前暫存的版本
+ * @returns {Object} - 合併後的商家資料（query、sourceUrl 沿用新的版本）
+ */
+function mergeRecords(record, other) {
+    const [primary, secondary] = isDetailed(other) && !isDetailed(record) ? [other, record] : [record, other];
+    const merged = { ...record };
+
+    for (const key of new Set([...Object.keys(record), ...Object.keys(other)])) {
+        if (MERGE_SKIPPED_KEYS.includes(key)) continue;
+        const value = isEmptyValue(primary[key]) && !isEmptyValue(secondary[key]) ? secondary[key] : primary[key];
+        if (value !== undefined) merged[key] = value;
+    }
+
+    // 任一版本執行過的補充步驟都算已執行
+    if (record.enrichment || other.enrichment) {
+        const flags = { ...(other.enrichment || {}) };
+        for (const [step, done] of Object.entries(record.enrichment || {})) {
+            flags[step] = Boolean(flags[step] || done);
+        }
+        merged.enrichment = flags;
+    }
+    return merged;
+}
+
+/**
+ * 跨查詢商家索引類別
+ */
+class PlaceIndex {
+    /**
+     * 建構函式
+     * @param {Object} config - 配置選項
+     */
+    constructor(config = {}) {
+        this.key = config.key || 'PLACE_INDEX';  // 鍵值存儲中的記錄名稱
+        this.seen = new Set();                    // 已寫入資料集的 placeId
+        this.pending = new Map();                 // 尚未寫入的商家 placeId -> { owner, queries, sourceUrls, record }
+        this.duplicateCount = 0;                  // 合併的重複次數
+    }
+
+    /**
+     * 從鍵值存儲載入先前的索引
+     * 先前執行的保留一律視為已釋放，由重新執行的工作再次保留
+     */
+    async load() {
+        const saved = await Actor.getValue(this.key);
+        if (!saved) return false;
+
+        this.seen = new Set(saved.seen || []);
+        this.pending = new Map(Object.entries(saved.pending || {})
+            .map(([placeId, entry]) => [placeId, { ...entry, owner: null }]));
+        this.duplicateCount = saved.duplicateCount || 0;
+        log.info(`Loaded place index with ${this.seen.size} businesses`);
+        return true;
+    }
+
+    /**
+     * 將索引寫入鍵值存儲（只保存 placeId 與尚未寫入的商家）
+     */
+    async persist() {
+        await Actor.setValue(this.key, {
+            seen: Array.from(this.seen),
+            pending: Object.fromEntries(Array.from(this.pending, ([placeId, { owner, ...entry }]) => [placeId, entry])),
+            duplicateCount: this.duplicateCount
+        });
+    }
+
+    /**
+     * 檢查商家是否已寫入或正由其他查詢爬取
+     */
+    has(placeId) {
+        return this.seen.has(placeId) || Boolean(this.pending.get(placeId)?.owner);
+    }
+
+    /**
+     * 為商家保留詳細資訊爬取
+     * @param {String} placeId - 商家 placeId
+     * @param {String} owner - 保留的工作
+     * @returns {Boolean} - 第一次出現時回傳 true，已寫入或已被其他查詢保留時回傳 false
+     */
+    claim(placeId, owner) {
+        if (!placeId || this.has(placeId)) return false;
+
+        const entry = this.pending.get(placeId) || { queries: [], sourceUrls: [], record: null };
+        this.pending.set(placeId, { ...entry, owner });
+        return true;
+    }
+
+    /**
+     * 釋放工作尚未寫入的保留（工作失敗或中斷時），讓其他查詢可以爬取
+     * 其他查詢找到的列表資料仍保留，待下次找到時合併或於執行結束時寫入
+     * @param {String} owner - 保留的工作
+     */
+    release(owner) {
+        for (const [placeId, entry] of this.pending) {
+            if (entry.owner !== owner) continue;
+            if (entry.record) {
+                entry.owner = null;
+            } else {
+                this.pending.delete(placeId);
+            }
+        }
+    }
+
+    /**
+     * 加入商家：第一次出現時回傳要寫入的資料，重複或正由其他查詢爬取時回傳 null
+     * @param {Object} record - 商家資料（包含 query 與 sourceUrl）
+     * @param {String} owner - 找到商家的工作
+     * @returns {Object|null} - 要寫入資料集的商家資料（含 queries 與 sourceUrls）
+     */
+    add(record, owner) {
+        const { placeId, query, sourceUrl } = record;
+        if (this.seen.has(placeId)) {
+            this.duplicateCount++;
+            return null;
+        }
+
+        const entry = this.pending.get(placeId) || { owner: null, queries: [], sourceUrls: [], record: null };
+        if (query && !entry.queries.includes(query)) entry.queries.push(query);
+        if (sourceUrl && !entry.sourceUrls.includes(sourceUrl)) entry.sourceUrls.push(sourceUrl);
+
+        // 其他查詢正在爬取詳細資訊：暫存來源與列表資料，待其寫入時合併
+        if (entry.owner && entry.owner !== owner) {
+            entry.record = entry.record ? mergeRecords(entry.record, record) : record;
+            this.pending.set(placeId, entry);
+            this.duplicateCount++;
+            return null;
+        }
+
+        this.pending.delete(placeId);
+        this.seen.add(placeId);
+        return {
+            ...(entry.record ? mergeRecords(record, entry.record) : record),
+            queries: entry.queries,
+            sourceUrls: entry.sourceUrls
+        };
+    }
+
+    /**
+     * 取出保留已釋放、未再被找到的商家（執行結束時寫入，避免遺失）
+     * @returns {Array<Object>} - 要寫入資料集的商家資料
+     */
+    takeUnclaimed() {
+        const records = [];
+        for (const [placeId, entry] of this.pending) {
+            if (entry.owner || !entry.record) continue;
+
+            this.pending.delete(placeId);
+            this.seen.add(placeId);
+            this.duplicateCount--;
+            records.push({ ...entry.record, queries: entry.queries, sourceUrls: entry.sourceUrls });
+        }
+        return records;
+    }
+
+    /**
+     * 已寫入的商家數量
+     */
+    get size() {
+        return this.seen.size;
+    }
+}
+
+module.exports = PlaceIndex;
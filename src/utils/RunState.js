@@ -0,0 +1,160 @@
+/**
+ * 執行進度狀態
+ * 將已完成的查詢、進行中查詢的位置與統計資訊保存到鍵值存儲，
+ * 讓 Actor 在遷移或重新啟動後能從中斷處繼續
+ */
+
+const { Actor, log } = require('apify');
+
+/**
+ * 執行進度狀態類別
+ */
+class RunState {
+    /**
+     * 建構函式
+     * @param {Object} config - 配置選項
+     */
+    constructor(config = {}) {
+        this.key = config.key || 'RUN_STATE';  // 鍵值存儲中的記錄名稱
+        this.state = {
+            completedTasks: [],   // 已完成的工作
+            tasks: {},            // 進行中工作的位置 { scrollAttempts, loadedCount, detailIndex, pushedPlaceIds }
+            failedTasks: [],      // 曾經失敗、尚未成功的工作（每個工作只記錄一次失敗）
+            stats: null           // 統計資訊
+        };
+        this.completed = new Set();
+    }
+
+    /**
+     * 從鍵值存儲載入先前的進度
+     * @returns {Promise<Boolean>} - 是否找到先前的進度
+     */
+    async load() {
+        const saved = await Actor.getValue(this.key);
+        if (!saved) return false;
+
+        this.state = {
+            completedTasks: saved.completedTasks || [],
+            tasks: saved.tasks || {},
+            failedTasks: saved.failedTasks || [],
+            stats: saved.stats || null
+        };
+        this.completed = new Set(this.state.completedTasks);
+
+        log.info(`Resuming run: ${this.completed.size} tasks completed, ${Object.keys(this.state.tasks).length} in progress`);
+        return true;
+    }
+
+    /**
+     * 將目前進度寫入鍵值存儲
+     */
+    async persist() {
+        this.state.completedTasks = Array.from(this.completed);
+        await Actor.setValue(this.key, this.state);
+        log.debug(`Run state persisted (${this.completed.size} tasks completed)`);
+    }
+
+    /**
+     * 檢查工作是否已完成
+     */
+    isTaskCompleted(taskKey) {
+        return this.completed.has(taskKey);
+    }
+
+    /**
+     * 檢查工作是否已開始過（完成或進行中）
+     */
+    hasTask(taskKey) {
+        return this.completed.has(taskKey) || !!this.state.tasks[taskKey];
+    }
+
+    /**
+     * 取得進行中工作的位置
+     * @returns {Object} - { scrollAttempts, loadedCount, detailIndex, pushedPlaceIds }
+     */
+    getTaskProgress(taskKey) {
+        if (!this.state.tasks[taskKey]) {
+            this.state.tasks[taskKey] = {
+                scrollAttempts: 0,
+                loadedCount: 0,
+                detailIndex: 0,
+                pushedPlaceIds: []
+            };
+        }
+        return this.state.tasks[taskKey];
+    }
+
+    /**
+     * 更新進行中工作的位置
+     */
+    updateTaskProgress(taskKey, progress) {
+        Object.assign(this.getTaskProgress(taskKey), progress);
+    }
+
+    /**
+     * 記錄已推送到資料集的商家
+     */
+    markPushed(taskKey, placeIds) {
+        const progress = this.getTaskProgress(taskKey);
+        progress.pushedPlaceIds.push(...placeIds);
+    }
+
+    /**
+     * 標記工作完成並清除其位置資訊
+     */
+    completeTask(taskKey) {
+        this.completed.add(taskKey);
+        delete this.state.tasks[taskKey];
+    }
+
+    /**
+     * 結束工作：成功時標記完成，失敗或中斷時保留位置資訊，讓下次執行重試
+     * @param {String} taskKey - 工作鍵值
+     * @param {Boolean} succeeded - 工作是否成功完成
+     * @returns {Boolean} - 是否標記為完成
+     */
+    finishTask(taskKey, succeeded) {
+        if (!succeeded) return false;
+        this.completeTask(taskKey);
+        return true;
+    }
+
+    /**
+     * 記錄工作失敗
+     * @param {String} taskKey - 工作鍵值
+     * @returns {Boolean} - 第一次失敗時回傳 true（重試再次失敗時回傳 false，不重複計算）
+     */
+    recordFailure(taskKey) {
+        if (this.state.failedTasks.includes(taskKey)) return false;
+        this.state.failedTasks.push(taskKey);
+        return true;
+    }
+
+    /**
+     * 清除工作的失敗記錄（重試成功時）
+     * @param {String} taskKey - 工作鍵值
+     * @returns {Boolean} - 先前是否記錄為失敗
+     */
+    clearFailure(taskKey) {
+        const index = this.state.failedTasks.indexOf(taskKey);
+        if (index === -1) return false;
+        this.state.failedTasks.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * 取得保存的統計資訊
+     */
+    getStats() {
+        return this.state.stats;
+    }
+
+    /**
+     * 設定要保存的統計資訊
+     */
+    setStats(stats) {
+        this.state.stats = stats;
+    }
+}
+
+module.exports = RunState;
@@ -0,0 +1,124 @@
+/**
+ * 地點動作連結工具
+ * 將「菜單」、「訂位」、「線上訂購」與訂房按鈕整理成 { type, provider, url }
+ */
+
+const { ACTION_LINK_TYPES } = require('./localeData');
+const { unwrapGoogleRedirect } = require('./dataCleaners');
+
+// 常見的第三方服務網域與名稱
+const KNOWN_PROVIDERS = {
+    'opentable.com': 'OpenTable',
+    'resy.com': 'Resy',
+    'thefork.com': 'TheFork',
+    'tablecheck.com': 'TableCheck',
+    'inline.app': 'inline',
+    'eztable.com': 'EZTABLE',
+    'ubereats.com': 'Uber Eats',
+    'doordash.com': 'DoorDash',
+    'grubhub.com': 'Grubhub',
+    'foodpanda.com.tw': 'foodpanda',
+    'deliveroo.com': 'Deliveroo',
+    'booking.com': 'Booking.com',
+    'expedia.com': 'Expedia',
+    'hotels.com': 'Hotels.com',
+    'agoda.com': 'Agoda',
+    'trip.com': 'Trip.com',
+    'tripadvisor.com': 'Tripadvisor'
+};
+
+// 訂房服務網域
+const HOTEL_PROVIDERS = ['booking.com', 'expedia.com', 'hotels.com', 'agoda.com', 'trip.com'];
+
+/**
+ * 移除追蹤參數（utm_*、gclid 等），保留服務需要的參數
+ * @param {String} url - 網址
+ * @returns {String}
+ */
+function stripTrackingParams(url) {
+    try {
+        const parsed = new URL(url);
+        for (const key of Array.from(parsed.searchParams.keys())) {
+            if (/^utm_|^gclid$|^fbclid$|^gbraid$|^wbraid$/i.test(key)) {
+                parsed.searchParams.delete(key);
+            }
+        }
+        return parsed.href;
+    } catch (error) {
+        return url;
+    }
+}
+
+/**
+ * 取得網址所屬的服務名稱
+ * @param {String} url - 服務網址
+ * @returns {String|null} - 已知服務的名稱，否則為網域
+ */
+function detectProvider(url) {
+    let hostname;
+    try {
+        hostname = new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch (error) {
+        return null;
+    }
+
+    const domain = Object.keys(KNOWN_PROVIDERS).find(known => hostname === known || hostname.endsWith(`.${known}`));
+    return domain ? KNOWN_PROVIDERS[domain] : hostname;
+}
+
+/**
+ * 整理單一動作連結
+ * @param {Object} link - { label, itemId, url }
+ * @returns {Object|null} - { type, provider, url }，無法辨識時回傳 null
+ */
+function classifyActionLink(link) {
+    if (!link || !link.url) return null;
+
+    const url = stripTrackingParams(unwrapGoogleRedirect(link.url));
+    if (!/^https?:\/\//.test(url)) return null;
+
+    let hostname = '';
+    try {
+        hostname = new URL(url).hostname.toLowerCase();
+    } catch (error) {
+        return null;
+    }
+    // 仍指向 Google 本身的連結不是第三方服務
+    if (/(^|\.)google\.[a-z.]+$/.test(hostname)) return null;
+
+    const text = `${link.itemId || ''} ${link.label || ''}`;
+    let type = (ACTION_LINK_TYPES.find(({ pattern }) => pattern.test(text)) || {}).type || null;
+    if (HOTEL_PROVIDERS.some(domain => hostname === domain || hostname.endsWith(`.${domain}`))) {
+        type = 'booking';
+    }
+    if (!type) return null;
+
+    return { type, provider: detectProvider(url), url };
+}
+
+/**
+ * 整理地點頁面上的所有動作連結並去除重複
+ * @param {Array} links - [{ label, itemId, url }]
+ * @returns {Array} - [{ type, provider, url }]
+ */
+function parseActionLinks(links) {
+    const seen = new Set();
+    const results = [];
+
+    for (const link of links || []) {
+        const actionLink = classifyActionLink(link);
+        if (actionLink && !seen.has(actionLink.url)) {
+            seen.add(actionLink.url);
+            results.push(actionLink);
+        }
+    }
+
+    return results;
+}
+
+module.exports = {
+    stripTrackingParams,
+    detectProvider,
+    classifyActionLink,
+    parseActionLinks
+};
@@ -0,0 +1,316 @@
+/**
+ * 地址解析工具
+ * 將 Google Maps 顯示的地址字串拆成街道、行政區、城市、州／省、郵遞區號、國家與 Plus Code
+ * 支援台灣（區／路／號）、日本（〒、丁目）、韓國（도로명）、美國與西歐的地址格式
+ */
+
+const { COUNTRY_NAMES } = require('./localeData');
+
+// Plus Code（「7QQ32HJ7+8Q」或「2HJ7+8Q 台北市信義區」）
+const PLUS_CODE_PATTERN = /(?:^|\s)([23456789CFGHJMPQRVWX]{4,8}\+[23456789CFGHJMPQRVWX]{0,3})(?=\s|,|$)/i;
+
+// 台灣的直轄市、縣市名稱，用來區分台灣與中國大陸的中文地址
+const TAIWAN_CITIES = /^(台北|臺北|新北|桃園|台中|臺中|台南|臺南|高雄|基隆|新竹|苗栗|彰化|南投|雲林|嘉義|屏東|宜蘭|花蓮|台東|臺東|澎湖|金門|連江)/;
+
+// 逗號分隔地址中行政區、城市與州／省的字尾
+const DISTRICT_SUFFIX = /(\bdistrict|\bdist\.|\btownship|\bward|-gu|-gun|\barrondissement)$/i;
+const CITY_SUFFIX = /(\bcity|\bcounty|-si)$/i;
+const REGION_SUFFIX = /(\bprefecture|\bprovince|-do)$/i;
+
+// 解析結果各欄位的權重，用於計算可信度
+const COMPONENT_WEIGHTS = {
+    streetAddress: 0.35,
+    city: 0.25,
+    postalCode: 0.15,
+    countryCode: 0.15,
+    district: 0.05,
+    region: 0.05
+};
+
+/**
+ * 依國家名稱找出國家代碼
+ * @param {String} text - 地址片段
+ * @returns {String|null} - ISO 3166-1 國家代碼
+ */
+function lookupCountry(text) {
+    if (!text) return null;
+    const lower = String(text).toLowerCase().replace(/[.,]/g, '').trim();
+    const match = Object.entries(COUNTRY_NAMES).find(([, names]) => names.includes(lower));
+    return match ? match[0] : null;
+}
+
+/**
+ * 計算解析結果的可信度（0-1）
+ * 國家只由地址格式推測時權重減半
+ */
+function scoreComponents(components, countryExplicit) {
+    let score = 0;
+    for (const [field, weight] of Object.entries(COMPONENT_WEIGHTS)) {
+        if (!components[field]) continue;
+        score += field === 'countryCode' && !countryExplicit ? weight / 2 : weight;
+    }
+    return Math.round(Math.min(score, 1) * 100) / 100;
+}
+
+/**
+ * 解析台灣中文地址（「110台北市信義區信義路五段7號」、「彰化縣鹿港鎮中山路1號」）
+ */
+function parseTaiwanAddress(text) {
+    const match = text.match(/^(\d{3}(?:\d{2,3})?)?\s*(.{2,3}?[市縣])(.{1,4}?[區鄉鎮市])?\s*(.+)$/);
+    if (!match) return null;
+
+    const [, postalCode, first, second, street] = match;
+    // 直轄市與市：市 + 區；縣：縣 + 鄉鎮市
+    const isCounty = first.endsWith('縣');
+    return {
+        streetAddress: street.trim(),
+        district: isCounty ? null : (second || null),
+        city: isCounty ? (second || null) : first,
+        region: isCounty ? first : null,
+        postalCode: postalCode || null,
+        countryCode: 'TW'
+    };
+}
+
+/**
+ * 解析中國大陸中文地址（「广东省深圳市南山区科技园路1号」）
+ */
+function parseChinaAddress(text) {
+    const match = text.match(/^(.{2,8}?(?:省|自治区))?(.{2,8}?市)(.{1,6}?[区县市])?\s*(.+)$/);
+    if (!match) return null;
+
+    const [, region, city, district, street] = match;
+    return {
+        streetAddress: street.trim(),
+        district: district || null,
+        city,
+        region: region || null,
+        postalCode: null,
+        countryCode: 'CN'
+    };
+}
+
+/**
+ * 解析日本地址（「〒100-0005 東京都千代田区丸の内1丁目9-1」、「神奈川県横浜市中区山下町10」）
+ */
+function parseJapanAddress(text) {
+    const postalMatch = text.match(/〒?\s*(\d{3})-?(\d{4})/);
+    const rest = text.replace(/〒?\s*\d{3}-?\d{4}/, '').trim();
+
+    const match = rest.match(/^(東京都|北海道|(?:京都|大阪)府|.{2,3}?県)?((?:.{1,4}?郡)?.{1,5}?[市区町村])?((?<=市).{1,4}?区)?\s*(.*)$/);
+    if (!match) return null;
+
+    const [, region, city, district, street] = match;
+    if (!region && !city) return null;
+
+    return {
+        streetAddress: street.trim() || null,
+        district: district || null,
+        city: city || null,
+        region: region || null,
+        postalCode: postalMatch ? `${postalMatch[1]}-${postalMatch[2]}` : null,
+        countryCode: 'JP'
+    };
+}
+
+/**
+ * 解析韓國道路名地址（「서울특별시 중구 세종대로 110」、「경기도 성남시 분당구 판교역로 166」）
+ */
+function parseKoreaAddress(text) {
+    const postalMatch = text.match(/(?:^|\s)(\d{5})(?=\s|$)/);
+    const tokens = text.replace(/(?:^|\s)\d{5}(?=\s|$)/, ' ').trim().split(/\s+/);
+
+    const components = {
+        streetAddress: null,
+        district: null,
+        city: null,
+        region: null,
+        postalCode: postalMatch ? postalMatch[1] : null,
+        countryCode: 'KR'
+    };
+
+    let index = 0;
+    if (tokens[index] && /(특별시|광역시|특별자치시|특별자치도|도)$/.test(tokens[index])) {
+        components.region = tokens[index++];
+        // 特別市、廣域市本身即為城市
+        if (/(특별시|광역시|특별자치시)$/.test(components.region)) {
+            components.city = components.region;
+        }
+    }
+    if (tokens[index] && /시$/.test(tokens[index]) && !/(로|길)$/.test(tokens[index])) {
+        components.city = tokens[index++];
+    }
+    if (tokens[index] && /[구군]$/.test(tokens[index])) {
+        components.district = tokens[index++];
+    }
+
+    // 읍／면／동 與道路名以後為街道地址
+    components.streetAddress = tokens.slice(index).join(' ') || null;
+
+    if (!components.region && !components.city && !components.district) return null;
+    return components;
+}
+
+/**
+ * 解析逗號分隔的地址（美國、歐洲，以及英文介面下的亞洲地址）
+ * 「1600 Amphitheatre Pkwy, Mountain View, CA 94043」、「Unter den Linden 77, 10117 Berlin」、
+ * 「No. 7, Section 5, Xinyi Rd, Xinyi District, Taipei City 110」、「1 Chome-9-1 Marunouchi, Chiyoda City, Tokyo 100-0005」
+ */
+function parseCommaAddress(text, countryCode) {
+    const components = {
+        streetAddress: null,
+        district: null,
+        city: null,
+        region: null,
+        postalCode: null,
+        countryCode
+    };
+
+    const parts = text.split(/\s*[,，、]\s*/).filter(Boolean);
+    const classified = new Array(parts.length).fill(false);
+
+    parts.forEach((part, i) => {
+        let match;
+        // 美國、加拿大：「CA 94043」、「ON M5V 2T6」，城市為前一段
+        if ((match = part.match(/^([A-Z]{2})\s+(\d{5}(?:-\d{4})?|[A-Z]\d[A-Z]\s?\d[A-Z]\d)$/))) {
+            components.region = match[1];
+            components.postalCode = match[2];
+            components.countryCode = components.countryCode || (/^\d/.test(match[2]) ? 'US' : 'CA');
+            classified[i] = true;
+            if (i > 0 && !classified[i - 1]) {
+                components.city = parts[i - 1];
+                classified[i - 1] = true;
+            }
+        // 英國：「London SW1A 2AA」
+        } else if ((match = part.match(/^(.+?)\s+([A-Z]{1,2}\d[A-Z\d]?\s\d[A-Z]{2})$/))) {
+            components.city = match[1];
+            components.postalCode = match[2];
+            components.countryCode = components.countryCode || 'GB';
+            classified[i] = true;
+        // 日本（英文）：「Tokyo 100-0005」
+        } else if ((match = part.match(/^(.+?)\s+(\d{3}-\d{4})$/))) {
+            components.region = match[1];
+            components.postalCode = match[2];
+            components.countryCode = components.countryCode || 'JP';
+            classified[i] = true;
+        // 歐洲：郵遞區號在城市前（「10117 Berlin」、「1012 LG Amsterdam」、「1100-148 Lisboa」、「00184 Roma RM」）
+        } else if (i > 0 && (match = part.match(/^(\d{4}\s?[A-Z]{2}|\d{4}-\d{3}|\d{4,5})\s+(\D.*?)(?:\s+([A-Z]{2}))?$/))) {
+            components.postalCode = match[1];
+            components.city = match[2];
+            components.region = match[3] || components.region;
+            classified[i] = true;
+        // 郵遞區號在城市後（「Taipei City 110」、「Seoul 04524」）
+        } else if ((match = part.match(/^(\D+?)\s+(\d{3,6})$/)) && i > 0) {
+            components.city = match[1];
+            components.postalCode = match[2];
+            classified[i] = true;
+        } else if (DISTRICT_SUFFIX.test(part) && !components.district) {
+            components.district = part;
+            classified[i] = true;
+        } else if (REGION_SUFFIX.test(part) && !components.region) {
+            components.region = part;
+            classified[i] = true;
+        } else if (CITY_SUFFIX.test(part)) {
+            // 「Taipei City, Taiwan」中最後出現的為上層（縣市），其前的 City 視為城市
+            if (components.city) {
+                components.region = components.region || components.city;
+            }
+            components.city = part;
+            classified[i] = true;
+        }
+    });
+
+    // 「110 Sejong-daero, Jung-gu, Seoul」：行政區之後沒有分類的片段為城市
+    const unclassified = parts.map((part, i) => ({ part, i })).filter(({ i }) => !classified[i]);
+    if (!components.city && unclassified.length >= 2) {
+        const last = unclassified.pop();
+        components.city = last.part;
+    }
+
+    components.streetAddress = unclassified.map(({ part }) => part).join(', ') || null;
+    return components;
+}
+
+/**
+ * 解析地址字串
+ * @param {String} address - 地址
+ * @param {Object} options - { plusCode: 頁面上的 Plus Code, countryCode: 無法由地址判斷時使用的國家代碼 }
+ * @returns {Object|null} - { streetAddress, district, city, region, postalCode, countryCode, plusCode, confidence }
+ */
+function parseAddress(address, options = {}) {
+    if (!address || typeof address !== 'string') return null;
+
+    let text = address.replace(/\s+/g, ' ').trim();
+
+    // Plus Code 可能出現在地址開頭（沒有門牌的地點）
+    const plusCodeMatch = text.match(PLUS_CODE_PATTERN);
+    const plusCode = options.plusCode || (plusCodeMatch ? plusCodeMatch[1].toUpperCase() : null);
+    if (plusCodeMatch) {
+        text = text.replace(plusCodeMatch[1], '').replace(/^[\s,]+|[\s,]+$/g, '');
+    }
+
+    // 國家名稱可能在開頭（日本、韓國、中文）或結尾（英文），英文介面的台灣地址可能為「110 Taiwan」
+    let countryCode = null;
+    let countryPostal = null;
+    const parts = text.split(/\s*[,，、]\s*/);
+    for (const index of [parts.length - 1, 0]) {
+        const candidate = parts[index] || '';
+        const withoutPostal = candidate.replace(/^\d{3,6}\s+|\s+\d{3,6}$/g, '');
+        const code = lookupCountry(withoutPostal);
+        if (code && parts.length > 1) {
+            countryCode = code;
+            // 保留國家名稱旁的郵遞區號
+            if (withoutPostal !== candidate) {
+                countryPostal = candidate.match(/\d{3,6}/)[0];
+            }
+            parts[index] = '';
+            text = parts.filter(Boolean).join(', ');
+            break;
+        }
+    }
+
+    // 沒有逗號的中日韓地址，國家名稱直接接在前面（「日本、〒100-0005」已在上面處理）
+    // 郵遞區號可能在國家名稱之前（「110台灣台北市信義區信義路五段7號」）
+    if (!countryCode) {
+        const leadingPostal = text.match(/^(\d{3,6})\s*(?=[^\d\s-])/);
+        const rest = leadingPostal ? text.slice(leadingPostal[0].length) : text;
+        const prefix = Object.entries(COUNTRY_NAMES)
+            .flatMap(([code, names]) => names.map(name => ({ code, name })))
+            .find(({ name }) => /[^\x00-\x7F]/.test(name) && rest.startsWith(name));
+        if (prefix) {
+            countryCode = prefix.code;
+            countryPostal = leadingPostal ? leadingPostal[1] : null;
+            text = rest.slice(prefix.name.length).trim();
+        }
+    }
+    const countryExplicit = !!countryCode;
+
+    let components = null;
+    if (/[\u3040-\u30FF]|〒|丁目|[都道府県]\S*[市区町村]/.test(text) && (!countryCode || countryCode === 'JP') && !/[,]/.test(text)) {
+        components = parseJapanAddress(text);
+    } else if (/[\uAC00-\uD7AF]/.test(text) && !/[,]/.test(text)) {
+        components = parseKoreaAddress(text);
+    } else if (/[\u4E00-\u9FFF]/.test(text) && !/[,]/.test(text)) {
+        const withoutPostal = text.replace(/^\d{3,6}\s*/, '');
+        components = (countryCode === 'TW' || (!countryCode && TAIWAN_CITIES.test(withoutPostal)))
+            ? parseTaiwanAddress(text)
+            : parseChinaAddress(text);
+    }
+
+    if (!components) {
+        components = parseCommaAddress(text, countryCode || options.countryCode || null);
+    }
+
+    if (countryCode) components.countryCode = countryCode;
+    if (!components.postalCode && countryPostal) components.postalCode = countryPostal;
+    if (!components.countryCode && options.countryCode) components.countryCode = options.countryCode;
+
+    components.plusCode = plusCode;
+    components.confidence = scoreComponents(components, countryExplicit);
+    return components;
+}
+
+module.exports = {
+    lookupCountry,
+    parseAddress
+};
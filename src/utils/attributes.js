@@ -0,0 +1,88 @@
+/**
+ * 「簡介」分頁屬性解析工具
+ * 將在地化的區段與屬性名稱轉換成與語言無關的鍵，並判斷每個屬性是否提供
+ */
+
+const { ABOUT_SECTIONS, ABOUT_ATTRIBUTES, NEGATION_PATTERNS } = require('./localeData');
+
+/**
+ * 正規化比對用的文字（小寫、移除多餘空白與結尾標點）
+ */
+function normalizeLabel(text) {
+    return (text || '')
+        .toLowerCase()
+        .replace(/[\u00A0\u202F]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .replace(/[\s.:：。]+$/, '')
+        .trim();
+}
+
+/**
+ * 將文字轉換成 camelCase 鍵，非拉丁字母的文字保持原樣
+ * @param {String} text - 原始文字
+ * @returns {String} - 鍵
+ */
+function toCamelKey(text) {
+    const label = normalizeLabel(text);
+    const words = label.normalize('NFD').replace(/[\u0300-\u036F]/g, '').match(/[a-z0-9]+/g);
+    if (!words || words.join('').length < label.replace(/[^\p{L}\p{N}]/gu, '').length) {
+        return label;
+    }
+    return words.map((word, i) => i === 0 ? word : word[0].toUpperCase() + word.slice(1)).join('');
+}
+
+/**
+ * 在對照表中尋找文字對應的鍵
+ * @param {String} text - 在地化文字
+ * @param {Object} dictionary - 鍵 -> 各語言文字
+ * @returns {String} - 對照表中的鍵，找不到時由文字產生
+ */
+function lookupKey(text, dictionary) {
+    const label = normalizeLabel(text);
+    for (const [key, names] of Object.entries(dictionary)) {
+        if (names.includes(label)) return key;
+    }
+    return toCamelKey(text);
+}
+
+/**
+ * 判斷屬性描述是否表示「不提供」
+ * @param {String} description - 屬性的 aria-label（例如「No dine-in」、「不提供內用」）
+ * @returns {Boolean}
+ */
+function isNegativeAttribute(description) {
+    const text = normalizeLabel(description);
+    return NEGATION_PATTERNS.some(pattern => pattern.test(text));
+}
+
+/**
+ * 解析「簡介」分頁的屬性
+ * @param {Array} sections - [{ title, items: [{ text, description }] }]
+ * @returns {Object|null} - { serviceOptions: { delivery: true, ... }, ... }，沒有屬性時回傳 null
+ */
+function parseAttributes(sections) {
+    if (!Array.isArray(sections)) return null;
+
+    const attributes = {};
+    for (const section of sections) {
+        if (!section || !section.title || !Array.isArray(section.items)) continue;
+
+        const sectionKey = lookupKey(section.title, ABOUT_SECTIONS);
+        for (const item of section.items) {
+            const label = item.text || item.description;
+            if (!label) continue;
+
+            attributes[sectionKey] = attributes[sectionKey] || {};
+            attributes[sectionKey][lookupKey(label, ABOUT_ATTRIBUTES)] = !isNegativeAttribute(item.description || '');
+        }
+    }
+
+    return Object.keys(attributes).length > 0 ? attributes : null;
+}
+
+module.exports = {
+    toCamelKey,
+    lookupKey,
+    isNegativeAttribute,
+    parseAttributes
+};
@@ -0,0 +1,97 @@
+/**
+ * 聯絡頁面連結工具
+ * 從網站頁面的連結中挑選同網域、可能列出聯絡方式的頁面（聯絡我們、關於我們、Impressum 等）
+ */
+
+const { CONTACT_PAGE_PATTERNS } = require('./localeData');
+
+// 不是網頁的檔案
+const FILE_EXTENSIONS = /\.(pdf|jpe?g|png|gif|webp|svg|zip|rar|docx?|xlsx?|pptx?|mp4|mp3)$/i;
+
+/**
+ * 取得網站主機名稱（忽略 www.）
+ * @param {String} url - 網址
+ * @returns {String|null}
+ */
+function siteHost(url) {
+    try {
+        return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * 正規化頁面網址以判斷是否已造訪（忽略 www.，移除 # 片段與結尾斜線）
+ * @param {String} url - 網址
+ * @returns {String}
+ */
+function normalizePageUrl(url) {
+    try {
+        const parsed = new URL(url);
+        parsed.hash = '';
+        parsed.hostname = parsed.hostname.replace(/^www\./, '');
+        return parsed.href.replace(/\/$/, '');
+    } catch (error) {
+        return url;
+    }
+}
+
+/**
+ * 判斷連結是否可能為聯絡頁面
+ * @param {String} href - 連結網址
+ * @param {String} text - 連結文字
+ * @returns {Number} - 優先順序（數字越小越優先），不是聯絡頁面時回傳 -1
+ */
+function contactLinkPriority(href, text) {
+    let path = '';
+    try {
+        path = decodeURIComponent(new URL(href).pathname);
+    } catch (error) {
+        return -1;
+    }
+    return CONTACT_PAGE_PATTERNS.findIndex(pattern => pattern.test(text || '') || pattern.test(path));
+}
+
+/**
+ * 挑選要繼續爬取的聯絡頁面
+ * @param {Array} links - [{ href, text }]
+ * @param {String} baseUrl - 網站首頁（用於判斷同網域）
+ * @param {Set} visited - 已造訪或已排入的網址（normalizePageUrl 的結果）
+ * @returns {Array<String>} - 依優先順序排列的網址
+ */
+function selectContactLinks(links, baseUrl, visited = new Set()) {
+    const host = siteHost(baseUrl);
+    if (!host || !Array.isArray(links)) return [];
+
+    const candidates = new Map();
+    for (const { href, text } of links) {
+        if (!href || !/^https?:/i.test(href)) continue;
+        if (siteHost(href) !== host) continue;
+
+        const key = normalizePageUrl(href);
+        if (visited.has(key) || candidates.has(key)) continue;
+
+        try {
+            if (FILE_EXTENSIONS.test(new URL(href).pathname)) continue;
+        } catch (error) {
+            continue;
+        }
+
+        const priority = contactLinkPriority(href, text);
+        if (priority >= 0) {
+            candidates.set(key, { url: href, priority });
+        }
+    }
+
+    return Array.from(candidates.values())
+        .sort((a, b) => a.priority - b.priority)
+        .map(candidate => candidate.url);
+}
+
+module.exports = {
+    siteHost,
+    normalizePageUrl,
+    contactLinkPriority,
+    selectContactLinks
+};
@@ -3,6 +3,16 @@
  * 提供各種資料處理和標準化函式
  */
 
+const {
+    RELATIVE_TIME_UNITS,
+    LANGUAGE_STOPWORDS,
+    WEEKDAYS,
+    WEEKDAY_NAMES,
+    BUSINESS_STATUS_PHRASES
+} = require('./localeData');
+const { parseDayHours } = require('./openingHours');
+const { formatInternationalPhone } = require('./phone');
+
 /**
  * 清理文字中的 Unicode 特殊字元
  * @param {String} text - 輸入文字
@@ -167,32 +177,24 @@ function cleanBusinessName(name) {
 
 /**
  * 清理電話號碼
+ * 有效的號碼轉換成國際格式（「+886 2 2345 6789」），本地格式依 countryCode 判斷國家
+ * @param {String} phone - 電話號碼
+ * @param {String} countryCode - 本地格式號碼所屬的國家（預設台灣）
  */
-function cleanPhoneNumber(phone) {
+function cleanPhoneNumber(phone, countryCode = 'TW') {
     if (!phone) return '';
     
     // 移除價格範圍格式
     if (phone.match(/^\d{2,3}-\d{2,3}$/)) return '';
     
     // 移除非數字字符（保留 + 和空格）
-    let cleaned = phone.replace(/[^\d+\s\-()]/g, '').trim();
+    const cleaned = phone.replace(/[^\d+\s\-()]/g, '').trim();
     
     // 如果不包含數字，返回空
     if (!cleaned.match(/\d/)) return '';
     
-    // 台灣電話格式轉換
-    if (cleaned.match(/^0\d{1,2}[\s\-]?\d{3,4}[\s\-]?\d{3,4}$/)) {
-        cleaned = cleaned.replace(/^0/, '+886 ');
-        cleaned = cleaned.replace(/[\s\-]+/g, ' ');
-    }
-    
-    // 台灣手機格式
-    if (cleaned.match(/^09\d{2}[\s\-]?\d{3}[\s\-]?\d{3}$/)) {
-        cleaned = cleaned.replace(/^0/, '+886 ');
-        cleaned = cleaned.replace(/[\s\-]+/g, ' ');
-    }
-    
-    return cleaned;
+    // 無法辨識的號碼保留原本的格式
+    return formatInternationalPhone(cleaned, countryCode) || cleaned;
 }
 
 /**
@@ -208,13 +210,41 @@ function cleanAddress(address) {
     return address.trim().replace(/\s+/g, '');
 }
 
+/**
+ * 解開 Google 轉址網址（/url?q=、/aclk?adurl=），取得最終的目標網址
+ * @param {String} url - 網址
+ * @returns {String} - 目標網址，不是轉址時原樣回傳
+ */
+function unwrapGoogleRedirect(url) {
+    if (!url) return url;
+
+    let current = url.trim();
+    // 轉址可能有多層
+    for (let i = 0; i < 3; i++) {
+        let parsed;
+        try {
+            parsed = new URL(current, 'https://www.google.com');
+        } catch (error) {
+            return current;
+        }
+
+        if (!/(^|\.)google\.[a-z.]+$/.test(parsed.hostname)) return current;
+
+        const target = parsed.pathname === '/url' ? (parsed.searchParams.get('q') || parsed.searchParams.get('url')) :
+                       parsed.pathname === '/aclk' ? parsed.searchParams.get('adurl') : null;
+        if (!target) return current;
+        current = target;
+    }
+    return current;
+}
+
 /**
  * 清理網站 URL
  */
 function cleanWebsiteUrl(url) {
     if (!url) return '';
     
-    let cleaned = url.trim();
+    let cleaned = unwrapGoogleRedirect(url);
     
     // 添加協議
     if (!cleaned.match(/^https?:\/\//)) {
@@ -301,6 +331,318 @@ function cleanBusinessType(type) {
     return cleaned;
 }
 
+/**
+ * 將相對時間（「2 週前」、「a month ago」、「vor 3 Tagen」）換算成日期
+ * Google 只顯示相對時間，換算結果為近似值
+ * @param {String} text - 相對時間文字
+ * @param {Date} now - 基準時間（預設為現在）
+ * @returns {String|null} - ISO 日期字串，無法解析時回傳 null
+ */
+function parseRelativeDate(text, now = new Date()) {
+    if (!text) return null;
+
+    const entry = RELATIVE_TIME_UNITS.find(({ pattern }) => pattern.test(text));
+    if (!entry) return null;
+
+    // 沒有數字時表示「一」（a month ago、hace un año、il y a une semaine）
+    const amount = parseInt(text.match(/\d+/)?.[0] || '1', 10);
+    const date = new Date(now.getTime());
+
+    switch (entry.unit) {
+        case 'minute':
+            date.setMinutes(date.getMinutes() - amount);
+            break;
+        case 'hour':
+            date.setHours(date.getHours() - amount);
+            break;
+        case 'day':
+            date.setDate(date.getDate() - amount);
+            break;
+        case 'week':
+            date.setDate(date.getDate() - amount * 7);
+            break;
+        case 'month':
+            date.setMonth(date.getMonth() - amount);
+            break;
+        case 'year':
+            date.setFullYear(date.getFullYear() - amount);
+            break;
+    }
+
+    return date.toISOString();
+}
+
+/**
+ * 推測文字的語言
+ * 依文字系統判斷中日韓文，拉丁字母則比對常見字
+ * @param {String} text - 輸入文字
+ * @returns {String|null} - 語言代碼（en, es, fr, de, zh, ja, ko），無法判斷時回傳 null
+ */
+function detectTextLanguage(text) {
+    if (!text) return null;
+
+    if (/[\uAC00-\uD7AF]/.test(text)) return 'ko';
+    if (/[\u3040-\u30FF]/.test(text)) return 'ja';
+    if (/[\u4E00-\u9FFF]/.test(text)) return 'zh';
+
+    const words = text.toLowerCase().match(/[a-zàâçéèêëîïôûùüÿñæœäöß]+/g) || [];
+    let bestLanguage = null;
+    let bestScore = 0;
+    for (const [language, stopwords] of Object.entries(LANGUAGE_STOPWORDS)) {
+        const score = words.filter(word => stopwords.includes(word)).length;
+        if (score > bestScore) {
+            bestLanguage = language;
+            bestScore = score;
+        }
+    }
+
+    return bestLanguage;
+}
+
+/**
+ * 將各語言的星期名稱轉換成英文名稱
+ * 例如「星期一」、「月曜日」、「lunes」、「Montag (Feiertag)」都轉成「Monday」
+ * @param {String} name - 星期名稱
+ * @returns {String|null} - 英文星期名稱，無法辨識時回傳 null
+ */
+function normalizeWeekday(name) {
+    if (!name) return null;
+    const text = String(name).toLowerCase();
+    const index = WEEKDAY_NAMES.findIndex(names => names.some(dayName => text.includes(dayName)));
+    return index >= 0 ? WEEKDAYS[index] : null;
+}
+
+/**
+ * 將以星期為鍵的物件轉換成英文星期鍵，無法辨識的鍵保持原樣
+ * @param {Object} byDay - 以星期名稱為鍵的物件
+ * @returns {Object} - 以英文星期名稱為鍵的物件
+ */
+function normalizeWeekdayKeys(byDay) {
+    if (!byDay || typeof byDay !== 'object') return byDay;
+
+    const normalized = {};
+    for (const [day, value] of Object.entries(byDay)) {
+        normalized[normalizeWeekday(day) || day] = value;
+    }
+    return normalized;
+}
+
+// OpenStreetMap opening_hours 的星期縮寫（依序為星期一到星期日）
+const OSM_WEEKDAYS = ['Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa', 'Su'];
+
+/**
+ * 將分鐘數格式化為 HH:MM（跨夜時間換算回當日時間）
+ */
+function formatMinutes(minutes, { allowEndOfDay = false } = {}) {
+    if (allowEndOfDay && minutes === 24 * 60) return '24:00';
+    const value = minutes % (24 * 60);
+    return `${String(Math.floor(value / 60)).padStart(2, '0')}:${String(value % 60).padStart(2, '0')}`;
+}
+
+/**
+ * 將營業時間顯示字串解析成標準時段
+ * 支援 hours 陣列（「Monday: 7 AM–10 PM」、「星期一: 24 小時營業」）或 hoursDetail 物件
+ * @param {Array<String>|Object} hours - 營業時間
+ * @returns {Object|null} - { Monday: [{ open, close }], ... }（分鐘數，休息日為空陣列），
+ *                         沒有可辨識的星期或任一天無法解析時回傳 null
+ */
+function parseOpeningHours(hours) {
+    if (!hours) return null;
+
+    const entries = Array.isArray(hours)
+        ? hours.map(line => {
+            const match = String(line || '').match(/^([^:：、，,]+?)\s*[:：、，,]\s*(.+)$/);
+            return match ? [match[1], match[2]] : [null, null];
+        })
+        : Object.entries(hours);
+
+    const schedule = {};
+    for (const [label, text] of entries) {
+        const day = normalizeWeekday(label);
+        if (!day) continue;  // 國定假日等特殊日期
+
+        const ranges = parseDayHours(cleanBusinessHours(text) || text);
+        if (ranges === null) return null;
+        schedule[day] = ranges;
+    }
+
+    if (Object.keys(schedule).length === 0) return null;
+
+    // 依星期一到星期日排序
+    const ordered = {};
+    WEEKDAYS.filter(day => schedule[day]).forEach(day => {
+        ordered[day] = schedule[day];
+    });
+    return ordered;
+}
+
+/**
+ * 依相同的營業時段將星期分組（保持星期一到星期日的順序）
+ * @returns {Array} - [{ days: [星期索引], ranges }]
+ */
+function groupDaysByRanges(schedule) {
+    const groups = new Map();
+    WEEKDAYS.forEach((day, index) => {
+        const ranges = schedule[day];
+        if (!ranges || ranges.length === 0) return;
+
+        const signature = ranges.map(({ open, close }) => `${open}-${close}`).join(',');
+        if (!groups.has(signature)) {
+            groups.set(signature, { days: [], ranges });
+        }
+        groups.get(signature).days.push(index);
+    });
+    return Array.from(groups.values());
+}
+
+/**
+ * 轉換成 OpenStreetMap 的 opening_hours 字串
+ * 例如「Mo-Fr 07:00-22:00; Sa 09:00-12:00,13:00-18:00」、「24/7」；未列出的星期為休息
+ * @param {Array<String>|Object} hours - 營業時間（hours 陣列或 hoursDetail 物件）
+ * @returns {String|null}
+ */
+function toOsmOpeningHours(hours) {
+    const schedule = parseOpeningHours(hours);
+    if (!schedule) return null;
+
+    const groups = groupDaysByRanges(schedule);
+    if (groups.length === 0) return 'off';
+
+    // 每天都是 24 小時營業
+    const allDay = groups.length === 1 && groups[0].days.length === 7 &&
+        groups[0].ranges.length === 1 && groups[0].ranges[0].open === 0 && groups[0].ranges[0].close === 24 * 60;
+    if (allDay) return '24/7';
+
+    return groups.map(({ days, ranges }) => {
+        // 連續的星期以「-」表示範圍（Mo-Fr），不連續的以「,」分隔
+        const spans = [];
+        days.forEach(index => {
+            const last = spans[spans.length - 1];
+            if (last && last[1] === index - 1) {
+                last[1] = index;
+            } else {
+                spans.push([index, index]);
+            }
+        });
+        const dayText = spans.map(([from, to]) => {
+            if (from === to) return OSM_WEEKDAYS[from];
+            if (to === from + 1) return `${OSM_WEEKDAYS[from]},${OSM_WEEKDAYS[to]}`;
+            return `${OSM_WEEKDAYS[from]}-${OSM_WEEKDAYS[to]}`;
+        }).join(',');
+
+        const timeText = ranges
+            .map(({ open, close }) => `${formatMinutes(open)}-${formatMinutes(close, { allowEndOfDay: true })}`)
+            .join(',');
+
+        return `${dayText} ${timeText}`;
+    }).join('; ');
+}
+
+/**
+ * 轉換成 schema.org 的 openingHoursSpecification 陣列
+ * 跨夜時段的 closes 早於 opens；24 小時營業以 00:00 至 23:59 表示；休息日不列出
+ * @param {Array<String>|Object} hours - 營業時間（hours 陣列或 hoursDetail 物件）
+ * @returns {Array|null} - [{ '@type', dayOfWeek, opens, closes }]
+ */
+function toOpeningHoursSpecification(hours) {
+    const schedule = parseOpeningHours(hours);
+    if (!schedule) return null;
+
+    const specification = [];
+    for (const { days, ranges } of groupDaysByRanges(schedule)) {
+        for (const { open, close } of ranges) {
+            const fullDay = open === 0 && close === 24 * 60;
+            specification.push({
+                '@type': 'OpeningHoursSpecification',
+                dayOfWeek: days.map(index => WEEKDAYS[index]),
+                opens: formatMinutes(open),
+                closes: fullDay ? '23:59' : formatMinutes(close)
+            });
+        }
+    }
+    return specification;
+}
+
+/**
+ * 依頁面文字判斷營業狀態
+ * @param {String} text - 搜尋結果卡片或地點頁面標題區的文字
+ * @returns {String|null} - CLOSED_PERMANENTLY、CLOSED_TEMPORARILY、OPENING_SOON，沒有相關說法時回傳 null
+ */
+function detectBusinessStatus(text) {
+    if (!text) return null;
+    const lower = String(text).toLowerCase();
+    for (const [status, phrases] of Object.entries(BUSINESS_STATUS_PHRASES)) {
+        if (phrases.some(phrase => lower.includes(phrase))) return status;
+    }
+    return null;
+}
+
+// 評分分布的欄位名稱（索引 = 星等 - 1）
+const RATING_DISTRIBUTION_KEYS = ['oneStar', 'twoStar', 'threeStar', 'fourStar', 'fiveStar'];
+
+/**
+ * 解析含千分位的整數（1,234、1.234、1 234）
+ */
+function parseLocalizedCount(text) {
+    if (!text) return null;
+    const digits = String(text).replace(/[^\d]/g, '');
+    return digits ? parseInt(digits, 10) : null;
+}
+
+/**
+ * 解析評分分布表格的列標籤
+ * 例如「5 stars, 1,234 reviews」、「5 星級，1,234 則評論」、「별표 5개, 리뷰 1,234개」
+ * 各語言都是先出現星等、再出現評論數
+ * @param {Array<String>} labels - 每一列的 aria-label
+ * @returns {Object|null} - { oneStar, twoStar, threeStar, fourStar, fiveStar }，沒有有效資料時回傳 null
+ */
+function parseRatingDistribution(labels) {
+    if (!Array.isArray(labels)) return null;
+
+    const distribution = {};
+    for (const label of labels) {
+        const numbers = (label || '').match(/\d+(?:[.,\s\u00A0\u202F]\d{3})*/g) || [];
+        if (numbers.length < 2) continue;
+
+        const stars = parseInt(numbers[0], 10);
+        const count = parseLocalizedCount(numbers[1]);
+        if (stars >= 1 && stars <= 5 && count !== null) {
+            distribution[RATING_DISTRIBUTION_KEYS[stars - 1]] = count;
+        }
+    }
+
+    if (Object.keys(distribution).length === 0) return null;
+
+    // 缺少的星等視為 0
+    return RATING_DISTRIBUTION_KEYS.reduce((result, key) => {
+        result[key] = distribution[key] || 0;
+        return result;
+    }, {});
+}
+
+/**
+ * 解析評論主題標籤（「price 123」、「價格 45」）
+ * @param {String} label - 標籤文字（可能包含數量）
+ * @param {String} countText - 另外顯示的數量文字（選用）
+ * @returns {Object|null} - { label, count }，沒有數量的標籤（例如「全部」）回傳 null
+ */
+function parseReviewTag(label, countText = null) {
+    let text = cleanUnicodeText(label || '');
+    let count = parseLocalizedCount(countText);
+
+    if (count === null) {
+        const match = text.match(/^(.*?)\s*(\d[\d.,\s\u00A0\u202F]*)$/);
+        if (!match) return null;
+        text = match[1];
+        count = parseLocalizedCount(match[2]);
+    }
+
+    text = text.replace(/[\s,，、:：]+$/, '').trim();
+    if (!text || count === null) return null;
+
+    return { label: text, count };
+}
+
 // 別名函數 (為了兼容性)
 const normalizeAddress = validateAddress;
 const normalizePhoneNumber = cleanPhoneNumber;
@@ -318,11 +660,23 @@ module.exports = {
     cleanPhoneNumber,
     cleanAddress,
     cleanWebsiteUrl,
+    unwrapGoogleRedirect,
     validateEmail,
     extractEmails,
     normalizeRating,
     normalizeReviewCount,
     cleanBusinessType,
+    parseRelativeDate,
+    detectTextLanguage,
+    normalizeWeekday,
+    normalizeWeekdayKeys,
+    parseOpeningHours,
+    toOsmOpeningHours,
+    toOpeningHoursSpecification,
+    detectBusinessStatus,
+    parseLocalizedCount,
+    parseRatingDistribution,
+    parseReviewTag,
     // 別名
     normalizeAddress,
     normalizePhoneNumber,
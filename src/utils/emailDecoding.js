@@ -0,0 +1,163 @@
+/**
+ * 電子郵件解碼工具
+ * 還原網站為了躲避爬蟲而隱藏的電子郵件：Cloudflare data-cfemail、HTML 實體、
+ * 「info [at] shop [dot] tw」寫法、全形字元與 JavaScript 組合的 mailto 連結
+ */
+
+const EMAIL_PATTERN = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g;
+
+// 「[at]」「(at)」「{at}」及各語言的說法；沒有括號的「 at 」只在網域部分也被改寫時才視為電子郵件
+const BRACKETED_AT = /\s*[[({<]\s*(?:at|ät|arroba|chez|bei|艾特|골뱅이)\s*[\])}>]\s*/gi;
+const BRACKETED_DOT = /\s*[[({<]\s*(?:dot|punto|point|punkt|點|点|닷)\s*[\])}>]\s*/gi;
+const SPACED_ADDRESS = /\b([a-z0-9._%+-]+)\s+(?:at|arroba)\s+([a-z0-9-]+(?:\s+(?:dot|punto|point|punkt)\s+[a-z0-9-]+)+)\b/gi;
+
+// 常見的 HTML 具名實體
+const NAMED_ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: '\'',
+    nbsp: ' ',
+    commat: '@',
+    period: '.',
+    hyphen: '-',
+    lowbar: '_'
+};
+
+/**
+ * 從文字中找出電子郵件（小寫）
+ * @param {String} text - 文字
+ * @returns {Array<String>}
+ */
+function findEmails(text) {
+    if (!text) return [];
+    return (String(text).match(EMAIL_PATTERN) || []).map(email => email.toLowerCase().replace(/\.+$/, ''));
+}
+
+/**
+ * 解碼 Cloudflare 電子郵件保護（data-cfemail 或 /cdn-cgi/l/email-protection#...）
+ * 第一個位元組為金鑰，其後每個位元組與金鑰 XOR 後即為字元
+ * @param {String} encoded - 十六進位字串
+ * @returns {String|null}
+ */
+function decodeCfEmail(encoded) {
+    if (!encoded || !/^[0-9a-f]+$/i.test(encoded) || encoded.length < 4 || encoded.length % 2 !== 0) {
+        return null;
+    }
+
+    const key = parseInt(encoded.slice(0, 2), 16);
+    let decoded = '';
+    for (let i = 2; i < encoded.length; i += 2) {
+        decoded += String.fromCharCode(parseInt(encoded.slice(i, i + 2), 16) ^ key);
+    }
+    return decoded;
+}
+
+/**
+ * 解碼 HTML 實體（&#64;、&#x40;、&commat;）
+ * @param {String} html - HTML 原始碼
+ * @returns {String}
+ */
+function decodeHtmlEntities(html) {
+    if (!html) return '';
+    return String(html)
+        .replace(/&#x([0-9a-f]+);?/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);?/g, (match, decimal) => String.fromCodePoint(parseInt(decimal, 10)))
+        .replace(/&([a-z]+);/gi, (match, name) => NAMED_ENTITIES[name.toLowerCase()] ?? match);
+}
+
+/**
+ * 將全形字元轉換成半形（「ｉｎｆｏ＠ｓｈｏｐ．ｔｗ」）
+ * @param {String} text - 文字
+ * @returns {String}
+ */
+function normalizeFullWidth(text) {
+    if (!text) return '';
+    return String(text).normalize('NFKC');
+}
+
+/**
+ * 還原「info [at] shop [dot] tw」、「info(at)firma.de」、「info at shop dot tw」之類的寫法
+ * @param {String} text - 文字
+ * @returns {String}
+ */
+function deobfuscateText(text) {
+    if (!text) return '';
+    return String(text)
+        .replace(BRACKETED_AT, '@')
+        .replace(BRACKETED_DOT, '.')
+        .replace(SPACED_ADDRESS, (match, user, domain) =>
+            `${user}@${domain.replace(/\s+(?:dot|punto|point|punkt)\s+/gi, '.')}`);
+}
+
+/**
+ * 還原 JavaScript 以字串相加組合的電子郵件（'info' + '@' + 'shop.tw'）
+ * @param {String} script - 腳本內容
+ * @returns {String}
+ */
+function joinScriptStrings(script) {
+    if (!script) return '';
+    return String(script)
+        .replace(/(['"`])\s*\+\s*\1/g, '')
+        .replace(/String\.fromCharCode\(([\d,\s]+)\)/g, (match, codes) =>
+            codes.split(',').map(code => String.fromCharCode(parseInt(code, 10))).join(''));
+}
+
+/**
+ * 從頁面內容找出電子郵件並標示還原方式
+ * 依序嘗試各種方式，同一個電子郵件以最先找到的方式標示：
+ * plain（頁面文字）、mailto、cloudflare、htmlEntity、javascript、fullWidth、obfuscatedText
+ * @param {Object} snapshot - { text: 頁面文字, rawHtml: 伺服器回傳的 HTML, mailtos: mailto 連結,
+ *                              cfEmails: Cloudflare 編碼字串, scripts: 內嵌腳本與 onclick 內容 }
+ * @returns {Array} - [{ email, method }]
+ */
+function extractEmailCandidates(snapshot = {}) {
+    const found = new Map();
+    const add = (emails, method) => {
+        emails.forEach(email => {
+            if (!found.has(email)) found.set(email, method);
+        });
+    };
+
+    const text = snapshot.text || '';
+    const rawHtml = snapshot.rawHtml || null;
+    const mailtos = (snapshot.mailtos || []).map(href => {
+        const address = String(href).replace(/^mailto:/i, '').split('?')[0];
+        try {
+            return decodeURIComponent(address);
+        } catch (error) {
+            return address;
+        }
+    });
+
+    // 原始 HTML 中沒有出現的電子郵件是由 JavaScript 產生的
+    const rawLower = rawHtml ? rawHtml.toLowerCase() : null;
+    const inRawHtml = email => rawLower === null || rawLower.includes(email);
+
+    const plainEmails = findEmails(text);
+    const mailtoEmails = mailtos.flatMap(findEmails);
+
+    add(plainEmails.filter(inRawHtml), 'plain');
+    add(mailtoEmails.filter(inRawHtml), 'mailto');
+    add((snapshot.cfEmails || []).map(decodeCfEmail).flatMap(findEmails), 'cloudflare');
+    if (rawHtml) {
+        add(findEmails(decodeHtmlEntities(rawHtml)).filter(email => !inRawHtml(email)), 'htmlEntity');
+    }
+    add([...plainEmails, ...mailtoEmails], 'javascript');
+    add(findEmails(normalizeFullWidth(text)), 'fullWidth');
+    add(findEmails(deobfuscateText(normalizeFullWidth(text))), 'obfuscatedText');
+    add((snapshot.scripts || []).map(joinScriptStrings).flatMap(findEmails), 'javascript');
+
+    return Array.from(found, ([email, method]) => ({ email, method }));
+}
+
+module.exports = {
+    findEmails,
+    decodeCfEmail,
+    decodeHtmlEntities,
+    normalizeFullWidth,
+    deobfuscateText,
+    joinScriptStrings,
+    extractEmailCandidates
+};
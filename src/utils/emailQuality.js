@@ -0,0 +1,182 @@
+/**
+ * 電子郵件品質工具
+ * 將網站上找到的電子郵件分類（個人、角色型、平台／代理商、拋棄式），
+ * 檢查格式與頂級網域，判斷是否與商家網站同網域並計算分數，用於挑選最適合的聯絡信箱
+ */
+
+const { parse, getDomain } = require('tldts');
+const { ROLE_EMAIL_PREFIXES } = require('./localeData');
+
+// 看起來像電子郵件的檔案名稱（「logo@2x.png」）
+const FILE_EXTENSIONS = /\.(png|jpe?g|gif|svg|webp|avif|bmp|ico|tiff?|css|js|json|pdf|zip|mov|mp4|woff2?)$/i;
+
+// 網站平台、代管服務與追蹤服務的網域
+const PLATFORM_DOMAINS = [
+    'wix.com', 'wixpress.com', 'wixsite.com', 'shopify.com', 'myshopify.com', 'squarespace.com',
+    'godaddy.com', 'secureserver.net', 'wordpress.com', 'wpengine.com', 'weebly.com', 'jimdo.com',
+    'strikingly.com', 'webflow.io', 'hubspot.com', 'mailchimp.com', 'sendgrid.net', 'sentry.io',
+    'cloudflare.com', 'google.com', 'facebook.com', 'instagram.com', 'shopline.com', 'shoplineapp.com',
+    'cyberbiz.co', 'waca.net', 'base.shop', 'thebase.in', 'stores.jp', 'jimdosite.com', 'ionos.com',
+    'one.com', 'ovh.net', 'hostinger.com', 'example.com'
+];
+
+// 拋棄式信箱服務
+const DISPOSABLE_DOMAINS = [
+    'mailinator.com', 'guerrillamail.com', 'sharklasers.com', '10minutemail.com', 'temp-mail.org',
+    'tempmail.com', 'yopmail.com', 'trashmail.com', 'getnada.com', 'dispostable.com', 'maildrop.cc',
+    'throwawaymail.com', 'fakeinbox.com', 'mailnesia.com', 'emailondeck.com', 'mohmal.com'
+];
+
+// 免費信箱服務（小店家常用，未與網站同網域時仍優先於其他網域）
+const FREE_MAIL_DOMAINS = [
+    'gmail.com', 'yahoo.com', 'yahoo.com.tw', 'yahoo.co.jp', 'outlook.com', 'hotmail.com', 'live.com',
+    'icloud.com', 'me.com', 'qq.com', '163.com', '126.com', 'naver.com', 'hanmail.net', 'daum.net',
+    'hinet.net', 'msa.hinet.net', 'gmx.de', 'gmx.net', 'web.de', 't-online.de', 'orange.fr', 'free.fr',
+    'libero.it', 'proton.me', 'protonmail.com'
+];
+
+// 技術或管理用途的角色帳號，通常不是商家的聯絡窗口
+const LOW_VALUE_ROLES = ['webmaster', 'hostmaster', 'postmaster', 'abuse', 'security', 'privacy', 'legal'];
+
+// 各類型的基本分數
+const TYPE_SCORES = {
+    personal: 50,
+    role: 40,
+    platform: 10,
+    disposable: 0
+};
+
+/**
+ * 取得電子郵件的帳號與網域
+ * @param {String} email - 電子郵件
+ * @returns {Object} - { local, domain }
+ */
+function splitEmail(email) {
+    const lower = String(email || '').toLowerCase();
+    const at = lower.lastIndexOf('@');
+    return { local: lower.slice(0, at), domain: lower.slice(at + 1) };
+}
+
+/**
+ * 判斷網域是否屬於清單中的網域（包含子網域）
+ */
+function inDomainList(domain, list) {
+    return list.some(listed => domain === listed || domain.endsWith(`.${listed}`));
+}
+
+/**
+ * 檢查電子郵件格式與頂級網域
+ * @param {String} email - 電子郵件
+ * @returns {Boolean}
+ */
+function isValidEmail(email) {
+    if (!email || String(email).length > 254) return false;
+    if (!/^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/.test(email)) return false;
+
+    const { local, domain } = splitEmail(email);
+    if (local.length > 64 || /^\.|\.$|\.\./.test(local)) return false;
+    if (FILE_EXTENSIONS.test(domain)) return false;
+    if (domain.split('.').some(label => !label || label.length > 63 || /^-|-$/.test(label))) return false;
+
+    // 頂級網域必須在公開後綴清單中
+    const parsed = parse(domain);
+    return Boolean(parsed.isIcann && parsed.domain);
+}
+
+/**
+ * 判斷是否為圖片等檔案名稱（「logo@2x.png」）
+ * @param {String} email - 電子郵件
+ * @returns {Boolean}
+ */
+function looksLikeFileName(email) {
+    return FILE_EXTENSIONS.test(String(email || ''));
+}
+
+/**
+ * 分類電子郵件
+ * @param {String} email - 電子郵件
+ * @returns {String} - personal、role、platform 或 disposable
+ */
+function classifyEmail(email) {
+    const { local, domain } = splitEmail(email);
+
+    if (inDomainList(domain, DISPOSABLE_DOMAINS)) return 'disposable';
+    if (inDomainList(domain, PLATFORM_DOMAINS)) return 'platform';
+
+    // 「info」、「info.taipei」、「sales-tw」、「kontakt+web」
+    const account = local.split('+')[0];
+    if (ROLE_EMAIL_PREFIXES.includes(account) || ROLE_EMAIL_PREFIXES.includes(account.split(/[._-]/)[0])) {
+        return 'role';
+    }
+
+    return 'personal';
+}
+
+/**
+ * 判斷電子郵件是否與商家網站同網域（比對可註冊網域，「mail.shop.com.tw」與「www.shop.com.tw」相同）
+ * @param {String} email - 電子郵件
+ * @param {String} website - 商家網站
+ * @returns {Boolean}
+ */
+function emailMatchesDomain(email, website) {
+    if (!email || !website) return false;
+
+    let host;
+    try {
+        host = new URL(website).hostname;
+    } catch (error) {
+        return false;
+    }
+
+    const siteDomain = getDomain(host);
+    return Boolean(siteDomain) && getDomain(splitEmail(email).domain) === siteDomain;
+}
+
+/**
+ * 評估單一電子郵件
+ * @param {String} email - 電子郵件
+ * @param {String} website - 商家網站
+ * @returns {Object} - { email, type, domainMatch, valid, score }，分數 0-100
+ */
+function scoreEmail(email, website) {
+    const lower = String(email || '').toLowerCase();
+    const type = classifyEmail(lower);
+    const domainMatch = emailMatchesDomain(lower, website);
+    const valid = isValidEmail(lower);
+
+    let score = 0;
+    if (valid) {
+        const { local, domain } = splitEmail(lower);
+        score = TYPE_SCORES[type];
+        if (type === 'role' && LOW_VALUE_ROLES.includes(local.split('+')[0])) score -= 25;
+        if (domainMatch && type !== 'platform' && type !== 'disposable') {
+            score += 40;
+        } else if (inDomainList(domain, FREE_MAIL_DOMAINS)) {
+            score += 10;
+        }
+    }
+
+    return { email: lower, type, domainMatch, valid, score: Math.max(0, Math.min(100, score)) };
+}
+
+/**
+ * 依分數排序電子郵件（同分時保留原本的順序）
+ * @param {Array<String>} emails - 電子郵件
+ * @param {String} website - 商家網站
+ * @returns {Array} - [{ email, type, domainMatch, valid, score }]
+ */
+function rankEmails(emails, website) {
+    return (emails || [])
+        .map((email, index) => ({ ...scoreEmail(email, website), index }))
+        .sort((a, b) => b.score - a.score || a.index - b.index)
+        .map(({ index, ...detail }) => detail);
+}
+
+module.exports = {
+    isValidEmail,
+    looksLikeFileName,
+    classifyEmail,
+    emailMatchesDomain,
+    scoreEmail,
+    rankEmails
+};
@@ -0,0 +1,390 @@
+/**
+ * 地理區域工具
+ * 提供搜尋區域正規化、網格切分與範圍判斷等函式
+ */
+
+// 地球半徑（公里）
+const EARTH_RADIUS_KM = 6371;
+
+// Google Maps 在縮放等級 0 時赤道上每像素的公尺數
+const METERS_PER_PIXEL_Z0 = 156543.03392;
+
+// 搜尋結果面板以外的地圖可視區域（像素）
+const MAP_VIEWPORT = { width: 1500, height: 1080 };
+
+/**
+ * 角度轉弧度
+ */
+function toRadians(degrees) {
+    return degrees * Math.PI / 180;
+}
+
+/**
+ * 計算兩點間的大圓距離
+ * @param {Number} lat1 - 緯度 1
+ * @param {Number} lng1 - 經度 1
+ * @param {Number} lat2 - 緯度 2
+ * @param {Number} lng2 - 經度 2
+ * @returns {Number} - 距離（公里）
+ */
+function haversineKm(lat1, lng1, lat2, lng2) {
+    const dLat = toRadians(lat2 - lat1);
+    const dLng = toRadians(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 +
+              Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * 檢查是否為有效座標
+ */
+function isValidCoordinate(lat, lng) {
+    return Number.isFinite(lat) && Number.isFinite(lng) &&
+           lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180;
+}
+
+/**
+ * 從 GeoJSON 取出所有多邊形
+ * 支援 FeatureCollection、Feature、Polygon 與 MultiPolygon
+ * @param {Object} geojson - GeoJSON 物件
+ * @returns {Array} - 多邊形陣列，每個多邊形為 [外環, ...內環]，座標為 [經度, 緯度]
+ */
+function extractPolygons(geojson) {
+    if (!geojson || typeof geojson !== 'object') return [];
+
+    switch (geojson.type) {
+        case 'FeatureCollection':
+            return (geojson.features || []).flatMap(extractPolygons);
+        case 'Feature':
+            return extractPolygons(geojson.geometry);
+        case 'GeometryCollection':
+            return (geojson.geometries || []).flatMap(extractPolygons);
+        case 'Polygon':
+            return [geojson.coordinates];
+        case 'MultiPolygon':
+            return geojson.coordinates;
+        default:
+            return [];
+    }
+}
+
+/**
+ * 正規化 GeoJSON 多邊形區域
+ * @param {Object} geojson - GeoJSON 物件
+ * @returns {Object} - { type: 'polygon', polygons, bbox }
+ */
+function normalizeGeoJsonArea(geojson) {
+    const polygons = extractPolygons(geojson)
+        .map(rings => (rings || []).map(ring => (ring || [])
+            .map(point => [parseFloat(point[0]), parseFloat(point[1])])
+            .filter(([lng, lat]) => isValidCoordinate(lat, lng))))
+        .filter(rings => rings.length > 0 && rings[0].length >= 3);
+
+    if (polygons.length === 0) {
+        throw new Error('searchArea.geojson must contain at least one Polygon or MultiPolygon');
+    }
+
+    const bbox = { north: -90, south: 90, east: -180, west: 180 };
+    for (const [outerRing] of polygons) {
+        for (const [lng, lat] of outerRing) {
+            bbox.north = Math.max(bbox.north, lat);
+            bbox.south = Math.min(bbox.south, lat);
+            bbox.east = Math.max(bbox.east, lng);
+            bbox.west = Math.min(bbox.west, lng);
+        }
+    }
+
+    return { type: 'polygon', polygons, bbox };
+}
+
+/**
+ * 正規化搜尋區域輸入
+ * 支援 { boundingBox: { north, south, east, west } }、{ center: { lat, lng }, radiusKm }
+ * 或 { geojson: Polygon / MultiPolygon }
+ * @param {Object} area - 搜尋區域輸入
+ * @returns {Object} - { type, bbox, center, radiusKm, polygons }
+ */
+function normalizeSearchArea(area) {
+    if (!area || typeof area !== 'object') {
+        throw new Error('searchArea must be an object');
+    }
+
+    if (area.geojson) {
+        return normalizeGeoJsonArea(area.geojson);
+    }
+
+    if (area.boundingBox) {
+        const bbox = {
+            north: parseFloat(area.boundingBox.north),
+            south: parseFloat(area.boundingBox.south),
+            east: parseFloat(area.boundingBox.east),
+            west: parseFloat(area.boundingBox.west)
+        };
+
+        if (!isValidCoordinate(bbox.north, bbox.east) || !isValidCoordinate(bbox.south, bbox.west)) {
+            throw new Error('searchArea.boundingBox requires numeric north, south, east and west');
+        }
+        if (bbox.north <= bbox.south || bbox.east <= bbox.west) {
+            throw new Error('searchArea.boundingBox must have north > south and east > west');
+        }
+
+        return { type: 'bbox', bbox };
+    }
+
+    if (area.center) {
+        const lat = parseFloat(area.center.lat);
+        const lng = parseFloat(area.center.lng);
+        const radiusKm = parseFloat(area.radiusKm);
+
+        if (!isValidCoordinate(lat, lng)) {
+            throw new Error('searchArea.center requires numeric lat and lng');
+        }
+        if (!(radiusKm > 0)) {
+            throw new Error('searchArea.radiusKm must be a positive number');
+        }
+
+        // 將半徑換算成經緯度範圍
+        const dLat = radiusKm / EARTH_RADIUS_KM * 180 / Math.PI;
+        const dLng = dLat / Math.max(Math.cos(toRadians(lat)), 0.01);
+
+        return {
+            type: 'circle',
+            center: { lat, lng },
+            radiusKm,
+            bbox: {
+                north: Math.min(90, lat + dLat),
+                south: Math.max(-90, lat - dLat),
+                east: Math.min(180, lng + dLng),
+                west: Math.max(-180, lng - dLng)
+            }
+        };
+    }
+
+    throw new Error('searchArea requires boundingBox, center + radiusKm, or geojson');
+}
+
+/**
+ * 計算範圍的寬高
+ * @returns {Object} - { widthKm, heightKm }
+ */
+function boundingBoxSize(bbox) {
+    const midLat = (bbox.north + bbox.south) / 2;
+    return {
+        widthKm: haversineKm(midLat, bbox.west, midLat, bbox.east),
+        heightKm: haversineKm(bbox.south, bbox.west, bbox.north, bbox.west)
+    };
+}
+
+/**
+ * 取得範圍中心點
+ */
+function boundingBoxCenter(bbox) {
+    return {
+        lat: (bbox.north + bbox.south) / 2,
+        lng: (bbox.east + bbox.west) / 2
+    };
+}
+
+/**
+ * 將範圍切成不超過指定大小的網格
+ * @param {Object} bbox - 範圍
+ * @param {Number} tileSizeKm - 網格最大邊長（公里）
+ * @returns {Array<Object>} - 網格範圍陣列
+ */
+function splitIntoTiles(bbox, tileSizeKm) {
+    const { widthKm, heightKm } = boundingBoxSize(bbox);
+    const cols = Math.max(1, Math.ceil(widthKm / tileSizeKm));
+    const rows = Math.max(1, Math.ceil(heightKm / tileSizeKm));
+    const latStep = (bbox.north - bbox.south) / rows;
+    const lngStep = (bbox.east - bbox.west) / cols;
+
+    const tiles = [];
+    for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+            tiles.push({
+                north: bbox.north - row * latStep,
+                south: bbox.north - (row + 1) * latStep,
+                west: bbox.west + col * lngStep,
+                east: bbox.west + (col + 1) * lngStep
+            });
+        }
+    }
+    return tiles;
+}
+
+/**
+ * 將網格切成四等份
+ */
+function subdivideTile(tile) {
+    const { lat, lng } = boundingBoxCenter(tile);
+    return [
+        { north: tile.north, south: lat, west: tile.west, east: lng },
+        { north: tile.north, south: lat, west: lng, east: tile.east },
+        { north: lat, south: tile.south, west: tile.west, east: lng },
+        { north: lat, south: tile.south, west: lng, east: tile.east }
+    ];
+}
+
+/**
+ * 計算能完整顯示網格的最大縮放等級
+ * @param {Object} tile - 網格範圍
+ * @returns {Number} - 縮放等級（3-21）
+ */
+function zoomForTile(tile) {
+    const { widthKm, heightKm } = boundingBoxSize(tile);
+    const { lat } = boundingBoxCenter(tile);
+    const metersPerPixelZ0 = METERS_PER_PIXEL_Z0 * Math.cos(toRadians(lat));
+
+    const scale = Math.min(
+        MAP_VIEWPORT.width / Math.max(widthKm * 1000, 1),
+        MAP_VIEWPORT.height / Math.max(heightKm * 1000, 1)
+    );
+    const zoom = Math.floor(Math.log2(metersPerPixelZ0 * scale));
+
+    return Math.max(3, Math.min(21, zoom));
+}
+
+/**
+ * 檢查點是否在範圍內
+ */
+function isPointInBoundingBox(lat, lng, bbox) {
+    return lat <= bbox.north && lat >= bbox.south && lng <= bbox.east && lng >= bbox.west;
+}
+
+/**
+ * 射線法判斷點是否在環內
+ * @param {Number} lat - 緯度
+ * @param {Number} lng - 經度
+ * @param {Array} ring - [經度, 緯度] 座標陣列
+ */
+function isPointInRing(lat, lng, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > lat) !== (yj > lat) && lng < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * 判斷點是否在任一多邊形內（排除內環的洞）
+ */
+function isPointInPolygons(lat, lng, polygons) {
+    return polygons.some(([outerRing, ...holes]) =>
+        isPointInRing(lat, lng, outerRing) && !holes.some(hole => isPointInRing(lat, lng, hole)));
+}
+
+/**
+ * 判斷兩線段是否相交
+ */
+function segmentsIntersect([ax, ay], [bx, by], [cx, cy], [dx, dy]) {
+    const cross = (px, py, qx, qy, rx, ry) => (qx - px) * (ry - py) - (qy - py) * (rx - px);
+    const d1 = cross(cx, cy, dx, dy, ax, ay);
+    const d2 = cross(cx, cy, dx, dy, bx, by);
+    const d3 = cross(ax, ay, bx, by, cx, cy);
+    const d4 = cross(ax, ay, bx, by, dx, dy);
+    return ((d1 > 0) !== (d2 > 0)) && ((d3 > 0) !== (d4 > 0));
+}
+
+/**
+ * 判斷網格是否與多邊形重疊
+ */
+function tileIntersectsPolygons(tile, polygons) {
+    const corners = [
+        [tile.west, tile.north],
+        [tile.east, tile.north],
+        [tile.east, tile.south],
+        [tile.west, tile.south]
+    ];
+
+    // 網格角落在多邊形內
+    if (corners.some(([lng, lat]) => isPointInPolygons(lat, lng, polygons))) return true;
+
+    for (const [outerRing] of polygons) {
+        // 多邊形頂點在網格內（多邊形比網格小）
+        if (outerRing.some(([lng, lat]) => isPointInBoundingBox(lat, lng, tile))) return true;
+
+        // 多邊形邊界穿過網格
+        for (let i = 0, j = outerRing.length - 1; i < outerRing.length; j = i++) {
+            for (let k = 0; k < 4; k++) {
+                if (segmentsIntersect(outerRing[j], outerRing[i], corners[k], corners[(k + 1) % 4])) {
+                    return true;
+                }
+            }
+        }
+    }
+    return false;
+}
+
+/**
+ * 檢查點是否在搜尋區域內
+ * @param {Number} lat - 緯度
+ * @param {Number} lng - 經度
+ * @param {Object} area - normalizeSearchArea 的結果
+ * @returns {Boolean}
+ */
+function isPointInArea(lat, lng, area) {
+    if (!isValidCoordinate(lat, lng)) return false;
+
+    if (area.type === 'circle') {
+        return haversineKm(lat, lng, area.center.lat, area.center.lng) <= area.radiusKm;
+    }
+    if (area.type === 'polygon') {
+        return isPointInBoundingBox(lat, lng, area.bbox) && isPointInPolygons(lat, lng, area.polygons);
+    }
+    return isPointInBoundingBox(lat, lng, area.bbox);
+}
+
+/**
+ * 檢查網格是否與搜尋區域重疊
+ * @param {Object} tile - 網格範圍
+ * @param {Object} area - normalizeSearchArea 的結果
+ * @returns {Boolean}
+ */
+function tileIntersectsArea(tile, area) {
+    if (area.type === 'circle') {
+        // 網格內離圓心最近的點
+        const lat = Math.max(tile.south, Math.min(tile.north, area.center.lat));
+        const lng = Math.max(tile.west, Math.min(tile.east, area.center.lng));
+        return haversineKm(lat, lng, area.center.lat, area.center.lng) <= area.radiusKm;
+    }
+
+    const bbox = area.bbox;
+    const overlapsBoundingBox = tile.south <= bbox.north && tile.north >= bbox.south &&
+                                tile.west <= bbox.east && tile.east >= bbox.west;
+
+    if (area.type === 'polygon') {
+        return overlapsBoundingBox && tileIntersectsPolygons(tile, area.polygons);
+    }
+    return overlapsBoundingBox;
+}
+
+/**
+ * 規劃搜尋區域的初始網格
+ * @param {Object} area - normalizeSearchArea 的結果
+ * @param {Number} tileSizeKm - 網格最大邊長（公里）
+ * @returns {Array<Object>} - 與區域重疊的網格
+ */
+function planTiles(area, tileSizeKm) {
+    return splitIntoTiles(area.bbox, tileSizeKm).filter(tile => tileIntersectsArea(tile, area));
+}
+
+module.exports = {
+    haversineKm,
+    isValidCoordinate,
+    extractPolygons,
+    normalizeSearchArea,
+    boundingBoxSize,
+    boundingBoxCenter,
+    splitIntoTiles,
+    subdivideTile,
+    zoomForTile,
+    isPointInBoundingBox,
+    isPointInPolygons,
+    isPointInArea,
+    tileIntersectsArea,
+    planTiles
+};
@@ -0,0 +1,271 @@
+/**
+ * HTML 頁面解析工具
+ * 不開啟瀏覽器，直接解析下載的 HTML：偵測編碼、取出文字、連結與電子郵件解碼所需的內容，
+ * 並判斷頁面是否由 JavaScript 在瀏覽器端產生（需要改用瀏覽器開啟）
+ */
+
+const { decodeHtmlEntities } = require('./emailDecoding');
+const { SOCIAL_HOSTS } = require('./socialProfiles');
+
+// 編碼名稱的別名（TextDecoder 不認得或常見的錯誤寫法）
+const CHARSET_ALIASES = {
+    'x-sjis': 'shift_jis',
+    'sjis': 'shift_jis',
+    'ms932': 'shift_jis',
+    'cp932': 'shift_jis',
+    'big5-hkscs': 'big5',
+    'x-euc-tw': 'big5',
+    'ks_c_5601-1987': 'euc-kr',
+    'cp949': 'euc-kr',
+    'gb2312': 'gbk',
+    'utf8': 'utf-8'
+};
+
+// 前端框架的掛載節點
+const APP_SHELL_PATTERN = /<(?:div|main|body)[^>]+(?:id\s*=\s*["']?(?:root|app|__next|__nuxt|___gatsby|svelte|main-app)["'\s>]|ng-app|data-reactroot|data-server-rendered)/i;
+
+// <noscript> 中要求啟用 JavaScript 的提示
+const NOSCRIPT_PATTERN = /enable javascript|javascript (?:is )?(?:required|disabled)|啟用 ?javascript|启用 ?javascript|javascript ?を有効|자바스크립트|javascript aktivieren|activer javascript|habilita(?:r)? javascript/i;
+
+// 少於此字數的頁面視為沒有內容
+const MIN_TEXT_LENGTH = 200;
+
+/**
+ * 正規化編碼名稱
+ * @param {String} charset - 編碼名稱
+ * @returns {String|null} - TextDecoder 可用的編碼名稱
+ */
+function normalizeCharset(charset) {
+    if (!charset) return null;
+    const name = String(charset).trim().replace(/^["']|["']$/g, '').toLowerCase();
+    const resolved = CHARSET_ALIASES[name] || name;
+    try {
+        return new TextDecoder(resolved).encoding;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * 偵測 HTML 的編碼：BOM、Content-Type 標頭、<meta charset> 的順序
+ * @param {Buffer|Uint8Array} bytes - HTML 原始位元組
+ * @param {String} contentType - Content-Type 標頭
+ * @returns {String} - 編碼名稱（預設 utf-8）
+ */
+function detectCharset(bytes, contentType) {
+    if (bytes && bytes.length >= 3 && bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 'utf-8';
+    if (bytes && bytes.length >= 2 && bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le';
+    if (bytes && bytes.length >= 2 && bytes[0] === 0xFE && bytes[1] === 0xFF) return 'utf-16be';
+
+    const headerMatch = /charset\s*=\s*([^;\s]+)/i.exec(contentType || '');
+    const fromHeader = headerMatch && normalizeCharset(headerMatch[1]);
+    if (fromHeader) return fromHeader;
+
+    // <meta charset="big5"> 或 <meta http-equiv="Content-Type" content="text/html; charset=shift_jis">
+    const head = bytes ? Buffer.from(bytes.subarray(0, 4096)).toString('latin1') : '';
+    const metaMatch = /<meta[^>]+charset\s*=\s*["']?([\w-]+)/i.exec(head);
+    const fromMeta = metaMatch && normalizeCharset(metaMatch[1]);
+    return fromMeta || 'utf-8';
+}
+
+/**
+ * 依偵測到的編碼解碼 HTML
+ * @param {Buffer|Uint8Array} bytes - HTML 原始位元組
+ * @param {String} contentType - Content-Type 標頭
+ * @returns {String}
+ */
+function decodeHtml(bytes, contentType) {
+    return new TextDecoder(detectCharset(bytes, contentType)).decode(bytes);
+}
+
+/**
+ * 取得標籤中的屬性值
+ * @param {String} tag - 開始標籤
+ * @param {String} name - 屬性名稱
+ * @returns {String|null}
+ */
+function getAttribute(tag, name) {
+    const match = new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i').exec(tag);
+    if (!match) return null;
+    return decodeHtmlEntities(match[1] ?? match[2] ?? match[3]);
+}
+
+/**
+ * 將 HTML 轉換成純文字（移除腳本、樣式與標籤）
+ * @param {String} html - HTML
+ * @returns {String}
+ */
+function htmlToText(html) {
+    return decodeHtmlEntities(String(html || '')
+        .replace(/<!--[\s\S]*?-->/g, ' ')
+        .replace(/<(script|style|noscript|template|svg)\b[\s\S]*?<\/\1\s*>/gi, ' ')
+        .replace(/<br\s*\/?>|<\/(?:p|div|li|tr|h[1-6]|section|article|footer|header|address)>/gi, '\n')
+        .replace(/<[^>]+>/g, ' '))
+        .replace(/[ \t\u00A0]+/g, ' ')
+        .replace(/\s*\n\s*/g, '\n')
+        .trim();
+}
+
+/**
+ * 將連結解析成絕對網址
+ */
+function resolveUrl(href, baseUrl) {
+    try {
+        return new URL(href.trim(), baseUrl).href;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * 判斷是否為社群網站的網址
+ */
+function isSocialUrl(href) {
+    try {
+        const host = new URL(href).hostname.toLowerCase();
+        return SOCIAL_HOSTS.some(domain => host === domain || host.endsWith(`.${domain}`));
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * 解析 HTML，取得與瀏覽器頁面相同格式的內容
+ * @param {String} html - HTML
+ * @param {String} baseUrl - 頁面網址（用於解析相對連結）
+ * @returns {Object} - { text, mailtos, cfEmails, scripts, links: [{ href, text }], socialLinks,
+ *                       tels, forms: [{ action, marker, hasTextarea, hasEmail, fieldCount }], iframes, jsonLd, addressTags }
+ */
+function parseHtmlSnapshot(html, baseUrl) {
+    const source = String(html || '');
+    const base = (() => {
+        const baseTag = /<base\b[^>]*>/i.exec(source);
+        const href = baseTag && getAttribute(baseTag[0], 'href');
+        return (href && resolveUrl(href, baseUrl)) || baseUrl;
+    })();
+
+    const mailtos = [];
+    const tels = [];
+    const cfEmails = [];
+    const links = [];
+    const socialLinks = [];
+
+    for (const match of source.matchAll(/<a\b([^>]*)>([\s\S]*?)<\/a\s*>/gi)) {
+        const rawHref = getAttribute(match[1], 'href');
+        if (!rawHref) continue;
+
+        if (/^mailto:/i.test(rawHref.trim())) {
+            mailtos.push(rawHref.trim());
+            continue;
+        }
+        if (/^tel:/i.test(rawHref.trim())) {
+            tels.push(rawHref.trim());
+            continue;
+        }
+
+        const href = resolveUrl(rawHref, base);
+        if (!href) continue;
+
+        if (href.includes('/cdn-cgi/l/email-protection#')) {
+            cfEmails.push(href.split('#')[1]);
+            continue;
+        }
+        if (links.length < 500) {
+            const title = getAttribute(match[1], 'title') || '';
+            links.push({ href, text: (htmlToText(match[2]) || title).trim().slice(0, 100) });
+        }
+        if (isSocialUrl(href) && socialLinks.length < 200) socialLinks.push(href);
+    }
+
+    // 嵌入的社群外掛與表單
+    const iframes = [];
+    for (const match of source.matchAll(/<iframe\b[^>]*>/gi)) {
+        const src = getAttribute(match[0], 'src');
+        const href = src && resolveUrl(src, base);
+        if (!href) continue;
+        if (iframes.length < 50) iframes.push(href);
+        if (isSocialUrl(href) && socialLinks.length < 200) socialLinks.push(href);
+    }
+
+    // 表單（用於判斷是否有聯絡表單）
+    const forms = [];
+    for (const match of source.matchAll(/<form\b([^>]*)>([\s\S]*?)<\/form\s*>/gi)) {
+        const fields = Array.from(match[2].matchAll(/<(input|textarea|select)\b[^>]*>/gi))
+            .filter(field => !/\stype\s*=\s*["']?(?:hidden|submit|button|checkbox|radio)/i.test(field[0]));
+        forms.push({
+            action: getAttribute(match[1], 'action') || '',
+            marker: [getAttribute(match[1], 'class'), getAttribute(match[1], 'id')].filter(Boolean).join(' '),
+            hasTextarea: fields.some(field => field[1].toLowerCase() === 'textarea'),
+            hasEmail: fields.some(field => /\stype\s*=\s*["']?email|\sname\s*=\s*["']?[^"'\s>]*e-?mail/i.test(field[0])),
+            fieldCount: fields.length
+        });
+        if (forms.length >= 20) break;
+    }
+
+    // 地址標籤
+    const addressTags = Array.from(source.matchAll(/<address\b[^>]*>([\s\S]*?)<\/address\s*>/gi))
+        .slice(0, 20)
+        .map(match => htmlToText(match[1]).slice(0, 500));
+
+    // Cloudflare 電子郵件保護
+    for (const match of source.matchAll(/<[a-z][^>]*\sdata-cfemail\s*=[^>]*>/gi)) {
+        const encoded = getAttribute(match[0], 'data-cfemail');
+        if (encoded) cfEmails.push(encoded);
+    }
+
+    // 內嵌腳本與 onclick 中組合的 mailto
+    const scripts = [];
+    const jsonLd = [];
+    for (const match of source.matchAll(/<script\b([^>]*)>([\s\S]*?)<\/script\s*>/gi)) {
+        if (/\ssrc\s*=/i.test(match[1])) continue;
+        if (/application\/ld\+json/i.test(match[1])) {
+            if (jsonLd.length < 20) jsonLd.push(match[2].slice(0, 100000));
+            continue;
+        }
+        if (/mailto|@|fromCharCode/.test(match[2])) scripts.push(match[2].slice(0, 20000));
+    }
+    for (const match of source.matchAll(/<[a-z][^>]*\sonclick\s*=[^>]*>/gi)) {
+        const onclick = getAttribute(match[0], 'onclick');
+        if (onclick && onclick.includes('mailto')) scripts.push(onclick.slice(0, 20000));
+    }
+
+    return {
+        text: htmlToText(source).slice(0, 500000),
+        mailtos,
+        cfEmails,
+        scripts,
+        links,
+        socialLinks,
+        tels,
+        forms,
+        iframes,
+        jsonLd,
+        addressTags
+    };
+}
+
+/**
+ * 判斷頁面是否需要瀏覽器才能取得內容（前端框架產生的頁面、要求啟用 JavaScript 的頁面）
+ * @param {String} html - HTML
+ * @param {Object} snapshot - parseHtmlSnapshot 的結果
+ * @returns {String|null} - 原因（appShell、noscript、emptyBody），不需要時回傳 null
+ */
+function detectClientRendering(html, snapshot) {
+    const textLength = snapshot && snapshot.text ? snapshot.text.length : 0;
+    if (textLength >= MIN_TEXT_LENGTH * 5) return null;
+
+    if (textLength < MIN_TEXT_LENGTH && APP_SHELL_PATTERN.test(html || '')) return 'appShell';
+    const noscripts = Array.from(String(html || '').matchAll(/<noscript\b[^>]*>([\s\S]*?)<\/noscript\s*>/gi));
+    if (noscripts.some(match => NOSCRIPT_PATTERN.test(htmlToText(match[1])))) return 'noscript';
+    if (textLength < MIN_TEXT_LENGTH && /<script\b/i.test(html || '')) return 'emptyBody';
+
+    return null;
+}
+
+module.exports = {
+    detectCharset,
+    decodeHtml,
+    htmlToText,
+    parseHtmlSnapshot,
+    detectClientRendering
+};
@@ -0,0 +1,236 @@
+/**
+ * 多語系字詞對照表
+ * 涵蓋 INPUT_SCHEMA.json 支援的語言：en, zh-TW, zh-CN, ja, ko, es, fr, de
+ * 用於將頁面上的在地化文字轉換成與語言無關的值
+ */
+
+/**
+ * 相對時間單位（「2 週前」、「hace un mes」、「vor 3 Tagen」）
+ * 依序比對，較長或容易混淆的單位放在前面
+ */
+const RELATIVE_TIME_UNITS = [
+    { unit: 'minute', pattern: /\bminut[eos]*\b|\bminuten?\b|分鐘|分钟|分前|분/i },
+    { unit: 'hour', pattern: /\bhours?\b|\bhoras?\b|\bheures?\b|\bstunden?\b|小時|小时|時間|시간/i },
+    { unit: 'week', pattern: /\bweeks?\b|\bsemanas?\b|\bsemaines?\b|\bwochen?\b|週|周|주/i },
+    { unit: 'month', pattern: /\bmonths?\b|\bmes(es)?\b|\bmois\b|\bmonat(e|en)?\b|個月|个月|か月|ヶ月|カ月|개월/i },
+    { unit: 'year', pattern: /\byears?\b|\baños?\b|\bans?\b|\bannées?\b|\bjahre?n?\b|年|년/i },
+    { unit: 'day', pattern: /\bdays?\b|\bd[ií]as?\b|\bjours?\b|\btage?n?\b|天|日|일/i }
+];
+
+// 星期名稱（依序為星期一到星期日），輸出時統一使用英文名稱
+const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+const WEEKDAY_NAMES = [
+    ['monday', '星期一', '週一', '周一', '月曜日', '월요일', 'lunes', 'lundi', 'montag'],
+    ['tuesday', '星期二', '週二', '周二', '火曜日', '화요일', 'martes', 'mardi', 'dienstag'],
+    ['wednesday', '星期三', '週三', '周三', '水曜日', '수요일', 'miércoles', 'mercredi', 'mittwoch'],
+    ['thursday', '星期四', '週四', '周四', '木曜日', '목요일', 'jueves', 'jeudi', 'donnerstag'],
+    ['friday', '星期五', '週五', '周五', '金曜日', '금요일', 'viernes', 'vendredi', 'freitag'],
+    ['saturday', '星期六', '週六', '周六', '土曜日', '토요일', 'sábado', 'samedi', 'samstag'],
+    ['sunday', '星期日', '星期天', '週日', '周日', '日曜日', '일요일', 'domingo', 'dimanche', 'sonntag']
+];
+
+// 中日韓文的上午／下午標記（「下午2點」、「오후 2시」）
+const MERIDIEM_WORDS = {
+    am: ['上午', '凌晨', '早上', '午前', '오전'],
+    pm: ['下午', '晚上', '午後', '오후'],
+    noon: ['中午']
+};
+
+// 營業時間中「休息」與「24 小時營業」的說法（小寫）
+const HOURS_CLOSED_WORDS = ['closed', '休息', '休業', '公休', '定休日', '휴무', '휴무일', 'cerrado', 'fermé', 'geschlossen', 'ruhetag'];
+
+const HOURS_OPEN_24_WORDS = ['open 24 hours', '24 小時營業', '24小時營業', '24 小时营业', '24小时营业', '24 時間営業', '24時間営業', '24시간 영업', 'abierto 24 horas', 'abierto las 24 horas', 'ouvert 24h/24', 'ouvert 24 h/24', '24 stunden geöffnet', 'rund um die uhr'];
+
+// 停留時間的單位（「45 min to 2 hr」、「45 分鐘至 2 小時」、「45 Min. bis 2 Std.」）
+const DURATION_UNITS = [
+    { minutes: 60, pattern: /^(hours?|hrs?|h|horas?|heures?|std\.?|stunden?|小時|小时|時間|시간)/i },
+    { minutes: 1, pattern: /^(min(ute)?s?\.?|minutos?|minuten?|分鐘|分钟|分|분)/i }
+];
+
+// 「最多」停留時間的說法（只有上限）
+const UP_TO_WORDS = /up to|最多|最長|최대|hasta|jusqu|bis zu/i;
+
+// 「簡介」分頁的區段名稱（小寫），對應到與語言無關的鍵
+const ABOUT_SECTIONS = {
+    serviceOptions: ['service options', '服務選項', '服务选项', 'サービス オプション', '서비스 옵션', 'opciones de servicio', 'options de service', 'serviceoptionen'],
+    highlights: ['highlights', '特色', 'ハイライト', '주요 특징', 'aspectos destacados', 'points forts'],
+    popularFor: ['popular for', '熱門原因', '热门原因', '人気', '인기 있는 이유', 'popular para', 'populaire pour', 'beliebt für'],
+    accessibility: ['accessibility', '無障礙程度', '无障碍程度', 'バリアフリー', '장애인 편의시설', 'accesibilidad', 'accessibilité', 'barrierefreiheit'],
+    offerings: ['offerings', '產品/服務', '产品/服务', '提供されているもの', '제공 항목', 'oferta', 'offres', 'angebot'],
+    diningOptions: ['dining options', '用餐選擇', '用餐选择', '食事', '식사 옵션', 'opciones del local', 'options de restauration', 'essensoptionen'],
+    amenities: ['amenities', '設施', '设施', '設備', '편의시설', 'servicios', 'équipements', 'ausstattung'],
+    atmosphere: ['atmosphere', '氛圍', '氛围', '雰囲気', '분위기', 'ambiente', 'ambiance'],
+    crowd: ['crowd', '客層', '客群', '고객층', 'público', 'clientèle', 'publikum'],
+    planning: ['planning', '規劃', '规划', 'プランニング', '계획', 'planificación', 'planification', 'planung'],
+    payments: ['payments', '付款方式', 'お支払い', '결제', 'pagos', 'paiements', 'zahlungen'],
+    children: ['children', '兒童', '儿童', '子供', '어린이', 'niños', 'enfants', 'kinder'],
+    parking: ['parking', '停車', '停车', '駐車場', '주차', 'aparcamiento', 'parken'],
+    pets: ['pets', '寵物', '宠物', 'ペット', '반려동물', 'mascotas', 'animaux de compagnie', 'haustiere'],
+    fromTheBusiness: ['from the business', '商家提供的資訊', '商家提供的信息', 'ビジネスからの情報', '비즈니스 제공 정보', 'información de la empresa', "informations de l'établissement", 'vom unternehmen']
+};
+
+// 「簡介」分頁的屬性名稱（小寫），對應到與語言無關的鍵
+const ABOUT_ATTRIBUTES = {
+    delivery: ['delivery', '外送', '送货上门', 'デリバリー', '배달', 'entrega a domicilio', 'livraison', 'lieferservice'],
+    takeout: ['takeout', 'takeaway', '外帶', '外卖', 'テイクアウト', '테이크아웃', 'para llevar', 'vente à emporter', 'zum mitnehmen'],
+    dineIn: ['dine-in', '內用', '堂食', '店内飲食', '매장 내 식사', 'consumo en el local', 'repas sur place', 'speisen vor ort'],
+    curbsidePickup: ['curbside pickup', '路邊取貨', '路边取货', '店舗前受け取り', '매장 밖 픽업', 'recogida en la acera', 'retrait devant le magasin', 'abholung vor dem geschäft'],
+    noContactDelivery: ['no-contact delivery', '無接觸外送', '无接触送货', '非対面デリバリー', '비대면 배달', 'entrega sin contacto', 'livraison sans contact', 'kontaktlose lieferung'],
+    inStoreShopping: ['in-store shopping', '店內購物', '店内购物', '店内ショッピング', '매장 내 쇼핑', 'compras en tienda', 'achats en magasin', 'einkaufen im geschäft'],
+    inStorePickup: ['in-store pickup', '店內取貨', '店内取货', '店舗受け取り', '매장 내 픽업', 'recogida en tienda', 'retrait en magasin', 'abholung im geschäft'],
+    onsiteServices: ['onsite services', '現場服務', '现场服务', '店内サービス', '현장 서비스', 'servicios in situ', 'services sur place', 'services vor ort'],
+    wheelchairAccessibleEntrance: ['wheelchair-accessible entrance', '無障礙入口', '无障碍入口', '車椅子対応の入口', '휠체어 접근 가능 입구', 'entrada accesible para personas en silla de ruedas', 'entrée accessible en fauteuil roulant', 'rollstuhlgerechter eingang'],
+    wheelchairAccessibleParking: ['wheelchair-accessible car park', 'wheelchair-accessible parking lot', '無障礙停車場', '无障碍停车场', '車椅子対応の駐車場', '휠체어 접근 가능 주차장', 'aparcamiento accesible para personas en silla de ruedas', 'parking accessible en fauteuil roulant', 'rollstuhlgerechter parkplatz'],
+    wheelchairAccessibleRestroom: ['wheelchair-accessible toilet', 'wheelchair-accessible restroom', '無障礙洗手間', '无障碍卫生间', '車椅子対応のトイレ', '휠체어 접근 가능 화장실', 'baño accesible para personas en silla de ruedas', 'toilettes accessibles en fauteuil roulant', 'rollstuhlgerechte toilette'],
+    wheelchairAccessibleSeating: ['wheelchair-accessible seating', '無障礙座位', '无障碍座位', '車椅子対応の座席', '휠체어 접근 가능 좌석', 'asientos accesibles para personas en silla de ruedas', 'places assises accessibles en fauteuil roulant', 'rollstuhlgerechte sitzplätze'],
+    restroom: ['restroom', 'toilets', '洗手間', '卫生间', 'トイレ', '화장실', 'baño', 'toilettes', 'toiletten'],
+    wifi: ['wi-fi', 'wifi', '無線網路', '无线网络', 'wi-fi あり', '와이파이', 'wlan'],
+    freeWifi: ['free wi-fi', '免費 wi-fi', '免费 wi-fi', '無料 wi-fi', '무료 wi-fi', 'wi-fi gratis', 'wi-fi gratuit', 'kostenloses wlan'],
+    goodForKids: ['good for kids', '適合兒童', '适合儿童', '子供向き', '아이에게 적합', 'adecuado para niños', 'adapté aux enfants', 'gut für kinder geeignet'],
+    highChairs: ['high chairs', '兒童座椅', '儿童座椅', 'ハイチェア', '유아용 의자', 'tronas', 'chaises hautes', 'hochstühle'],
+    creditCards: ['credit cards', '信用卡', 'クレジットカード', '신용카드', 'tarjetas de crédito', 'cartes de crédit', 'kreditkarten'],
+    debitCards: ['debit cards', '簽帳金融卡', '借记卡', 'デビットカード', '직불카드', 'tarjetas de débito', 'cartes de débit', 'debitkarten'],
+    nfcMobilePayments: ['nfc mobile payments', 'nfc 行動支付', 'nfc 移动支付', 'nfc モバイル決済', 'nfc 모바일 결제', 'pagos móviles mediante nfc', 'paiements mobiles nfc', 'mobile nfc-zahlungen'],
+    cashOnly: ['cash only', '只收現金', '仅限现金', '現金のみ', '현금만 가능', 'solo efectivo', 'espèces uniquement', 'nur barzahlung'],
+    acceptsReservations: ['accepts reservations', '接受訂位', '接受预订', '予約可', '예약 가능', 'admite reservas', 'accepte les réservations', 'reservierung möglich'],
+    reservationRequired: ['reservation required', '需要訂位', '需要预订', '予約が必要', '예약 필수', 'se necesita reserva', 'réservation obligatoire', 'reservierung erforderlich'],
+    outdoorSeating: ['outdoor seating', '戶外座位', '户外座位', '屋外席', '야외 좌석', 'mesas al aire libre', 'places assises en extérieur', 'sitzplätze im freien'],
+    vegetarianOptions: ['vegetarian options', '素食選擇', '素食选择', 'ベジタリアン料理', '채식 메뉴', 'opciones vegetarianas', 'plats végétariens', 'vegetarische gerichte'],
+    alcohol: ['alcohol', '酒精飲料', '酒精饮料', 'アルコール', '주류', 'alcool', 'alkohol'],
+    beer: ['beer', '啤酒', 'ビール', '맥주', 'cerveza', 'bière', 'bier'],
+    wine: ['wine', '葡萄酒', 'ワイン', '와인', 'vino', 'vin', 'wein'],
+    coffee: ['coffee', '咖啡', 'コーヒー', '커피', 'café', 'kaffee'],
+    breakfast: ['breakfast', '早餐', '朝食', '아침 식사', 'desayuno', 'petit-déjeuner', 'frühstück'],
+    lunch: ['lunch', '午餐', 'ランチ', '점심 식사', 'almuerzo', 'déjeuner', 'mittagessen'],
+    dinner: ['dinner', '晚餐', 'ディナー', '저녁 식사', 'cena', 'dîner', 'abendessen'],
+    dessert: ['dessert', '甜點', '甜点', 'デザート', '디저트', 'postres', 'desserts'],
+    casual: ['casual', '休閒', '休闲', 'カジュアル', '캐주얼', 'informal', 'décontracté', 'gemütlich'],
+    cozy: ['cozy', 'cosy', '舒適', '舒适', '居心地が良い', '아늑함', 'acogedor', 'chaleureux', 'behaglich'],
+    groups: ['groups', '團體', '团体', 'グループ', '단체', 'grupos', 'groupes', 'gruppen'],
+    familyFriendly: ['family-friendly', 'family friendly', '適合闔家光臨', '适合家庭', '家族向け', '가족 친화적', 'apto para familias', 'adapté aux familles', 'familienfreundlich'],
+    lgbtqFriendly: ['lgbtq+ friendly', 'lgbtq+ 友善', 'lgbtq+ 友好', 'lgbtq+ フレンドリー', 'lgbtq+ 친화적', 'apto para personas lgbtq+', 'accueillant envers la communauté lgbtq+', 'lgbtq+-freundlich'],
+    freeParking: ['free parking lot', 'free car park', '免費停車場', '免费停车场', '無料駐車場', '무료 주차장', 'aparcamiento gratuito', 'parking gratuit', 'kostenlose parkplätze'],
+    paidParking: ['paid parking lot', 'paid car park', '付費停車場', '付费停车场', '有料駐車場', '유료 주차장', 'aparcamiento de pago', 'parking payant', 'kostenpflichtige parkplätze'],
+    freeStreetParking: ['free street parking', '路邊免費停車位', '免费路边停车', '路上駐車無料', '무료 노상 주차', 'aparcamiento gratuito en la calle', 'parking gratuit dans la rue', 'kostenlose parkplätze an der straße'],
+    dogsAllowed: ['dogs allowed', '可攜帶狗狗', '允许携带狗', '犬同伴可', '반려견 동반 가능', 'se admiten perros', 'chiens acceptés', 'hunde erlaubt']
+};
+
+// 表示「不提供」的說法（例如「No dine-in」、「不提供內用」、「배달 없음」）
+const NEGATION_PATTERNS = [
+    /^(no|not)\b|^doesn[’']?t\b|^does not\b/i,
+    /^(不|沒有|没有|未提供)/,
+    /(なし|ありません|不可|できません)/,
+    /(없음|없습니다|불가|않음|않습니다)/,
+    /^(no|sin)\b/i,
+    /^(pas|sans|ne|n[’'])\b|^n[’']/i,
+    /^(kein|keine|keinen|nicht)\b/i
+];
+
+// 相片分類分頁（小寫），對應到與語言無關的鍵
+const PHOTO_CATEGORIES = {
+    all: ['all', '全部', 'すべて', '전체', 'todo', 'tout', 'alle'],
+    latest: ['latest', '最新', '최신', 'más recientes', 'les plus récentes', 'neueste'],
+    menu: ['menu', '菜單', '菜单', 'メニュー', '메뉴', 'menú', 'speisekarte'],
+    foodAndDrink: ['food & drink', 'food', '美食和飲料', '食品和饮料', '料理とドリンク', '음식 및 음료', 'comida y bebida', 'plats et boissons', 'essen & trinken'],
+    vibe: ['vibe', '氛圍', '氛围', '雰囲気', '분위기', 'ambiente', 'ambiance', 'atmosphäre'],
+    byOwner: ['by owner', '業主提供', '由所有者提供', 'オーナー提供', '소유자 제공', 'del propietario', 'du propriétaire', 'vom inhaber'],
+    inside: ['inside', 'interior', '內部', '内部', '店内', '내부', 'intérieur', 'innen'],
+    outside: ['outside', 'exterior', '外部', '外観', '외부', 'extérieur', 'außen'],
+    videos: ['videos', '影片', '视频', '動画', '동영상', 'vídeos', 'vidéos'],
+    streetView: ['street view & 360°', 'street view', '街景服務和 360 度全景', '街景和 360°', 'ストリートビューと 360°', '스트리트 뷰 및 360°', 'street view y 360°', 'street view et 360°']
+};
+
+// 相片數量的說法（「1,234 photos」、「1,234 張相片」）
+const PHOTO_COUNT_PATTERN = /(\d[\d.,\s\u00A0\u202F]*)\s*\+?\s*(photos?|張相片|张照片|枚の写真|장의 사진|사진|fotos?)/i;
+
+// 地點頁面動作按鈕的說法，依序比對
+const ACTION_LINK_TYPES = [
+    { type: 'menu', pattern: /menu|菜單|菜单|メニュー|메뉴|menú|carte|speisekarte/i },
+    { type: 'orderOnline', pattern: /order|訂購|订购|點餐|点餐|注文|주문|pedir|pedido|commander|bestellen/i },
+    { type: 'reservation', pattern: /reserv|table|訂位|订位|预订|預訂|予約|예약|réserv/i },
+    { type: 'booking', pattern: /book|hotel|check.?in|訂房|订房|客房|宿泊|객실|habitaci|chambre|zimmer|buchen/i }
+];
+
+// 營業狀態的說法（小寫），出現在搜尋結果卡片與地點頁面標題區
+// 不包含「即將開始營業」這類營業時間提示
+const BUSINESS_STATUS_PHRASES = {
+    CLOSED_PERMANENTLY: ['permanently closed', '永久停業', '永久歇業', '永久停业', '永久关闭', '閉業', '폐업', 'cerrado permanentemente', 'fermé définitivement', 'dauerhaft geschlossen'],
+    CLOSED_TEMPORARILY: ['temporarily closed', '暫停營業', '暂停营业', '臨時休業', '一時休業', '임시 휴업', 'cerrado temporalmente', 'fermé temporairement', 'vorübergehend geschlossen'],
+    OPENING_SOON: ['opening soon', '即將開幕', '即将开业', '即將開業', 'まもなく開業', '오픈 예정', 'próxima apertura', 'ouverture prochaine', 'eröffnet bald']
+};
+
+// 網站上可能列出聯絡方式的頁面（依優先順序），比對連結文字與網址路徑
+const CONTACT_PAGE_PATTERNS = [
+    /contact|kontakt|contacto|contactez|contatti|聯絡|聯繫|联系|お問い合わせ|問い合わせ|問合せ|연락처|문의/i,
+    /impressum|imprint|mentions[-\s]?l[ée]gales|aviso[-\s]?legal|legal[-\s]?notice|特定商取引/i,
+    /about|über[-\s]?uns|ueber[-\s]?uns|nosotros|qui[-\s]?sommes|quienes[-\s]?somos|[àa][-\s]?propos|關於|关于|会社概要|会社案内|회사[-\s]?소개|소개/i,
+    /team|support|kundenservice|atenci[óo]n|客服|サポート|고객센터/i
+];
+
+// 傳真號碼前的標籤（網站上的傳真號碼不列為聯絡電話）
+const FAX_LABEL_PATTERN = /(?:fax|telefax|傳真|传真|ファックス|ファクス|팩스)\s*(?:no\.?|number|nr\.?|番号|번호)?\s*[:：.]?\s*$/i;
+
+// 角色型電子郵件的帳號名稱（info@、sales@ 及各語言的說法）
+const ROLE_EMAIL_PREFIXES = [
+    'info', 'contact', 'hello', 'hi', 'office', 'mail', 'email', 'enquiries', 'enquiry', 'inquiry', 'inquiries',
+    'sales', 'support', 'service', 'services', 'help', 'admin', 'team', 'booking', 'bookings', 'reservations',
+    'reservation', 'order', 'orders', 'shop', 'store', 'marketing', 'press', 'media', 'pr', 'hr', 'jobs',
+    'careers', 'billing', 'accounts', 'accounting', 'finance', 'reception', 'frontdesk', 'customerservice',
+    'customer', 'customercare', 'care', 'cs', 'feedback', 'concierge', 'general', 'events', 'privacy', 'legal', 'webmaster', 'hostmaster', 'postmaster', 'abuse', 'security',
+    'kontakt', 'verkauf', 'vertrieb', 'buchhaltung', 'buero', 'reservierung', 'anfrage', 'bestellung',
+    'contacto', 'ventas', 'reservas', 'pedidos', 'hola', 'contatti', 'prenotazioni', 'vendite', 'ciao',
+    'bonjour', 'commercial', 'accueil', 'vendas', 'geral', 'atendimento'
+];
+
+// 地址中的國家名稱（小寫），對應到 ISO 3166-1 國家代碼
+const COUNTRY_NAMES = {
+    TW: ['taiwan', '台灣', '臺灣', '台湾', '대만', 'taiwán', 'taïwan'],
+    JP: ['japan', '日本', '일본', 'japón', 'japon'],
+    KR: ['south korea', 'korea', '南韓', '韩国', '韓國', '大韓民国', '韓国', '대한민국', 'corea del sur', 'corée du sud', 'südkorea'],
+    CN: ['china', '中國', '中国', '중국', 'chine'],
+    HK: ['hong kong', '香港', '홍콩'],
+    US: ['united states', 'usa', '美國', '美国', 'アメリカ合衆国', '미국', 'estados unidos', 'états-unis', 'vereinigte staaten'],
+    CA: ['canada', '加拿大', 'カナダ', '캐나다', 'canadá', 'kanada'],
+    GB: ['united kingdom', 'uk', '英國', '英国', 'イギリス', '영국', 'reino unido', 'royaume-uni', 'vereinigtes königreich'],
+    DE: ['germany', 'deutschland', '德國', '德国', 'ドイツ', '독일', 'alemania', 'allemagne'],
+    FR: ['france', '法國', '法国', 'フランス', '프랑스', 'francia', 'frankreich'],
+    ES: ['spain', 'españa', '西班牙', 'スペイン', '스페인', 'espagne', 'spanien'],
+    IT: ['italy', 'italia', '義大利', '意大利', 'イタリア', '이탈리아', 'italie', 'italien'],
+    NL: ['netherlands', 'nederland', '荷蘭', '荷兰', 'オランダ', '네덜란드', 'países bajos', 'pays-bas', 'niederlande'],
+    BE: ['belgium', 'belgië', 'belgique', '比利時', '比利时', 'ベルギー', '벨기에', 'bélgica', 'belgien'],
+    AT: ['austria', 'österreich', '奧地利', '奥地利', 'オーストリア', '오스트리아', 'autriche'],
+    CH: ['switzerland', 'schweiz', 'suisse', 'svizzera', '瑞士', 'スイス', '스위스', 'suiza'],
+    PT: ['portugal', '葡萄牙', 'ポルトガル', '포르투갈']
+};
+
+// 拉丁字母語言的常見字，用於推測評論語言
+const LANGUAGE_STOPWORDS = {
+    en: ['the', 'and', 'is', 'was', 'very', 'with', 'great', 'good', 'this', 'but'],
+    es: ['el', 'la', 'que', 'muy', 'con', 'los', 'las', 'es', 'pero', 'una'],
+    fr: ['le', 'la', 'et', 'est', 'très', 'les', 'des', 'avec', 'pas', 'une'],
+    de: ['der', 'die', 'und', 'ist', 'sehr', 'nicht', 'mit', 'das', 'ein', 'aber']
+};
+
+module.exports = {
+    RELATIVE_TIME_UNITS,
+    WEEKDAYS,
+    WEEKDAY_NAMES,
+    MERIDIEM_WORDS,
+    HOURS_CLOSED_WORDS,
+    HOURS_OPEN_24_WORDS,
+    DURATION_UNITS,
+    UP_TO_WORDS,
+    ABOUT_SECTIONS,
+    ABOUT_ATTRIBUTES,
+    NEGATION_PATTERNS,
+    PHOTO_CATEGORIES,
+    PHOTO_COUNT_PATTERN,
+    ACTION_LINK_TYPES,
+    BUSINESS_STATUS_PHRASES,
+    CONTACT_PAGE_PATTERNS,
+    FAX_LABEL_PATTERN,
+    ROLE_EMAIL_PREFIXES,
+    COUNTRY_NAMES,
+    LANGUAGE_STOPWORDS
+};
@@ -0,0 +1,279 @@
+/**
+ * 營業時間計算工具
+ * 由 hoursDetail 的每週營業時間計算目前是否營業，以及下次開門／打烊的時間
+ * 時間以地點所在時區計算，時區由座標離線推算
+ */
+
+const tzLookup = require('tz-lookup');
+const {
+    WEEKDAYS,
+    MERIDIEM_WORDS,
+    HOURS_CLOSED_WORDS,
+    HOURS_OPEN_24_WORDS
+} = require('./localeData');
+
+const DAY_MINUTES = 24 * 60;
+const WEEK_MINUTES = 7 * DAY_MINUTES;
+
+// 時間格式：「上午9:00」、「9 AM」、「9:30 p.m.」、「14:00」、「14 h 30」、「14 Uhr」、「9時」、「9時30分」
+const MERIDIEM_PREFIX = Object.values(MERIDIEM_WORDS).flat().join('|');
+const TIME_PATTERN = `(${MERIDIEM_PREFIX})?\\s*(\\d{1,2})(?:(?:[:：.]|\\s?h\\s?|\\s?(?:時|时|시|點|点)\\s?)(\\d{2})(?:\\s?(?:分|분))?)?\\s*(?:([ap])\\.?\\s?m\\.?)?(?:\\s*(?:uhr|h|時|时|시|點|点))?`;
+
+// 時段：「9 AM–5 PM」、「5–10 PM」、「오전 9:00~오후 6:00」、「9:00 bis 18:00」、「9 h à 18 h」、「9:00 a 18:00」、
+// 「上午11:00至下午9:00」、「9時から18時」
+const RANGE_PATTERN = new RegExp(`${TIME_PATTERN}\\s*(?:–|-|—|~|～|〜|\\bto\\b|\\bbis\\b|\\ba\\b|à|至|から)\\s*${TIME_PATTERN}`, 'gi');
+
+/**
+ * 依上午／下午標記換算成 24 小時制
+ * @param {Number} hour - 小時
+ * @param {String|null} meridiem - am、pm 或 null
+ * @returns {Number} - 0-23（24 維持不變）
+ */
+function applyMeridiem(hour, meridiem) {
+    if (meridiem === 'pm') return hour < 12 ? hour + 12 : hour;
+    if (meridiem === 'am') return hour === 12 ? 0 : hour;
+    return hour;
+}
+
+/**
+ * 取得時間的上午／下午標記（前綴的中日韓文字詞或後綴的 AM/PM）
+ */
+function meridiemOf(prefix, suffix) {
+    if (suffix) return suffix.toLowerCase() === 'p' ? 'pm' : 'am';
+    if (!prefix) return null;
+    if (MERIDIEM_WORDS.am.includes(prefix)) return 'am';
+    return 'pm';  // 下午、晚上與中午
+}
+
+/**
+ * 解析單日的營業時間文字
+ * @param {String} text - 例如「9 AM–5 PM」、「11:30–14:00, 17:00–21:00」、「Open 24 hours」、「Closed」
+ * @returns {Array|null} - [{ open, close }]（當日 0 點起算的分鐘數，跨夜時 close 超過 1440），
+ *                         休息日回傳空陣列，無法解析時回傳 null
+ */
+function parseDayHours(text) {
+    if (!text) return null;
+
+    const normalized = String(text)
+        .replace(/[\u00A0\u202F\u2009]/g, ' ')
+        .toLowerCase()
+        .trim();
+
+    if (HOURS_OPEN_24_WORDS.some(word => normalized.includes(word))) {
+        return [{ open: 0, close: DAY_MINUTES }];
+    }
+
+    const ranges = [];
+    for (const match of normalized.matchAll(RANGE_PATTERN)) {
+        const [, openPrefix, openHour, openMinute, openSuffix, closePrefix, closeHour, closeMinute, closeSuffix] = match;
+
+        const closeMeridiem = meridiemOf(closePrefix, closeSuffix);
+        let openMeridiem = meridiemOf(openPrefix, openSuffix);
+
+        const close = applyMeridiem(parseInt(closeHour, 10), closeMeridiem) * 60 + parseInt(closeMinute || '0', 10);
+
+        // 「5–10 PM」的開始時間沿用結束時間的標記，沿用後晚於結束時間則為上午（「11:30–2:30 PM」）
+        let open;
+        if (!openMeridiem && closeMeridiem) {
+            open = applyMeridiem(parseInt(openHour, 10), closeMeridiem) * 60 + parseInt(openMinute || '0', 10);
+            if (open > close) openMeridiem = 'am';
+        }
+        if (open === undefined || openMeridiem) {
+            open = applyMeridiem(parseInt(openHour, 10), openMeridiem) * 60 + parseInt(openMinute || '0', 10);
+        }
+
+        if (open >= DAY_MINUTES || close > DAY_MINUTES) continue;
+
+        // 結束時間早於（或等於）開始時間表示營業到隔天
+        ranges.push({ open, close: close <= open ? close + DAY_MINUTES : close });
+    }
+
+    if (ranges.length > 0) return ranges;
+    if (HOURS_CLOSED_WORDS.some(word => normalized.includes(word))) return [];
+
+    return null;
+}
+
+/**
+ * 將每週營業時間轉換成以星期一 0 點起算的營業區間
+ * @param {Object} hoursDetail - { Monday: '9 AM–5 PM', ... }（英文星期鍵）
+ * @returns {Array|null} - 合併後的 [{ start, end }]，包含前後一週的複本以處理跨週；無法解析時回傳 null
+ */
+function buildWeeklyIntervals(hoursDetail) {
+    if (!hoursDetail || typeof hoursDetail !== 'object') return null;
+
+    const intervals = [];
+    let parsedDays = 0;
+
+    for (const [day, text] of Object.entries(hoursDetail)) {
+        const dayIndex = WEEKDAYS.indexOf(day);
+        if (dayIndex === -1) continue;  // 國定假日等特殊日期
+
+        const ranges = parseDayHours(text);
+        if (ranges === null) return null;  // 任一天無法解析時不推算，避免錯誤的結果
+        parsedDays++;
+
+        for (const { open, close } of ranges) {
+            for (const offset of [-WEEK_MINUTES, 0, WEEK_MINUTES]) {
+                intervals.push({
+                    start: dayIndex * DAY_MINUTES + open + offset,
+                    end: dayIndex * DAY_MINUTES + close + offset
+                });
+            }
+        }
+    }
+
+    if (parsedDays === 0) return null;
+
+    // 合併相接的區間（連續的 24 小時營業、跨夜營業接續隔天的時段）
+    intervals.sort((a, b) => a.start - b.start);
+    const merged = [];
+    for (const interval of intervals) {
+        const last = merged[merged.length - 1];
+        if (last && interval.start <= last.end) {
+            last.end = Math.max(last.end, interval.end);
+        } else {
+            merged.push({ ...interval });
+        }
+    }
+
+    return merged;
+}
+
+/**
+ * 取得指定時區的當地時間
+ * @param {Date} date - 時間
+ * @param {String} timeZone - IANA 時區名稱
+ * @returns {Object} - { year, month, day, hour, minute, second, weekMinute, offsetMinutes }
+ */
+function getLocalTime(date, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        weekday: 'long',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(date).forEach(({ type, value }) => {
+        parts[type] = value;
+    });
+
+    const local = {
+        year: parseInt(parts.year, 10),
+        month: parseInt(parts.month, 10),
+        day: parseInt(parts.day, 10),
+        hour: parseInt(parts.hour, 10),
+        minute: parseInt(parts.minute, 10),
+        second: parseInt(parts.second, 10)
+    };
+
+    const wallClock = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second);
+    local.offsetMinutes = Math.round((wallClock - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+    local.weekMinute = WEEKDAYS.indexOf(parts.weekday) * DAY_MINUTES + local.hour * 60 + local.minute;
+
+    return local;
+}
+
+/**
+ * 以當地時間與 UTC 偏移格式化為 ISO 8601（「2024-05-06T09:00:00+08:00」）
+ * @param {Date} date - 時間
+ * @param {String} timeZone - IANA 時區名稱
+ * @returns {String}
+ */
+function formatLocalIso(date, timeZone) {
+    const local = getLocalTime(date, timeZone);
+    const pad = value => String(value).padStart(2, '0');
+    const offset = Math.abs(local.offsetMinutes);
+    const sign = local.offsetMinutes < 0 ? '-' : '+';
+
+    return `${local.year}-${pad(local.month)}-${pad(local.day)}T${pad(local.hour)}:${pad(local.minute)}:00` +
+           `${sign}${pad(Math.floor(offset / 60))}:${pad(offset % 60)}`;
+}
+
+/**
+ * 由座標推算時區（離線查表）
+ * @param {Number} latitude - 緯度
+ * @param {Number} longitude - 經度
+ * @returns {String|null} - IANA 時區名稱，座標無效時回傳 null
+ */
+function inferTimeZone(latitude, longitude) {
+    if (typeof latitude !== 'number' || typeof longitude !== 'number' ||
+        Number.isNaN(latitude) || Number.isNaN(longitude)) {
+        return null;
+    }
+
+    try {
+        return tzLookup(latitude, longitude);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * 計算目前是否營業與下次開門／打烊時間
+ * @param {Object} hoursDetail - 每週營業時間（英文星期鍵）
+ * @param {String} timeZone - 地點所在的 IANA 時區
+ * @param {Date} now - 目前時間
+ * @returns {Object} - { isOpenNow, nextOpenAt, nextCloseAt }，無法計算時各欄位為 null；
+ *                     時間為地點當地時間的 ISO 8601 字串，全天候營業時兩個時間皆為 null
+ */
+function computeOpenState(hoursDetail, timeZone, now = new Date()) {
+    const unknown = { isOpenNow: null, nextOpenAt: null, nextCloseAt: null };
+
+    const intervals = buildWeeklyIntervals(hoursDetail);
+    if (!intervals || !timeZone) return unknown;
+
+    let current;
+    try {
+        current = getLocalTime(now, timeZone);
+    } catch (error) {
+        return unknown;  // 無效的時區名稱
+    }
+    const position = current.weekMinute;
+
+    const active = intervals.find(({ start, end }) => start <= position && position < end);
+    const upcoming = intervals.find(({ start }) => start > position);
+
+    // 換算成實際時間，再依當地時間修正夏令時間造成的誤差
+    const toIso = (weekMinute) => {
+        const base = now.getTime() - current.second * 1000 - now.getMilliseconds();
+        let instant = new Date(base + (weekMinute - position) * 60000);
+        const difference = weekMinute - getLocalTime(instant, timeZone).weekMinute;
+        const drift = ((difference % WEEK_MINUTES) + WEEK_MINUTES * 1.5) % WEEK_MINUTES - WEEK_MINUTES / 2;
+        if (drift !== 0 && Math.abs(drift) < DAY_MINUTES) {
+            instant = new Date(instant.getTime() + drift * 60000);
+        }
+        return formatLocalIso(instant, timeZone);
+    };
+
+    if (active) {
+        // 全天候營業：沒有打烊時間
+        if (active.end - active.start >= WEEK_MINUTES) {
+            return { isOpenNow: true, nextOpenAt: null, nextCloseAt: null };
+        }
+        return {
+            isOpenNow: true,
+            nextOpenAt: upcoming ? toIso(upcoming.start) : null,
+            nextCloseAt: toIso(active.end)
+        };
+    }
+
+    return {
+        isOpenNow: false,
+        nextOpenAt: upcoming ? toIso(upcoming.start) : null,
+        nextCloseAt: upcoming ? toIso(upcoming.end) : null
+    };
+}
+
+module.exports = {
+    parseDayHours,
+    buildWeeklyIntervals,
+    getLocalTime,
+    formatLocalIso,
+    inferTimeZone,
+    computeOpenState
+};
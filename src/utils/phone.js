@@ -0,0 +1,139 @@
+/**
+ * 電話號碼正規化工具
+ * 依地點所在國家將 Google 顯示的本地格式轉換成 E.164，並判斷號碼類型與有效性
+ * 國家取自結構化地址，沒有時由座標推算的時區對應
+ */
+
+const { parsePhoneNumberFromString } = require('libphonenumber-js/max');
+const { inferTimeZone } = require('./openingHours');
+
+// 時區對應的國家（涵蓋介面語言主要使用地區）
+const TIMEZONE_COUNTRIES = {
+    'Asia/Taipei': 'TW',
+    'Asia/Shanghai': 'CN',
+    'Asia/Urumqi': 'CN',
+    'Asia/Hong_Kong': 'HK',
+    'Asia/Macau': 'MO',
+    'Asia/Singapore': 'SG',
+    'Asia/Tokyo': 'JP',
+    'Asia/Seoul': 'KR',
+    'Europe/London': 'GB',
+    'Europe/Dublin': 'IE',
+    'Europe/Madrid': 'ES',
+    'Atlantic/Canary': 'ES',
+    'Africa/Ceuta': 'ES',
+    'Europe/Paris': 'FR',
+    'Europe/Brussels': 'BE',
+    'Europe/Luxembourg': 'LU',
+    'Europe/Monaco': 'MC',
+    'Europe/Berlin': 'DE',
+    'Europe/Busingen': 'DE',
+    'Europe/Vienna': 'AT',
+    'Europe/Zurich': 'CH',
+    'Europe/Amsterdam': 'NL',
+    'Europe/Rome': 'IT',
+    'Europe/Lisbon': 'PT',
+    'America/Mexico_City': 'MX',
+    'America/Cancun': 'MX',
+    'America/Monterrey': 'MX',
+    'America/Tijuana': 'MX',
+    'America/Argentina/Buenos_Aires': 'AR',
+    'America/Bogota': 'CO',
+    'America/Lima': 'PE',
+    'America/Santiago': 'CL',
+    'America/Toronto': 'CA',
+    'America/Vancouver': 'CA',
+    'America/Edmonton': 'CA',
+    'America/Winnipeg': 'CA',
+    'America/Halifax': 'CA',
+    'America/Montreal': 'CA',
+    'America/New_York': 'US',
+    'America/Chicago': 'US',
+    'America/Denver': 'US',
+    'America/Los_Angeles': 'US',
+    'America/Phoenix': 'US',
+    'America/Anchorage': 'US',
+    'America/Boise': 'US',
+    'America/Detroit': 'US',
+    'Pacific/Honolulu': 'US'
+};
+
+// libphonenumber 的號碼類型對應到輸出值
+const PHONE_TYPES = {
+    MOBILE: 'mobile',
+    FIXED_LINE: 'landline',
+    FIXED_LINE_OR_MOBILE: 'landlineOrMobile',
+    TOLL_FREE: 'tollFree',
+    PREMIUM_RATE: 'premiumRate',
+    SHARED_COST: 'sharedCost',
+    VOIP: 'voip',
+    PERSONAL_NUMBER: 'personal',
+    UAN: 'uan'
+};
+
+/**
+ * 由時區推算國家
+ * @param {String} timeZone - IANA 時區名稱
+ * @returns {String|null} - ISO 3166-1 國家代碼
+ */
+function countryFromTimeZone(timeZone) {
+    if (!timeZone) return null;
+    if (TIMEZONE_COUNTRIES[timeZone]) return TIMEZONE_COUNTRIES[timeZone];
+    // 美國各州的細分時區（America/Indiana/Indianapolis、America/Kentucky/Louisville）
+    if (/^America\/(Indiana|Kentucky|North_Dakota)\//.test(timeZone)) return 'US';
+    return null;
+}
+
+/**
+ * 決定電話號碼所屬的國家：優先使用地址中的國家，其次由座標推算
+ * @param {Object} business - 商家資料（addressComponents、latitude、longitude）
+ * @returns {String|null} - ISO 3166-1 國家代碼
+ */
+function resolvePhoneCountry(business) {
+    if (!business) return null;
+    if (business.addressComponents && business.addressComponents.countryCode) {
+        return business.addressComponents.countryCode;
+    }
+    return countryFromTimeZone(business.timeZone || inferTimeZone(business.latitude, business.longitude));
+}
+
+/**
+ * 正規化電話號碼
+ * @param {String} phone - 頁面上的電話號碼（本地或國際格式）
+ * @param {String|null} countryCode - 本地格式號碼所屬的國家
+ * @returns {Object} - { phoneE164, phoneNational, phoneType, phoneValid }，無法解析時各欄位為 null（phoneValid 為 false）
+ */
+function normalizePhone(phone, countryCode) {
+    const empty = { phoneE164: null, phoneNational: null, phoneType: null, phoneValid: false };
+    if (!phone) return empty;
+
+    const parsed = parsePhoneNumberFromString(String(phone), countryCode || undefined);
+    if (!parsed) return empty;
+
+    const valid = parsed.isValid();
+    return {
+        phoneE164: parsed.number,
+        phoneNational: parsed.formatNational(),
+        phoneType: valid ? (PHONE_TYPES[parsed.getType()] || null) : null,
+        phoneValid: valid
+    };
+}
+
+/**
+ * 格式化為國際格式（「+886 2 2345 6789」）
+ * @param {String} phone - 電話號碼
+ * @param {String|null} countryCode - 本地格式號碼所屬的國家
+ * @returns {String|null} - 無法解析或無效時回傳 null
+ */
+function formatInternationalPhone(phone, countryCode) {
+    if (!phone) return null;
+    const parsed = parsePhoneNumberFromString(String(phone), countryCode || undefined);
+    return parsed && parsed.isValid() ? parsed.formatInternational() : null;
+}
+
+module.exports = {
+    countryFromTimeZone,
+    resolvePhoneCountry,
+    normalizePhone,
+    formatInternationalPhone
+};
@@ -0,0 +1,88 @@
+/**
+ * 相片網址與存放鍵工具
+ */
+
+const crypto = require('crypto');
+const { PHOTO_COUNT_PATTERN } = require('./localeData');
+
+/**
+ * 從 CSS background-image 取出網址
+ * @param {String} style - 行內樣式或 background-image 值
+ * @returns {String|null}
+ */
+function extractBackgroundImageUrl(style) {
+    if (!style) return null;
+    const match = style.match(/url\(["']?([^"')]+)["']?\)/);
+    return match ? match[1] : null;
+}
+
+/**
+ * 將 Google 相片網址調整成指定解析度
+ * googleusercontent 網址以「=w408-h306-k-no」結尾的參數決定大小
+ * @param {String} url - 相片網址
+ * @param {Number} width - 寬度（像素）
+ * @param {Number} height - 高度（像素）
+ * @returns {String|null} - 調整後的網址，非 Google 相片網址時原樣回傳
+ */
+function resizePhotoUrl(url, width, height) {
+    if (!url) return null;
+    if (url.startsWith('//')) url = `https:${url}`;
+    if (!url.includes('googleusercontent.com')) return url;
+
+    const size = `=w${width}-h${height}-k-no`;
+    if (/=[a-z][\w-]*$/i.test(url)) {
+        return url.replace(/=[a-z][\w-]*$/i, size);
+    }
+    return `${url}${size}`;
+}
+
+/**
+ * 取得商家相片鍵使用的固定 ID
+ * 沒有 placeId 時改用地點網址，或名稱加座標的雜湊，避免不同商家的相片互相覆寫
+ * @param {Object} business - 商家資料（placeId、url、name、latitude、longitude）
+ * @returns {String|null} - 無法取得固定 ID 時回傳 null
+ */
+function photoStoreId(business) {
+    if (!business) return null;
+    if (business.placeId) return business.placeId;
+
+    const source = business.url ||
+        (business.name && business.latitude != null && business.longitude != null
+            ? `${business.name}@${business.latitude},${business.longitude}`
+            : null);
+    if (!source) return null;
+    return `place-${crypto.createHash('sha1').update(source).digest('hex').slice(0, 16)}`;
+}
+
+/**
+ * 依商家 ID 與序號產生固定的鍵值存儲鍵
+ * 鍵值存儲只接受 a-zA-Z0-9!-_.'() 字元
+ * @param {String} placeId - 商家 ID（photoStoreId 的結果）
+ * @param {Number} index - 相片序號
+ * @param {String} extension - 副檔名
+ * @returns {String}
+ */
+function photoKey(placeId, index, extension = 'jpg') {
+    const safeId = String(placeId).replace(/[^a-zA-Z0-9!\-_.'()]/g, '_');
+    return `photo-${safeId}-${String(index).padStart(3, '0')}.${extension}`;
+}
+
+/**
+ * 解析相片總數（「1,234 photos」、「1,234 張相片」）
+ * @param {String} text - 包含數量的文字
+ * @returns {Number|null}
+ */
+function parsePhotoCount(text) {
+    const match = (text || '').match(PHOTO_COUNT_PATTERN);
+    if (!match) return null;
+    const digits = match[1].replace(/[^\d]/g, '');
+    return digits ? parseInt(digits, 10) : null;
+}
+
+module.exports = {
+    extractBackgroundImageUrl,
+    resizePhotoUrl,
+    photoStoreId,
+    photoKey,
+    parsePhotoCount
+};
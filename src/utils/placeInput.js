@@ -0,0 +1,113 @@
+/**
+ * 單一地點輸入解析工具
+ * 辨識地點網址、短網址、cid 網址與 placeId，並轉換成可直接開啟的地點頁面網址
+ */
+
+// Google Place ID 格式（ChIJ 開頭的 base64url 字串）
+const PLACE_ID_PATTERN = /^ChI[A-Za-z0-9_-]{10,}$/;
+
+/**
+ * 檢查是否為 Google Place ID
+ */
+function isPlaceId(text) {
+    return typeof text === 'string' && PLACE_ID_PATTERN.test(text.trim());
+}
+
+/**
+ * 建立以 placeId 開啟地點頁面的網址
+ */
+function buildPlaceIdUrl(placeId) {
+    return `https://www.google.com/maps/place/?q=place_id:${placeId}`;
+}
+
+/**
+ * 解析單一地點輸入
+ * @param {String} input - 地點網址、短網址、cid 網址或 placeId
+ * @returns {Object|null} - { type, url, placeId, cid }，不是單一地點時回傳 null
+ */
+function parsePlaceInput(input) {
+    if (!input || typeof input !== 'string') return null;
+    const text = input.trim();
+
+    // 直接提供的 placeId
+    if (isPlaceId(text)) {
+        return { type: 'placeId', url: buildPlaceIdUrl(text), placeId: text };
+    }
+
+    let url;
+    try {
+        url = new URL(text.match(/^https?:\/\//) ? text : `https://${text}`);
+    } catch (error) {
+        return null;
+    }
+
+    const host = url.hostname.toLowerCase();
+    const isGoogleHost = /(^|\.)google\.[a-z.]+$/.test(host);
+
+    // 短網址：maps.app.goo.gl/xxx 或 goo.gl/maps/xxx
+    if (host === 'maps.app.goo.gl' || (host === 'goo.gl' && url.pathname.startsWith('/maps'))) {
+        return { type: 'shortLink', url: url.href };
+    }
+
+    if (!isGoogleHost) return null;
+
+    // ?cid= 網址（maps.google.com/?cid=123 或 google.com/maps?cid=123）
+    const cid = url.searchParams.get('cid');
+    if (cid && /^\d+$/.test(cid)) {
+        return { type: 'cid', url: `https://www.google.com/maps?cid=${cid}`, cid };
+    }
+
+    // ?q=place_id:ChIJ... 或 Maps URLs API 的 query_place_id
+    const queryPlaceId = url.searchParams.get('query_place_id') ||
+        (url.searchParams.get('q') || '').replace(/^place_id:/, '');
+    if (isPlaceId(queryPlaceId)) {
+        return { type: 'placeId', url: buildPlaceIdUrl(queryPlaceId), placeId: queryPlaceId };
+    }
+
+    // /maps/place/... 地點頁面
+    if (url.pathname.includes('/maps/place/')) {
+        const { placeId } = parsePlaceUrl(url.href);
+        return { type: 'placeUrl', url: url.href, placeId };
+    }
+
+    return null;
+}
+
+/**
+ * 從地點頁面網址提取 placeId 與座標
+ * @param {String} href - 地點頁面網址
+ * @returns {Object} - { placeId, latitude, longitude }
+ */
+function parsePlaceUrl(href) {
+    const result = { placeId: null, latitude: null, longitude: null };
+    if (!href) return result;
+
+    const placeIdMatch = href.match(/!19s(ChI[^!&?]+)/) ||
+                         href.match(/[!&]1s(ChI[^!&?]+)/) ||
+                         href.match(/place_id:(ChI[A-Za-z0-9_-]+)/);
+    if (placeIdMatch) {
+        result.placeId = placeIdMatch[1];
+    } else {
+        const hexMatch = href.match(/[!&]1s(0x[0-9a-f]+:0x[0-9a-f]+)/);
+        if (hexMatch) {
+            result.placeId = `hex_${hexMatch[1]}`;
+        }
+    }
+
+    // 優先使用地點本身的座標 (!3d!4d)，其次使用地圖中心 (@lat,lng)
+    const coordMatch = href.match(/!3d(-?[\d.]+)!4d(-?[\d.]+)/) ||
+                       href.match(/@(-?[\d.]+),(-?[\d.]+)/);
+    if (coordMatch) {
+        result.latitude = parseFloat(coordMatch[1]);
+        result.longitude = parseFloat(coordMatch[2]);
+    }
+
+    return result;
+}
+
+module.exports = {
+    isPlaceId,
+    buildPlaceIdUrl,
+    parsePlaceInput,
+    parsePlaceUrl
+};
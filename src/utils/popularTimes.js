@@ -0,0 +1,145 @@
+/**
+ * 熱門時段解析工具
+ * 將地點頁面「熱門時段」長條圖的 aria-label 轉換成每日 24 小時的繁忙程度
+ */
+
+const { WEEKDAYS, MERIDIEM_WORDS, DURATION_UNITS, UP_TO_WORDS } = require('./localeData');
+
+// Google 的熱門時段圖表由星期日開始排列
+const CHART_DAY_ORDER = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * 從長條標籤中提取小時（0-23）
+ * 支援「2 PM」、「下午2點」、「오후 2시」、「14時」、「14 h」、「14 Uhr」、「14:00」
+ * @param {String} label - 長條的 aria-label
+ * @returns {Number|null} - 小時，找不到時回傳 null
+ */
+function parseBarHour(label) {
+    if (!label) return null;
+
+    // 中日韓文的上午／下午標記
+    for (const [period, words] of Object.entries(MERIDIEM_WORDS)) {
+        const match = label.match(new RegExp(`(${words.join('|')})\\s*(\\d{1,2})`));
+        if (match) {
+            const hour = parseInt(match[2], 10);
+            if (period === 'pm') return hour < 12 ? hour + 12 : hour;
+            if (period === 'am') return hour === 12 ? 0 : hour;
+            return hour;
+        }
+    }
+
+    // 12 小時制（2 PM、2 p.m.）
+    const meridiemMatch = label.match(/(\d{1,2})(?::\d{2})?\s*([ap])\.?\s?m\b/i);
+    if (meridiemMatch) {
+        const hour = parseInt(meridiemMatch[1], 10) % 12;
+        return meridiemMatch[2].toLowerCase() === 'p' ? hour + 12 : hour;
+    }
+
+    // 24 小時制
+    const match = label.match(/(\d{1,2})\s*(?::\d{2}|時|时|시|點|点|h\b|uhr)/i);
+    if (match) {
+        const hour = parseInt(match[1], 10);
+        return hour <= 23 ? hour : null;
+    }
+
+    return null;
+}
+
+/**
+ * 解析熱門時段圖表
+ * 目前時段的長條只有「目前 30%，通常 45%」而沒有小時，依前一個長條推算
+ * @param {Array<Array<String>>} days - 由星期日開始的每日長條標籤
+ * @returns {Object|null} - { popularTimes: { Monday: [24 個百分比], ... }, live }，沒有資料時回傳 null
+ */
+function parsePopularTimes(days) {
+    if (!Array.isArray(days) || days.length === 0) return null;
+
+    const popularTimes = {};
+    let live = null;
+
+    days.slice(0, 7).forEach((labels, index) => {
+        const hourly = new Array(24).fill(0);
+        let previousHour = null;
+
+        for (const label of labels || []) {
+            const percentages = (label || '').match(/\d{1,3}(?=\s*%)/g) || [];
+            let hour = parseBarHour(label);
+            if (hour === null && previousHour !== null) {
+                hour = (previousHour + 1) % 24;
+            }
+            previousHour = hour;
+            if (hour === null || percentages.length === 0) continue;
+
+            // 兩個百分比：第一個為目前繁忙程度，第二個為通常的繁忙程度
+            if (percentages.length >= 2) {
+                live = {
+                    day: CHART_DAY_ORDER[index],
+                    hour,
+                    percentage: parseInt(percentages[0], 10),
+                    usualPercentage: parseInt(percentages[1], 10)
+                };
+                hourly[hour] = parseInt(percentages[1], 10);
+            } else {
+                hourly[hour] = parseInt(percentages[0], 10);
+            }
+        }
+
+        popularTimes[CHART_DAY_ORDER[index]] = hourly;
+    });
+
+    // 依星期一到星期日排序
+    const ordered = {};
+    WEEKDAYS.filter(day => popularTimes[day]).forEach(day => {
+        ordered[day] = popularTimes[day];
+    });
+
+    const hasData = Object.values(ordered).some(hourly => hourly.some(value => value > 0));
+    return hasData ? { popularTimes: ordered, live } : null;
+}
+
+/**
+ * 解析一般停留時間（「People typically spend 45 min to 2 hr here」）
+ * @param {String} text - 停留時間文字
+ * @returns {Object|null} - { text, minMinutes, maxMinutes }
+ */
+function parseTimeSpent(text) {
+    if (!text) return null;
+
+    // 「1-2 hr」只在最後一個數字標示單位，沒有單位的數字沿用下一個單位
+    const values = [];
+    const numberPattern = /(\d+(?:[.,]\d+)?)\s*/g;
+    let match;
+    while ((match = numberPattern.exec(text)) !== null) {
+        const rest = text.slice(match.index + match[0].length);
+        const unit = DURATION_UNITS.find(({ pattern }) => pattern.test(rest));
+        values.push({ amount: parseFloat(match[1].replace(',', '.')), minutes: unit ? unit.minutes : null });
+    }
+
+    const durations = [];
+    values.forEach((value, index) => {
+        const next = values.slice(index).find(v => v.minutes !== null);
+        if (next) durations.push(Math.round(value.amount * next.minutes));
+    });
+
+    if (durations.length === 0) return null;
+
+    if (durations.length === 1) {
+        return {
+            text,
+            minMinutes: UP_TO_WORDS.test(text) ? null : durations[0],
+            maxMinutes: durations[0]
+        };
+    }
+
+    return {
+        text,
+        minMinutes: Math.min(...durations),
+        maxMinutes: Math.max(...durations)
+    };
+}
+
+module.exports = {
+    parseBarHour,
+    parsePopularTimes,
+    parseTimeSpent
+};
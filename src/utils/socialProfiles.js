@@ -0,0 +1,220 @@
+/**
+ * 社群帳號工具
+ * 從商家網站的連結中找出 Facebook、Instagram、LinkedIn、X/Twitter、YouTube、TikTok、
+ * LINE 官方帳號與 WhatsApp，並轉換成標準的帳號網址（移除分享、意圖與貼文連結）
+ */
+
+// 輸出的社群網站
+const SOCIAL_NETWORKS = ['facebook', 'instagram', 'linkedin', 'twitter', 'youtube', 'tiktok', 'line', 'whatsapp'];
+
+// 不是帳號的路徑（第一層）
+const FACEBOOK_RESERVED = [
+    'sharer', 'sharer.php', 'share', 'share.php', 'dialog', 'plugins', 'tr', 'login', 'login.php', 'policies',
+    'privacy', 'help', 'groups', 'events', 'photo', 'photo.php', 'photos', 'hashtag', 'watch', 'story.php',
+    'permalink.php', 'home.php', 'search', 'marketplace', 'gaming', 'legal', 'about', 'l.php', 'v2.0'
+];
+const INSTAGRAM_RESERVED = ['p', 'reel', 'reels', 'explore', 'stories', 'accounts', 'share', 'tv', 'direct', 'about', 'legal', 'developer'];
+const TWITTER_RESERVED = ['intent', 'share', 'home', 'hashtag', 'search', 'i', 'login', 'signup', 'explore', 'settings', 'tos', 'privacy', 'widgets.js'];
+
+// 網站平台本身的帳號（網站範本頁尾常見的連結）
+const PLATFORM_ACCOUNTS = ['wix', 'shopify', 'squarespace', 'wordpress', 'wordpressdotcom', 'godaddy', 'weebly', 'jimdo', 'webflow', 'strikingly'];
+
+/**
+ * 取得網址的第一層路徑與其餘路徑
+ */
+function pathSegments(parsed) {
+    return parsed.pathname.split('/').filter(Boolean).map(segment => {
+        try {
+            return decodeURIComponent(segment);
+        } catch (error) {
+            return segment;
+        }
+    });
+}
+
+/**
+ * 判斷是否為有效的帳號名稱（排除保留路徑與平台帳號）
+ */
+function isAccountName(name, reserved) {
+    if (!name) return false;
+    const lower = name.toLowerCase();
+    return !reserved.includes(lower) && !PLATFORM_ACCOUNTS.includes(lower);
+}
+
+/**
+ * Facebook：粉絲專頁、profile.php?id=、/pages/名稱/編號；外掛的 href 參數會先展開
+ */
+function canonicalFacebook(parsed, segments) {
+    const [first, second, third] = segments;
+    if (!first) return null;
+
+    if (first === 'plugins') {
+        const target = parsed.searchParams.get('href');
+        return target ? canonicalizeSocialUrl(target) : null;
+    }
+    if (first === 'profile.php') {
+        const id = parsed.searchParams.get('id');
+        return /^\d+$/.test(id || '') ? { network: 'facebook', url: `https://www.facebook.com/profile.php?id=${id}` } : null;
+    }
+    if (first === 'pages' && second) {
+        return { network: 'facebook', url: `https://www.facebook.com/pages/${[second, third].filter(Boolean).join('/')}` };
+    }
+    if (first === 'people' && second && third) {
+        return { network: 'facebook', url: `https://www.facebook.com/people/${second}/${third}` };
+    }
+    if (!isAccountName(first, FACEBOOK_RESERVED) || first === 'people') return null;
+
+    return { network: 'facebook', url: `https://www.facebook.com/${first}` };
+}
+
+/**
+ * Instagram：instagram.com/帳號
+ */
+function canonicalInstagram(parsed, segments) {
+    const [first] = segments;
+    if (!isAccountName(first, INSTAGRAM_RESERVED)) return null;
+    return { network: 'instagram', url: `https://www.instagram.com/${first}` };
+}
+
+/**
+ * LinkedIn：公司、個人、學校與展示專頁
+ */
+function canonicalLinkedIn(parsed, segments) {
+    const [first, second] = segments;
+    if (!['company', 'in', 'school', 'showcase'].includes(first) || !second) return null;
+    return { network: 'linkedin', url: `https://www.linkedin.com/${first}/${second}` };
+}
+
+/**
+ * X/Twitter：x.com/帳號（貼文連結取其帳號）
+ */
+function canonicalTwitter(parsed, segments) {
+    const [first] = segments;
+    if (!isAccountName(first, TWITTER_RESERVED) || !/^@?\w{1,15}$/.test(first)) return null;
+    return { network: 'twitter', url: `https://x.com/${first.replace(/^@/, '')}` };
+}
+
+/**
+ * YouTube：@帳號、/channel/、/c/、/user/（影片、嵌入與播放清單不算）
+ */
+function canonicalYouTube(parsed, segments) {
+    const [first, second] = segments;
+    if (!first) return null;
+    if (first.startsWith('@') && first.length > 1) {
+        return { network: 'youtube', url: `https://www.youtube.com/${first}` };
+    }
+    if (['channel', 'c', 'user'].includes(first) && second) {
+        return { network: 'youtube', url: `https://www.youtube.com/${first}/${second}` };
+    }
+    return null;
+}
+
+/**
+ * TikTok：tiktok.com/@帳號（影片連結取其帳號）
+ */
+function canonicalTikTok(parsed, segments) {
+    const [first] = segments;
+    if (!first || !first.startsWith('@') || first.length < 2) return null;
+    return { network: 'tiktok', url: `https://www.tiktok.com/${first}` };
+}
+
+/**
+ * LINE 官方帳號：line.me/R/ti/p/@帳號、page.line.me/帳號、lin.ee 短網址（分享連結不算）
+ */
+function canonicalLine(parsed, segments, host) {
+    if (host === 'lin.ee') {
+        return segments[0] ? { network: 'line', url: `https://lin.ee/${segments[0]}` } : null;
+    }
+    if (host === 'page.line.me') {
+        return segments[0] ? { network: 'line', url: `https://line.me/R/ti/p/@${segments[0].replace(/^@/, '')}` } : null;
+    }
+
+    // line.me/R/ti/p/@帳號、line.me/ti/p/@帳號
+    const path = segments[0] === 'R' ? segments.slice(1) : segments;
+    if (path[0] === 'ti' && path[1] === 'p' && path[2]) {
+        return { network: 'line', url: `https://line.me/R/ti/p/${path[2]}` };
+    }
+    return null;
+}
+
+/**
+ * WhatsApp：wa.me/號碼、api.whatsapp.com/send?phone=、wa.me/message/ 商業短網址（只有文字的分享連結不算）
+ */
+function canonicalWhatsApp(parsed, segments, host) {
+    if (host === 'wa.me') {
+        const [first, second] = segments;
+        if (first === 'message' && second) return { network: 'whatsapp', url: `https://wa.me/message/${second}` };
+        const digits = (first || '').replace(/\D/g, '');
+        return digits.length >= 6 ? { network: 'whatsapp', url: `https://wa.me/${digits}` } : null;
+    }
+
+    const digits = (parsed.searchParams.get('phone') || '').replace(/\D/g, '');
+    if (segments[0] === 'send' && digits.length >= 6) {
+        return { network: 'whatsapp', url: `https://wa.me/${digits}` };
+    }
+    return null;
+}
+
+// 網域對應的轉換函式
+const HOST_HANDLERS = [
+    { hosts: ['facebook.com', 'fb.com', 'fb.me'], canonical: canonicalFacebook },
+    { hosts: ['instagram.com', 'instagr.am'], canonical: canonicalInstagram },
+    { hosts: ['linkedin.com'], canonical: canonicalLinkedIn },
+    { hosts: ['twitter.com', 'x.com'], canonical: canonicalTwitter },
+    { hosts: ['youtube.com'], canonical: canonicalYouTube },
+    { hosts: ['tiktok.com'], canonical: canonicalTikTok },
+    { hosts: ['line.me', 'lin.ee'], canonical: canonicalLine },
+    { hosts: ['wa.me', 'whatsapp.com'], canonical: canonicalWhatsApp }
+];
+
+// 社群網站的網域（供頁面中預先篩選連結）
+const SOCIAL_HOSTS = HOST_HANDLERS.flatMap(({ hosts }) => hosts);
+
+/**
+ * 將社群連結轉換成標準的帳號網址
+ * @param {String} href - 連結網址
+ * @returns {Object|null} - { network, url }，不是帳號連結時回傳 null
+ */
+function canonicalizeSocialUrl(href) {
+    if (!href) return null;
+
+    let parsed;
+    try {
+        parsed = new URL(href);
+    } catch (error) {
+        return null;
+    }
+    if (!/^https?:$/.test(parsed.protocol)) return null;
+
+    const host = parsed.hostname.toLowerCase();
+    const handler = HOST_HANDLERS.find(({ hosts }) =>
+        hosts.some(domain => host === domain || host.endsWith(`.${domain}`)));
+    if (!handler) return null;
+
+    return handler.canonical(parsed, pathSegments(parsed), host);
+}
+
+/**
+ * 從連結中找出社群帳號（每個社群網站取第一個找到的帳號）
+ * @param {Array<String>} hrefs - 連結網址（依頁面順序）
+ * @returns {Object} - { facebook, instagram, linkedin, twitter, youtube, tiktok, line, whatsapp }，未找到為 null
+ */
+function extractSocialProfiles(hrefs) {
+    const profiles = Object.fromEntries(SOCIAL_NETWORKS.map(network => [network, null]));
+
+    for (const href of hrefs || []) {
+        const profile = canonicalizeSocialUrl(href);
+        if (profile && !profiles[profile.network]) {
+            profiles[profile.network] = profile.url;
+        }
+    }
+
+    return profiles;
+}
+
+module.exports = {
+    SOCIAL_NETWORKS,
+    SOCIAL_HOSTS,
+    canonicalizeSocialUrl,
+    extractSocialProfiles
+};
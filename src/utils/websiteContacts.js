@@ -0,0 +1,289 @@
+/**
+ * 網站聯絡資料工具
+ * 從商家網站頁面取出電話號碼（含 WhatsApp）、分店地址、聯絡表單與 schema.org LocalBusiness JSON-LD
+ */
+
+const { findPhoneNumbersInText } = require('libphonenumber-js/max');
+const { cleanPhoneNumber } = require('./dataCleaners');
+const { normalizePhone } = require('./phone');
+const { parseAddress, lookupCountry } = require('./address');
+const { canonicalizeSocialUrl } = require('./socialProfiles');
+const { CONTACT_PAGE_PATTERNS, FAX_LABEL_PATTERN } = require('./localeData');
+
+// 看起來像商家的 schema.org 類型（LocalBusiness 及其常見子類型）
+const LOCAL_BUSINESS_TYPE = /LocalBusiness|Restaurant|Cafe|Coffee|Bar|Pub|Bakery|Food|Store|Shop|Hotel|Lodging|Motel|Hostel|Clinic|Dentist|Physician|Medical|Pharmacy|Salon|Spa|Gym|Fitness|Repair|Dealer|Attorney|Notary|Agency|Service|Business/i;
+
+// 嵌入式表單服務
+const FORM_PROVIDERS = [
+    { name: 'googleForms', pattern: /docs\.google\.com\/forms|forms\.gle\// },
+    { name: 'typeform', pattern: /typeform\.com\// },
+    { name: 'jotform', pattern: /jotform\.(?:com|me)\/|form\.jotform/ },
+    { name: 'hubspot', pattern: /hsforms\.(?:com|net)|share\.hsforms/ },
+    { name: 'tally', pattern: /tally\.so\// },
+    { name: 'formrun', pattern: /form\.run\// },
+    { name: 'wufoo', pattern: /wufoo\.com\// },
+    { name: 'microsoftForms', pattern: /forms\.office\.com|forms\.microsoft\.com/ }
+];
+
+// 聯絡表單外掛的 class 或 id（Contact Form 7、WPForms、Gravity Forms、Wix、Squarespace）
+const CONTACT_FORM_MARKERS = /wpcf7|wpforms|gform|contact|kontakt|inquiry|enquiry|wixui-form|sqs-block-form|form-contact/i;
+
+/**
+ * 正規化網站上的電話號碼（與 cleanPhoneNumber 相同的規則）
+ * @param {String} raw - 電話號碼
+ * @param {String|null} countryCode - 本地格式號碼所屬的國家
+ * @returns {Object|null} - { phone: 國際格式, phoneE164, phoneType }，無效時回傳 null
+ */
+function normalizeWebsitePhone(raw, countryCode) {
+    const normalized = normalizePhone(raw, countryCode);
+    if (!normalized.phoneValid) return null;
+    return {
+        phone: cleanPhoneNumber(raw, countryCode),
+        phoneE164: normalized.phoneE164,
+        phoneType: normalized.phoneType
+    };
+}
+
+/**
+ * 從頁面文字找出電話號碼（略過標示為傳真的號碼）
+ * @param {String} text - 頁面文字
+ * @param {String|null} countryCode - 本地格式號碼所屬的國家
+ * @returns {Array} - [{ phone, phoneE164, phoneType }]
+ */
+function findPhoneNumbers(text, countryCode) {
+    if (!text) return [];
+
+    const phones = [];
+    for (const match of findPhoneNumbersInText(String(text), countryCode || undefined)) {
+        const label = String(text).slice(Math.max(0, match.startsAt - 20), match.startsAt);
+        if (FAX_LABEL_PATTERN.test(label)) continue;
+
+        const phone = normalizeWebsitePhone(match.number.number, countryCode);
+        if (phone) phones.push(phone);
+    }
+    return phones;
+}
+
+/**
+ * 取得 JSON-LD 的文字值（可能是字串、陣列或 { @value }）
+ */
+function textValue(value) {
+    if (Array.isArray(value)) return textValue(value[0]);
+    if (value && typeof value === 'object') return textValue(value['@value'] ?? value.name);
+    if (value === null || value === undefined) return null;
+    const text = String(value).trim();
+    return text || null;
+}
+
+/**
+ * 將 schema.org PostalAddress 轉換成地址字串
+ * 中日韓地址依當地寫法由大到小連寫（「110台北市信義路五段7號」），其他地址以逗號分隔
+ * @param {Object|String} address - PostalAddress 或地址字串
+ * @returns {String|null}
+ */
+function formatPostalAddress(address) {
+    if (Array.isArray(address)) return formatPostalAddress(address[0]);
+    if (!address) return null;
+    if (typeof address === 'string') return address.replace(/\s+/g, ' ').trim() || null;
+    if (typeof address !== 'object') return null;
+
+    const street = textValue(address.streetAddress);
+    const locality = textValue(address.addressLocality);
+    const region = textValue(address.addressRegion);
+    const postalCode = textValue(address.postalCode);
+
+    if (/[\u3040-\u30FF\u3400-\u9FFF\uAC00-\uD7AF]/.test([street, locality, region].join(''))) {
+        // 地址欄位常已包含縣市，避免重複
+        const parts = [postalCode, region, locality]
+            .filter(part => part && !(street || '').includes(part));
+        const text = [...parts, street].filter(Boolean).join('');
+        return text || null;
+    }
+
+    const parts = [
+        street,
+        locality,
+        [region, postalCode].filter(Boolean).join(' '),
+        textValue(address.addressCountry)
+    ].filter(Boolean);
+    return parts.length > 0 ? parts.join(', ') : null;
+}
+
+/**
+ * 取得 PostalAddress 的國家代碼（「TW」或國家名稱）
+ */
+function postalCountryCode(address) {
+    const country = address && typeof address === 'object' && !Array.isArray(address)
+        ? textValue(address.addressCountry)
+        : null;
+    if (!country) return null;
+    return /^[A-Za-z]{2}$/.test(country) ? country.toUpperCase() : lookupCountry(country);
+}
+
+/**
+ * 取得 JSON-LD 中所有物件（展開陣列、@graph 與巢狀的分店、部門）
+ */
+function collectNodes(value, nodes = [], depth = 0) {
+    if (!value || typeof value !== 'object' || depth > 6) return nodes;
+    if (Array.isArray(value)) {
+        value.forEach(item => collectNodes(item, nodes, depth + 1));
+        return nodes;
+    }
+
+    nodes.push(value);
+    for (const key of ['@graph', 'department', 'subOrganization', 'location', 'branchOf', 'parentOrganization', 'mainEntity', 'about']) {
+        collectNodes(value[key], nodes, depth + 1);
+    }
+    return nodes;
+}
+
+/**
+ * 解析 schema.org LocalBusiness JSON-LD
+ * @param {Array<String>} blocks - <script type="application/ld+json"> 的內容
+ * @returns {Array} - [{ type, name, telephone, email, address, countryCode, url, sameAs, geo, openingHours, priceRange }]
+ */
+function parseLocalBusinessJsonLd(blocks) {
+    const businesses = [];
+    const seen = new Set();
+
+    for (const block of blocks || []) {
+        let data;
+        try {
+            data = JSON.parse(String(block).replace(/^\s*(?:<!--|\/\/\s*<!\[CDATA\[)|(?:-->|\/\/\s*\]\]>)\s*$/g, ''));
+        } catch (error) {
+            continue;  // 格式錯誤的 JSON-LD
+        }
+
+        for (const node of collectNodes(data)) {
+            const types = [].concat(node['@type'] || []).map(String);
+            const hasContact = node.address && (node.telephone || node.geo || node.openingHours || node.openingHoursSpecification);
+            if (!types.some(type => LOCAL_BUSINESS_TYPE.test(type)) && !hasContact) continue;
+
+            const latitude = parseFloat(node.geo && node.geo.latitude);
+            const longitude = parseFloat(node.geo && node.geo.longitude);
+            const business = {
+                type: types[0] || null,
+                name: textValue(node.name),
+                telephone: textValue(node.telephone),
+                email: (textValue(node.email) || '').replace(/^mailto:/i, '').trim().toLowerCase() || null,
+                address: formatPostalAddress(node.address),
+                countryCode: postalCountryCode([].concat(node.address)[0]),
+                url: textValue(node.url),
+                sameAs: [].concat(node.sameAs || []).filter(link => typeof link === 'string'),
+                geo: Number.isFinite(latitude) && Number.isFinite(longitude) ? { latitude, longitude } : null,
+                openingHours: [].concat(node.openingHours || []).filter(hours => typeof hours === 'string'),
+                priceRange: textValue(node.priceRange)
+            };
+
+            // 只有名稱的參照（「branchOf: { name }」）不算
+            if (!business.telephone && !business.address && !business.email) continue;
+
+            const key = [business.name, business.address, business.telephone].join('|');
+            if (seen.has(key)) continue;
+            seen.add(key);
+            businesses.push(business);
+        }
+    }
+
+    return businesses;
+}
+
+/**
+ * 判斷頁面是否有聯絡表單
+ * @param {Array} forms - [{ action, marker: class 與 id, hasTextarea, hasEmail, fieldCount }]
+ * @param {Array<String>} iframes - 嵌入的網址
+ * @param {String} pageUrl - 頁面網址
+ * @returns {Object|null} - { url: 表單所在頁面, provider: 嵌入式表單服務（網站本身的表單為 null） }
+ */
+function detectContactForm(forms, iframes, pageUrl) {
+    const embedded = (iframes || [])
+        .map(src => FORM_PROVIDERS.find(({ pattern }) => pattern.test(src || '')))
+        .find(Boolean);
+    if (embedded) return { url: pageUrl, provider: embedded.name };
+
+    const onContactPage = CONTACT_PAGE_PATTERNS[0].test(pageUrl || '');
+    const hasForm = (forms || []).some(form => {
+        if (!form.hasTextarea) return false;  // 搜尋、登入與電子報表單沒有留言欄
+        return form.hasEmail || CONTACT_FORM_MARKERS.test(form.marker || '') ||
+               CONTACT_FORM_MARKERS.test(form.action || '') || (onContactPage && form.fieldCount >= 2);
+    });
+    return hasForm ? { url: pageUrl, provider: null } : null;
+}
+
+/**
+ * 從單一頁面取出聯絡資料
+ * @param {Object} snapshot - 頁面內容（text、tels、socialLinks、forms、iframes、jsonLd、addressTags、url）
+ * @param {String|null} countryCode - 本地格式號碼與地址所屬的國家
+ * @returns {Object} - { phones: [{ phone, phoneE164, phoneType, whatsapp, source }],
+ *                       addresses: [{ address, addressComponents, source }], contactForm, businesses }
+ */
+function extractPageContacts(snapshot, countryCode) {
+    const businesses = parseLocalBusinessJsonLd(snapshot.jsonLd);
+    const phones = [];
+    const addPhone = (phone, source, whatsapp = false) => {
+        if (!phone) return;
+        const existing = phones.find(item => item.phoneE164 === phone.phoneE164);
+        if (existing) {
+            existing.whatsapp = existing.whatsapp || whatsapp;
+            return;
+        }
+        phones.push({ ...phone, whatsapp, source });
+    };
+
+    // tel: 連結最可靠，其次為 JSON-LD、WhatsApp 連結與頁面文字
+    (snapshot.tels || []).forEach(href => {
+        let number = String(href).replace(/^tel:/i, '');
+        try {
+            number = decodeURIComponent(number);
+        } catch (error) {
+            // 保留原始內容
+        }
+        addPhone(normalizeWebsitePhone(number, countryCode), 'tel');
+    });
+    businesses.forEach(business => addPhone(normalizeWebsitePhone(business.telephone, countryCode), 'jsonLd'));
+    (snapshot.socialLinks || []).forEach(href => {
+        const profile = canonicalizeSocialUrl(href);
+        const digits = profile && profile.network === 'whatsapp' && /wa\.me\/(\d+)$/.exec(profile.url);
+        if (digits) addPhone(normalizeWebsitePhone(`+${digits[1]}`, null), 'whatsapp', true);
+    });
+    findPhoneNumbers(snapshot.text, countryCode).forEach(phone => addPhone(phone, 'text'));
+
+    const addresses = [];
+    const addAddress = (text, source, addressCountry) => {
+        if (!text || text.length < 8 || addresses.some(item => item.address === text)) return;
+        addresses.push({
+            address: text,
+            addressComponents: parseAddress(text, { countryCode: addressCountry || countryCode }),
+            source
+        });
+    };
+    businesses.forEach(business => addAddress(business.address, 'jsonLd', business.countryCode));
+    (snapshot.addressTags || []).forEach(text => {
+        // <address> 常同時列出店名、電話與電子郵件：略過開頭沒有數字的店名與聯絡方式，
+        // 再從整段與各行中取可信度最高的地址
+        const lines = String(text).split(/\n+/).map(line => line.replace(/\s+/g, ' ').trim())
+            .filter(line => line && !/@|tel|phone|fax|mail|電話|傳真|电话|传真|전화/i.test(line));
+        while (lines.length > 1 && !/\d/.test(lines[0]) && lines.some(line => /\d/.test(line))) lines.shift();
+
+        const best = [lines.join(', '), ...lines]
+            .map(candidate => ({ candidate, parsed: parseAddress(candidate, { countryCode }) }))
+            .filter(({ parsed }) => parsed)
+            .reduce((top, item) => (!top || item.parsed.confidence > top.parsed.confidence ? item : top), null);
+        if (best) addAddress(best.candidate, 'addressTag');
+    });
+
+    return {
+        phones,
+        addresses,
+        contactForm: detectContactForm(snapshot.forms, snapshot.iframes, snapshot.url),
+        businesses
+    };
+}
+
+module.exports = {
+    normalizeWebsitePhone,
+    findPhoneNumbers,
+    parseLocalBusinessJsonLd,
+    detectContactForm,
+    extractPageContacts
+};
@@ -0,0 +1,55 @@
+/**
+ * 瀏覽器池單元測試
+ */
+
+jest.mock('puppeteer', () => ({
+    launch: jest.fn(async () => ({
+        on: jest.fn(),
+        close: jest.fn(async () => {}),
+        newPage: jest.fn(async () => ({
+            isClosed: () => false,
+            close: jest.fn(async () => {}),
+            removeAllListeners: jest.fn(),
+            setRequestInterception: jest.fn(async () => {}),
+            goto: jest.fn(async () => {})
+        }))
+    }))
+}));
+
+const BrowserPool = require('../../src/scraper/BrowserPool');
+
+describe('BrowserPool 單元測試', () => {
+
+    describe('acquirePage', () => {
+        test('查詢頁面全部使用中時，應該仍可取得保留頁面', async () => {
+            const pool = new BrowserPool({ maxBrowsers: 1, maxPagesPerBrowser: 1, reservedPages: 1 });
+            await pool.acquirePage();
+
+            await expect(pool.acquirePage({ timeout: 50 })).rejects.toThrow('Timed out waiting for a browser page');
+            await expect(pool.acquirePage({ timeout: 50, reserved: true })).resolves.toBeDefined();
+            await pool.close();
+        });
+
+        test('保留頁面用盡時應該等待，釋放後取得', async () => {
+            const pool = new BrowserPool({ maxBrowsers: 1, maxPagesPerBrowser: 1, reservedPages: 1 });
+            const reservedPage = await pool.acquirePage({ reserved: true });
+
+            await expect(pool.acquirePage({ timeout: 50, reserved: true })).rejects.toThrow('Timed out waiting for a browser page');
+
+            const waiting = pool.acquirePage({ timeout: 1000, reserved: true });
+            await pool.releasePage(reservedPage);
+            await expect(waiting).resolves.toBe(reservedPage);
+            await pool.close();
+        });
+
+        test('保留頁面不應佔用查詢頁面的空位', async () => {
+            const pool = new BrowserPool({ maxBrowsers: 1, maxPagesPerBrowser: 1, reservedPages: 2 });
+            await pool.acquirePage({ reserved: true });
+            await pool.acquirePage({ reserved: true });
+
+            await expect(pool.acquirePage({ timeout: 50 })).resolves.toBeDefined();
+            expect(pool.reservedActive).toBe(2);
+            await pool.close();
+        });
+    });
+});
@@ -0,0 +1,104 @@
+/**
+ * 跨查詢商家索引單元測試
+ */
+
+const PlaceIndex = require('../../src/utils/PlaceIndex');
+
+describe('PlaceIndex 單元測試', () => {
+
+    describe('add', () => {
+        test('第一次出現時應該回傳要寫入的資料，重複時回傳 null', () => {
+            const index = new PlaceIndex();
+
+            expect(index.add({ placeId: 'ChIJ1', name: '咖啡廳', query: '咖啡廳 台北' }, 'query:咖啡廳 台北')).toEqual({
+                placeId: 'ChIJ1',
+                name: '咖啡廳',
+                query: '咖啡廳 台北',
+                queries: ['咖啡廳 台北'],
+                sourceUrls: []
+            });
+            expect(index.add({ placeId: 'ChIJ1', name: '咖啡廳', query: '咖啡 信義區' }, 'query:咖啡 信義區')).toBeNull();
+            expect(index.size).toBe(1);
+            expect(index.duplicateCount).toBe(1);
+        });
+
+        test('爬取詳細資訊期間其他查詢找到的來源與欄位應該合併到寫入的資料', () => {
+            const index = new PlaceIndex();
+            expect(index.claim('ChIJ1', 'query:咖啡 信義區')).toBe(true);
+
+            expect(index.add({
+                placeId: 'ChIJ1',
+                name: '咖啡廳',
+                phone: null,
+                website: 'https://cafe.example.tw',
+                categories: ['咖啡店'],
+                query: '咖啡廳 台北',
+                enrichment: { details: false, emails: false }
+            }, 'query:咖啡廳 台北')).toBeNull();
+
+            const record = index.add({
+                placeId: 'ChIJ1',
+                name: '咖啡廳 信義店',
+                phone: '+886 2 1234 5678',
+                website: '',
+                categories: [],
+                query: '咖啡 信義區',
+                enrichment: { details: true, emails: true }
+            }, 'query:咖啡 信義區');
+
+            expect(record).toMatchObject({
+                name: '咖啡廳 信義店',
+                phone: '+886 2 1234 5678',
+                website: 'https://cafe.example.tw',
+                categories: ['咖啡店'],
+                query: '咖啡 信義區',
+                queries: ['咖啡廳 台北', '咖啡 信義區'],
+                enrichment: { details: true, emails: true }
+            });
+            expect(index.has('ChIJ1')).toBe(true);
+            expect(index.duplicateCount).toBe(1);
+        });
+    });
+
+    describe('claim', () => {
+        test('已保留或已寫入的商家不應該再被保留', () => {
+            const index = new PlaceIndex();
+            expect(index.claim('ChIJ1', 'query:A')).toBe(true);
+            expect(index.claim('ChIJ1', 'query:B')).toBe(false);
+
+            index.add({ placeId: 'ChIJ1', name: '咖啡廳' }, 'query:A');
+            expect(index.claim('ChIJ1', 'query:B')).toBe(false);
+        });
+    });
+
+    describe('release', () => {
+        test('工作失敗時應該釋放保留，讓下一個找到的查詢爬取詳細資訊', () => {
+            const index = new PlaceIndex();
+            index.claim('ChIJ1', 'query:A');
+            index.add({ placeId: 'ChIJ1', name: '咖啡廳', query: 'B' }, 'query:B');
+
+            index.release('query:A');
+            expect(index.has('ChIJ1')).toBe(false);
+            expect(index.claim('ChIJ1', 'query:C')).toBe(true);
+
+            const record = index.add({ placeId: 'ChIJ1', name: '咖啡廳', query: 'C', enrichment: { details: true } }, 'query:C');
+            expect(record.queries).toEqual(['B', 'C']);
+            expect(record.enrichment.details).toBe(true);
+        });
+
+        test('釋放後未再被找到的商家應該在結束時取出', () => {
+            const index = new PlaceIndex();
+            index.claim('ChIJ1', 'query:A');
+            index.claim('ChIJ2', 'query:A');
+            index.add({ placeId: 'ChIJ1', name: '咖啡廳', query: 'B' }, 'query:B');
+
+            index.release('query:A');
+            expect(index.takeUnclaimed()).toEqual([
+                { placeId: 'ChIJ1', name: '咖啡廳', query: 'B', queries: ['B'], sourceUrls: [] }
+            ]);
+            expect(index.pending.size).toBe(0);
+            expect(index.size).toBe(1);
+            expect(index.duplicateCount).toBe(0);
+        });
+    });
+});
@@ -0,0 +1,52 @@
+/**
+ * 執行進度狀態單元測試
+ */
+
+const RunState = require('../../src/utils/RunState');
+
+describe('RunState 單元測試', () => {
+
+    describe('finishTask', () => {
+        test('成功的工作應該標記完成並清除位置資訊', () => {
+            const runState = new RunState();
+            runState.updateTaskProgress('query:咖啡廳', { loadedCount: 20 });
+
+            expect(runState.finishTask('query:咖啡廳', true)).toBe(true);
+            expect(runState.isTaskCompleted('query:咖啡廳')).toBe(true);
+            expect(runState.state.tasks['query:咖啡廳']).toBeUndefined();
+        });
+
+        test('失敗的工作應該保持未完成並保留位置資訊', () => {
+            const runState = new RunState();
+            runState.updateTaskProgress('query:咖啡廳', { loadedCount: 20 });
+            runState.markPushed('query:咖啡廳', ['ChIJ1']);
+
+            expect(runState.finishTask('query:咖啡廳', false)).toBe(false);
+            expect(runState.isTaskCompleted('query:咖啡廳')).toBe(false);
+            expect(runState.hasTask('query:咖啡廳')).toBe(true);
+            expect(runState.getTaskProgress('query:咖啡廳')).toMatchObject({
+                loadedCount: 20,
+                pushedPlaceIds: ['ChIJ1']
+            });
+        });
+    });
+
+    describe('recordFailure', () => {
+        test('同一個工作只應該記錄一次失敗', () => {
+            const runState = new RunState();
+
+            expect(runState.recordFailure('query:咖啡廳')).toBe(true);
+            expect(runState.recordFailure('query:咖啡廳')).toBe(false);
+            expect(runState.recordFailure('url:https://maps.google.com/?cid=1')).toBe(true);
+        });
+
+        test('重試成功後應該清除失敗記錄', () => {
+            const runState = new RunState();
+            runState.recordFailure('query:咖啡廳');
+
+            expect(runState.clearFailure('query:咖啡廳')).toBe(true);
+            expect(runState.clearFailure('query:咖啡廳')).toBe(false);
+            expect(runState.recordFailure('query:咖啡廳')).toBe(true);
+        });
+    });
+});
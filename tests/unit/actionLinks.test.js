@@ -0,0 +1,72 @@
+/**
+ * 地點動作連結工具單元測試
+ */
+
+const {
+    stripTrackingParams,
+    detectProvider,
+    classifyActionLink,
+    parseActionLinks
+} = require('../../src/utils/actionLinks');
+
+describe('ActionLinks 單元測試', () => {
+
+    describe('stripTrackingParams', () => {
+        test('應該只移除追蹤參數', () => {
+            expect(stripTrackingParams('https://www.opentable.com/r/x?rid=123&utm_source=google&gclid=abc'))
+                .toBe('https://www.opentable.com/r/x?rid=123');
+        });
+    });
+
+    describe('detectProvider', () => {
+        test('應該辨識已知服務', () => {
+            expect(detectProvider('https://www.opentable.com/r/x')).toBe('OpenTable');
+            expect(detectProvider('https://secure.booking.com/book.html')).toBe('Booking.com');
+        });
+
+        test('未知服務使用網域', () => {
+            expect(detectProvider('https://www.example.com/menu')).toBe('example.com');
+        });
+    });
+
+    describe('classifyActionLink', () => {
+        test('應該解開 Google 轉址', () => {
+            expect(classifyActionLink({
+                label: 'Menu',
+                itemId: 'menu',
+                url: 'https://www.google.com/url?q=https://example.com/menu%3Futm_source%3Dgoogle&sa=D'
+            })).toEqual({ type: 'menu', provider: 'example.com', url: 'https://example.com/menu' });
+
+            expect(classifyActionLink({
+                label: 'Booking.com',
+                url: 'https://www.google.com/aclk?sa=l&adurl=https://www.booking.com/hotel/tw/x.html%3Faid%3D1'
+            })).toEqual({ type: 'booking', provider: 'Booking.com', url: 'https://www.booking.com/hotel/tw/x.html?aid=1' });
+        });
+
+        test('應該辨識各語言的動作', () => {
+            const url = 'https://www.example.com/';
+            expect(classifyActionLink({ label: '訂位', url }).type).toBe('reservation');
+            expect(classifyActionLink({ label: '線上訂購', url }).type).toBe('orderOnline');
+            expect(classifyActionLink({ label: 'メニュー', url }).type).toBe('menu');
+            expect(classifyActionLink({ label: 'Réserver une table', url }).type).toBe('reservation');
+            expect(classifyActionLink({ label: 'Online bestellen', url }).type).toBe('orderOnline');
+        });
+
+        test('Google 本身的連結與無法辨識的連結回傳 null', () => {
+            expect(classifyActionLink({ label: 'Directions', url: 'https://www.google.com/maps/dir/x' })).toBeNull();
+            expect(classifyActionLink({ label: 'Share', url: 'https://www.example.com/' })).toBeNull();
+        });
+    });
+
+    describe('parseActionLinks', () => {
+        test('應該去除重複連結', () => {
+            const links = [
+                { label: 'Order online', url: 'https://www.ubereats.com/store/abc' },
+                { label: 'Order', url: 'https://www.google.com/url?q=https://www.ubereats.com/store/abc' }
+            ];
+            expect(parseActionLinks(links)).toEqual([
+                { type: 'orderOnline', provider: 'Uber Eats', url: 'https://www.ubereats.com/store/abc' }
+            ]);
+        });
+    });
+});
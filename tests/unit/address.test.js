@@ -0,0 +1,137 @@
+/**
+ * 地址解析單元測試
+ */
+
+const { lookupCountry, parseAddress } = require('../../src/utils/address');
+
+describe('Address 單元測試', () => {
+
+    describe('lookupCountry', () => {
+        test('應該辨識各語言的國家名稱', () => {
+            expect(lookupCountry('Taiwan')).toBe('TW');
+            expect(lookupCountry('日本')).toBe('JP');
+            expect(lookupCountry('대한민국')).toBe('KR');
+            expect(lookupCountry('Deutschland')).toBe('DE');
+            expect(lookupCountry('Taipei')).toBeNull();
+        });
+    });
+
+    describe('parseAddress', () => {
+        test('應該解析台灣中文地址', () => {
+            expect(parseAddress('110台北市信義區信義路五段7號')).toMatchObject({
+                streetAddress: '信義路五段7號',
+                district: '信義區',
+                city: '台北市',
+                postalCode: '110',
+                countryCode: 'TW'
+            });
+            expect(parseAddress('505彰化縣鹿港鎮中山路1號')).toMatchObject({
+                streetAddress: '中山路1號',
+                city: '鹿港鎮',
+                region: '彰化縣'
+            });
+        });
+
+        test('應該解析郵遞區號在國家名稱之前的台灣地址', () => {
+            expect(parseAddress('110台灣台北市信義區信義路五段7號')).toMatchObject({
+                streetAddress: '信義路五段7號',
+                district: '信義區',
+                city: '台北市',
+                postalCode: '110',
+                countryCode: 'TW'
+            });
+        });
+
+        test('應該解析英文介面的台灣地址', () => {
+            expect(parseAddress('No. 7, Section 5, Xinyi Rd, Xinyi District, Taipei City, Taiwan 110')).toMatchObject({
+                streetAddress: 'No. 7, Section 5, Xinyi Rd',
+                district: 'Xinyi District',
+                city: 'Taipei City',
+                postalCode: '110',
+                countryCode: 'TW'
+            });
+        });
+
+        test('應該解析日本地址', () => {
+            expect(parseAddress('日本、〒231-0023 神奈川県横浜市中区山下町10')).toMatchObject({
+                streetAddress: '山下町10',
+                district: '中区',
+                city: '横浜市',
+                region: '神奈川県',
+                postalCode: '231-0023',
+                countryCode: 'JP'
+            });
+            expect(parseAddress('1 Chome-9-1 Marunouchi, Chiyoda City, Tokyo 100-0005, Japan')).toMatchObject({
+                streetAddress: '1 Chome-9-1 Marunouchi',
+                city: 'Chiyoda City',
+                region: 'Tokyo',
+                postalCode: '100-0005'
+            });
+        });
+
+        test('應該解析韓國道路名地址', () => {
+            expect(parseAddress('경기도 성남시 분당구 판교역로 166')).toMatchObject({
+                streetAddress: '판교역로 166',
+                district: '분당구',
+                city: '성남시',
+                region: '경기도',
+                countryCode: 'KR'
+            });
+            expect(parseAddress('110 Sejong-daero, Jung-gu, Seoul, South Korea')).toMatchObject({
+                streetAddress: '110 Sejong-daero',
+                district: 'Jung-gu',
+                city: 'Seoul',
+                countryCode: 'KR'
+            });
+        });
+
+        test('應該解析美國地址', () => {
+            expect(parseAddress('1600 Amphitheatre Pkwy, Mountain View, CA 94043, United States')).toMatchObject({
+                streetAddress: '1600 Amphitheatre Pkwy',
+                city: 'Mountain View',
+                region: 'CA',
+                postalCode: '94043',
+                countryCode: 'US'
+            });
+        });
+
+        test('應該解析西歐地址', () => {
+            expect(parseAddress('Unter den Linden 77, 10117 Berlin, Germany')).toMatchObject({
+                streetAddress: 'Unter den Linden 77',
+                city: 'Berlin',
+                postalCode: '10117',
+                countryCode: 'DE'
+            });
+            expect(parseAddress('Calle de Alcalá, 42, 28014 Madrid, Spain')).toMatchObject({
+                streetAddress: 'Calle de Alcalá, 42',
+                city: 'Madrid',
+                postalCode: '28014'
+            });
+            expect(parseAddress('10 Downing St, London SW1A 2AA, UK')).toMatchObject({
+                city: 'London',
+                postalCode: 'SW1A 2AA',
+                countryCode: 'GB'
+            });
+            expect(parseAddress('Damrak 1, 1012 LG Amsterdam, Netherlands').postalCode).toBe('1012 LG');
+        });
+
+        test('應該提取 Plus Code', () => {
+            const result = parseAddress('2HJ7+8Q Xinyi District, Taipei City');
+            expect(result.plusCode).toBe('2HJ7+8Q');
+            expect(result.district).toBe('Xinyi District');
+            expect(parseAddress('110台北市信義區信義路五段7號', { plusCode: '7QQ32HJ7+8Q' }).plusCode).toBe('7QQ32HJ7+8Q');
+        });
+
+        test('可信度應該反映辨識出的欄位', () => {
+            const full = parseAddress('1600 Amphitheatre Pkwy, Mountain View, CA 94043, United States');
+            const partial = parseAddress('2HJ7+8Q Xinyi District, Taipei City');
+            expect(full.confidence).toBeGreaterThan(partial.confidence);
+            expect(full.confidence).toBeLessThanOrEqual(1);
+        });
+
+        test('沒有地址時回傳 null', () => {
+            expect(parseAddress(null)).toBeNull();
+            expect(parseAddress('')).toBeNull();
+        });
+    });
+});
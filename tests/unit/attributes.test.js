@@ -0,0 +1,76 @@
+/**
+ * 「簡介」分頁屬性解析單元測試
+ */
+
+const {
+    toCamelKey,
+    isNegativeAttribute,
+    parseAttributes
+} = require('../../src/utils/attributes');
+
+describe('Attributes 單元測試', () => {
+
+    describe('isNegativeAttribute', () => {
+        test('應該辨識各語言的「不提供」', () => {
+            [
+                'No dine-in',
+                '不提供內用服務',
+                'デリバリーなし',
+                '배달 없음',
+                'Sin entrega a domicilio',
+                'Pas de livraison',
+                'Keine Lieferung'
+            ].forEach(description => {
+                expect(isNegativeAttribute(description)).toBe(true);
+            });
+        });
+
+        test('提供的屬性不應視為否定', () => {
+            ['Has delivery', '提供外送服務', 'Noodles', '無障礙入口'].forEach(description => {
+                expect(isNegativeAttribute(description)).toBe(false);
+            });
+        });
+    });
+
+    describe('toCamelKey', () => {
+        test('應該產生 camelCase 鍵', () => {
+            expect(toCamelKey('Wheelchair-accessible elevator')).toBe('wheelchairAccessibleElevator');
+            expect(toCamelKey('Accès fauteuil roulant')).toBe('accesFauteuilRoulant');
+        });
+
+        test('非拉丁字母保持原樣', () => {
+            expect(toCamelKey('手語服務')).toBe('手語服務');
+        });
+    });
+
+    describe('parseAttributes', () => {
+        test('不同語言應該產生相同的鍵', () => {
+            const en = parseAttributes([
+                { title: 'Service options', items: [
+                    { text: 'Delivery', description: 'Has delivery' },
+                    { text: 'Dine-in', description: 'No dine-in' }
+                ] },
+                { title: 'Payments', items: [{ text: 'Credit cards', description: 'Accepts credit cards' }] }
+            ]);
+            const zh = parseAttributes([
+                { title: '服務選項', items: [
+                    { text: '外送', description: '提供外送服務' },
+                    { text: '內用', description: '不提供內用服務' }
+                ] },
+                { title: '付款方式', items: [{ text: '信用卡', description: '接受信用卡' }] }
+            ]);
+            const expected = {
+                serviceOptions: { delivery: true, dineIn: false },
+                payments: { creditCards: true }
+            };
+            expect(en).toEqual(expected);
+            expect(zh).toEqual(expected);
+        });
+
+        test('沒有屬性時回傳 null', () => {
+            expect(parseAttributes([])).toBeNull();
+            expect(parseAttributes([{ title: 'Amenities', items: [] }])).toBeNull();
+            expect(parseAttributes(null)).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,66 @@
+/**
+ * 聯絡頁面連結單元測試
+ */
+
+const {
+    siteHost,
+    normalizePageUrl,
+    contactLinkPriority,
+    selectContactLinks
+} = require('../../src/utils/contactPages');
+
+describe('ContactPages 單元測試', () => {
+
+    describe('siteHost', () => {
+        test('應該忽略 www.', () => {
+            expect(siteHost('https://www.example.de/kontakt')).toBe('example.de');
+            expect(siteHost('not a url')).toBeNull();
+        });
+    });
+
+    describe('normalizePageUrl', () => {
+        test('應該忽略 www. 並移除 # 片段與結尾斜線', () => {
+            expect(normalizePageUrl('https://www.example.com/contact/#form')).toBe('https://example.com/contact');
+        });
+    });
+
+    describe('contactLinkPriority', () => {
+        test('應該辨識各語言的聯絡頁面', () => {
+            expect(contactLinkPriority('https://example.com/page-12', 'Contact us')).toBe(0);
+            expect(contactLinkPriority('https://example.jp/inquiry', 'お問い合わせ')).toBe(0);
+            expect(contactLinkPriority('https://example.de/impressum', '')).toBe(1);
+            expect(contactLinkPriority('https://example.fr/mentions-legales', '')).toBe(1);
+            expect(contactLinkPriority('https://example.tw/about', '關於我們')).toBe(2);
+        });
+
+        test('一般頁面不是聯絡頁面', () => {
+            expect(contactLinkPriority('https://example.com/menu', 'Menu')).toBe(-1);
+        });
+    });
+
+    describe('selectContactLinks', () => {
+        const links = [
+            { href: 'https://example.com/about', text: 'About' },
+            { href: 'https://www.example.com/contact#form', text: 'Contact' },
+            { href: 'https://example.com/contact', text: 'Contact' },
+            { href: 'https://other.com/contact', text: 'Contact' },
+            { href: 'https://example.com/menu', text: 'Menu' },
+            { href: 'https://example.com/files/contact.pdf', text: 'Contact (PDF)' },
+            { href: 'mailto:info@example.com', text: 'Contact' }
+        ];
+
+        test('應該只保留同網域的聯絡頁面並依優先順序排列', () => {
+            expect(selectContactLinks(links, 'https://example.com/')).toEqual([
+                'https://www.example.com/contact#form',
+                'https://example.com/about'
+            ]);
+        });
+
+        test('應該略過已造訪的頁面', () => {
+            const visited = new Set([normalizePageUrl('https://example.com/contact')]);
+            expect(selectContactLinks(links, 'https://example.com/', visited)).toEqual([
+                'https://example.com/about'
+            ]);
+        });
+    });
+});
@@ -7,12 +7,23 @@ const {
     cleanPhoneNumber,
     cleanAddress,
     cleanWebsiteUrl,
+    unwrapGoogleRedirect,
     validateEmail,
     extractEmails,
     cleanBusinessHours,
     normalizeRating,
     normalizeReviewCount,
-    cleanBusinessType
+    cleanBusinessType,
+    parseRelativeDate,
+    detectTextLanguage,
+    parseRatingDistribution,
+    parseReviewTag,
+    normalizeWeekday,
+    normalizeWeekdayKeys,
+    parseOpeningHours,
+    toOsmOpeningHours,
+    toOpeningHoursSpecification,
+    detectBusinessStatus
 } = require('../../src/utils/dataCleaners');
 
 describe('DataCleaners 單元測試', () => {
@@ -81,6 +92,23 @@ describe('DataCleaners 單元測試', () => {
             expect(cleanWebsiteUrl('facebook.com/page123'))
                 .toBe('https://www.facebook.com/page123');
         });
+        
+        test('應該解開 Google 轉址', () => {
+            expect(cleanWebsiteUrl('https://www.google.com/url?q=https://example.com/%3Futm_source%3Dgoogle&sa=D'))
+                .toBe('https://example.com/');
+        });
+    });
+    
+    describe('unwrapGoogleRedirect', () => {
+        test('應該解開多種轉址格式', () => {
+            expect(unwrapGoogleRedirect('/url?q=https://example.com/page')).toBe('https://example.com/page');
+            expect(unwrapGoogleRedirect('https://www.google.com/aclk?adurl=https://example.com/')).toBe('https://example.com/');
+        });
+        
+        test('不是轉址時原樣回傳', () => {
+            expect(unwrapGoogleRedirect('https://example.com/?q=1')).toBe('https://example.com/?q=1');
+            expect(unwrapGoogleRedirect('https://www.google.com/maps/place/x')).toBe('https://www.google.com/maps/place/x');
+        });
     });
     
     describe('validateEmail', () => {
@@ -171,4 +199,194 @@ describe('DataCleaners 單元測試', () => {
             expect(cleanBusinessType('$$$')).toBe('');
         });
     });
+    
+    describe('parseRelativeDate', () => {
+        const now = new Date('2025-08-16T00:00:00.000Z');
+        
+        test('應該換算各語言的相對時間', () => {
+            expect(parseRelativeDate('2 weeks ago', now)).toBe('2025-08-02T00:00:00.000Z');
+            expect(parseRelativeDate('a month ago', now)).toBe('2025-07-16T00:00:00.000Z');
+            expect(parseRelativeDate('3 個月前', now)).toBe('2025-05-16T00:00:00.000Z');
+            expect(parseRelativeDate('1 年前', now)).toBe('2024-08-16T00:00:00.000Z');
+            expect(parseRelativeDate('5 日前', now)).toBe('2025-08-11T00:00:00.000Z');
+            expect(parseRelativeDate('2주 전', now)).toBe('2025-08-02T00:00:00.000Z');
+            expect(parseRelativeDate('hace un año', now)).toBe('2024-08-16T00:00:00.000Z');
+            expect(parseRelativeDate('il y a 3 jours', now)).toBe('2025-08-13T00:00:00.000Z');
+            expect(parseRelativeDate('vor 2 Monaten', now)).toBe('2025-06-16T00:00:00.000Z');
+            expect(parseRelativeDate('an hour ago', now)).toBe('2025-08-15T23:00:00.000Z');
+        });
+        
+        test('無法解析時回傳 null', () => {
+            expect(parseRelativeDate('yesterday-ish', now)).toBeNull();
+            expect(parseRelativeDate(null, now)).toBeNull();
+        });
+    });
+    
+    describe('detectTextLanguage', () => {
+        test('應該依文字系統判斷語言', () => {
+            expect(detectTextLanguage('咖啡很好喝')).toBe('zh');
+            expect(detectTextLanguage('コーヒーが美味しい')).toBe('ja');
+            expect(detectTextLanguage('커피가 맛있어요')).toBe('ko');
+        });
+        
+        test('應該依常見字判斷拉丁字母語言', () => {
+            expect(detectTextLanguage('The coffee was very good and the staff is great')).toBe('en');
+            expect(detectTextLanguage('El café es muy bueno y los precios son buenos')).toBe('es');
+            expect(detectTextLanguage('Le café est très bon et les prix sont corrects')).toBe('fr');
+            expect(detectTextLanguage('Der Kaffee ist sehr gut und nicht teuer')).toBe('de');
+        });
+        
+        test('無法判斷時回傳 null', () => {
+            expect(detectTextLanguage('123 456')).toBeNull();
+            expect(detectTextLanguage('')).toBeNull();
+        });
+    });
+    
+    describe('parseRatingDistribution', () => {
+        test('應該解析各語言的評分分布', () => {
+            const expected = { oneStar: 12, twoStar: 0, threeStar: 40, fourStar: 300, fiveStar: 1234 };
+            const labelsByLanguage = [
+                ['5 stars, 1,234 reviews', '4 stars, 300 reviews', '3 stars, 40 reviews', '1 stars, 12 reviews'],
+                ['5 星級，1,234 則評論', '4 星級，300 則評論', '3 星級，40 則評論', '1 星級，12 則評論'],
+                ['5 星，1,234 条评价', '4 星，300 条评价', '3 星，40 条评价', '1 星，12 条评价'],
+                ['5つ星、1,234 件のクチコミ', '4つ星、300 件のクチコミ', '3つ星、40 件のクチコミ', '1つ星、12 件のクチコミ'],
+                ['별표 5개, 리뷰 1,234개', '별표 4개, 리뷰 300개', '별표 3개, 리뷰 40개', '별표 1개, 리뷰 12개'],
+                ['5 estrellas, 1.234 reseñas', '4 estrellas, 300 reseñas', '3 estrellas, 40 reseñas', '1 estrellas, 12 reseñas'],
+                ['5 étoiles, 1\u202f234 avis', '4 étoiles, 300 avis', '3 étoiles, 40 avis', '1 étoile, 12 avis'],
+                ['5 Sterne, 1.234 Rezensionen', '4 Sterne, 300 Rezensionen', '3 Sterne, 40 Rezensionen', '1 Stern, 12 Rezensionen']
+            ];
+            labelsByLanguage.forEach(labels => {
+                expect(parseRatingDistribution(labels)).toEqual(expected);
+            });
+        });
+        
+        test('沒有有效資料時回傳 null', () => {
+            expect(parseRatingDistribution([])).toBeNull();
+            expect(parseRatingDistribution(['Open now'])).toBeNull();
+            expect(parseRatingDistribution(null)).toBeNull();
+        });
+    });
+    
+    describe('parseReviewTag', () => {
+        test('應該解析分開顯示的標籤與數量', () => {
+            expect(parseReviewTag('price', '123')).toEqual({ label: 'price', count: 123 });
+            expect(parseReviewTag('價格', '1,024')).toEqual({ label: '價格', count: 1024 });
+        });
+        
+        test('應該解析合併的文字', () => {
+            expect(parseReviewTag('latte art 45')).toEqual({ label: 'latte art', count: 45 });
+            expect(parseReviewTag('Terrasse 1.200')).toEqual({ label: 'Terrasse', count: 1200 });
+        });
+        
+        test('沒有數量的標籤回傳 null', () => {
+            expect(parseReviewTag('All')).toBeNull();
+            expect(parseReviewTag('全部', null)).toBeNull();
+        });
+    });
+    
+    describe('normalizeWeekday', () => {
+        test('應該將各語言的星期轉成英文', () => {
+            ['Monday', '星期一', '週一', '周一', '月曜日', '월요일', 'lunes', 'lundi', 'Montag'].forEach(day => {
+                expect(normalizeWeekday(day)).toBe('Monday');
+            });
+            expect(normalizeWeekday('星期日')).toBe('Sunday');
+            expect(normalizeWeekday('日曜日')).toBe('Sunday');
+            expect(normalizeWeekday('Sonntag (Feiertag)')).toBe('Sunday');
+        });
+        
+        test('無法辨識時回傳 null', () => {
+            expect(normalizeWeekday('Holiday')).toBeNull();
+            expect(normalizeWeekday(null)).toBeNull();
+        });
+        
+        test('應該轉換物件的星期鍵', () => {
+            expect(normalizeWeekdayKeys({ '星期一': '09:00–18:00', 'Holiday': 'Closed' })).toEqual({
+                Monday: '09:00–18:00',
+                Holiday: 'Closed'
+            });
+        });
+    });
+    
+    describe('detectBusinessStatus', () => {
+        test('應該辨識各語言的營業狀態', () => {
+            expect(detectBusinessStatus('Coffee shop · Permanently closed')).toBe('CLOSED_PERMANENTLY');
+            expect(detectBusinessStatus('咖啡廳 · 永久停業')).toBe('CLOSED_PERMANENTLY');
+            expect(detectBusinessStatus('カフェ · 閉業')).toBe('CLOSED_PERMANENTLY');
+            expect(detectBusinessStatus('Temporarily closed')).toBe('CLOSED_TEMPORARILY');
+            expect(detectBusinessStatus('暫停營業')).toBe('CLOSED_TEMPORARILY');
+            expect(detectBusinessStatus('Vorübergehend geschlossen')).toBe('CLOSED_TEMPORARILY');
+            expect(detectBusinessStatus('Opening soon')).toBe('OPENING_SOON');
+            expect(detectBusinessStatus('即將開幕')).toBe('OPENING_SOON');
+        });
+        
+        test('營業時間提示不是營業狀態', () => {
+            expect(detectBusinessStatus('Closed · Opens 9 AM')).toBeNull();
+            expect(detectBusinessStatus('Opens soon · 9 AM')).toBeNull();
+            expect(detectBusinessStatus('已打烊 · 明天 09:00 開始營業')).toBeNull();
+            expect(detectBusinessStatus(null)).toBeNull();
+        });
+    });
+    
+    describe('機器可讀的營業時間', () => {
+        const hours = [
+            'Monday: 7 AM–10 PM',
+            'Tuesday: 7 AM–10 PM',
+            'Wednesday: 7 AM–10 PM',
+            'Thursday: 7 AM–10 PM',
+            'Friday: 6 PM–2 AM',
+            'Saturday: 11:30 AM–2:30 PM, 5–10 PM',
+            'Sunday: Closed'
+        ];
+        
+        test('應該將各語言的營業時間解析成分鐘數', () => {
+            expect(parseOpeningHours(['星期一: 24 小時營業', '星期二: 休息'])).toEqual({
+                Monday: [{ open: 0, close: 1440 }],
+                Tuesday: []
+            });
+            expect(parseOpeningHours({ Montag: '09:00–18:00' })).toEqual({
+                Monday: [{ open: 540, close: 1080 }]
+            });
+            expect(parseOpeningHours(['月曜日: 9時00分～17時00分'])).toEqual({
+                Monday: [{ open: 540, close: 1020 }]
+            });
+        });
+        
+        test('應該轉換成 OpenStreetMap opening_hours', () => {
+            expect(toOsmOpeningHours(hours)).toBe('Mo-Th 07:00-22:00; Fr 18:00-02:00; Sa 11:30-14:30,17:00-22:00');
+            expect(toOsmOpeningHours({ Monday: '9 AM–5 PM', Wednesday: '9 AM–5 PM', Thursday: '9 AM–5 PM' }))
+                .toBe('Mo,We,Th 09:00-17:00');
+            expect(toOsmOpeningHours({ lundi: '9 h à 18 h' })).toBe('Mo 09:00-18:00');
+        });
+        
+        test('每天 24 小時營業應該轉換成 24/7', () => {
+            const allDay = ['星期一', '星期二', '星期三', '星期四', '星期五', '星期六', '星期日']
+                .map(day => `${day}: 24 小時營業`);
+            expect(toOsmOpeningHours(allDay)).toBe('24/7');
+            expect(toOpeningHoursSpecification(allDay)).toEqual([{
+                '@type': 'OpeningHoursSpecification',
+                dayOfWeek: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'],
+                opens: '00:00',
+                closes: '23:59'
+            }]);
+        });
+        
+        test('應該轉換成 schema.org openingHoursSpecification', () => {
+            const specification = toOpeningHoursSpecification(hours);
+            expect(specification[0]).toEqual({
+                '@type': 'OpeningHoursSpecification',
+                dayOfWeek: ['Monday', 'Tuesday', 'Wednesday', 'Thursday'],
+                opens: '07:00',
+                closes: '22:00'
+            });
+            expect(specification[1]).toMatchObject({ dayOfWeek: ['Friday'], opens: '18:00', closes: '02:00' });
+            expect(specification.filter(spec => spec.dayOfWeek.includes('Saturday'))).toHaveLength(2);
+            expect(specification.some(spec => spec.dayOfWeek.includes('Sunday'))).toBe(false);
+        });
+        
+        test('無法解析時回傳 null', () => {
+            expect(toOsmOpeningHours(['Monday: 7 AM–10 PM', 'Tuesday: ???'])).toBeNull();
+            expect(toOpeningHoursSpecification(['Holiday: 7 AM–10 PM'])).toBeNull();
+            expect(toOsmOpeningHours(null)).toBeNull();
+        });
+    });
 });
\ No newline at end of file
@@ -0,0 +1,127 @@
+/**
+ * 電子郵件解碼單元測試
+ */
+
+const {
+    findEmails,
+    decodeCfEmail,
+    decodeHtmlEntities,
+    normalizeFullWidth,
+    deobfuscateText,
+    joinScriptStrings,
+    extractEmailCandidates
+} = require('../../src/utils/emailDecoding');
+
+// 以指定金鑰產生 Cloudflare 編碼字串
+const encodeCf = (email, key = 0x42) => key.toString(16).padStart(2, '0') +
+    Array.from(email).map(char => (char.charCodeAt(0) ^ key).toString(16).padStart(2, '0')).join('');
+
+describe('EmailDecoding 單元測試', () => {
+
+    describe('findEmails', () => {
+        test('應該找出小寫的電子郵件', () => {
+            expect(findEmails('寫信到 Info@Shop.TW.')).toEqual(['info@shop.tw']);
+            expect(findEmails('')).toEqual([]);
+        });
+    });
+
+    describe('decodeCfEmail', () => {
+        test('應該解碼 Cloudflare 電子郵件保護', () => {
+            expect(decodeCfEmail(encodeCf('info@shop.tw'))).toBe('info@shop.tw');
+            expect(decodeCfEmail(encodeCf('kontakt@firma.de', 0x9a))).toBe('kontakt@firma.de');
+        });
+
+        test('無效的編碼應該回傳 null', () => {
+            expect(decodeCfEmail('xyz')).toBeNull();
+            expect(decodeCfEmail('abc')).toBeNull();
+            expect(decodeCfEmail(null)).toBeNull();
+        });
+    });
+
+    describe('decodeHtmlEntities', () => {
+        test('應該解碼十進位、十六進位與具名實體', () => {
+            expect(decodeHtmlEntities('info&#64;shop&#46;tw')).toBe('info@shop.tw');
+            expect(decodeHtmlEntities('info&#x40;shop.tw')).toBe('info@shop.tw');
+            expect(decodeHtmlEntities('info&commat;shop&period;tw')).toBe('info@shop.tw');
+        });
+    });
+
+    describe('normalizeFullWidth', () => {
+        test('應該轉換全形字元', () => {
+            expect(normalizeFullWidth('ｉｎｆｏ＠ｓｈｏｐ．ｔｗ')).toBe('info@shop.tw');
+            expect(normalizeFullWidth('info＠shop.jp')).toBe('info@shop.jp');
+        });
+    });
+
+    describe('deobfuscateText', () => {
+        test('應該還原括號寫法', () => {
+            expect(deobfuscateText('info [at] shop [dot] tw')).toBe('info@shop.tw');
+            expect(deobfuscateText('info(at)firma.de')).toBe('info@firma.de');
+            expect(deobfuscateText('contacto {arroba} tienda (punto) es')).toBe('contacto@tienda.es');
+        });
+
+        test('應該還原以空白分隔的寫法', () => {
+            expect(deobfuscateText('Email: info at shop dot com')).toBe('Email: info@shop.com');
+        });
+
+        test('一般句子中的 at 不應該被改寫', () => {
+            expect(deobfuscateText('Meet us at the station')).toBe('Meet us at the station');
+        });
+    });
+
+    describe('joinScriptStrings', () => {
+        test('應該合併相加的字串', () => {
+            expect(joinScriptStrings("var e = 'info' + '@' + 'shop.tw';")).toBe("var e = 'info@shop.tw';");
+        });
+
+        test('應該還原 String.fromCharCode', () => {
+            expect(joinScriptStrings('String.fromCharCode(105,64,97,46,99,111)')).toBe('i@a.co');
+        });
+    });
+
+    describe('extractEmailCandidates', () => {
+        test('應該標示各電子郵件的還原方式', () => {
+            const rawHtml = `
+                <p>sales@shop.tw</p>
+                <a href="mailto:hello@shop.tw">Mail</a>
+                <span data-cfemail="${encodeCf('cf@shop.tw')}"></span>
+                <p>entity&#64;shop.tw</p>
+                <p>ｆｕｌｌ＠ｓｈｏｐ．ｔｗ</p>
+                <p>info [at] shop [dot] tw</p>
+                <script>var e = 'js' + '@' + 'shop.tw';</script>`;
+            const candidates = extractEmailCandidates({
+                rawHtml,
+                text: 'sales@shop.tw Mail entity@shop.tw ｆｕｌｌ＠ｓｈｏｐ．ｔｗ info [at] shop [dot] tw',
+                mailtos: ['mailto:hello@shop.tw?subject=Hi'],
+                cfEmails: [encodeCf('cf@shop.tw')],
+                scripts: ["var e = 'js' + '@' + 'shop.tw';"]
+            });
+
+            expect(candidates).toEqual([
+                { email: 'sales@shop.tw', method: 'plain' },
+                { email: 'hello@shop.tw', method: 'mailto' },
+                { email: 'cf@shop.tw', method: 'cloudflare' },
+                { email: 'entity@shop.tw', method: 'htmlEntity' },
+                { email: 'full@shop.tw', method: 'fullWidth' },
+                { email: 'info@shop.tw', method: 'obfuscatedText' },
+                { email: 'js@shop.tw', method: 'javascript' }
+            ]);
+        });
+
+        test('原始 HTML 中沒有的電子郵件應該標示為 javascript', () => {
+            const candidates = extractEmailCandidates({
+                rawHtml: '<div id="contact"></div>',
+                text: 'contact@shop.tw',
+                mailtos: ['mailto:contact@shop.tw']
+            });
+            expect(candidates).toEqual([{ email: 'contact@shop.tw', method: 'javascript' }]);
+        });
+
+        test('沒有原始 HTML 時應該以頁面文字為準', () => {
+            expect(extractEmailCandidates({ text: 'info@shop.tw' })).toEqual([
+                { email: 'info@shop.tw', method: 'plain' }
+            ]);
+            expect(extractEmailCandidates()).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,124 @@
+/**
+ * 電子郵件品質單元測試
+ */
+
+const {
+    isValidEmail,
+    looksLikeFileName,
+    classifyEmail,
+    emailMatchesDomain,
+    scoreEmail,
+    rankEmails
+} = require('../../src/utils/emailQuality');
+
+describe('EmailQuality 單元測試', () => {
+
+    describe('isValidEmail', () => {
+        test('應該接受格式正確且頂級網域存在的電子郵件', () => {
+            expect(isValidEmail('info@shop.com.tw')).toBe(true);
+            expect(isValidEmail('kontakt@firma.de')).toBe(true);
+        });
+
+        test('應該拒絕格式錯誤或頂級網域不存在的電子郵件', () => {
+            expect(isValidEmail('logo@2x.png')).toBe(false);
+            expect(isValidEmail('info@shop.invalidtld')).toBe(false);
+            expect(isValidEmail('info..sales@shop.tw')).toBe(false);
+            expect(isValidEmail('info@-shop.tw')).toBe(false);
+            expect(isValidEmail('not an email')).toBe(false);
+            expect(isValidEmail(null)).toBe(false);
+        });
+    });
+
+    describe('looksLikeFileName', () => {
+        test('應該辨識圖片等檔案名稱', () => {
+            expect(looksLikeFileName('logo@2x.png')).toBe(true);
+            expect(looksLikeFileName('banner@3x.webp')).toBe(true);
+            expect(looksLikeFileName('info@shop.tw')).toBe(false);
+        });
+    });
+
+    describe('classifyEmail', () => {
+        test('應該辨識角色型信箱', () => {
+            expect(classifyEmail('info@shop.tw')).toBe('role');
+            expect(classifyEmail('Sales@shop.tw')).toBe('role');
+            expect(classifyEmail('kontakt@firma.de')).toBe('role');
+            expect(classifyEmail('reservas@restaurante.es')).toBe('role');
+            expect(classifyEmail('info.taipei@shop.tw')).toBe('role');
+            expect(classifyEmail('support+web@shop.tw')).toBe('role');
+        });
+
+        test('應該辨識平台與拋棄式信箱', () => {
+            expect(classifyEmail('support@wix.com')).toBe('platform');
+            expect(classifyEmail('orders@shop.myshopify.com')).toBe('platform');
+            expect(classifyEmail('test@mailinator.com')).toBe('disposable');
+        });
+
+        test('其他信箱應該視為個人信箱', () => {
+            expect(classifyEmail('chen.wei@shop.tw')).toBe('personal');
+            expect(classifyEmail('owner@gmail.com')).toBe('personal');
+        });
+    });
+
+    describe('emailMatchesDomain', () => {
+        test('應該比對可註冊網域', () => {
+            expect(emailMatchesDomain('info@shop.com.tw', 'https://www.shop.com.tw/')).toBe(true);
+            expect(emailMatchesDomain('info@mail.shop.com.tw', 'https://shop.com.tw/about')).toBe(true);
+            expect(emailMatchesDomain('info@other.com.tw', 'https://www.shop.com.tw/')).toBe(false);
+        });
+
+        test('網站無效時應該回傳 false', () => {
+            expect(emailMatchesDomain('info@shop.tw', null)).toBe(false);
+            expect(emailMatchesDomain('info@shop.tw', 'not a url')).toBe(false);
+        });
+    });
+
+    describe('scoreEmail', () => {
+        test('應該回傳分類、同網域、有效性與分數', () => {
+            expect(scoreEmail('Info@Shop.com.tw', 'https://www.shop.com.tw/')).toEqual({
+                email: 'info@shop.com.tw',
+                type: 'role',
+                domainMatch: true,
+                valid: true,
+                score: 80
+            });
+        });
+
+        test('無效的電子郵件分數應該為 0', () => {
+            expect(scoreEmail('logo@2x.png', 'https://www.shop.tw/').score).toBe(0);
+        });
+
+        test('技術用途的角色信箱應該低於一般角色信箱', () => {
+            const website = 'https://www.shop.tw/';
+            expect(scoreEmail('webmaster@shop.tw', website).score)
+                .toBeLessThan(scoreEmail('info@shop.tw', website).score);
+        });
+    });
+
+    describe('rankEmails', () => {
+        test('應該依分數排序', () => {
+            const ranked = rankEmails([
+                'support@wix.com',
+                'bob@agency.io',
+                'webmaster@shop.com.tw',
+                'owner@gmail.com',
+                'info@shop.com.tw',
+                'chen.wei@shop.com.tw'
+            ], 'https://www.shop.com.tw/');
+
+            expect(ranked.map(detail => detail.email)).toEqual([
+                'chen.wei@shop.com.tw',
+                'info@shop.com.tw',
+                'owner@gmail.com',
+                'webmaster@shop.com.tw',
+                'bob@agency.io',
+                'support@wix.com'
+            ]);
+        });
+
+        test('同分時應該保留原本的順序', () => {
+            const ranked = rankEmails(['sales@shop.tw', 'info@shop.tw'], 'https://shop.tw');
+            expect(ranked.map(detail => detail.email)).toEqual(['sales@shop.tw', 'info@shop.tw']);
+            expect(rankEmails([], 'https://shop.tw')).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,172 @@
+/**
+ * 地理區域工具單元測試
+ */
+
+const {
+    haversineKm,
+    normalizeSearchArea,
+    splitIntoTiles,
+    subdivideTile,
+    zoomForTile,
+    isPointInArea,
+    planTiles
+} = require('../../src/utils/geo');
+
+describe('Geo 單元測試', () => {
+
+    describe('haversineKm', () => {
+        test('應該計算兩點距離', () => {
+            // 台北 101 到台北車站約 4.5 公里
+            const distance = haversineKm(25.0339, 121.5645, 25.0478, 121.5170);
+            expect(distance).toBeGreaterThan(4);
+            expect(distance).toBeLessThan(5.5);
+        });
+
+        test('同一點距離為 0', () => {
+            expect(haversineKm(25, 121, 25, 121)).toBe(0);
+        });
+    });
+
+    describe('normalizeSearchArea', () => {
+        test('應該正規化邊界框', () => {
+            const area = normalizeSearchArea({
+                boundingBox: { north: '25.1', south: 25.0, east: 121.6, west: 121.5 }
+            });
+            expect(area.type).toBe('bbox');
+            expect(area.bbox.north).toBe(25.1);
+        });
+
+        test('應該將圓形區域換算成邊界框', () => {
+            const area = normalizeSearchArea({ center: { lat: 25, lng: 121 }, radiusKm: 10 });
+            expect(area.type).toBe('circle');
+            expect(area.bbox.north).toBeCloseTo(25.09, 2);
+            expect(area.bbox.south).toBeCloseTo(24.91, 2);
+            expect(area.bbox.east).toBeGreaterThan(121.09);
+        });
+
+        test('應該拒絕沒有多邊形的 GeoJSON', () => {
+            expect(() => normalizeSearchArea({
+                geojson: { type: 'Point', coordinates: [121, 25] }
+            })).toThrow('Polygon');
+        });
+
+        test('應該拒絕無效區域', () => {
+            expect(() => normalizeSearchArea(null)).toThrow();
+            expect(() => normalizeSearchArea({})).toThrow();
+            expect(() => normalizeSearchArea({
+                boundingBox: { north: 25, south: 26, east: 121.6, west: 121.5 }
+            })).toThrow();
+            expect(() => normalizeSearchArea({ center: { lat: 25, lng: 121 }, radiusKm: 0 })).toThrow();
+        });
+    });
+
+    describe('網格切分', () => {
+        const bbox = { north: 25.1, south: 25.0, east: 121.6, west: 121.5 };
+
+        test('應該依大小切分網格', () => {
+            // 約 10 x 11 公里，5 公里網格應切成 3 x 3
+            const tiles = splitIntoTiles(bbox, 5);
+            expect(tiles).toHaveLength(9);
+            expect(tiles[0].north).toBe(25.1);
+            expect(tiles[tiles.length - 1].east).toBeCloseTo(121.6);
+        });
+
+        test('小區域應該只有一個網格', () => {
+            expect(splitIntoTiles(bbox, 50)).toHaveLength(1);
+        });
+
+        test('應該將網格切成四等份', () => {
+            const children = subdivideTile(bbox);
+            expect(children).toHaveLength(4);
+            expect(children[0]).toEqual({ north: 25.1, south: 25.05, west: 121.5, east: 121.55 });
+        });
+
+        test('較小的網格應該使用較大的縮放等級', () => {
+            const [child] = subdivideTile(bbox);
+            expect(zoomForTile(child)).toBe(zoomForTile(bbox) + 1);
+            expect(zoomForTile(bbox)).toBeGreaterThanOrEqual(11);
+            expect(zoomForTile(bbox)).toBeLessThanOrEqual(14);
+        });
+
+        test('圓形區域應該略過圓外的網格', () => {
+            const area = normalizeSearchArea({ center: { lat: 25, lng: 121 }, radiusKm: 10 });
+            const all = splitIntoTiles(area.bbox, 2);
+            const planned = planTiles(area, 2);
+            expect(planned.length).toBeLessThan(all.length);
+            expect(planned.length).toBeGreaterThan(0);
+        });
+
+        test('多邊形區域應該只規劃與形狀重疊的網格', () => {
+            // 三角形只覆蓋邊界框的左下半部
+            const area = normalizeSearchArea({
+                geojson: {
+                    type: 'Polygon',
+                    coordinates: [[[121.0, 25.0], [121.2, 25.0], [121.0, 25.2], [121.0, 25.0]]]
+                }
+            });
+            const all = splitIntoTiles(area.bbox, 5);
+            const planned = planTiles(area, 5);
+            const bottomLeft = all.find(t => t.south === area.bbox.south && t.west === area.bbox.west);
+            const topRight = all.find(t => t.north === area.bbox.north && t.east === area.bbox.east);
+            expect(planned.length).toBeLessThan(all.length);
+            expect(planned).toContainEqual(bottomLeft);
+            expect(planned).not.toContainEqual(topRight);
+        });
+    });
+
+    describe('isPointInArea', () => {
+        test('應該判斷邊界框範圍', () => {
+            const area = normalizeSearchArea({
+                boundingBox: { north: 25.1, south: 25.0, east: 121.6, west: 121.5 }
+            });
+            expect(isPointInArea(25.05, 121.55, area)).toBe(true);
+            expect(isPointInArea(25.2, 121.55, area)).toBe(false);
+        });
+
+        test('應該判斷圓形範圍', () => {
+            const area = normalizeSearchArea({ center: { lat: 25, lng: 121 }, radiusKm: 1 });
+            expect(isPointInArea(25.005, 121.005, area)).toBe(true);
+            expect(isPointInArea(25.02, 121, area)).toBe(false);
+        });
+
+        test('應該判斷多邊形範圍並排除內環', () => {
+            const area = normalizeSearchArea({
+                geojson: {
+                    type: 'Feature',
+                    geometry: {
+                        type: 'Polygon',
+                        coordinates: [
+                            [[121.0, 25.0], [121.1, 25.0], [121.1, 25.1], [121.0, 25.1], [121.0, 25.0]],
+                            [[121.04, 25.04], [121.06, 25.04], [121.06, 25.06], [121.04, 25.06], [121.04, 25.04]]
+                        ]
+                    }
+                }
+            });
+            expect(area.type).toBe('polygon');
+            expect(area.bbox).toEqual({ north: 25.1, south: 25.0, east: 121.1, west: 121.0 });
+            expect(isPointInArea(25.02, 121.02, area)).toBe(true);
+            expect(isPointInArea(25.05, 121.05, area)).toBe(false);
+            expect(isPointInArea(25.2, 121.05, area)).toBe(false);
+        });
+
+        test('應該支援 MultiPolygon', () => {
+            const area = normalizeSearchArea({
+                geojson: {
+                    type: 'MultiPolygon',
+                    coordinates: [
+                        [[[121.0, 25.0], [121.01, 25.0], [121.01, 25.01], [121.0, 25.0]]],
+                        [[[122.0, 26.0], [122.01, 26.0], [122.01, 26.01], [122.0, 26.0]]]
+                    ]
+                }
+            });
+            expect(area.polygons).toHaveLength(2);
+            expect(isPointInArea(26.002, 122.008, area)).toBe(true);
+            expect(isPointInArea(25.5, 121.5, area)).toBe(false);
+        });
+
+        test('沒有座標時視為不在範圍內', () => {
+            const area = normalizeSearchArea({ center: { lat: 25, lng: 121 }, radiusKm: 1 });
+            expect(isPointInArea(null, null, area)).toBe(false);
+        });
+    });
+});
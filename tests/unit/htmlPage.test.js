@@ -0,0 +1,115 @@
+/**
+ * HTML 頁面解析單元測試
+ */
+
+const {
+    detectCharset,
+    decodeHtml,
+    htmlToText,
+    parseHtmlSnapshot,
+    detectClientRendering
+} = require('../../src/utils/htmlPage');
+
+describe('HtmlPage 單元測試', () => {
+
+    describe('detectCharset', () => {
+        test('應該優先使用 Content-Type 標頭', () => {
+            expect(detectCharset(Buffer.from('<meta charset="big5">'), 'text/html; charset=Shift_JIS')).toBe('shift_jis');
+        });
+
+        test('應該讀取 meta 標籤', () => {
+            expect(detectCharset(Buffer.from('<meta charset="big5">'), 'text/html')).toBe('big5');
+            expect(detectCharset(Buffer.from('<meta http-equiv="Content-Type" content="text/html; charset=euc-kr">'), '')).toBe('euc-kr');
+        });
+
+        test('應該辨識 BOM 並預設為 utf-8', () => {
+            expect(detectCharset(Buffer.from([0xEF, 0xBB, 0xBF, 0x3C]), 'text/html; charset=big5')).toBe('utf-8');
+            expect(detectCharset(Buffer.from('<html>'), '')).toBe('utf-8');
+            expect(detectCharset(Buffer.from('<html>'), 'text/html; charset=unknown-charset')).toBe('utf-8');
+        });
+    });
+
+    describe('decodeHtml', () => {
+        test('應該依編碼解碼', () => {
+            expect(decodeHtml(Buffer.from([0xA4, 0xA4, 0xA4, 0xE5]), 'text/html; charset=big5')).toBe('中文');
+            expect(decodeHtml(Buffer.from('中文'), 'text/html')).toBe('中文');
+        });
+    });
+
+    describe('htmlToText', () => {
+        test('應該移除腳本、樣式與標籤並解碼實體', () => {
+            const html = '<style>p{}</style><p>聯絡&nbsp;我們</p><script>var a = 1;</script><div>info&#64;shop.tw</div>';
+            expect(htmlToText(html)).toBe('聯絡 我們\ninfo@shop.tw');
+        });
+    });
+
+    describe('parseHtmlSnapshot', () => {
+        const html = `
+            <html><head><base href="/tw/"></head><body>
+            <a href="contact.html">聯絡<b>我們</b></a>
+            <a href='mailto:info@shop.tw?subject=Hi'>Mail</a>
+            <a href="/cdn-cgi/l/email-protection#4a2b">[email&#160;protected]</a>
+            <span class="__cf_email__" data-cfemail="5c3d">x</span>
+            <a href="https://www.facebook.com/shop?ref=a&amp;b=1">fb</a>
+            <iframe src="https://www.facebook.com/plugins/page.php?href=x"></iframe>
+            <script>var e = 'a' + '@' + 'shop.tw';</script>
+            <script src="/app.js"></script>
+            <button onclick="location='mailto:' + user">Mail</button>
+            <a href="tel:+886-2-2345-6789">Call</a>
+            <script type="application/ld+json">{"@type": "Cafe", "email": "hello@shop.tw"}</script>
+            <form class="wpcf7-form" action="/contact"><input name="your-name"><input type="email" name="your-email">
+            <input type="hidden" name="token"><textarea name="message"></textarea><input type="submit"></form>
+            <address>台北市信義區信義路五段7號</address>
+            </body></html>`;
+        const snapshot = parseHtmlSnapshot(html, 'https://shop.tw/index.html');
+
+        test('應該解析相對連結與連結文字', () => {
+            expect(snapshot.links).toEqual([
+                { href: 'https://shop.tw/tw/contact.html', text: '聯絡 我們' },
+                { href: 'https://www.facebook.com/shop?ref=a&b=1', text: 'fb' }
+            ]);
+        });
+
+        test('應該取出 mailto、Cloudflare 編碼與腳本', () => {
+            expect(snapshot.mailtos).toEqual(['mailto:info@shop.tw?subject=Hi']);
+            expect(snapshot.cfEmails).toEqual(['4a2b', '5c3d']);
+            expect(snapshot.scripts).toEqual(["var e = 'a' + '@' + 'shop.tw';", "location='mailto:' + user"]);
+        });
+
+        test('應該取出電話連結、表單、JSON-LD 與地址標籤', () => {
+            expect(snapshot.tels).toEqual(['tel:+886-2-2345-6789']);
+            expect(snapshot.forms).toEqual([
+                { action: '/contact', marker: 'wpcf7-form', hasTextarea: true, hasEmail: true, fieldCount: 3 }
+            ]);
+            expect(snapshot.jsonLd).toEqual(['{"@type": "Cafe", "email": "hello@shop.tw"}']);
+            expect(snapshot.addressTags).toEqual(['台北市信義區信義路五段7號']);
+            expect(snapshot.iframes).toEqual(['https://www.facebook.com/plugins/page.php?href=x']);
+        });
+
+        test('應該收集社群連結與嵌入外掛', () => {
+            expect(snapshot.socialLinks).toEqual([
+                'https://www.facebook.com/shop?ref=a&b=1',
+                'https://www.facebook.com/plugins/page.php?href=x'
+            ]);
+        });
+    });
+
+    describe('detectClientRendering', () => {
+        const check = html => detectClientRendering(html, parseHtmlSnapshot(html, 'https://shop.tw/'));
+
+        test('應該辨識前端框架的空白頁面', () => {
+            expect(check('<body><div id="root"></div><script src="/main.js"></script></body>')).toBe('appShell');
+            expect(check('<body><div id="__next"></div></body>')).toBe('appShell');
+            expect(check('<body><script src="/bundle.js"></script></body>')).toBe('emptyBody');
+        });
+
+        test('應該辨識要求啟用 JavaScript 的頁面', () => {
+            expect(check(`<body><noscript>You need to enable JavaScript to run this app.</noscript><p>${'x'.repeat(300)}</p></body>`)).toBe('noscript');
+        });
+
+        test('有內容的頁面不需要瀏覽器', () => {
+            expect(check(`<body><div id="app"><p>${'咖啡 '.repeat(200)}</p></div><script src="/app.js"></script></body>`)).toBeNull();
+            expect(check('<body><p>Coffee shop</p></body>')).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,34 @@
+/**
+ * 多語言資料單元測試
+ */
+
+const localeData = require('../../src/utils/localeData');
+
+// 取出所有字串清單：字串陣列，或值為字串陣列的物件
+const labelLists = Object.entries(localeData).flatMap(([name, value]) => {
+    if (Array.isArray(value)) {
+        return value.every(item => typeof item === 'string') ? [[name, value]] : [];
+    }
+    if (value && typeof value === 'object' && !(value instanceof RegExp)) {
+        return Object.entries(value)
+            .filter(([, list]) => Array.isArray(list) && list.every(item => typeof item === 'string'))
+            .map(([key, list]) => [`${name}.${key}`, list]);
+    }
+    return [];
+});
+
+describe('LocaleData 單元測試', () => {
+
+    test('應該包含要檢查的清單', () => {
+        const names = labelLists.map(([name]) => name);
+        expect(names).toContain('ABOUT_SECTIONS.highlights');
+        expect(names).toContain('ABOUT_ATTRIBUTES.coffee');
+        expect(names).toContain('PHOTO_CATEGORIES.latest');
+        expect(names).toContain('ROLE_EMAIL_PREFIXES');
+    });
+
+    test.each(labelLists)('%s 不應該有重複的名稱', (name, list) => {
+        const duplicates = list.filter((label, index) => list.indexOf(label) !== index);
+        expect(duplicates).toEqual([]);
+    });
+});
@@ -0,0 +1,171 @@
+/**
+ * 營業時間計算單元測試
+ */
+
+const {
+    parseDayHours,
+    buildWeeklyIntervals,
+    formatLocalIso,
+    inferTimeZone,
+    computeOpenState
+} = require('../../src/utils/openingHours');
+
+// 平日白天營業、星期五營業到隔天凌晨、週末休息
+const WEEKDAY_HOURS = {
+    Monday: '9 AM–5 PM',
+    Tuesday: '11:30 AM–2:30 PM, 5–10 PM',
+    Wednesday: '9 AM–5 PM',
+    Thursday: '9 AM–5 PM',
+    Friday: '6 PM–2 AM',
+    Saturday: 'Closed',
+    Sunday: 'Closed'
+};
+
+describe('OpeningHours 單元測試', () => {
+
+    describe('parseDayHours', () => {
+        test('應該解析 12 小時制與省略的上午／下午標記', () => {
+            expect(parseDayHours('9 AM–5 PM')).toEqual([{ open: 540, close: 1020 }]);
+            expect(parseDayHours('11:30 AM–2:30 PM, 5–10 PM')).toEqual([
+                { open: 690, close: 870 },
+                { open: 1020, close: 1320 }
+            ]);
+        });
+
+        test('應該解析各語言的 24 小時制與分段時間', () => {
+            expect(parseDayHours('12:00–15:0017:30–22:00')).toEqual([
+                { open: 720, close: 900 },
+                { open: 1050, close: 1320 }
+            ]);
+            expect(parseDayHours('오전 9:00~오후 6:00')).toEqual([{ open: 540, close: 1080 }]);
+            expect(parseDayHours('上午11:00–下午9:00')).toEqual([{ open: 660, close: 1260 }]);
+            expect(parseDayHours('14 h 30–18 h')).toEqual([{ open: 870, close: 1080 }]);
+        });
+
+        test('應該支援英文的時段分隔字', () => {
+            expect(parseDayHours('9 AM to 5 PM')).toEqual([{ open: 540, close: 1020 }]);
+        });
+
+        test('應該支援繁體中文的時段分隔字', () => {
+            expect(parseDayHours('上午11:00至下午9:00')).toEqual([{ open: 660, close: 1260 }]);
+        });
+
+        test('應該支援簡體中文的時段分隔字', () => {
+            expect(parseDayHours('上午9:00至晚上10:00')).toEqual([{ open: 540, close: 1320 }]);
+        });
+
+        test('應該支援日文的時段分隔字', () => {
+            expect(parseDayHours('9時から18時')).toEqual([{ open: 540, close: 1080 }]);
+        });
+
+        test('應該支援韓文的時段分隔字', () => {
+            expect(parseDayHours('오전 9:00~오후 6:00')).toEqual([{ open: 540, close: 1080 }]);
+        });
+
+        test('應該支援西班牙文的時段分隔字', () => {
+            expect(parseDayHours('9:00 a 18:00')).toEqual([{ open: 540, close: 1080 }]);
+        });
+
+        test('應該支援法文的時段分隔字', () => {
+            expect(parseDayHours('9 h à 18 h')).toEqual([{ open: 540, close: 1080 }]);
+        });
+
+        test('應該支援德文的時段分隔字與休息日', () => {
+            expect(parseDayHours('9:00 bis 18:00')).toEqual([{ open: 540, close: 1080 }]);
+            expect(parseDayHours('Ruhetag')).toEqual([]);
+        });
+
+        test('跨夜時段的結束時間超過一天', () => {
+            expect(parseDayHours('18:00–02:00')).toEqual([{ open: 1080, close: 1560 }]);
+            expect(parseDayHours('6 PM–12 AM')).toEqual([{ open: 1080, close: 1440 }]);
+        });
+
+        test('應該辨識 24 小時營業與休息日', () => {
+            expect(parseDayHours('Open 24 hours')).toEqual([{ open: 0, close: 1440 }]);
+            expect(parseDayHours('24 小時營業')).toEqual([{ open: 0, close: 1440 }]);
+            expect(parseDayHours('Closed')).toEqual([]);
+            expect(parseDayHours('休息')).toEqual([]);
+        });
+
+        test('無法解析時回傳 null', () => {
+            expect(parseDayHours('Hours might differ')).toBeNull();
+            expect(parseDayHours(null)).toBeNull();
+        });
+    });
+
+    describe('buildWeeklyIntervals', () => {
+        test('應該合併連續的 24 小時營業', () => {
+            const intervals = buildWeeklyIntervals({ Monday: 'Open 24 hours', Tuesday: 'Open 24 hours' });
+            expect(intervals).toContainEqual({ start: 0, end: 2880 });
+        });
+
+        test('任一天無法解析時回傳 null', () => {
+            expect(buildWeeklyIntervals({ Monday: '9 AM–5 PM', Tuesday: '???' })).toBeNull();
+            expect(buildWeeklyIntervals({ Holiday: '9 AM–5 PM' })).toBeNull();
+        });
+    });
+
+    describe('computeOpenState', () => {
+        test('營業中應該提供打烊時間與下次開門時間', () => {
+            // 台北時間星期一 11:00
+            expect(computeOpenState(WEEKDAY_HOURS, 'Asia/Taipei', new Date('2024-05-06T03:00:00Z'))).toEqual({
+                isOpenNow: true,
+                nextOpenAt: '2024-05-07T11:30:00+08:00',
+                nextCloseAt: '2024-05-06T17:00:00+08:00'
+            });
+        });
+
+        test('應該處理分段營業的休息時間', () => {
+            // 台北時間星期二 15:00
+            expect(computeOpenState(WEEKDAY_HOURS, 'Asia/Taipei', new Date('2024-05-07T07:00:00Z'))).toEqual({
+                isOpenNow: false,
+                nextOpenAt: '2024-05-07T17:00:00+08:00',
+                nextCloseAt: '2024-05-07T22:00:00+08:00'
+            });
+        });
+
+        test('跨夜營業在隔天凌晨仍為營業中', () => {
+            // 台北時間星期六 01:30
+            const state = computeOpenState(WEEKDAY_HOURS, 'Asia/Taipei', new Date('2024-05-10T17:30:00Z'));
+            expect(state.isOpenNow).toBe(true);
+            expect(state.nextCloseAt).toBe('2024-05-11T02:00:00+08:00');
+            expect(state.nextOpenAt).toBe('2024-05-13T09:00:00+08:00');
+        });
+
+        test('應該依夏令時間調整 UTC 偏移', () => {
+            // 紐約 2024-03-09（星期六）早上，隔天開始夏令時間
+            const state = computeOpenState(WEEKDAY_HOURS, 'America/New_York', new Date('2024-03-09T12:00:00Z'));
+            expect(state.isOpenNow).toBe(false);
+            expect(state.nextOpenAt).toBe('2024-03-11T09:00:00-04:00');
+        });
+
+        test('全天候營業沒有下次開門與打烊時間', () => {
+            const hours = {};
+            ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday']
+                .forEach(day => { hours[day] = 'Open 24 hours'; });
+            expect(computeOpenState(hours, 'Europe/Berlin')).toEqual({
+                isOpenNow: true,
+                nextOpenAt: null,
+                nextCloseAt: null
+            });
+        });
+
+        test('缺少營業時間或時區時回傳 null', () => {
+            expect(computeOpenState(null, 'Asia/Taipei').isOpenNow).toBeNull();
+            expect(computeOpenState(WEEKDAY_HOURS, null).isOpenNow).toBeNull();
+        });
+    });
+
+    describe('時區', () => {
+        test('應該由座標推算時區', () => {
+            expect(inferTimeZone(25.0339, 121.5645)).toBe('Asia/Taipei');
+            expect(inferTimeZone(40.7128, -74.006)).toBe('America/New_York');
+            expect(inferTimeZone(null, 121.5)).toBeNull();
+        });
+
+        test('應該以當地時間與偏移格式化', () => {
+            expect(formatLocalIso(new Date('2024-05-06T01:00:00Z'), 'Asia/Taipei')).toBe('2024-05-06T09:00:00+08:00');
+            expect(formatLocalIso(new Date('2024-01-15T14:00:00Z'), 'America/New_York')).toBe('2024-01-15T09:00:00-05:00');
+        });
+    });
+});
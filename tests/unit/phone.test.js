@@ -0,0 +1,84 @@
+/**
+ * 電話號碼正規化單元測試
+ */
+
+const {
+    countryFromTimeZone,
+    resolvePhoneCountry,
+    normalizePhone,
+    formatInternationalPhone
+} = require('../../src/utils/phone');
+
+describe('Phone 單元測試', () => {
+
+    describe('countryFromTimeZone', () => {
+        test('應該由時區推算國家', () => {
+            expect(countryFromTimeZone('Asia/Taipei')).toBe('TW');
+            expect(countryFromTimeZone('Asia/Tokyo')).toBe('JP');
+            expect(countryFromTimeZone('America/Indiana/Indianapolis')).toBe('US');
+            expect(countryFromTimeZone('Antarctica/Troll')).toBeNull();
+            expect(countryFromTimeZone(null)).toBeNull();
+        });
+    });
+
+    describe('resolvePhoneCountry', () => {
+        test('應該優先使用地址中的國家', () => {
+            expect(resolvePhoneCountry({
+                addressComponents: { countryCode: 'JP' },
+                latitude: 25.0339,
+                longitude: 121.5645
+            })).toBe('JP');
+        });
+
+        test('沒有地址國家時由座標推算', () => {
+            expect(resolvePhoneCountry({ addressComponents: null, latitude: 37.5665, longitude: 126.978 })).toBe('KR');
+            expect(resolvePhoneCountry({ latitude: 52.52, longitude: 13.405 })).toBe('DE');
+            expect(resolvePhoneCountry({})).toBeNull();
+        });
+    });
+
+    describe('normalizePhone', () => {
+        test('應該轉換各國本地格式', () => {
+            expect(normalizePhone('(02) 2345-6789', 'TW')).toEqual({
+                phoneE164: '+886223456789',
+                phoneNational: '02 2345 6789',
+                phoneType: 'landline',
+                phoneValid: true
+            });
+            expect(normalizePhone('090-1234-5678', 'JP').phoneE164).toBe('+819012345678');
+            expect(normalizePhone('010-1234-5678', 'KR').phoneType).toBe('mobile');
+            expect(normalizePhone('030 1234567', 'DE').phoneE164).toBe('+49301234567');
+            expect(normalizePhone('01 42 68 53 00', 'FR').phoneE164).toBe('+33142685300');
+        });
+
+        test('應該辨識免付費電話', () => {
+            expect(normalizePhone('1-800-275-2273', 'US').phoneType).toBe('tollFree');
+            expect(normalizePhone('(650) 253-0000', 'US').phoneType).toBe('landlineOrMobile');
+        });
+
+        test('國際格式不需要國家', () => {
+            expect(normalizePhone('+886 912 345 678', null)).toMatchObject({
+                phoneE164: '+886912345678',
+                phoneType: 'mobile',
+                phoneValid: true
+            });
+        });
+
+        test('無效或無法解析的號碼', () => {
+            expect(normalizePhone('12', 'TW').phoneValid).toBe(false);
+            expect(normalizePhone(null, 'TW')).toEqual({
+                phoneE164: null,
+                phoneNational: null,
+                phoneType: null,
+                phoneValid: false
+            });
+        });
+    });
+
+    describe('formatInternationalPhone', () => {
+        test('應該格式化為國際格式', () => {
+            expect(formatInternationalPhone('03-1234-5678', 'JP')).toBe('+81 3 1234 5678');
+            expect(formatInternationalPhone('abc', 'JP')).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,80 @@
+/**
+ * 相片網址與存放鍵工具單元測試
+ */
+
+const {
+    extractBackgroundImageUrl,
+    resizePhotoUrl,
+    photoStoreId,
+    photoKey,
+    parsePhotoCount
+} = require('../../src/utils/photos');
+
+describe('Photos 單元測試', () => {
+
+    describe('extractBackgroundImageUrl', () => {
+        test('應該取出 background-image 網址', () => {
+            expect(extractBackgroundImageUrl('background-image: url("https://lh5.googleusercontent.com/p/AF1Qip=w203-h152-k-no");'))
+                .toBe('https://lh5.googleusercontent.com/p/AF1Qip=w203-h152-k-no');
+            expect(extractBackgroundImageUrl('width: 10px')).toBeNull();
+        });
+    });
+
+    describe('resizePhotoUrl', () => {
+        test('應該替換大小參數', () => {
+            expect(resizePhotoUrl('https://lh5.googleusercontent.com/p/AF1Qip=w408-h306-k-no', 1600, 1200))
+                .toBe('https://lh5.googleusercontent.com/p/AF1Qip=w1600-h1200-k-no');
+        });
+
+        test('沒有大小參數時應該附加', () => {
+            expect(resizePhotoUrl('//lh5.googleusercontent.com/p/AF1Qip', 800, 600))
+                .toBe('https://lh5.googleusercontent.com/p/AF1Qip=w800-h600-k-no');
+        });
+
+        test('非 Google 相片網址保持原樣', () => {
+            expect(resizePhotoUrl('https://example.com/photo.jpg', 800, 600)).toBe('https://example.com/photo.jpg');
+            expect(resizePhotoUrl(null, 800, 600)).toBeNull();
+        });
+    });
+
+    describe('photoStoreId', () => {
+        test('有 placeId 時應該直接使用', () => {
+            expect(photoStoreId({ placeId: 'ChIJH56c2rarQjQRphD9gvC8BhI', url: 'https://www.google.com/maps/place/A' }))
+                .toBe('ChIJH56c2rarQjQRphD9gvC8BhI');
+        });
+
+        test('沒有 placeId 時應該以網址或名稱加座標產生不同的 ID', () => {
+            const first = photoStoreId({ placeId: null, url: 'https://www.google.com/maps/place/A' });
+            const second = photoStoreId({ placeId: null, url: 'https://www.google.com/maps/place/B' });
+            expect(first).toMatch(/^place-[0-9a-f]{16}$/);
+            expect(first).not.toBe(second);
+            expect(photoStoreId({ placeId: null, url: 'https://www.google.com/maps/place/A' })).toBe(first);
+            expect(photoStoreId({ name: '咖啡廳', latitude: 25.033, longitude: 121.565 })).toMatch(/^place-[0-9a-f]{16}$/);
+        });
+
+        test('沒有固定 ID 時回傳 null', () => {
+            expect(photoStoreId({ placeId: null, name: '咖啡廳' })).toBeNull();
+        });
+    });
+
+    describe('photoKey', () => {
+        test('應該產生固定且合法的鍵', () => {
+            expect(photoKey('ChIJH56c2rarQjQRphD9gvC8BhI', 3)).toBe('photo-ChIJH56c2rarQjQRphD9gvC8BhI-003.jpg');
+            expect(photoKey('hex_0x3442abb6:0x1206bcf0', 0, 'png')).toBe('photo-hex_0x3442abb6_0x1206bcf0-000.png');
+        });
+    });
+
+    describe('parsePhotoCount', () => {
+        test('應該解析各語言的相片數量', () => {
+            expect(parsePhotoCount('1,234 photos')).toBe(1234);
+            expect(parsePhotoCount('1,234 張相片')).toBe(1234);
+            expect(parsePhotoCount('1.234 Fotos')).toBe(1234);
+            expect(parsePhotoCount('1 234 photos')).toBe(1234);
+        });
+
+        test('沒有數量時回傳 null', () => {
+            expect(parsePhotoCount('See photos')).toBeNull();
+            expect(parsePhotoCount(null)).toBeNull();
+        });
+    });
+});
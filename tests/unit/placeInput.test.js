@@ -0,0 +1,87 @@
+/**
+ * 單一地點輸入解析單元測試
+ */
+
+const {
+    isPlaceId,
+    parsePlaceInput,
+    parsePlaceUrl
+} = require('../../src/utils/placeInput');
+
+describe('PlaceInput 單元測試', () => {
+
+    describe('isPlaceId', () => {
+        test('應該辨識 placeId', () => {
+            expect(isPlaceId('ChIJH56c2rarQjQRphD9gvC8BhI')).toBe(true);
+            expect(isPlaceId(' ChIJH56c2rarQjQRphD9gvC8BhI ')).toBe(true);
+        });
+
+        test('應該拒絕非 placeId', () => {
+            expect(isPlaceId('starbucks taipei')).toBe(false);
+            expect(isPlaceId('ChIJ')).toBe(false);
+            expect(isPlaceId(null)).toBe(false);
+        });
+    });
+
+    describe('parsePlaceInput', () => {
+        test('應該解析直接提供的 placeId', () => {
+            const place = parsePlaceInput('ChIJH56c2rarQjQRphD9gvC8BhI');
+            expect(place.type).toBe('placeId');
+            expect(place.placeId).toBe('ChIJH56c2rarQjQRphD9gvC8BhI');
+            expect(place.url).toBe('https://www.google.com/maps/place/?q=place_id:ChIJH56c2rarQjQRphD9gvC8BhI');
+        });
+
+        test('應該解析短網址', () => {
+            expect(parsePlaceInput('https://maps.app.goo.gl/abc123').type).toBe('shortLink');
+            expect(parsePlaceInput('https://goo.gl/maps/abc123').type).toBe('shortLink');
+            expect(parsePlaceInput('maps.app.goo.gl/abc123').url).toBe('https://maps.app.goo.gl/abc123');
+        });
+
+        test('應該解析 cid 網址', () => {
+            const place = parsePlaceInput('https://maps.google.com/?cid=1234567890123456789');
+            expect(place.type).toBe('cid');
+            expect(place.cid).toBe('1234567890123456789');
+            expect(place.url).toBe('https://www.google.com/maps?cid=1234567890123456789');
+        });
+
+        test('應該解析 place_id 查詢網址', () => {
+            const place = parsePlaceInput('https://www.google.com/maps/search/?api=1&query=Taipei+101&query_place_id=ChIJH56c2rarQjQRphD9gvC8BhI');
+            expect(place.type).toBe('placeId');
+            expect(place.placeId).toBe('ChIJH56c2rarQjQRphD9gvC8BhI');
+        });
+
+        test('應該解析地點頁面網址', () => {
+            const place = parsePlaceInput('https://www.google.com/maps/place/Taipei+101/@25.0339,121.5645,17z/data=!3m1!4b1!4m6!3m5!1s0x3442abb6da9c9e1f:0x1206bcf082fd10a6!8m2!3d25.0339639!4d121.5644722!16zL20vMDFjeTU0');
+            expect(place.type).toBe('placeUrl');
+            expect(place.placeId).toBe('hex_0x3442abb6da9c9e1f:0x1206bcf082fd10a6');
+        });
+
+        test('搜尋網址與其他網址不是單一地點', () => {
+            expect(parsePlaceInput('https://www.google.com/maps/search/restaurants+taipei')).toBeNull();
+            expect(parsePlaceInput('https://example.com/?cid=123')).toBeNull();
+            expect(parsePlaceInput('starbucks taipei')).toBeNull();
+            expect(parsePlaceInput('')).toBeNull();
+        });
+    });
+
+    describe('parsePlaceUrl', () => {
+        test('應該優先使用地點座標', () => {
+            const result = parsePlaceUrl('https://www.google.com/maps/place/X/@25.03,121.56,17z/data=!3d25.0339639!4d121.5644722');
+            expect(result.latitude).toBeCloseTo(25.0339639);
+            expect(result.longitude).toBeCloseTo(121.5644722);
+        });
+
+        test('應該提取 ChIJ 格式的 placeId', () => {
+            const result = parsePlaceUrl('https://www.google.com/maps/place/X/data=!4m2!3m1!19sChIJH56c2rarQjQRphD9gvC8BhI');
+            expect(result.placeId).toBe('ChIJH56c2rarQjQRphD9gvC8BhI');
+        });
+
+        test('沒有資訊時回傳空值', () => {
+            expect(parsePlaceUrl('https://www.google.com/maps')).toEqual({
+                placeId: null,
+                latitude: null,
+                longitude: null
+            });
+        });
+    });
+});
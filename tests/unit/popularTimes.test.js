@@ -0,0 +1,85 @@
+/**
+ * 熱門時段解析單元測試
+ */
+
+const {
+    parseBarHour,
+    parsePopularTimes,
+    parseTimeSpent
+} = require('../../src/utils/popularTimes');
+
+describe('PopularTimes 單元測試', () => {
+
+    describe('parseBarHour', () => {
+        test('應該解析各語言的小時', () => {
+            expect(parseBarHour('Usually 45% busy at 2 PM.')).toBe(14);
+            expect(parseBarHour('下午2點的繁忙程度通常為 45%')).toBe(14);
+            expect(parseBarHour('14時の混雑度は通常 45%')).toBe(14);
+            expect(parseBarHour('오후 2시 혼잡도 45%')).toBe(14);
+            expect(parseBarHour('Normalmente 45% de ocupación a las 14:00.')).toBe(14);
+            expect(parseBarHour('Généralement occupé à 45 % à 14 h.')).toBe(14);
+            expect(parseBarHour('Um 14 Uhr zu 45 % ausgelastet.')).toBe(14);
+        });
+
+        test('應該處理午夜與中午', () => {
+            expect(parseBarHour('Usually 5% busy at 12 AM.')).toBe(0);
+            expect(parseBarHour('Usually 60% busy at 12 PM.')).toBe(12);
+            expect(parseBarHour('上午12點')).toBe(0);
+        });
+
+        test('沒有小時時回傳 null', () => {
+            expect(parseBarHour('Currently 30% busy, usually 45% busy.')).toBeNull();
+        });
+    });
+
+    describe('parsePopularTimes', () => {
+        test('應該依星期一到星期日輸出 24 小時數值', () => {
+            const sunday = ['Usually 20% busy at 10 AM.', 'Usually 40% busy at 11 AM.'];
+            const monday = ['Usually 10% busy at 9 AM.', 'Usually 30% busy at 10 AM.', 'Usually 50% busy at 11 AM.'];
+            const days = [sunday, monday, [], [], [], [], []];
+            const { popularTimes } = parsePopularTimes(days);
+            expect(Object.keys(popularTimes)).toEqual([
+                'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'
+            ]);
+            expect(popularTimes.Sunday).toHaveLength(24);
+            expect(popularTimes.Sunday[10]).toBe(20);
+            expect(popularTimes.Sunday[11]).toBe(40);
+            expect(popularTimes.Monday.slice(9, 12)).toEqual([10, 30, 50]);
+            expect(popularTimes.Tuesday.every(value => value === 0)).toBe(true);
+        });
+
+        test('目前時段應該依前一個長條推算小時', () => {
+            const days = [[], [
+                'Usually 10% busy at 9 AM.',
+                'Currently 70% busy, usually 30% busy.',
+                'Usually 50% busy at 11 AM.'
+            ], [], [], [], [], []];
+            const { popularTimes, live } = parsePopularTimes(days);
+            expect(live).toEqual({ day: 'Monday', hour: 10, percentage: 70, usualPercentage: 30 });
+            expect(popularTimes.Monday[10]).toBe(30);
+        });
+
+        test('沒有資料時回傳 null', () => {
+            expect(parsePopularTimes([])).toBeNull();
+            expect(parsePopularTimes([[], [], [], [], [], [], []])).toBeNull();
+        });
+    });
+
+    describe('parseTimeSpent', () => {
+        test('應該解析停留時間範圍', () => {
+            expect(parseTimeSpent('People typically spend 45 min to 2 hr here')).toMatchObject({ minMinutes: 45, maxMinutes: 120 });
+            expect(parseTimeSpent('People typically spend 1-2 hr here')).toMatchObject({ minMinutes: 60, maxMinutes: 120 });
+            expect(parseTimeSpent('滞在時間は通常 45 分～2 時間')).toMatchObject({ minMinutes: 45, maxMinutes: 120 });
+            expect(parseTimeSpent('Kunden verbringen hier in der Regel 45 Min. bis 2 Std.')).toMatchObject({ minMinutes: 45, maxMinutes: 120 });
+        });
+
+        test('只有上限時最短時間為 null', () => {
+            expect(parseTimeSpent('People typically spend up to 1 hour here')).toMatchObject({ minMinutes: null, maxMinutes: 60 });
+        });
+
+        test('無法解析時回傳 null', () => {
+            expect(parseTimeSpent(null)).toBeNull();
+            expect(parseTimeSpent('Popular times')).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,93 @@
+/**
+ * 社群帳號單元測試
+ */
+
+const {
+    SOCIAL_NETWORKS,
+    canonicalizeSocialUrl,
+    extractSocialProfiles
+} = require('../../src/utils/socialProfiles');
+
+describe('SocialProfiles 單元測試', () => {
+
+    describe('canonicalizeSocialUrl', () => {
+        test('應該轉換 Facebook 粉絲專頁', () => {
+            expect(canonicalizeSocialUrl('https://m.facebook.com/MyShop/?ref=bookmarks'))
+                .toEqual({ network: 'facebook', url: 'https://www.facebook.com/MyShop' });
+            expect(canonicalizeSocialUrl('https://www.facebook.com/profile.php?id=1000123&sk=about'))
+                .toEqual({ network: 'facebook', url: 'https://www.facebook.com/profile.php?id=1000123' });
+            expect(canonicalizeSocialUrl('https://www.facebook.com/plugins/page.php?href=https%3A%2F%2Fwww.facebook.com%2Fmyshop&tabs=timeline'))
+                .toEqual({ network: 'facebook', url: 'https://www.facebook.com/myshop' });
+        });
+
+        test('應該忽略分享與意圖連結', () => {
+            expect(canonicalizeSocialUrl('https://www.facebook.com/sharer/sharer.php?u=https://shop.tw')).toBeNull();
+            expect(canonicalizeSocialUrl('https://twitter.com/intent/tweet?text=hi')).toBeNull();
+            expect(canonicalizeSocialUrl('https://www.linkedin.com/shareArticle?url=https://shop.tw')).toBeNull();
+            expect(canonicalizeSocialUrl('https://social-plugins.line.me/lineit/share?url=https://shop.tw')).toBeNull();
+            expect(canonicalizeSocialUrl('https://line.me/R/msg/text/?hi')).toBeNull();
+            expect(canonicalizeSocialUrl('https://wa.me/?text=hi')).toBeNull();
+        });
+
+        test('貼文與影片連結應該取其帳號', () => {
+            expect(canonicalizeSocialUrl('https://twitter.com/acme/status/123').url).toBe('https://x.com/acme');
+            expect(canonicalizeSocialUrl('https://www.tiktok.com/@acme/video/1').url).toBe('https://www.tiktok.com/@acme');
+            expect(canonicalizeSocialUrl('https://youtube.com/@acme/videos').url).toBe('https://www.youtube.com/@acme');
+            expect(canonicalizeSocialUrl('https://www.instagram.com/p/ABC123/')).toBeNull();
+            expect(canonicalizeSocialUrl('https://www.youtube.com/watch?v=abc')).toBeNull();
+        });
+
+        test('應該轉換 Instagram、LinkedIn 與 YouTube 頻道', () => {
+            expect(canonicalizeSocialUrl('https://instagram.com/myshop/?hl=zh-tw').url).toBe('https://www.instagram.com/myshop');
+            expect(canonicalizeSocialUrl('https://tw.linkedin.com/company/acme/about').url).toBe('https://www.linkedin.com/company/acme');
+            expect(canonicalizeSocialUrl('https://www.youtube.com/channel/UCabc').url).toBe('https://www.youtube.com/channel/UCabc');
+        });
+
+        test('應該轉換 LINE 官方帳號', () => {
+            expect(canonicalizeSocialUrl('https://line.me/R/ti/p/%40abc123').url).toBe('https://line.me/R/ti/p/@abc123');
+            expect(canonicalizeSocialUrl('https://page.line.me/abc123').url).toBe('https://line.me/R/ti/p/@abc123');
+            expect(canonicalizeSocialUrl('https://lin.ee/AbCd').url).toBe('https://lin.ee/AbCd');
+        });
+
+        test('應該轉換 WhatsApp 號碼', () => {
+            expect(canonicalizeSocialUrl('https://wa.me/886912345678?text=hi').url).toBe('https://wa.me/886912345678');
+            expect(canonicalizeSocialUrl('https://api.whatsapp.com/send?phone=+886%20912%20345%20678').url).toBe('https://wa.me/886912345678');
+        });
+
+        test('應該忽略網站平台的帳號與其他網址', () => {
+            expect(canonicalizeSocialUrl('https://www.facebook.com/wix')).toBeNull();
+            expect(canonicalizeSocialUrl('https://www.shop.tw/facebook')).toBeNull();
+            expect(canonicalizeSocialUrl('mailto:info@shop.tw')).toBeNull();
+            expect(canonicalizeSocialUrl('not a url')).toBeNull();
+        });
+    });
+
+    describe('extractSocialProfiles', () => {
+        test('每個社群網站應該取第一個找到的帳號', () => {
+            const profiles = extractSocialProfiles([
+                'https://www.facebook.com/sharer/sharer.php?u=x',
+                'https://www.facebook.com/myshop',
+                'https://www.facebook.com/othershop',
+                'https://instagram.com/myshop',
+                'https://wa.me/886912345678'
+            ]);
+
+            expect(profiles).toEqual({
+                facebook: 'https://www.facebook.com/myshop',
+                instagram: 'https://www.instagram.com/myshop',
+                linkedin: null,
+                twitter: null,
+                youtube: null,
+                tiktok: null,
+                line: null,
+                whatsapp: 'https://wa.me/886912345678'
+            });
+        });
+
+        test('沒有連結時所有社群網站應該為 null', () => {
+            const profiles = extractSocialProfiles([]);
+            expect(Object.keys(profiles)).toEqual(SOCIAL_NETWORKS);
+            expect(Object.values(profiles).every(value => value === null)).toBe(true);
+        });
+    });
+});
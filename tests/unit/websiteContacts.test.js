@@ -0,0 +1,150 @@
+/**
+ * 網站聯絡資料單元測試
+ */
+
+const {
+    normalizeWebsitePhone,
+    findPhoneNumbers,
+    parseLocalBusinessJsonLd,
+    detectContactForm,
+    extractPageContacts
+} = require('../../src/utils/websiteContacts');
+
+describe('WebsiteContacts 單元測試', () => {
+
+    describe('normalizeWebsitePhone', () => {
+        test('應該以 cleanPhoneNumber 的規則轉換成國際格式', () => {
+            expect(normalizeWebsitePhone('(02) 2345-6789', 'TW')).toEqual({
+                phone: '+886 2 2345 6789',
+                phoneE164: '+886223456789',
+                phoneType: 'landline'
+            });
+        });
+
+        test('無效的號碼應該回傳 null', () => {
+            expect(normalizeWebsitePhone('12345', 'TW')).toBeNull();
+            expect(normalizeWebsitePhone(null, 'TW')).toBeNull();
+        });
+    });
+
+    describe('findPhoneNumbers', () => {
+        test('應該找出頁面文字中的電話並略過傳真', () => {
+            const phones = findPhoneNumbers('電話：(02) 2345-6789 傳真：(02) 2345-6790 手機 0912-345-678', 'TW');
+            expect(phones.map(phone => phone.phoneE164)).toEqual(['+886223456789', '+886912345678']);
+            expect(phones[1].phoneType).toBe('mobile');
+        });
+
+        test('應該接受國際格式並略過日期與金額', () => {
+            expect(findPhoneNumbers('Tel. +49 30 1234567', 'TW').map(phone => phone.phoneE164)).toEqual(['+49301234567']);
+            expect(findPhoneNumbers('Fax: +49 30 1234568', 'DE')).toEqual([]);
+            expect(findPhoneNumbers('2024-05-06 NT$ 12,345,678', 'TW')).toEqual([]);
+        });
+    });
+
+    describe('parseLocalBusinessJsonLd', () => {
+        test('應該從 @graph 中取出商家並組合地址', () => {
+            const businesses = parseLocalBusinessJsonLd([JSON.stringify({
+                '@context': 'https://schema.org',
+                '@graph': [
+                    { '@type': 'WebSite', name: '好咖啡' },
+                    {
+                        '@type': 'CafeOrCoffeeShop',
+                        name: '好咖啡 信義店',
+                        telephone: '+886-2-2345-6789',
+                        email: 'mailto:Hello@goodcafe.tw',
+                        address: {
+                            '@type': 'PostalAddress',
+                            streetAddress: '信義路五段7號',
+                            addressLocality: '台北市',
+                            postalCode: '110',
+                            addressCountry: 'TW'
+                        },
+                        geo: { latitude: '25.033', longitude: 121.56 },
+                        sameAs: ['https://www.instagram.com/goodcafe'],
+                        openingHours: 'Mo-Fr 08:00-20:00'
+                    }
+                ]
+            })]);
+
+            expect(businesses).toEqual([{
+                type: 'CafeOrCoffeeShop',
+                name: '好咖啡 信義店',
+                telephone: '+886-2-2345-6789',
+                email: 'hello@goodcafe.tw',
+                address: '110台北市信義路五段7號',
+                countryCode: 'TW',
+                url: null,
+                sameAs: ['https://www.instagram.com/goodcafe'],
+                geo: { latitude: 25.033, longitude: 121.56 },
+                openingHours: ['Mo-Fr 08:00-20:00'],
+                priceRange: null
+            }]);
+        });
+
+        test('應該以逗號組合西方地址並取出分店', () => {
+            const businesses = parseLocalBusinessJsonLd([JSON.stringify({
+                '@type': 'Organization',
+                name: 'Bäckerei',
+                department: [
+                    {
+                        '@type': 'Bakery',
+                        name: 'Bäckerei Mitte',
+                        telephone: '030 1234567',
+                        address: { streetAddress: 'Unter den Linden 1', addressLocality: 'Berlin', postalCode: '10117', addressCountry: 'Deutschland' }
+                    }
+                ]
+            })]);
+
+            expect(businesses).toHaveLength(1);
+            expect(businesses[0].address).toBe('Unter den Linden 1, Berlin, 10117, Deutschland');
+            expect(businesses[0].countryCode).toBe('DE');
+        });
+
+        test('格式錯誤的 JSON-LD 應該略過', () => {
+            expect(parseLocalBusinessJsonLd(['{ invalid', ''])).toEqual([]);
+            expect(parseLocalBusinessJsonLd([JSON.stringify({ '@type': 'Product', name: 'Latte' })])).toEqual([]);
+        });
+    });
+
+    describe('detectContactForm', () => {
+        test('應該辨識有留言欄與電子郵件欄位的表單', () => {
+            const forms = [{ action: '/send', marker: '', hasTextarea: true, hasEmail: true, fieldCount: 3 }];
+            expect(detectContactForm(forms, [], 'https://shop.tw/')).toEqual({ url: 'https://shop.tw/', provider: null });
+        });
+
+        test('應該辨識嵌入式表單服務', () => {
+            expect(detectContactForm([], ['https://docs.google.com/forms/d/e/abc/viewform'], 'https://shop.tw/contact'))
+                .toEqual({ url: 'https://shop.tw/contact', provider: 'googleForms' });
+        });
+
+        test('搜尋與電子報表單不算聯絡表單', () => {
+            const forms = [
+                { action: '/search', marker: 'search-form', hasTextarea: false, hasEmail: false, fieldCount: 1 },
+                { action: '/subscribe', marker: 'newsletter', hasTextarea: false, hasEmail: true, fieldCount: 1 }
+            ];
+            expect(detectContactForm(forms, [], 'https://shop.tw/')).toBeNull();
+        });
+    });
+
+    describe('extractPageContacts', () => {
+        test('應該合併 tel 連結、WhatsApp 與頁面文字中的電話', () => {
+            const contacts = extractPageContacts({
+                url: 'https://shop.tw/',
+                text: '電話：(02) 2345-6789 手機 0912-345-678',
+                tels: ['tel:+886223456789'],
+                socialLinks: ['https://wa.me/886912345678'],
+                addressTags: ['好咖啡 中山店\n台北市中山區南京東路二段100號\nTel: 02-2500-0000']
+            }, 'TW');
+
+            expect(contacts.phones).toEqual([
+                { phone: '+886 2 2345 6789', phoneE164: '+886223456789', phoneType: 'landline', whatsapp: false, source: 'tel' },
+                { phone: '+886 912 345 678', phoneE164: '+886912345678', phoneType: 'mobile', whatsapp: true, source: 'whatsapp' }
+            ]);
+            expect(contacts.addresses).toHaveLength(1);
+            expect(contacts.addresses[0].address).toBe('台北市中山區南京東路二段100號');
+            expect(contacts.addresses[0].addressComponents.district).toBe('中山區');
+            expect(contacts.contactForm).toBeNull();
+            expect(contacts.businesses).toEqual([]);
+        });
+    });
+});